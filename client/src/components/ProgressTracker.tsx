@@ -6,15 +6,18 @@ interface ProgressTrackerProps {
   jobId: string;
   onComplete?: (result: any) => void;
   onError?: (error: string) => void;
+  onCancel?: () => void;
 }
 
 interface ProgressState {
   progress: number;
   message: string;
-  status: 'pending' | 'processing' | 'completed' | 'failed';
+  status: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled';
 }
 
-const ProgressTracker = ({ jobId, onComplete, onError }: ProgressTrackerProps) => {
+const STATUS_POLL_INTERVAL = 2000;
+
+const ProgressTracker = ({ jobId, onComplete, onError, onCancel }: ProgressTrackerProps) => {
   const [state, setState] = useState<ProgressState>({
     progress: 0,
     message: 'Initializing...',
@@ -26,25 +29,43 @@ const ProgressTracker = ({ jobId, onComplete, onError }: ProgressTrackerProps) =
 
     const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
     const eventSource = new EventSource(`${API_BASE}/api/progress/${jobId}`);
+    let pollTimer: ReturnType<typeof setTimeout> | undefined;
+    let finished = false;
+
+    const handleUpdate = (data: any) => {
+      if (finished) return;
+      setState({
+        progress: data.progress || 0,
+        message: data.message || 'Processing...',
+        status: data.status || 'processing',
+      });
+
+      if (data.status === 'completed' || data.status === 'failed' || data.status === 'cancelled') {
+        finished = true;
+        eventSource.close();
+        if (data.status === 'completed') onComplete?.(data.result);
+        if (data.status === 'failed') onError?.(data.error || data.message);
+        if (data.status === 'cancelled') onCancel?.();
+      }
+    };
+
+    // If the stream drops, follow the job through the status endpoint instead
+    const pollStatus = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/progress/${jobId}/status`);
+        if (!response.ok) throw new Error('Job not found');
+        handleUpdate(await response.json());
+      } catch {
+        finished = true;
+        onError?.('Lost connection to the analysis job');
+        return;
+      }
+      if (!finished) pollTimer = setTimeout(pollStatus, STATUS_POLL_INTERVAL);
+    };
 
     eventSource.onmessage = (event) => {
       try {
-        const data = JSON.parse(event.data);
-        setState({
-          progress: data.progress || 0,
-          message: data.message || 'Processing...',
-          status: data.status || 'processing',
-        });
-
-        if (data.status === 'completed' && onComplete) {
-          onComplete(data.result);
-          eventSource.close();
-        }
-
-        if (data.status === 'failed' && onError) {
-          onError(data.message);
-          eventSource.close();
-        }
+        handleUpdate(JSON.parse(event.data));
       } catch (e) {
         console.error('Error parsing progress event:', e);
       }
@@ -52,16 +73,19 @@ const ProgressTracker = ({ jobId, onComplete, onError }: ProgressTrackerProps) =
 
     eventSource.onerror = () => {
       eventSource.close();
+      if (!finished && !pollTimer) pollStatus();
     };
 
     return () => {
+      finished = true;
       eventSource.close();
+      if (pollTimer) clearTimeout(pollTimer);
     };
-  }, [jobId, onComplete, onError]);
+  }, [jobId, onComplete, onError, onCancel]);
 
   const getIcon = () => {
     if (state.status === 'completed') return <CheckCircle className="w-6 h-6 text-accent" />;
-    if (state.status === 'failed') return <AlertCircle className="w-6 h-6 text-destructive" />;
+    if (state.status === 'failed' || state.status === 'cancelled') return <AlertCircle className="w-6 h-6 text-destructive" />;
     if (state.progress < 30) return <FileText className="w-6 h-6 text-primary" />;
     if (state.progress < 80) return <Brain className="w-6 h-6 text-primary" />;
     return <Sparkles className="w-6 h-6 text-primary" />;
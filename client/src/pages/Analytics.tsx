@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import Navbar from '@/components/Navbar';
 import Footer from '@/components/Footer';
@@ -41,15 +41,42 @@ interface AnalyticsData {
   }>;
 }
 
+type Granularity = 'hour' | 'day' | 'week';
+
+interface HistoryPoint {
+  period: string;
+  analyses: number;
+  questions: number;
+  predictions: number;
+  cached: number;
+  avgProcessingTime: number;
+}
+
+// Periods offered in the history panel, with the granularity that suits them
+const HISTORY_RANGES: Array<{ label: string; days: number; granularity: Granularity }> = [
+  { label: '24h', days: 1, granularity: 'hour' },
+  { label: '7d', days: 7, granularity: 'day' },
+  { label: '30d', days: 30, granularity: 'day' },
+  { label: '90d', days: 90, granularity: 'week' },
+];
+
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
+
+const formatPeriod = (period: string, granularity: Granularity) =>
+  granularity === 'hour' ? period.slice(11, 16) : period.split('-').slice(1).join('/');
+
 const Analytics = () => {
   const [data, setData] = useState<AnalyticsData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [historyRange, setHistoryRange] = useState(HISTORY_RANGES[2]);
+  const [historySubject, setHistorySubject] = useState('');
+  const [history, setHistory] = useState<HistoryPoint[]>([]);
+  const [historyError, setHistoryError] = useState<string | null>(null);
 
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
-      const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
       const response = await fetch(`${API_BASE}/api/analytics`);
       
       if (!response.ok) throw new Error('Failed to fetch analytics');
@@ -64,10 +91,33 @@ const Analytics = () => {
     }
   };
 
+  const fetchHistory = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({
+        from: new Date(Date.now() - historyRange.days * 24 * 60 * 60 * 1000).toISOString(),
+        granularity: historyRange.granularity,
+      });
+      if (historySubject) params.set('subject', historySubject);
+
+      const response = await fetch(`${API_BASE}/api/analytics/detailed?${params}`);
+      if (!response.ok) throw new Error('Failed to fetch analytics history');
+
+      const result = await response.json();
+      setHistory(result.series || []);
+      setHistoryError(null);
+    } catch (err: any) {
+      setHistoryError(err.message);
+    }
+  }, [historyRange, historySubject]);
+
   useEffect(() => {
     fetchAnalytics();
   }, []);
 
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-background">
@@ -144,7 +194,7 @@ const Analytics = () => {
                 <span className="text-gradient">Analytics</span> Dashboard
               </h1>
             </div>
-            <Button onClick={fetchAnalytics} variant="outline" className="glass-card">
+            <Button onClick={() => { fetchAnalytics(); fetchHistory(); }} variant="outline" className="glass-card">
               <RefreshCw className="w-4 h-4 mr-2" />
               Refresh
             </Button>
@@ -270,6 +320,62 @@ const Analytics = () => {
             </motion.div>
           </div>
 
+          {/* History */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.65 }}
+            className="glass-card p-6 rounded-2xl mb-8"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-amber-500 to-orange-500 flex items-center justify-center">
+                  <Clock className="w-5 h-5 text-white" />
+                </div>
+                <h3 className="font-semibold text-lg">History</h3>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={historySubject}
+                  onChange={(e) => setHistorySubject(e.target.value)}
+                  className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+                  aria-label="Subject"
+                >
+                  <option value="">All subjects</option>
+                  {(data?.topSubjects || []).map((subject) => (
+                    <option key={subject.code} value={subject.code}>{subject.code} - {subject.name}</option>
+                  ))}
+                </select>
+                {HISTORY_RANGES.map((range) => (
+                  <Button
+                    key={range.label}
+                    size="sm"
+                    variant={range.label === historyRange.label ? 'default' : 'outline'}
+                    onClick={() => setHistoryRange(range)}
+                  >
+                    {range.label}
+                  </Button>
+                ))}
+              </div>
+            </div>
+            {historyError ? (
+              <div className="h-64 flex items-center justify-center text-destructive">{historyError}</div>
+            ) : (
+              <div className="h-64">
+                <ResponsiveContainer>
+                  <BarChart data={history}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+                    <XAxis dataKey="period" tick={{ fontSize: 12 }} tickFormatter={(v) => formatPeriod(v, historyRange.granularity)} stroke="hsl(var(--muted-foreground))" />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 12 }} stroke="hsl(var(--muted-foreground))" />
+                    <Tooltip contentStyle={{ background: 'hsl(var(--card))', border: '1px solid hsl(var(--border))', borderRadius: '12px' }} />
+                    <Bar dataKey="analyses" fill="#6366f1" radius={[4, 4, 0, 0]} name="Analyses" />
+                    <Bar dataKey="cached" fill="#10b981" radius={[4, 4, 0, 0]} name="Cache Hits" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </motion.div>
+
           {/* Recent Analyses */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -9,6 +9,7 @@ import { toast } from "sonner";
 import { jsPDF } from "jspdf";
 import { Download, BarChart3, Target, BookOpen, ChevronDown, FileText, Percent, AlertTriangle, CheckCircle, Sparkles, Zap, Upload } from "lucide-react";
 import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, AreaChart, Area } from "recharts";
+import type { PaperStructure } from "@/types";
 
 interface PredictedQuestion {
   id: number;
@@ -20,19 +21,52 @@ interface PredictedQuestion {
   rationale: string;
   section: string;
   marks: number;
+  unit: { number: number; title: string } | null;
 }
 
+interface CoverageGap {
+  key: string;
+  name: string;
+  unit: number;
+  isUnit: boolean;
+  reason: 'never-asked' | 'not-recent';
+  lastAsked: number | null;
+  predicted: boolean;
+}
+
+// Due entries shown in the coverage panel
+const MAX_COVERAGE_GAPS = 12;
+
+const WEIGHTAGE_COLORS = ['#6366f1', '#8b5cf6', '#a855f7', '#d946ef', '#ec4899'];
+
+interface DashboardStats {
+  papersAnalyzed: number;
+  questionsExtracted: number;
+  topicsCovered: number;
+  avgAccuracy: number | null;
+  backtestYear: number | null;
+}
+
+const EMPTY_STATS: DashboardStats = { papersAnalyzed: 0, questionsExtracted: 0, topicsCovered: 0, avgAccuracy: null, backtestYear: null };
+
 const Dashboard = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [chapterWeightage, setChapterWeightage] = useState<any[]>([]);
+  const [weightageByUnit, setWeightageByUnit] = useState(false);
   const [difficultyTrend, setDifficultyTrend] = useState<any[]>([]);
   const [predictedQuestions, setPredictedQuestions] = useState<PredictedQuestion[]>([]);
   const [topicRecurrence, setTopicRecurrence] = useState<any[]>([]);
-  const [stats, setStats] = useState({ papersAnalyzed: 0, questionsExtracted: 0, topicsCovered: 0, avgAccuracy: 0 });
+  const [coverageGaps, setCoverageGaps] = useState<CoverageGap[]>([]);
+  const [dueAfterYears, setDueAfterYears] = useState(2);
+  // Accuracy is measured by backtesting the subject, null until it has been
+  const [stats, setStats] = useState<DashboardStats>(EMPTY_STATS);
   const [expandedQuestion, setExpandedQuestion] = useState<number | null>(null);
   const [currentExamInfo, setCurrentExamInfo] = useState({ name: '', subject: '', subjectCode: '' });
+  const [paperStructure, setPaperStructure] = useState<PaperStructure | null>(null);
+  const [isFallback, setIsFallback] = useState(false);
+  const [isCached, setIsCached] = useState(false);
   const [hasData, setHasData] = useState(false);
 
   useEffect(() => {
@@ -51,9 +85,14 @@ const Dashboard = () => {
       setHasData(false);
       setPredictedQuestions([]);
       setChapterWeightage([]);
+      setWeightageByUnit(false);
       setDifficultyTrend([]);
       setTopicRecurrence([]);
-      setStats({ papersAnalyzed: 0, questionsExtracted: 0, topicsCovered: 0, avgAccuracy: 0 });
+      setCoverageGaps([]);
+      setPaperStructure(null);
+      setIsFallback(false);
+      setIsCached(false);
+      setStats(EMPTY_STATS);
     }
     setLoading(false);
   }, [location.state]);
@@ -66,19 +105,44 @@ const Dashboard = () => {
         probability: typeof pred.probability === 'number' ? Math.round(pred.probability * 100) : 0,
         difficulty: pred.difficulty || 'Medium', question: pred.question || `Explain ${pred.topic}`,
         type: pred.type || 'Long Answer', rationale: pred.rationale || 'Frequently asked topic.',
-        section: pred.section || 'B', marks: pred.marks || (pred.section === 'A' ? 2 : pred.section === 'B' ? 5 : 10)
+        section: pred.section || 'B', marks: pred.marks || (pred.section === 'A' ? 2 : pred.section === 'B' ? 5 : 10),
+        unit: pred.unit || null
       })));
     }
+    setPaperStructure(data.paperStructure?.sections?.length ? data.paperStructure : null);
+    setIsFallback(data.source === 'fallback');
+    setIsCached(Boolean(data.cached));
     if (data.recurrence?.length) setTopicRecurrence(data.recurrence);
     if (data.trends?.difficultyProgression?.length) setDifficultyTrend(data.trends.difficultyProgression);
-    if (data.summary?.length) {
-      setChapterWeightage(data.summary.slice(0, 5).map((item: any, idx: number) => ({
-        name: typeof item === 'string' ? item : item.topic || `Topic ${idx + 1}`,
-        value: 20 - idx * 3, color: ['#6366f1', '#8b5cf6', '#a855f7', '#d946ef', '#ec4899'][idx % 5],
+    // Share of marks per syllabus unit; without a syllabus, how often the top topics were asked
+    const units = (data.syllabus?.units || []).filter((unit: any) => unit.share > 0);
+    setWeightageByUnit(units.length > 0);
+    if (units.length > 0) {
+      setChapterWeightage(units.map((unit: any, idx: number) => ({
+        name: `Unit ${unit.number}: ${unit.title}`, value: unit.share, color: WEIGHTAGE_COLORS[idx % WEIGHTAGE_COLORS.length],
       })));
+    } else if (data.recurrence?.length) {
+      setChapterWeightage(data.recurrence.slice(0, 5).map((item: any, idx: number) => ({
+        name: item.topic, value: item.occurrences || item.frequency, color: WEIGHTAGE_COLORS[idx % WEIGHTAGE_COLORS.length],
+      })));
+    }
+    // Whole units first, then subtopics; topics never asked before those asked long ago
+    if (data.coverage?.units?.length) {
+      const gaps: CoverageGap[] = data.coverage.units.flatMap((unit: any) => [
+        ...(unit.due ? [{ key: `u${unit.number}`, name: `Unit ${unit.number}: ${unit.title}`, unit: unit.number, isUnit: true, reason: unit.reason, lastAsked: unit.lastAsked, predicted: unit.predicted }] : []),
+        ...unit.topics.filter((topic: any) => topic.due && !unit.due).map((topic: any, i: number) => ({
+          key: `u${unit.number}t${i}`, name: topic.name, unit: unit.number, isUnit: false, reason: topic.reason, lastAsked: topic.lastAsked, predicted: topic.predicted
+        }))
+      ]);
+      const rank = (gap: CoverageGap) => (gap.isUnit ? 0 : 2) + (gap.reason === 'never-asked' ? 0 : 1);
+      setCoverageGaps([...gaps].sort((a, b) => rank(a) - rank(b) || (a.lastAsked ?? 0) - (b.lastAsked ?? 0)).slice(0, MAX_COVERAGE_GAPS));
+      setDueAfterYears(data.coverage.dueAfterYears);
+    } else {
+      setCoverageGaps([]);
     }
     setStats({ papersAnalyzed: data.analysis?.papersAnalyzed || 0, questionsExtracted: data.analysis?.questionsExtracted || 0,
-      topicsCovered: data.analysis?.topicsCovered || 0, avgAccuracy: data.analysis?.avgAccuracy || 0 });
+      topicsCovered: data.analysis?.topicsCovered || 0, avgAccuracy: data.analysis?.avgAccuracy ?? null,
+      backtestYear: data.analysis?.backtest?.heldOutYear ?? null });
   };
 
   const getDifficultyColor = (d: string) => {
@@ -89,7 +153,20 @@ const Dashboard = () => {
   };
 
   const getSectionQuestions = (section: string) => predictedQuestions.filter(q => q.section === section);
+  const sectionNames = paperStructure ? paperStructure.sections.map(s => s.name) : ['A', 'B', 'C'];
+  const totalMarks = paperStructure?.totalMarks ?? 70;
+  const duration = paperStructure?.duration ?? '3 hours';
+  // Questions are numbered continuously across sections
+  const getQuestionNumber = (section: string, index: number) =>
+    sectionNames.slice(0, sectionNames.indexOf(section)).reduce((n, s) => n + getSectionQuestions(s).length, 0) + index + 1;
   const getSectionInfo = (section: string) => {
+    const patternSection = paperStructure?.sections.find(s => s.name === section);
+    if (patternSection) {
+      return {
+        title: `Section ${section} - ${patternSection.title}`, shortTitle: `Section ${section}`, marks: patternSection.marksEach,
+        description: [`${patternSection.marksEach} marks each`, patternSection.types.join(' / '), patternSection.choice].filter(Boolean).join(' • ')
+      };
+    }
     const info: Record<string, { title: string; shortTitle: string; marks: number; description: string }> = {
       'A': { title: 'Section A - Short Answer', shortTitle: 'Section A', marks: 2, description: '2 marks each' },
       'B': { title: 'Section B - Medium Answer', shortTitle: 'Section B', marks: 5, description: '5 marks each' },
@@ -119,11 +196,11 @@ const Dashboard = () => {
       doc.text(currentExamInfo.subject || "Subject", pageWidth / 2, 30, { align: 'center' });
       doc.setFontSize(10);
       doc.setFont("helvetica", "normal");
-      doc.text(`Code: ${currentExamInfo.subjectCode || 'N/A'} | Time: 3 Hours | Marks: 70`, pageWidth / 2, 42, { align: 'center' });
+      doc.text(`Code: ${currentExamInfo.subjectCode || 'N/A'} | Time: ${duration} | Marks: ${totalMarks}`, pageWidth / 2, 42, { align: 'center' });
       yPos = 60;
       doc.setTextColor(0, 0, 0);
       
-      ['A', 'B', 'C'].forEach(section => {
+      sectionNames.forEach(section => {
         const sectionQuestions = predictedQuestions.filter(q => q.section === section);
         if (sectionQuestions.length === 0) return;
         const sectionInfo = getSectionInfo(section);
@@ -138,7 +215,7 @@ const Dashboard = () => {
         doc.setTextColor(0, 0, 0);
         sectionQuestions.forEach((q, idx) => {
           checkPageBreak(20);
-          const qNum = section === 'A' ? idx + 1 : section === 'B' ? idx + 6 : idx + 11;
+          const qNum = getQuestionNumber(section, idx);
           doc.setFontSize(10);
           doc.setFont("helvetica", "bold");
           doc.text(`Q${qNum}.`, margin, yPos + 5);
@@ -244,7 +321,7 @@ const Dashboard = () => {
                 { icon: FileText, label: "Papers", value: stats.papersAnalyzed, gradient: "from-violet-500 to-purple-500" },
                 { icon: Target, label: "Questions", value: stats.questionsExtracted, gradient: "from-blue-500 to-cyan-500" },
                 { icon: BookOpen, label: "Topics", value: stats.topicsCovered, gradient: "from-emerald-500 to-teal-500" },
-                { icon: Percent, label: "Accuracy", value: `${stats.avgAccuracy}%`, gradient: "from-amber-500 to-orange-500" },
+                { icon: Percent, label: stats.backtestYear ? `Accuracy (${stats.backtestYear} backtest)` : "Accuracy (not backtested)", value: stats.avgAccuracy === null ? "—" : `${stats.avgAccuracy}%`, gradient: "from-amber-500 to-orange-500" },
               ].map((stat, i) => (
                 <motion.div key={i} initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: i * 0.1 }} className="glass-card p-3 sm:p-4 md:p-6 rounded-xl sm:rounded-2xl border border-border/50">
                   <div className={`w-10 h-10 sm:w-12 sm:h-12 md:w-14 md:h-14 rounded-lg sm:rounded-xl bg-gradient-to-br ${stat.gradient} flex items-center justify-center mb-2 sm:mb-4 shadow-lg`}>
@@ -257,7 +334,7 @@ const Dashboard = () => {
             </div>
 
             {/* Charts */}
-            {(chapterWeightage.length > 0 || difficultyTrend.length > 0 || topicRecurrence.length > 0) && (
+            {(chapterWeightage.length > 0 || difficultyTrend.length > 0 || topicRecurrence.length > 0 || coverageGaps.length > 0) && (
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 mb-6 sm:mb-10">
                 {chapterWeightage.length > 0 && (
                   <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.3 }} className="glass-card p-4 sm:p-6 rounded-xl sm:rounded-2xl border border-border/50">
@@ -265,7 +342,7 @@ const Dashboard = () => {
                       <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-lg sm:rounded-xl bg-gradient-to-br from-blue-500 to-cyan-500 flex items-center justify-center shadow-lg">
                         <BarChart3 className="w-5 h-5 sm:w-6 sm:h-6 text-white" />
                       </div>
-                      <h3 className="font-semibold text-base sm:text-lg">Topic Distribution</h3>
+                      <h3 className="font-semibold text-base sm:text-lg">{weightageByUnit ? 'Unit Weightage (% of marks)' : 'Topic Distribution (times asked)'}</h3>
                     </div>
                     <div className="h-48 sm:h-56 md:h-64">
                       <ResponsiveContainer>
@@ -322,14 +399,41 @@ const Dashboard = () => {
                         <motion.div key={i} initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.5 + i * 0.1 }} className="flex items-center justify-between p-3 sm:p-4 bg-white/5 rounded-lg sm:rounded-xl border border-border/30">
                           <div className="min-w-0 flex-1 mr-2">
                             <p className="font-medium text-sm sm:text-base truncate">{t.topic}</p>
-                            <p className="text-[10px] sm:text-xs text-muted-foreground">Last: {t.lastAsked}</p>
+                            <p className="text-[10px] sm:text-xs text-muted-foreground">Last: {t.lastAsked ?? '—'}{t.firstAsked && t.firstAsked !== t.lastAsked ? ` • since ${t.firstAsked}` : ''}</p>
                           </div>
                           <div className="flex items-center gap-2 sm:gap-3 flex-shrink-0">
                             <div className="w-16 sm:w-24 h-1.5 sm:h-2 bg-white/10 rounded-full overflow-hidden">
-                              <motion.div initial={{ width: 0 }} animate={{ width: `${t.frequency * 10}%` }} className="h-full bg-gradient-to-r from-primary to-purple-500 rounded-full" />
+                              <motion.div initial={{ width: 0 }} animate={{ width: `${Math.min(100, (t.frequency / Math.max(1, stats.papersAnalyzed)) * 100)}%` }} className="h-full bg-gradient-to-r from-primary to-purple-500 rounded-full" />
                             </div>
-                            <span className="text-xs sm:text-sm font-bold text-primary w-8">{t.frequency}/10</span>
+                            <span className="text-xs sm:text-sm font-bold text-primary w-8">{t.frequency}/{stats.papersAnalyzed}</span>
+                          </div>
+                        </motion.div>
+                      ))}
+                    </div>
+                  </motion.div>
+                )}
+
+                {coverageGaps.length > 0 && (
+                  <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.55 }} className="glass-card p-4 sm:p-6 rounded-xl sm:rounded-2xl border border-border/50 lg:col-span-2">
+                    <div className="flex items-center gap-2 sm:gap-3 mb-4 sm:mb-6">
+                      <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-lg sm:rounded-xl bg-gradient-to-br from-emerald-500 to-teal-500 flex items-center justify-center shadow-lg">
+                        <BookOpen className="w-5 h-5 sm:w-6 sm:h-6 text-white" />
+                      </div>
+                      <div>
+                        <h3 className="font-semibold text-base sm:text-lg">Due Syllabus Topics</h3>
+                        <p className="text-[10px] sm:text-xs text-muted-foreground">Never asked, or not asked in the last {dueAfterYears} exam years</p>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3">
+                      {coverageGaps.map((gap, i) => (
+                        <motion.div key={gap.key} initial={{ opacity: 0, x: -20 }} animate={{ opacity: 1, x: 0 }} transition={{ delay: 0.55 + i * 0.05 }} className="flex items-center justify-between p-3 sm:p-4 bg-white/5 rounded-lg sm:rounded-xl border border-border/30">
+                          <div className="min-w-0 flex-1 mr-2">
+                            <p className="font-medium text-sm sm:text-base truncate">{gap.name}</p>
+                            <p className="text-[10px] sm:text-xs text-muted-foreground">Unit {gap.unit} • {gap.reason === 'never-asked' ? 'Never asked' : `Last asked ${gap.lastAsked}`}</p>
                           </div>
+                          <span className={`px-2 sm:px-3 py-0.5 sm:py-1 rounded-full text-[10px] sm:text-xs font-medium flex-shrink-0 ${gap.predicted ? 'bg-emerald-500/20 text-emerald-400' : 'bg-amber-500/20 text-amber-400'}`}>
+                            {gap.predicted ? 'In predictions' : 'Not predicted'}
+                          </span>
                         </motion.div>
                       ))}
                     </div>
@@ -346,11 +450,21 @@ const Dashboard = () => {
                 </div>
                 <div>
                   <h3 className="font-semibold text-base sm:text-xl">Predicted Questions</h3>
-                  <p className="text-xs sm:text-sm text-muted-foreground">{predictedQuestions.length} questions • 70 marks</p>
+                  <p className="text-xs sm:text-sm text-muted-foreground">{predictedQuestions.length} questions • {totalMarks} marks</p>
+                  {isFallback && (
+                    <p className="flex items-center gap-1 text-[10px] sm:text-xs text-amber-400 mt-0.5">
+                      <AlertTriangle className="w-3 h-3" /> AI unavailable — ranked from your uploaded papers
+                    </p>
+                  )}
+                  {isCached && (
+                    <p className="text-[10px] sm:text-xs text-muted-foreground mt-0.5">
+                      Saved analysis of these papers — upload with "Fresh analysis" to regenerate
+                    </p>
+                  )}
                 </div>
               </div>
               
-              {['A', 'B', 'C'].map(section => {
+              {sectionNames.map(section => {
                 const sectionQuestions = getSectionQuestions(section);
                 const sectionInfo = getSectionInfo(section);
                 if (sectionQuestions.length === 0) return null;
@@ -372,7 +486,7 @@ const Dashboard = () => {
                     
                     <div className="space-y-2 sm:space-y-3">
                       {sectionQuestions.map((q, index) => {
-                        const qNum = section === 'A' ? index + 1 : section === 'B' ? index + 6 : index + 11;
+                        const qNum = getQuestionNumber(section, index);
                         return (
                           <motion.div key={q.id} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.7 + index * 0.03 }} className="border border-border/50 rounded-lg sm:rounded-xl overflow-hidden bg-white/5">
                             <button onClick={() => setExpandedQuestion(expandedQuestion === q.id ? null : q.id)} className="w-full p-3 sm:p-4 flex items-start sm:items-center justify-between gap-2 sm:gap-4 text-left">
@@ -380,7 +494,7 @@ const Dashboard = () => {
                                 <div className="w-9 h-9 sm:w-12 sm:h-12 rounded-lg sm:rounded-xl bg-gradient-to-r from-primary to-purple-500 flex items-center justify-center text-white font-bold text-xs sm:text-base shadow-lg shadow-primary/25 flex-shrink-0">Q{qNum}</div>
                                 <div className="min-w-0 flex-1">
                                   <p className="font-medium text-sm sm:text-base truncate">{q.topic}</p>
-                                  <p className="text-[10px] sm:text-xs text-muted-foreground">{q.type} • {q.marks}m</p>
+                                  <p className="text-[10px] sm:text-xs text-muted-foreground">{q.type} • {q.marks}m{q.unit ? ` • Unit ${q.unit.number}` : ''}</p>
                                 </div>
                               </div>
                               <div className="flex items-center gap-1.5 sm:gap-3 flex-shrink-0">
@@ -6,6 +6,7 @@ import Navbar from "@/components/Navbar";
 import Footer from "@/components/Footer";
 import ExamTemplateSelector from "@/components/ExamTemplateSelector";
 import ParticleBackground from "@/components/ParticleBackground";
+import ProgressTracker from "@/components/ProgressTracker";
 import { Button } from "@/components/ui/button";
 import { useAuth } from "@/hooks/useAuth";
 import { Upload, FileText, Image, X, Loader2, ArrowRight, CheckCircle, AlertCircle, Sparkles, CloudUpload, Lock, LogIn } from "lucide-react";
@@ -18,9 +19,14 @@ const UploadPage = () => {
   const { user, session, loading: authLoading } = useAuth();
   const [files, setFiles] = useState<UploadedFile[]>([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [jobId, setJobId] = useState<string | null>(null);
   const [examName, setExamName] = useState("");
   const [subject, setSubject] = useState("");
   const [subjectCode, setSubjectCode] = useState("");
+  const [forceFresh, setForceFresh] = useState(false);
+  const [useQuestionBank, setUseQuestionBank] = useState(false);
+  const [groupImages, setGroupImages] = useState(false);
+  const [syllabusFile, setSyllabusFile] = useState<File | null>(null);
   const [selectedTemplate, setSelectedTemplate] = useState<ExamTemplate | null>(null);
   const [selectedSubject, setSelectedSubject] = useState<Subject | null>(null);
 
@@ -46,6 +52,7 @@ const UploadPage = () => {
       preview: file.type.startsWith("image/") ? URL.createObjectURL(file) : undefined,
       status: "pending" as const,
       year: "",
+      paper: "",
     }));
     setFiles((prev) => [...prev, ...newFiles]);
     toast.success(`${acceptedFiles.length} file(s) added`);
@@ -58,8 +65,58 @@ const UploadPage = () => {
     disabled: !user,
   });
 
+  const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
+
+  const getAuthHeaders = useCallback((): Record<string, string> => {
+    return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+  }, [session]);
+
+  const handleJobComplete = useCallback((result: any) => {
+    setJobId(null);
+    setIsProcessing(false);
+    setFiles(prev => prev.map(f => ({ ...f, status: "done" })));
+    toast.success("Analysis complete!");
+    setTimeout(() => navigate("/dashboard", { state: { subjectCode, analysis: result, subject } }), 1500);
+  }, [navigate, subjectCode, subject]);
+
+  const handleJobError = useCallback((message: string) => {
+    setJobId(null);
+    setIsProcessing(false);
+    toast.error(message || 'Analysis failed');
+    setFiles(prev => prev.map(f => ({ ...f, status: "error" })));
+  }, []);
+
+  const handleJobCancelled = useCallback(() => {
+    setJobId(null);
+    setIsProcessing(false);
+    toast.info("Analysis cancelled");
+    setFiles(prev => prev.map(f => ({ ...f, status: "pending" })));
+  }, []);
+
+  const cancelAnalysis = async () => {
+    if (!jobId) return;
+    try {
+      await fetch(`${API_BASE}/api/progress/${jobId}`, { method: 'DELETE', headers: getAuthHeaders() });
+    } catch (error) {
+      console.error('Cancel error:', error);
+      toast.error('Could not cancel the analysis');
+    }
+  };
+
   const removeFile = (id: string) => setFiles((prev) => prev.filter((f) => f.id !== id));
   const updateFileYear = (id: string, year: string) => setFiles((prev) => prev.map((f) => (f.id === id ? { ...f, year } : f)));
+  const updateFilePaper = (id: string, paper: string) => setFiles((prev) => prev.map((f) => (f.id === id ? { ...f, paper } : f)));
+
+  // Images given the same paper number, in list order (which is page order)
+  const getPaperGroups = () => {
+    const groups = new Map<string, string[]>();
+    files.forEach((f) => {
+      const paper = f.paper?.trim();
+      if (!paper || !f.file.type.startsWith("image/")) return;
+      groups.set(paper, [...(groups.get(paper) || []), f.file.name]);
+    });
+    return groups;
+  };
 
   const handleAnalyze = async () => {
     if (!user) {
@@ -68,7 +125,9 @@ const UploadPage = () => {
       return;
     }
     
-    if (files.length < 2) { 
+    const paperGroups = getPaperGroups();
+    const groupedCount = [...paperGroups.values()].reduce((sum, names) => sum + names.length, 0);
+    if (files.length - groupedCount + paperGroups.size < 2) { 
       toast.error("Please upload at least 2 question papers"); 
       return; 
     }
@@ -90,29 +149,48 @@ const UploadPage = () => {
 
     setIsProcessing(true);
     try {
+      // Store the syllabus first so this analysis maps questions to its units
+      if (syllabusFile) {
+        const syllabusData = new FormData();
+        syllabusData.append('file', syllabusFile);
+        syllabusData.append('subjectName', subject.trim());
+        const syllabusResponse = await fetch(`${API_BASE}/api/syllabus/${encodeURIComponent(subjectCode.trim())}`, {
+          method: 'PUT',
+          body: syllabusData,
+          headers: getAuthHeaders()
+        });
+        if (syllabusResponse.ok) {
+          const { syllabus } = await syllabusResponse.json();
+          toast.success(`Syllabus saved: ${syllabus.units.length} units`);
+        } else {
+          const body = await syllabusResponse.json().catch(() => ({}));
+          toast.error(`Syllabus not used: ${body.message || body.error || syllabusResponse.statusText}`);
+        }
+      }
+
       const formData = new FormData();
       formData.append('examName', examName.trim());
       formData.append('subject', subject.trim());
       formData.append('subjectCode', subjectCode.trim());
+      if (selectedTemplate) formData.append('templateId', selectedTemplate.id);
       formData.append('useOCR', 'true'); // Always enable OCR
+      if (forceFresh) formData.append('force', 'true'); // Skip saved OCR text and analyses
+      if (useQuestionBank) formData.append('useQuestionBank', 'true'); // Add earlier papers of this subject
+      if (groupImages) formData.append('groupImages', 'true'); // Join numbered photos of the same year
       files.forEach((file) => {
         formData.append('files', file.file);
         formData.append(`year_${file.file.name}`, file.year || new Date().getFullYear().toString());
       });
+      // Photos of one paper are OCR'd in page order and analyzed as one paper
+      [...paperGroups.values()].forEach((names, i) => formData.append(`paper_${i + 1}`, JSON.stringify(names)));
 
       setFiles(prev => prev.map(f => ({ ...f, status: "processing" })));
-      const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:3001';
-      
-      // Build headers with auth token
-      const headers: HeadersInit = {};
-      if (session?.access_token) {
-        headers['Authorization'] = `Bearer ${session.access_token}`;
-      }
       
-      const response = await fetch(`${API_BASE}/api/analyze`, { 
+      // Start an async job; progress and the result arrive through ProgressTracker
+      const response = await fetch(`${API_BASE}/api/analyze?async=true`, { 
         method: 'POST', 
         body: formData,
-        headers
+        headers: getAuthHeaders()
       });
 
       if (!response.ok) {
@@ -125,15 +203,12 @@ const UploadPage = () => {
         throw new Error(errMsg);
       }
 
-      const result = await response.json();
-      setFiles(prev => prev.map(f => ({ ...f, status: "done" })));
-      toast.success("Analysis complete!");
-      setTimeout(() => navigate("/dashboard", { state: { subjectCode, analysis: result.analysis, subject } }), 1500);
+      const { jobId: newJobId } = await response.json();
+      setJobId(newJobId);
     } catch (error: any) {
       console.error('Analysis error:', error);
       toast.error(error?.message || 'Analysis failed');
       setFiles(prev => prev.map(f => ({ ...f, status: "error" })));
-    } finally {
       setIsProcessing(false);
     }
   };
@@ -321,6 +396,45 @@ const UploadPage = () => {
                   />
                 </div>
               </div>
+              <label className="flex items-center gap-2 mt-3 sm:mt-4 text-xs sm:text-sm text-muted-foreground cursor-pointer">
+                <input 
+                  type="checkbox" 
+                  checked={forceFresh} 
+                  onChange={(e) => setForceFresh(e.target.checked)} 
+                  className="rounded border-border accent-primary" 
+                />
+                Fresh analysis — ignore saved results for these papers
+              </label>
+              <label className="flex items-center gap-2 mt-2 text-xs sm:text-sm text-muted-foreground cursor-pointer">
+                <input 
+                  type="checkbox" 
+                  checked={useQuestionBank} 
+                  onChange={(e) => setUseQuestionBank(e.target.checked)} 
+                  className="rounded border-border accent-primary" 
+                />
+                Include earlier papers of this subject from the question bank
+              </label>
+              <label className="flex items-center gap-2 mt-2 text-xs sm:text-sm text-muted-foreground cursor-pointer">
+                <input 
+                  type="checkbox" 
+                  checked={groupImages} 
+                  onChange={(e) => setGroupImages(e.target.checked)} 
+                  className="rounded border-border accent-primary" 
+                />
+                Join numbered photos of the same year (os2022_1.jpg, os2022_2.jpg...) into one paper
+              </label>
+              <div className="mt-3 sm:mt-4">
+                <label className="block text-xs sm:text-sm font-medium mb-1.5 sm:mb-2">Syllabus (optional)</label>
+                <input 
+                  type="file" 
+                  accept=".pdf,.txt,.png,.jpg,.jpeg" 
+                  onChange={(e) => setSyllabusFile(e.target.files?.[0] || null)} 
+                  className="w-full text-xs sm:text-sm text-muted-foreground file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-primary/10 file:text-primary" 
+                />
+                <p className="text-[10px] sm:text-xs text-muted-foreground mt-1">
+                  Questions and predictions are mapped to its units. Replaces the saved syllabus of this subject code.
+                </p>
+              </div>
             </motion.div>
 
             {/* Dropzone */}
@@ -427,6 +541,17 @@ const UploadPage = () => {
                               placeholder="Year" 
                               className="w-16 sm:w-20 md:w-24 px-2 sm:px-3 py-1.5 sm:py-2 text-xs sm:text-sm rounded-lg border border-border/50 bg-background/50 focus:outline-none focus:ring-2 focus:ring-primary/50" 
                             />
+
+                            {isImage && (
+                              <input 
+                                type="text" 
+                                value={file.paper} 
+                                onChange={(e) => updateFilePaper(file.id, e.target.value)} 
+                                placeholder="Paper #" 
+                                title="Give the pages of one paper the same number; they are read in list order"
+                                className="w-14 sm:w-16 md:w-20 px-2 sm:px-3 py-1.5 sm:py-2 text-xs sm:text-sm rounded-lg border border-border/50 bg-background/50 focus:outline-none focus:ring-2 focus:ring-primary/50" 
+                              />
+                            )}
                             
                             <div className="w-8 sm:w-10 flex justify-center flex-shrink-0">
                               <AnimatePresence mode="wait">
@@ -478,6 +603,24 @@ const UploadPage = () => {
                     })}
                   </div>
 
+                  {/* Job Progress */}
+                  {jobId && (
+                    <div className="mt-6 sm:mt-8">
+                      <ProgressTracker
+                        jobId={jobId}
+                        onComplete={handleJobComplete}
+                        onError={handleJobError}
+                        onCancel={handleJobCancelled}
+                      />
+                      <div className="mt-3 text-center">
+                        <Button variant="outline" size="sm" onClick={cancelAnalysis}>
+                          <X className="w-4 h-4 mr-1" />
+                          Cancel Analysis
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Analyze Button */}
                   <motion.div 
                     initial={{ opacity: 0 }}
@@ -5,15 +5,104 @@ export interface Prediction {
   question: string;
   difficulty: 'Easy' | 'Medium' | 'Hard';
   probability: number;
-  type: 'Short Answer' | 'Long Answer' | 'Numerical' | 'Derivation';
+  type: 'Short Answer' | 'Long Answer' | 'Very Short Answer' | 'Numerical' | 'Derivation' | 'MCQ' | 'MSQ' | 'Case-Based' | 'Essay';
+  marks?: number;
   rationale: string;
-  section: 'A' | 'B' | 'C';
+  section: string;
+  // Syllabus unit the prediction falls under, when the subject has a syllabus
+  unit?: { number: number; title: string } | null;
+  probabilityBreakdown?: ProbabilityBreakdown;
+}
+
+// How a prediction's probability was computed, all values 0..1
+export interface ProbabilityBreakdown {
+  probability: number;
+  // Score from the papers' history
+  history: number;
+  // The LLM's own estimate; null for fallback predictions
+  llm: number | null;
+  // Share of history in the probability
+  historyWeight: number;
+  // Papers that asked the question, recent ones weighing more
+  frequency: number;
+  // Years since last asked over the usual interval between appearances
+  gap: number;
+  marks: number;
+  askedIn: number;
+  papers: number;
+  lastAsked: number | null;
+  yearsSinceAsked: number | null;
 }
 
 export interface RecurrenceItem {
   topic: string;
+  keywords?: string[];
+  frequency: number;
+  yearCount?: number;
+  years?: number[];
+  firstAsked?: number | null;
+  lastAsked: number | null;
+  questionCount?: number;
+  // Times the topic's questions were asked, counting each reworded repeat
+  occurrences?: number;
+  papers?: string[];
+  sampleQuestions?: string[];
+}
+
+// The same question, possibly reworded, across papers
+export interface QuestionCluster {
+  id: number;
+  canonical: string;
+  type: string | null;
+  terms: string[];
+  members: { text: string; year: number | null; marks?: number | null; filename: string }[];
+  papers: string[];
+  years: number[];
   frequency: number;
-  lastAsked: number;
+  count: number;
+}
+
+// Share of a syllabus unit in the analyzed papers
+export interface UnitWeightage {
+  number: number;
+  title: string;
+  topics: string[];
+  hours: number | null;
+  questions: number;
+  marks: number;
+  // Percentage of all mapped marks (of mapped questions when marks are unknown)
+  share: number;
+  predictions: number;
+}
+
+export interface SyllabusMapping {
+  subjectCode: string;
+  filename: string | null;
+  updatedAt: string;
+  units: UnitWeightage[];
+  unmappedQuestions: number;
+  semantic: { used: boolean; model: string | null };
+}
+
+// How a syllabus unit or subtopic was covered by the papers; due entries were
+// never asked or not asked in the last dueAfterYears exam years
+export interface CoverageEntry {
+  questions: number;
+  years: number[];
+  lastAsked: number | null;
+  yearsSinceAsked: number | null;
+  due: boolean;
+  reason: 'never-asked' | 'not-recent' | null;
+  // Whether a prediction already covers it
+  predicted: boolean;
+}
+
+export interface SyllabusCoverage {
+  dueAfterYears: number;
+  latestYear: number | null;
+  years: number[];
+  units: (CoverageEntry & { number: number; title: string; topics: (CoverageEntry & { name: string })[] })[];
+  due: { units: number; topics: number };
 }
 
 export interface DifficultyTrend {
@@ -27,24 +116,120 @@ export interface AnalysisStats {
   papersAnalyzed: number;
   pagesProcessed?: number;
   questionsExtracted: number;
+  distinctQuestions?: number;
+  // Chunks the papers were summarized in before predicting (0 when sent whole)
+  chunksDigested?: number;
   topicsCovered: number;
-  avgAccuracy: number;
+  // Topic-level precision of the subject's latest backtest in percent; null when not backtested
+  avgAccuracy: number | null;
+  backtest?: BacktestSummary | null;
+  papers?: PaperInfo[];
+  years?: number[];
   fileResults?: FileResult[];
 }
 
+export interface BacktestLevelMetrics {
+  precision: number;
+  recall: number;
+  // Share of the k most probable predictions that were asked
+  hitAtK: { k: number; hits: number; rate: number }[];
+}
+
+export interface BacktestMetrics {
+  accuracy: number;
+  question: BacktestLevelMetrics;
+  topic: BacktestLevelMetrics;
+}
+
+// The latest exam year predicted from the earlier ones
+export interface BacktestSummary {
+  heldOutYear: number;
+  trainingYears: number[];
+  accuracy: number;
+  question: BacktestLevelMetrics;
+  topic: BacktestLevelMetrics;
+  source: 'ai' | 'fallback';
+  updatedAt: string;
+}
+
+export interface Backtest {
+  subjectCode: string;
+  subjectName: string;
+  heldOutYear: number;
+  trainingYears: number[];
+  papers: { training: number; heldOut: number };
+  questions: number;
+  source: 'ai' | 'fallback';
+  metrics: BacktestMetrics;
+  predictions?: {
+    id: number;
+    topic: string;
+    question: string;
+    probability: number | null;
+    matchedQuestion: string | null;
+    similarity: number;
+    questionHit: boolean;
+    topicHit: boolean;
+  }[];
+  runBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PaperInfo {
+  filename: string;
+  year: number | null;
+  questionsFound: number;
+}
+
+export interface OcrPageResult {
+  page: number;
+  // Image the page came from when several images were joined into one paper
+  file?: string;
+  status: 'done' | 'empty' | 'failed';
+  chars: number;
+  error?: string;
+}
+
 export interface FileResult {
   filename: string;
-  status: 'success' | 'error';
+  // Images joined into this paper, in page order
+  files?: string[];
+  year?: number | null;
+  status: 'success' | 'partial' | 'error';
   pages?: number;
   questionsFound: number;
   error?: string;
   textLength?: number;
+  // Per-page outcome when a scanned PDF was OCR'd page range by page range
+  ocrPages?: OcrPageResult[];
 }
 
 export interface ExamInfo {
   name: string;
   subject: string;
   subjectCode: string;
+  templateId?: string;
+}
+
+export interface PaperSection {
+  name: string;
+  title: string;
+  questions: number;
+  attempt: number;
+  marksEach: number;
+  total: number;
+  types: string[];
+  choice: string | null;
+}
+
+export interface PaperStructure {
+  pattern: string;
+  name: string;
+  totalMarks: number;
+  duration: string;
+  negativeMarking: string | null;
+  sections: PaperSection[];
 }
 
 export interface AnalysisResult {
@@ -54,8 +239,16 @@ export interface AnalysisResult {
     difficultyProgression: DifficultyTrend[];
   };
   exam: ExamInfo;
+  source?: 'ai' | 'fallback';
+  // True when the same papers were analyzed recently and the saved result was returned
+  cached?: boolean;
+  paperStructure?: PaperStructure;
   analysis: AnalysisStats;
   recurrence: RecurrenceItem[];
+  questionClusters?: QuestionCluster[];
+  // Present when the subject has an uploaded syllabus
+  syllabus?: SyllabusMapping | null;
+  coverage?: SyllabusCoverage | null;
   warnings?: string[];
 }
 
@@ -92,6 +285,8 @@ export interface UploadedFile {
   preview?: string;
   status: 'pending' | 'processing' | 'done' | 'error';
   year?: string;
+  // Images with the same paper number are pages of one paper
+  paper?: string;
 }
 
 // API Error
@@ -6,6 +6,8 @@
 -- DROP TABLE IF EXISTS analysis_results CASCADE;
 -- DROP TABLE IF EXISTS predictions CASCADE;
 -- DROP TABLE IF EXISTS pyqs CASCADE;
+-- DROP TABLE IF EXISTS syllabi CASCADE;
+-- DROP TABLE IF EXISTS backtests CASCADE;
 -- DROP TABLE IF EXISTS exam_templates CASCADE;
 
 -- User analysis history (main table for storing all predictions)
@@ -32,12 +34,41 @@ CREATE TABLE IF NOT EXISTS pyqs (
   year INTEGER NOT NULL,
   exam_type TEXT NOT NULL,
   file_url TEXT,
+  file_hash TEXT,
+  uploaded_by UUID,
   extracted_text TEXT,
   questions JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Syllabus of each subject, parsed into units
+CREATE TABLE IF NOT EXISTS syllabi (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  subject_code TEXT NOT NULL UNIQUE,
+  subject_name TEXT,
+  filename TEXT,
+  extracted_text TEXT,
+  units JSONB NOT NULL,
+  uploaded_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Latest backtest of each subject: its latest exam year predicted from the earlier ones
+CREATE TABLE IF NOT EXISTS backtests (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  subject_code TEXT NOT NULL UNIQUE,
+  subject_name TEXT,
+  held_out_year INTEGER NOT NULL,
+  accuracy INTEGER NOT NULL,
+  summary JSONB NOT NULL,
+  predictions JSONB,
+  run_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create predictions table
 CREATE TABLE IF NOT EXISTS predictions (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -79,12 +110,19 @@ CREATE INDEX IF NOT EXISTS idx_user_analyses_user ON user_analyses(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_analyses_subject ON user_analyses(subject_code);
 CREATE INDEX IF NOT EXISTS idx_user_analyses_created ON user_analyses(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_pyqs_subject_year ON pyqs(subject_code, year);
+-- Question bank columns for databases created before they existed; a paper is stored once per subject
+ALTER TABLE pyqs ADD COLUMN IF NOT EXISTS file_hash TEXT;
+ALTER TABLE pyqs ADD COLUMN IF NOT EXISTS uploaded_by UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pyqs_subject_hash ON pyqs(subject_code, file_hash);
 CREATE INDEX IF NOT EXISTS idx_predictions_subject ON predictions(subject_code);
 CREATE INDEX IF NOT EXISTS idx_analysis_subject_type ON analysis_results(subject_code, analysis_type);
+CREATE INDEX IF NOT EXISTS idx_analysis_type_created ON analysis_results(analysis_type, created_at);
 
 -- Enable Row Level Security
 ALTER TABLE user_analyses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pyqs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE syllabi ENABLE ROW LEVEL SECURITY;
+ALTER TABLE backtests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE predictions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE analysis_results ENABLE ROW LEVEL SECURITY;
 ALTER TABLE exam_templates ENABLE ROW LEVEL SECURITY;
@@ -94,6 +132,8 @@ DROP POLICY IF EXISTS "Users can view own analyses" ON user_analyses;
 DROP POLICY IF EXISTS "Users can insert own analyses" ON user_analyses;
 DROP POLICY IF EXISTS "Users can delete own analyses" ON user_analyses;
 DROP POLICY IF EXISTS "Allow all on pyqs" ON pyqs;
+DROP POLICY IF EXISTS "Allow all on syllabi" ON syllabi;
+DROP POLICY IF EXISTS "Allow all on backtests" ON backtests;
 DROP POLICY IF EXISTS "Allow all on predictions" ON predictions;
 DROP POLICY IF EXISTS "Allow all on analysis_results" ON analysis_results;
 DROP POLICY IF EXISTS "Public read templates" ON exam_templates;
@@ -110,6 +150,8 @@ CREATE POLICY "Users can delete own analyses" ON user_analyses
 
 -- Policies for other tables
 CREATE POLICY "Allow all on pyqs" ON pyqs FOR ALL USING (true);
+CREATE POLICY "Allow all on syllabi" ON syllabi FOR ALL USING (true);
+CREATE POLICY "Allow all on backtests" ON backtests FOR ALL USING (true);
 CREATE POLICY "Allow all on predictions" ON predictions FOR ALL USING (true);
 CREATE POLICY "Allow all on analysis_results" ON analysis_results FOR ALL USING (true);
 CREATE POLICY "Public read templates" ON exam_templates FOR SELECT USING (true);
@@ -12,9 +12,14 @@ const predictionsRoutes = require('./routes/predictions');
 const progressRoutes = require('./routes/progress');
 const analyticsRoutes = require('./routes/analytics');
 const exportRoutes = require('./routes/export');
+const pyqsRoutes = require('./routes/pyqs');
+const questionsRoutes = require('./routes/questions');
+const syllabusRoutes = require('./routes/syllabus');
+const backtestRoutes = require('./routes/backtest');
 
 // Import middleware
 const { generalLimiter } = require('./middleware/rateLimit');
+const { recoverInterruptedJobs, getJobStoreInfo } = require('./services/progressTracker');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -30,6 +35,10 @@ if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
   console.log('⚠️ Supabase not configured - running without database');
 }
 
+// Fail jobs left unfinished by a previous run of this instance
+console.log(`🗂️ Job store: ${getJobStoreInfo().store}`);
+recoverInterruptedJobs({ onStartup: true });
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -57,6 +66,10 @@ app.use('/api/predictions', predictionsRoutes);
 app.use('/api/progress', progressRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/export', exportRoutes);
+app.use('/api/pyqs', pyqsRoutes);
+app.use('/api/questions', questionsRoutes);
+app.use('/api/syllabus', syllabusRoutes);
+app.use('/api/backtest', backtestRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -70,7 +83,11 @@ app.get('/', (req, res) => {
       predictions: '/api/predictions',
       progress: '/api/progress',
       analytics: '/api/analytics',
-      export: '/api/export'
+      export: '/api/export',
+      pyqs: '/api/pyqs',
+      questionSearch: '/api/questions/search',
+      syllabus: '/api/syllabus',
+      backtest: '/api/backtest'
     }
   });
 });
@@ -97,5 +114,9 @@ app.listen(PORT, () => {
   console.log(`📁 Analyze endpoint: http://localhost:${PORT}/api/analyze`);
   console.log(`📈 Predictions endpoint: http://localhost:${PORT}/api/predictions`);
   console.log(`📊 Analytics endpoint: http://localhost:${PORT}/api/analytics`);
-  console.log(`📤 Export endpoint: http://localhost:${PORT}/api/export\n`);
+  console.log(`📤 Export endpoint: http://localhost:${PORT}/api/export`);
+  console.log(`📚 Question bank endpoint: http://localhost:${PORT}/api/pyqs`);
+  console.log(`🔎 Question search endpoint: http://localhost:${PORT}/api/questions/search`);
+  console.log(`📘 Syllabus endpoint: http://localhost:${PORT}/api/syllabus`);
+  console.log(`🎯 Backtest endpoint: http://localhost:${PORT}/api/backtest\n`);
 });
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { verifyToken, requireAuth, optionalAuth } = require('../auth');
+
+const SECRET = 'test-secret-with-enough-length-for-hs256';
+const ISSUER = 'https://project.supabase.co/auth/v1';
+const config = { secret: SECRET, audience: 'authenticated', issuer: ISSUER };
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(payload, { secret = SECRET, header = { alg: 'HS256', typ: 'JWT' } } = {}) {
+  const body = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    sub: 'user-1',
+    email: 'student@example.com',
+    role: 'authenticated',
+    aud: 'authenticated',
+    iss: ISSUER,
+    iat: now,
+    exp: now + 3600,
+    ...overrides
+  };
+}
+
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('verifyToken', () => {
+  test('accepts a valid HS256 token', () => {
+    expect(verifyToken(sign(claims()), config)).toMatchObject({ sub: 'user-1', email: 'student@example.com' });
+  });
+
+  test('accepts an audience list that includes the expected audience', () => {
+    expect(verifyToken(sign(claims({ aud: ['other', 'authenticated'] })), config).sub).toBe('user-1');
+  });
+
+  test('rejects a token signed with another secret', () => {
+    expect(() => verifyToken(sign(claims(), { secret: 'some-other-secret' }), config)).toThrow('Invalid token signature');
+  });
+
+  test('rejects a token whose payload was changed after signing', () => {
+    const [header, , signature] = sign(claims()).split('.');
+    const tampered = `${header}.${encode(claims({ sub: 'admin' }))}.${signature}`;
+    expect(() => verifyToken(tampered, config)).toThrow('Invalid token signature');
+  });
+
+  test('rejects an expired token', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(() => verifyToken(sign(claims({ exp: now - 120 })), config)).toThrow('Token expired');
+  });
+
+  test('allows expiry within the clock tolerance', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(verifyToken(sign(claims({ exp: now - 10 })), config).sub).toBe('user-1');
+  });
+
+  test('rejects a token without expiry', () => {
+    expect(() => verifyToken(sign(claims({ exp: undefined })), config)).toThrow('Token has no expiry');
+  });
+
+  test('rejects a token that is not valid yet', () => {
+    const now = Math.floor(Date.now() / 1000);
+    expect(() => verifyToken(sign(claims({ nbf: now + 600 })), config)).toThrow('Token not yet valid');
+  });
+
+  test('rejects the wrong audience', () => {
+    expect(() => verifyToken(sign(claims({ aud: 'anon' })), config)).toThrow('Invalid token audience');
+  });
+
+  test('rejects the wrong issuer', () => {
+    expect(() => verifyToken(sign(claims({ iss: 'https://evil.example.com/auth/v1' })), config)).toThrow('Invalid token issuer');
+  });
+
+  test.each(['none', 'HS512', 'RS256'])('rejects alg %s', alg => {
+    expect(() => verifyToken(sign(claims(), { header: { alg, typ: 'JWT' } }), config)).toThrow(`Unsupported token algorithm: ${alg}`);
+  });
+
+  test('rejects an unsigned token', () => {
+    const [header, payload] = sign(claims(), { header: { alg: 'none' } }).split('.');
+    expect(() => verifyToken(`${header}.${payload}.`, config)).toThrow('Unsupported token algorithm: none');
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(() => verifyToken('not-a-jwt', config)).toThrow('Malformed token');
+    expect(() => verifyToken('a.b.c', config)).toThrow('Malformed token');
+  });
+
+  test('rejects every token while no secret is configured', () => {
+    expect(() => verifyToken(sign(claims()), { ...config, secret: '' })).toThrow('JWT secret is not configured');
+  });
+});
+
+describe('auth middleware', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SUPABASE_JWT_SECRET = SECRET;
+    process.env.SUPABASE_URL = 'https://project.supabase.co';
+    delete process.env.SUPABASE_JWT_AUDIENCE;
+    delete process.env.SUPABASE_JWT_ISSUER;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    jest.restoreAllMocks();
+  });
+
+  const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+  test('requireAuth attaches the user of a valid token', () => {
+    const req = request(sign(claims()));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user).toMatchObject({ id: 'user-1', email: 'student@example.com', role: 'authenticated' });
+  });
+
+  test('requireAuth answers 401 without a token', () => {
+    const req = request(null);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized', message: 'Please sign in to continue' });
+  });
+
+  test('requireAuth answers 401 with the reason a token was rejected', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const req = request(sign(claims({ exp: now - 120 })));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized', message: 'Token expired' });
+    expect(req.user).toBeNull();
+  });
+
+  test('optionalAuth attaches the user of a valid token', () => {
+    const req = request(sign(claims()));
+    const next = jest.fn();
+
+    optionalAuth(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.id).toBe('user-1');
+  });
+
+  test('optionalAuth continues anonymously without a token', () => {
+    const req = request(null);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    optionalAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+
+  test('optionalAuth continues anonymously with a rejected token', () => {
+    const req = request(sign(claims(), { secret: 'some-other-secret' }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    optionalAuth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user).toBeNull();
+  });
+
+  test('tokens are checked against SUPABASE_JWT_AUDIENCE and SUPABASE_JWT_ISSUER', () => {
+    process.env.SUPABASE_JWT_AUDIENCE = 'service';
+    process.env.SUPABASE_JWT_ISSUER = 'https://issuer.example.com';
+    const req = request(sign(claims()));
+    const res = mockResponse();
+
+    requireAuth(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Unauthorized', message: 'Invalid token audience' });
+  });
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+/**
+ * Authentication Middleware
+ * Verifies Supabase access tokens (HS256 JWTs signed with the project's JWT secret)
+ *
+ * Env:
+ *   SUPABASE_JWT_SECRET    JWT secret from Supabase project settings > API
+ *   SUPABASE_JWT_AUDIENCE  expected `aud` claim (default: authenticated)
+ *   SUPABASE_JWT_ISSUER    expected `iss` claim (default: <SUPABASE_URL>/auth/v1)
+ */
+
+// Allowed clock difference between this server and Supabase when checking exp/nbf
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+let warnedMissingSecret = false;
+
+function getAuthConfig() {
+  const supabaseUrl = (process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+  return {
+    secret: process.env.SUPABASE_JWT_SECRET || '',
+    audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+    issuer: process.env.SUPABASE_JWT_ISSUER || (supabaseUrl ? `${supabaseUrl}/auth/v1` : '')
+  };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a JWT and return its payload
+ * Throws with a short reason when the token is not acceptable
+ */
+function verifyToken(token, config = getAuthConfig()) {
+  if (!config.secret) {
+    throw new Error('JWT secret is not configured');
+  }
+
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const [headerPart, payloadPart, signaturePart] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(headerPart);
+    payload = decodeSegment(payloadPart);
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', config.secret)
+    .update(`${headerPart}.${payloadPart}`)
+    .digest();
+  const actual = Buffer.from(signaturePart, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (payload.exp + CLOCK_TOLERANCE_SECONDS < now) {
+    throw new Error('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    throw new Error('Token not yet valid');
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (config.audience && !audiences.includes(config.audience)) {
+    throw new Error('Invalid token audience');
+  }
+  if (config.issuer && payload.iss !== config.issuer) {
+    throw new Error('Invalid token issuer');
+  }
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Whether a user may manage everyone's data: the admin role in the token's
+ * app_metadata (set only through Supabase's admin API) or the service role
+ */
+function isAdmin(user) {
+  if (!user) return false;
+  const appMetadata = (user.claims && user.claims.app_metadata) || {};
+  return user.role === 'service_role' || appMetadata.role === 'admin';
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.slice('Bearer '.length).trim() || null;
+}
+
+/**
+ * Resolve req.user from the request; returns an error message when a token is present but rejected
+ */
+function authenticate(req) {
+  req.user = null;
+
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const config = getAuthConfig();
+  if (!config.secret && !warnedMissingSecret) {
+    warnedMissingSecret = true;
+    console.log('⚠️ SUPABASE_JWT_SECRET not set - all requests are treated as anonymous');
+  }
+
+  try {
+    const payload = verifyToken(token, config);
+    req.user = {
+      id: payload.sub,
+      email: payload.email || null,
+      role: payload.role || null,
+      claims: payload
+    };
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Reject the request unless it carries a valid token
+ */
+function requireAuth(req, res, next) {
+  const error = authenticate(req);
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: error || 'Please sign in to continue'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Attach req.user when a valid token is sent, otherwise continue anonymously
+ */
+function optionalAuth(req, res, next) {
+  const error = authenticate(req);
+
+  if (error) {
+    console.log(`⚠️ Ignoring rejected auth token: ${error}`);
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  verifyToken,
+  getBearerToken,
+  isAdmin
+};
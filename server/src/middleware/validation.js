@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { EXAM_PATTERNS } = require('../services/examPatterns');
+const { GRANULARITIES } = require('../services/analyticsService');
+const { QUESTION_TYPES } = require('../services/questionExtractor');
 
 // Validation schemas
 const analyzeSchema = Joi.object({
@@ -16,6 +19,77 @@ const analyzeSchema = Joi.object({
     'string.min': 'Subject code is required',
     'string.max': 'Subject code must be less than 20 characters',
     'any.required': 'Subject code is required'
+  }),
+  templateId: Joi.string().valid(...Object.keys(EXAM_PATTERNS)).allow('').optional().messages({
+    'any.only': `Exam template must be one of: ${Object.keys(EXAM_PATTERNS).join(', ')}`
+  })
+});
+
+const analyticsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  subject: Joi.string().trim().max(100).allow('').optional(),
+  granularity: Joi.string().valid(...Object.keys(GRANULARITIES)).default('day').messages({
+    'any.only': `Granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`
+  })
+});
+
+const maxPaperYear = new Date().getFullYear() + 1;
+const paperYear = Joi.number().integer().min(1950).max(maxPaperYear);
+
+const pyqListSchema = Joi.object({
+  subjectCode: Joi.string().trim().max(20).optional(),
+  year: paperYear.optional(),
+  q: Joi.string().trim().max(100).allow('').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const pyqDeleteSchema = Joi.object({
+  subjectCode: Joi.string().trim().min(1).max(20).required().messages({
+    'any.required': 'subjectCode is required to delete papers'
+  }),
+  year: paperYear.optional()
+});
+
+const questionSearchSchema = Joi.object({
+  q: Joi.string().trim().max(200).allow('').default(''),
+  subjectCode: Joi.string().trim().max(20).optional(),
+  year: paperYear.optional(),
+  fromYear: paperYear.optional(),
+  toYear: Joi.when('fromYear', {
+    is: Joi.exist(),
+    then: paperYear.min(Joi.ref('fromYear')).messages({
+      'number.min': '"toYear" must not be before "fromYear"'
+    }),
+    otherwise: paperYear
+  }),
+  type: Joi.string().valid(...QUESTION_TYPES).optional(),
+  marks: Joi.number().integer().min(1).max(100).optional(),
+  mine: Joi.boolean().default(false),
+  semantic: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const syllabusUploadSchema = Joi.object({
+  subjectName: Joi.string().trim().max(100).allow('').optional(),
+  text: Joi.string().max(200000).allow('').optional().messages({
+    'string.max': 'Syllabus text must be less than 200000 characters'
+  })
+});
+
+const coverageQuerySchema = Joi.object({
+  years: Joi.number().integer().min(1).max(20).default(2).messages({
+    'number.base': '"years" must be a number of exam years'
+  })
+});
+
+const backtestRunSchema = Joi.object({
+  subject: Joi.string().trim().max(100).allow('').optional(),
+  examName: Joi.string().trim().max(100).allow('').optional(),
+  templateId: Joi.string().valid(...Object.keys(EXAM_PATTERNS)).allow('').optional().messages({
+    'any.only': `Exam template must be one of: ${Object.keys(EXAM_PATTERNS).join(', ')}`
   })
 });
 
@@ -28,13 +102,15 @@ function validateAnalyze(req, res, next) {
   console.log('📋 Validating request body:', {
     examName: req.body.examName,
     subject: req.body.subject,
-    subjectCode: req.body.subjectCode
+    subjectCode: req.body.subjectCode,
+    templateId: req.body.templateId
   });
   
   const { error, value } = analyzeSchema.validate({
     examName: req.body.examName,
     subject: req.body.subject,
-    subjectCode: req.body.subjectCode
+    subjectCode: req.body.subjectCode,
+    templateId: req.body.templateId
   });
   
   if (error) {
@@ -70,6 +146,70 @@ function validateSubjectCode(req, res, next) {
   next();
 }
 
+function validateAnalyticsQuery(req, res, next) {
+  const { error, value } = analyticsQuerySchema.validate({
+    from: req.query.from,
+    to: req.query.to,
+    subject: req.query.subject,
+    granularity: req.query.granularity
+  });
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid analytics query',
+      message: error.details[0].message
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+}
+
+/**
+ * Validate query parameters against a schema into req.validatedQuery
+ */
+function validateQuery(schema, errorTitle) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, { stripUnknown: true });
+    
+    if (error) {
+      return res.status(400).json({
+        error: errorTitle,
+        message: error.details[0].message
+      });
+    }
+    
+    req.validatedQuery = value;
+    next();
+  };
+}
+
+/**
+ * Validate body fields against a schema into req.validatedBody
+ */
+function validateBody(schema, errorTitle) {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body || {}, { stripUnknown: true });
+    
+    if (error) {
+      return res.status(400).json({
+        error: errorTitle,
+        message: error.details[0].message
+      });
+    }
+    
+    req.validatedBody = value;
+    next();
+  };
+}
+
+const validatePyqList = validateQuery(pyqListSchema, 'Invalid question bank query');
+const validatePyqDelete = validateQuery(pyqDeleteSchema, 'Invalid question bank query');
+const validateQuestionSearch = validateQuery(questionSearchSchema, 'Invalid search query');
+const validateSyllabusUpload = validateBody(syllabusUploadSchema, 'Invalid syllabus upload');
+const validateCoverageQuery = validateQuery(coverageQuerySchema, 'Invalid coverage query');
+const validateBacktestRun = validateBody(backtestRunSchema, 'Invalid backtest request');
+
 // Sanitize text input
 function sanitizeText(text) {
   if (!text) return '';
@@ -82,7 +222,21 @@ function sanitizeText(text) {
 module.exports = {
   validateAnalyze,
   validateSubjectCode,
+  validateAnalyticsQuery,
+  validatePyqList,
+  validatePyqDelete,
+  validateQuestionSearch,
+  validateSyllabusUpload,
+  validateCoverageQuery,
+  validateBacktestRun,
   sanitizeText,
   analyzeSchema,
-  subjectCodeSchema
+  subjectCodeSchema,
+  analyticsQuerySchema,
+  pyqListSchema,
+  pyqDeleteSchema,
+  questionSearchSchema,
+  syllabusUploadSchema,
+  coverageQuerySchema,
+  backtestRunSchema
 };
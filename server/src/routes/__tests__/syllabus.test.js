@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const SECRET = 'test-secret-with-enough-length-for-hs256';
+process.env.SUPABASE_JWT_SECRET = SECRET;
+process.env.SYLLABUS_STORE = 'memory';
+
+const syllabusRouter = require('../syllabus');
+
+const SYLLABUS = [
+  'Unit I Introduction: operating system structure, system calls, processes',
+  'Unit II Memory Management: paging, segmentation, virtual memory'
+].join('\n');
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(sub, appMetadata = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub, role: 'authenticated', aud: 'authenticated', app_metadata: appMetadata, iat: now, exp: now + 3600 };
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${body}.${crypto.createHmac('sha256', SECRET).update(body).digest('base64url')}`;
+}
+
+describe('syllabus routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = express();
+    app.use(express.json());
+    app.use('/api/syllabus', syllabusRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/syllabus`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  const put = (subjectCode, token) => fetch(`${baseUrl}/${subjectCode}`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: SYLLABUS, subjectName: 'Operating Systems' })
+  });
+  const remove = (subjectCode, token) => fetch(`${baseUrl}/${subjectCode}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  test('the uploader can replace and delete their syllabus', async () => {
+    expect((await put('KCS401', sign('alice'))).status).toBe(200);
+    expect((await put('KCS401', sign('alice'))).status).toBe(200);
+    expect((await remove('KCS401', sign('alice'))).status).toBe(200);
+  });
+
+  test('another user cannot replace or delete it', async () => {
+    await put('KCS402', sign('alice'));
+
+    const replaced = await put('KCS402', sign('bob'));
+    expect(replaced.status).toBe(403);
+    expect(await replaced.json()).toMatchObject({ error: 'Forbidden' });
+    expect((await remove('KCS402', sign('bob'))).status).toBe(403);
+
+    const stored = await (await fetch(`${baseUrl}/KCS402`)).json();
+    expect(stored.syllabus.uploadedBy).toBe('alice');
+  });
+
+  test('an admin can replace and delete any syllabus', async () => {
+    await put('KCS403', sign('alice'));
+    expect((await put('KCS403', sign('carol', { role: 'admin' }))).status).toBe(200);
+    expect((await remove('KCS403', sign('dave', { role: 'admin' }))).status).toBe(200);
+  });
+
+  test('signing in is required', async () => {
+    expect((await fetch(`${baseUrl}/KCS404`, { method: 'DELETE' })).status).toBe(401);
+  });
+});
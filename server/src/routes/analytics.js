@@ -1,6 +1,7 @@
 const express = require('express');
 const { getAnalyticsSummary, getDetailedAnalytics } = require('../services/analyticsService');
 const { generalLimiter } = require('../middleware/rateLimit');
+const { validateAnalyticsQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -8,9 +9,9 @@ const router = express.Router();
  * GET /api/analytics
  * Get analytics summary
  */
-router.get('/', generalLimiter, (req, res) => {
+router.get('/', generalLimiter, async (req, res) => {
   try {
-    const summary = getAnalyticsSummary();
+    const summary = await getAnalyticsSummary();
     res.json({
       success: true,
       ...summary
@@ -24,15 +25,20 @@ router.get('/', generalLimiter, (req, res) => {
 /**
  * GET /api/analytics/detailed
  * Get detailed analytics (admin)
+ * Query: from, to (ISO dates, default last 30 days), subject (code or name),
+ * granularity (hour | day | week, default day)
  */
-router.get('/detailed', generalLimiter, (req, res) => {
+router.get('/detailed', generalLimiter, validateAnalyticsQuery, async (req, res) => {
   try {
-    const detailed = getDetailedAnalytics();
+    const detailed = await getDetailedAnalytics(req.validatedQuery);
     res.json({
       success: true,
       ...detailed
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Invalid analytics query', message: error.message });
+    }
     console.error('Detailed analytics error:', error);
     res.status(500).json({ error: 'Failed to fetch detailed analytics' });
   }
@@ -0,0 +1,78 @@
+const express = require('express');
+const { generalLimiter, analyzeLimiter } = require('../middleware/rateLimit');
+const { requireAuth, isAdmin } = require('../middleware/auth');
+const { validateSubjectCode, validateBacktestRun } = require('../middleware/validation');
+const { runBacktest, getBacktest, listBacktests } = require('../services/backtestService');
+
+const router = express.Router();
+
+/**
+ * GET /api/backtest
+ * Latest backtest of every subject, without per-prediction results
+ */
+router.get('/', generalLimiter, async (req, res) => {
+  try {
+    const backtests = await listBacktests();
+    res.json({ success: true, backtests, total: backtests.length });
+  } catch (error) {
+    console.error('Backtest list error:', error);
+    res.status(500).json({ error: 'Failed to fetch backtests' });
+  }
+});
+
+/**
+ * GET /api/backtest/:subjectCode
+ * Latest backtest of a subject with the result of every prediction
+ */
+router.get('/:subjectCode', generalLimiter, validateSubjectCode, async (req, res) => {
+  try {
+    const backtest = await getBacktest(req.validatedParams.subjectCode);
+    if (!backtest) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    res.json({ success: true, backtest });
+  } catch (error) {
+    console.error('Backtest fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch backtest' });
+  }
+});
+
+/**
+ * POST /api/backtest/:subjectCode
+ * Hold out the latest exam year of the subject's question bank papers, predict
+ * it from the earlier years and measure the predictions against the questions
+ * it asked. Replaces the subject's earlier backtest, so only admins and users
+ * who uploaded papers of the subject can run it.
+ * Body: subject, examName, templateId (optional; default to the stored papers')
+ */
+router.post('/:subjectCode',
+  analyzeLimiter,
+  requireAuth,
+  validateSubjectCode,
+  validateBacktestRun,
+  async (req, res) => {
+    const { subject, examName, templateId } = req.validatedBody;
+
+    try {
+      const backtest = await runBacktest(req.validatedParams.subjectCode, {
+        subject: subject || undefined,
+        examName: examName || undefined,
+        templateId: templateId || undefined,
+        userId: req.user.id,
+        uploadedBy: isAdmin(req.user) ? undefined : req.user.id
+      });
+      res.json({ success: true, backtest });
+    } catch (error) {
+      if (error.status === 403) {
+        return res.status(403).json({ error: 'Forbidden', message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: 'Cannot backtest', message: error.message });
+      }
+      console.error('Backtest error:', error);
+      res.status(500).json({ error: 'Backtest failed', message: error.message });
+    }
+  }
+);
+
+module.exports = router;
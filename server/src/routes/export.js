@@ -17,7 +17,7 @@ router.post('/', generalLimiter, (req, res) => {
     }
     
     const exam = examInfo || { name: 'Exam', subject: 'Subject', subjectCode: 'CODE' };
-    const statistics = stats || { papersAnalyzed: 0, questionsExtracted: 0, topicsCovered: 0, avgAccuracy: 85 };
+    const statistics = stats || { papersAnalyzed: 0, questionsExtracted: 0, topicsCovered: 0, avgAccuracy: null };
     
     let content, contentType, filename;
     
@@ -1,5 +1,11 @@
 const express = require('express');
 const { getCacheStats } = require('../services/cache');
+const { getProviderStatus } = require('../services/providers');
+const { getJobStoreInfo } = require('../services/progressTracker');
+const { getAnalyticsStoreInfo } = require('../services/analyticsService');
+const { getQuestionBankInfo } = require('../services/questionBank');
+const { getSyllabusStoreInfo } = require('../services/syllabusService');
+const { getBacktestStoreInfo } = require('../services/backtestService');
 
 const router = express.Router();
 
@@ -21,22 +27,37 @@ router.get('/', (req, res) => {
  * Detailed health check with service status
  */
 router.get('/detailed', async (req, res) => {
+  const llm = getProviderStatus();
+  const activeProviders = [llm.text, llm.vision].filter(p => p && p.configured);
+  
   const health = {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
     services: {
-      openai: !!process.env.OPENAI_API_KEY,
+      openai: activeProviders.some(p => p.provider === 'openai'),
+      gemini: activeProviders.some(p => p.provider === 'gemini'),
       supabase: !!global.supabase
     },
-    cache: getCacheStats(),
+    llm,
+    cache: await getCacheStats(),
+    jobs: getJobStoreInfo(),
+    analytics: getAnalyticsStoreInfo(),
+    questionBank: getQuestionBankInfo(),
+    syllabus: getSyllabusStoreInfo(),
+    backtest: getBacktestStoreInfo(),
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB'
     }
   };
   
+  // AI calls are refused while a provider's circuit breaker is open
+  if (activeProviders.some(p => p.circuit && p.circuit.state === 'open')) {
+    health.status = 'degraded';
+  }
+  
   // Check Supabase connection
   if (global.supabase) {
     try {
@@ -1,40 +1,22 @@
 const express = require('express');
 const { validateSubjectCode } = require('../middleware/validation');
 const { predictionsLimiter } = require('../middleware/rateLimit');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-/**
- * Extract user ID from Authorization header (Supabase JWT)
- */
-function getUserIdFromToken(req) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return null;
-  }
-  
-  try {
-    const token = authHeader.split(' ')[1];
-    // Decode JWT payload (base64)
-    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-    return payload.sub; // Supabase user ID
-  } catch (error) {
-    console.error('Error decoding token:', error.message);
-    return null;
-  }
-}
-
 /**
  * GET /api/predictions/:subjectCode
  * Get predictions for a subject (user-specific)
  */
 router.get('/:subjectCode',
   predictionsLimiter,
+  optionalAuth,
   validateSubjectCode,
   async (req, res) => {
     try {
       const { subjectCode } = req.validatedParams;
-      const userId = getUserIdFromToken(req);
+      const userId = req.user ? req.user.id : null;
       
       // Try to fetch from database (user-specific)
       if (global.supabase && userId) {
@@ -69,7 +51,7 @@ router.get('/:subjectCode',
           papersAnalyzed: 0, 
           questionsExtracted: 0, 
           topicsCovered: 0, 
-          avgAccuracy: 0 
+          avgAccuracy: null 
         },
         message: 'No analysis found. Upload some papers to get started!'
       });
@@ -89,9 +71,10 @@ router.get('/:subjectCode',
  */
 router.get('/',
   predictionsLimiter,
+  optionalAuth,
   async (req, res) => {
     try {
-      const userId = getUserIdFromToken(req);
+      const userId = req.user ? req.user.id : null;
       
       if (global.supabase && userId) {
         // Get user-specific analyses
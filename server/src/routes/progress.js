@@ -1,11 +1,21 @@
 const express = require('express');
-const { getJob, addClient, removeClient } = require('../services/progressTracker');
+const { getJob, addClient, removeClient, cancelJob, isJobFinished } = require('../services/progressTracker');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Last event id a reconnecting EventSource sends, or ?lastEventId= for manual reconnects
+ */
+function getLastEventId(req) {
+  const raw = req.headers['last-event-id'] || req.query.lastEventId;
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
 /**
  * GET /api/progress/:jobId
- * SSE endpoint for job progress
+ * SSE endpoint for job progress; replays missed updates after Last-Event-ID
  */
 router.get('/:jobId', (req, res) => {
   const { jobId } = req.params;
@@ -21,24 +31,13 @@ router.get('/:jobId', (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no');
   
-  // Add client to job
-  addClient(jobId, res);
+  // Add client to job (finished jobs get their final events and the stream closes)
+  addClient(jobId, res, getLastEventId(req));
   
   // Handle client disconnect
   req.on('close', () => {
     removeClient(jobId, res);
   });
-  
-  // If job is already completed, send final status and close
-  if (job.status === 'completed' || job.status === 'failed') {
-    res.write(`data: ${JSON.stringify({
-      progress: job.progress,
-      message: job.message,
-      status: job.status,
-      result: job.result
-    })}\n\n`);
-    res.end();
-  }
 });
 
 /**
@@ -59,7 +58,43 @@ router.get('/:jobId/status', (req, res) => {
     progress: job.progress,
     message: job.message,
     startTime: job.startTime,
-    duration: job.endTime ? job.endTime - job.startTime : Date.now() - job.startTime
+    duration: job.endTime ? job.endTime - job.startTime : Date.now() - job.startTime,
+    ...(job.status === 'completed' ? { result: job.result } : {}),
+    ...(job.status === 'failed' ? { error: job.error, ...job.errorDetails } : {})
+  });
+});
+
+/**
+ * DELETE /api/progress/:jobId
+ * Cancel a running job (only its owner may cancel a signed-in user's job)
+ */
+router.delete('/:jobId', optionalAuth, (req, res) => {
+  const { jobId } = req.params;
+  const job = getJob(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (job.userId && (!req.user || req.user.id !== job.userId)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'You can only cancel your own jobs' });
+  }
+  
+  if (isJobFinished(job)) {
+    return res.status(409).json({
+      error: 'Job already finished',
+      message: `Job is ${job.status}`,
+      status: job.status
+    });
+  }
+  
+  cancelJob(jobId);
+  
+  res.json({
+    success: true,
+    id: job.id,
+    status: job.status,
+    message: job.message
   });
 });
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const { generalLimiter } = require('../middleware/rateLimit');
+const { requireAuth, isAdmin } = require('../middleware/auth');
+const { validatePyqList, validatePyqDelete } = require('../middleware/validation');
+const { listPapers, getPaper, deletePaper, deletePapers } = require('../services/questionBank');
+
+const router = express.Router();
+
+/**
+ * GET /api/pyqs
+ * List stored papers
+ * Query: subjectCode, year, q (search in file name and text), limit, offset
+ */
+router.get('/', generalLimiter, validatePyqList, async (req, res) => {
+  try {
+    const { subjectCode, year, q, limit, offset } = req.validatedQuery;
+    const { papers, total } = await listPapers({ subjectCode, year, search: q, limit, offset });
+    res.json({
+      success: true,
+      papers,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Question bank list error:', error);
+    res.status(500).json({ error: 'Failed to fetch papers' });
+  }
+});
+
+/**
+ * GET /api/pyqs/:id
+ * One stored paper with its extracted text, questions and parsed structure
+ */
+router.get('/:id', generalLimiter, async (req, res) => {
+  try {
+    const paper = await getPaper(req.params.id);
+    if (!paper) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    res.json({ success: true, paper });
+  } catch (error) {
+    console.error('Question bank fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch paper' });
+  }
+});
+
+/**
+ * DELETE /api/pyqs/:id
+ * Delete one stored paper; only its uploader or an admin may
+ */
+router.delete('/:id', generalLimiter, requireAuth, async (req, res) => {
+  try {
+    const removed = await deletePaper(req.params.id, {
+      uploadedBy: isAdmin(req.user) ? undefined : req.user.id
+    });
+    if (!removed) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+    console.log(`🗑️ Question bank paper ${req.params.id} deleted by ${req.user.id}`);
+    res.json({ success: true, deleted: 1 });
+  } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'Forbidden', message: error.message });
+    }
+    console.error('Question bank delete error:', error);
+    res.status(500).json({ error: 'Failed to delete paper' });
+  }
+});
+
+/**
+ * DELETE /api/pyqs?subjectCode=...&year=...
+ * Delete the stored papers of a subject, optionally only one year. Users
+ * delete only the papers they uploaded, admins every matching paper.
+ */
+router.delete('/', generalLimiter, requireAuth, validatePyqDelete, async (req, res) => {
+  try {
+    const { subjectCode, year } = req.validatedQuery;
+    const deleted = await deletePapers({
+      subjectCode,
+      year,
+      uploadedBy: isAdmin(req.user) ? undefined : req.user.id
+    });
+    console.log(`🗑️ ${deleted} question bank paper(s) of ${subjectCode}${year ? ` (${year})` : ''} deleted by ${req.user.id}`);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Question bank delete error:', error);
+    res.status(500).json({ error: 'Failed to delete papers' });
+  }
+});
+
+module.exports = router;
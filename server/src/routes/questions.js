@@ -0,0 +1,56 @@
+const express = require('express');
+const { generalLimiter } = require('../middleware/rateLimit');
+const { optionalAuth } = require('../middleware/auth');
+const { validateQuestionSearch } = require('../middleware/validation');
+const { searchQuestions } = require('../services/questionSearch');
+
+const router = express.Router();
+
+/**
+ * GET /api/questions/search
+ * Search the questions of the question bank
+ * Query: q, subjectCode, year, fromYear, toYear, type, marks,
+ *   mine (only papers you uploaded), semantic (add embedding similarity), limit, offset
+ * mine and semantic need a signed-in user; semantic search embeds questions
+ * through the paid LLM provider
+ */
+router.get('/search', generalLimiter, optionalAuth, validateQuestionSearch, async (req, res) => {
+  const { mine, ...options } = req.validatedQuery;
+
+  if (mine && !req.user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Please sign in to search your own papers'
+    });
+  }
+
+  if (options.semantic && !req.user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Please sign in to use semantic search'
+    });
+  }
+
+  try {
+    const { results, total, terms, semantic, warnings } = await searchQuestions({
+      ...options,
+      userId: mine ? req.user.id : undefined
+    });
+    res.json({
+      success: true,
+      query: options.q,
+      terms,
+      results,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      semantic,
+      warnings
+    });
+  } catch (error) {
+    console.error('Question search error:', error);
+    res.status(500).json({ error: 'Failed to search questions' });
+  }
+});
+
+module.exports = router;
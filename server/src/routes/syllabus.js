@@ -0,0 +1,172 @@
+const express = require('express');
+const multer = require('multer');
+const { generalLimiter } = require('../middleware/rateLimit');
+const { requireAuth, isAdmin } = require('../middleware/auth');
+const { validateSubjectCode, validateSyllabusUpload, validateCoverageQuery } = require('../middleware/validation');
+const {
+  readSyllabusFile,
+  saveSyllabus,
+  getSyllabus,
+  listSyllabi,
+  deleteSyllabus,
+  getSyllabusCoverage
+} = require('../services/syllabusService');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf', 'image/png', 'image/jpeg', 'image/jpg', 'text/plain'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.mimetype}. Allowed: PDF, PNG, JPG, TXT`));
+    }
+  }
+});
+
+/**
+ * GET /api/syllabus
+ * List the subjects with a stored syllabus
+ */
+router.get('/', generalLimiter, async (req, res) => {
+  try {
+    const syllabi = await listSyllabi();
+    res.json({ success: true, syllabi, total: syllabi.length });
+  } catch (error) {
+    console.error('Syllabus list error:', error);
+    res.status(500).json({ error: 'Failed to fetch syllabi' });
+  }
+});
+
+/**
+ * GET /api/syllabus/:subjectCode
+ * The parsed units of a subject's syllabus
+ */
+router.get('/:subjectCode', generalLimiter, validateSubjectCode, async (req, res) => {
+  try {
+    const syllabus = await getSyllabus(req.validatedParams.subjectCode);
+    if (!syllabus) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+    res.json({ success: true, syllabus });
+  } catch (error) {
+    console.error('Syllabus fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch syllabus' });
+  }
+});
+
+/**
+ * GET /api/syllabus/:subjectCode/coverage
+ * Units and subtopics of the syllabus that the subject's question bank papers
+ * never asked, or have not asked in the last `years` exam years (default 2);
+ * those are flagged as due
+ */
+router.get('/:subjectCode/coverage', generalLimiter, validateSubjectCode, validateCoverageQuery, async (req, res) => {
+  try {
+    const { subjectCode } = req.validatedParams;
+    const report = await getSyllabusCoverage(subjectCode, { dueAfterYears: req.validatedQuery.years });
+    if (!report) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+    res.json({
+      success: true,
+      subjectCode: subjectCode.toUpperCase(),
+      papersAnalyzed: report.papers,
+      coverage: report.coverage
+    });
+  } catch (error) {
+    console.error('Syllabus coverage error:', error);
+    res.status(500).json({ error: 'Failed to compute syllabus coverage' });
+  }
+});
+
+/**
+ * PUT /api/syllabus/:subjectCode
+ * Upload the syllabus of a subject as a file (field "file": PDF, image or
+ * text) or as a "text" field, replacing any earlier one. Later analyses of
+ * the subject map their questions and predictions to its units. Only the
+ * user who uploaded the earlier syllabus, or an admin, can replace it.
+ * Body: subjectName (optional)
+ */
+router.put('/:subjectCode',
+  generalLimiter,
+  requireAuth,
+  validateSubjectCode,
+  upload.single('file'),
+  validateSyllabusUpload,
+  async (req, res) => {
+    const { subjectName, text: bodyText } = req.validatedBody;
+
+    try {
+      const text = req.file ? await readSyllabusFile(req.file) : bodyText;
+      if (!text || !text.trim()) {
+        return res.status(400).json({
+          error: 'No syllabus',
+          message: 'Upload a syllabus file or send its text'
+        });
+      }
+
+      const syllabus = await saveSyllabus({
+        subjectCode: req.validatedParams.subjectCode,
+        subjectName,
+        filename: req.file ? req.file.originalname : null,
+        text,
+        userId: req.user.id
+      }, {
+        uploadedBy: isAdmin(req.user) ? undefined : req.user.id
+      });
+      res.json({ success: true, syllabus });
+    } catch (error) {
+      if (error.status === 403) {
+        return res.status(403).json({ error: 'Forbidden', message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ error: 'Invalid syllabus', message: error.message });
+      }
+      console.error('Syllabus upload error:', error);
+      res.status(500).json({ error: 'Failed to save syllabus', message: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/syllabus/:subjectCode
+ * Delete the syllabus of a subject; only its uploader or an admin can
+ */
+router.delete('/:subjectCode', generalLimiter, requireAuth, validateSubjectCode, async (req, res) => {
+  try {
+    const removed = await deleteSyllabus(req.validatedParams.subjectCode, {
+      uploadedBy: isAdmin(req.user) ? undefined : req.user.id
+    });
+    if (!removed) {
+      return res.status(404).json({ error: 'Syllabus not found' });
+    }
+    console.log(`🗑️ Syllabus of ${req.validatedParams.subjectCode} deleted by ${req.user.id}`);
+    res.json({ success: true, deleted: 1 });
+  } catch (error) {
+    if (error.status === 403) {
+      return res.status(403).json({ error: 'Forbidden', message: error.message });
+    }
+    console.error('Syllabus delete error:', error);
+    res.status(500).json({ error: 'Failed to delete syllabus' });
+  }
+});
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({ error: 'File too large', message: 'Maximum syllabus size is 10MB' });
+  }
+  if (error && /^Invalid file type/.test(error.message)) {
+    return res.status(400).json({ error: 'Invalid file type', message: error.message });
+  }
+  next(error);
+});
+
+module.exports = router;
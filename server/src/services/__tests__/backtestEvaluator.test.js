@@ -0,0 +1,60 @@
+const { evaluatePredictions } = require('../backtestEvaluator');
+
+// Questions of the held-out 2023 paper
+const asked = [
+  "Explain the Banker's algorithm for deadlock avoidance with an example.",
+  'What is thrashing? How can it be prevented?',
+  'Describe the round robin scheduling algorithm.'
+];
+
+// Predictions made from the earlier years, listed out of rank order
+const predictions = [
+  { id: 3, topic: 'Disk scheduling', question: 'Compare SCAN and C-SCAN disk scheduling.', probability: 0.5 },
+  { id: 1, topic: 'Deadlock', question: "Explain Banker's algorithm for deadlock avoidance.", probability: 0.9 },
+  { id: 2, topic: 'Thrashing', question: 'Define virtual memory and list its advantages.', probability: 0.8 }
+];
+
+describe('evaluatePredictions', () => {
+  const { metrics, predictions: results } = evaluatePredictions(predictions, asked, { ks: [1, 2] });
+
+  test('ranks the predictions most probable first', () => {
+    expect(results.map(result => result.id)).toEqual([1, 2, 3]);
+  });
+
+  test('counts a reworded question as a question hit', () => {
+    expect(results[0]).toMatchObject({ questionHit: true, topicHit: true, matchedQuestion: asked[0] });
+    expect(results[0].similarity).toBeGreaterThanOrEqual(0.3);
+  });
+
+  test('counts a question mentioning the predicted topic as a topic hit only', () => {
+    expect(results[1]).toMatchObject({ questionHit: false, topicHit: true });
+    expect(results[2]).toMatchObject({ questionHit: false, topicHit: false });
+  });
+
+  test('measures precision, recall and hit@k at question level', () => {
+    expect(metrics.question).toEqual({
+      precision: 0.333,
+      recall: 0.333,
+      hitAtK: [{ k: 1, hits: 1, rate: 1 }, { k: 2, hits: 1, rate: 0.5 }]
+    });
+  });
+
+  test('measures precision, recall and hit@k at topic level, and reports topic precision as accuracy', () => {
+    expect(metrics.topic).toEqual({
+      precision: 0.667,
+      recall: 0.667,
+      hitAtK: [{ k: 1, hits: 1, rate: 1 }, { k: 2, hits: 2, rate: 1 }]
+    });
+    expect(metrics.accuracy).toBe(67);
+  });
+
+  test('scores nothing without predictions', () => {
+    const empty = evaluatePredictions([], asked);
+    expect(empty.metrics.accuracy).toBe(0);
+    expect(empty.metrics.question).toEqual({
+      precision: 0,
+      recall: 0,
+      hitAtK: [{ k: 5, hits: 0, rate: 0 }, { k: 10, hits: 0, rate: 0 }]
+    });
+  });
+});
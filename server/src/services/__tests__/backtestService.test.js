@@ -0,0 +1,72 @@
+process.env.LLM_PROVIDER = 'mock';
+
+const { createMemoryPyqStore } = require('../pyqStores/memoryPyqStore');
+const { createMemoryKeyedStore } = require('../keyedStores/memoryKeyedStore');
+const { setPyqStore } = require('../questionBank');
+const { runBacktest, getBacktest, setBacktestStore } = require('../backtestService');
+
+const QUESTIONS = {
+  2021: ['Explain the Banker\'s algorithm for deadlock avoidance.', 'Describe paging with a diagram.'],
+  2022: ['Explain deadlock avoidance using the Banker\'s algorithm.', 'What is thrashing in virtual memory?'],
+  2023: ['Explain the Banker\'s algorithm for deadlock avoidance with an example.', 'Describe the round robin scheduling algorithm.', 'What is a semaphore?']
+};
+
+function paper(year, fileHash, uploadedBy = 'alice') {
+  const questions = (QUESTIONS[year] || QUESTIONS[2021]).map((text, i) => ({ id: i + 1, text }));
+  return {
+    filename: `os${year || 'undated'}.pdf`,
+    subjectCode: 'KCS401',
+    subjectName: 'Operating Systems',
+    year,
+    fileHash,
+    uploadedBy,
+    extractedText: questions.map(question => `Q${question.id}. ${question.text}`).join('\n'),
+    questions
+  };
+}
+
+describe('runBacktest', () => {
+  let pyqs;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pyqs = createMemoryPyqStore();
+    setPyqStore(pyqs);
+    setBacktestStore(createMemoryKeyedStore({ listOmits: ['predictions'] }));
+    await pyqs.upsert(paper(2022, 'b'));
+    await pyqs.upsert(paper(2021, 'a', 'bob'));
+    await pyqs.upsert(paper(2023, 'c'));
+    await pyqs.upsert(paper(null, 'd'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds out the latest exam year and trains on the earlier dated ones', async () => {
+    const backtest = await runBacktest('kcs401', { userId: 'alice' });
+
+    expect(backtest).toMatchObject({
+      subjectCode: 'KCS401',
+      heldOutYear: 2023,
+      trainingYears: [2021, 2022],
+      papers: { training: 2, heldOut: 1 },
+      questions: 3,
+      runBy: 'alice'
+    });
+    expect(backtest.metrics.topic.precision).toBeGreaterThanOrEqual(0);
+    expect(await getBacktest('KCS401')).toMatchObject({ heldOutYear: 2023 });
+  });
+
+  test('needs papers from two exam years', async () => {
+    await pyqs.deleteWhere({ subjectCode: 'KCS401', year: 2021 });
+    await pyqs.deleteWhere({ subjectCode: 'KCS401', year: 2022 });
+
+    await expect(runBacktest('KCS401')).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('can be limited to users who uploaded papers of the subject', async () => {
+    await expect(runBacktest('KCS401', { uploadedBy: 'bob' })).resolves.toMatchObject({ heldOutYear: 2023 });
+    await expect(runBacktest('KCS401', { uploadedBy: 'mallory' })).rejects.toMatchObject({ status: 403 });
+  });
+});
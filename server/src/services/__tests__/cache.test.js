@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../cache');
+const { createMemoryCacheBackend } = require('../cacheBackends/memoryCacheBackend');
+const { createDiskCacheBackend } = require('../cacheBackends/diskCacheBackend');
+
+const context = subjectCode => ({ subjectCode, subject: 'Operating Systems', examName: 'AKTU', templateId: 'aktu' });
+const files = [{ hash: 'a'.repeat(64), year: 2022 }, { hash: 'b'.repeat(64), year: 2023 }];
+
+describe('analysis cache keys', () => {
+  test('start with the subject code', () => {
+    expect(cache.generateCacheKey(files, context('kcs401'))).toMatch(/^KCS401:[0-9a-f]{64}$/);
+  });
+
+  test('do not depend on the order of the files', () => {
+    expect(cache.generateCacheKey(files, context('KCS401'))).toBe(cache.generateCacheKey([...files].reverse(), context('KCS401')));
+  });
+
+  test('change with the years and the syllabus version', () => {
+    const key = cache.generateCacheKey(files, context('KCS401'));
+    expect(cache.generateCacheKey([files[0], { ...files[1], year: 2021 }], context('KCS401'))).not.toBe(key);
+    expect(cache.generateCacheKey(files, { ...context('KCS401'), syllabusVersion: '2024-01-01' })).not.toBe(key);
+  });
+});
+
+describe.each([
+  ['memory', () => createMemoryCacheBackend()],
+  ['disk', () => createDiskCacheBackend({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-')) })]
+])('invalidating a subject with the %s backend', (name, createBackend) => {
+  let backend;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    backend = createBackend();
+    cache.setCacheBackend(backend);
+  });
+
+  afterEach(() => {
+    if (backend.dir) fs.rmSync(backend.dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('drops only the analyses of that subject', async () => {
+    const os1 = cache.generateCacheKey(files, context('KCS401'));
+    const os2 = cache.generateCacheKey(files.slice(0, 1), context('KCS401'));
+    const maths = cache.generateCacheKey(files, context('KAS302'));
+    await cache.cacheAnalysis(os1, { id: 1 });
+    await cache.cacheAnalysis(os2, { id: 2 });
+    await cache.cacheAnalysis(maths, { id: 3 });
+    await cache.cacheOcr('gemini:vision:file', { text: 'page text' });
+
+    expect(await cache.invalidateSubjectAnalyses('kcs401')).toBe(2);
+
+    expect(await cache.getCachedAnalysis(os1)).toBeNull();
+    expect(await cache.getCachedAnalysis(os2)).toBeNull();
+    expect(await cache.getCachedAnalysis(maths)).toEqual({ id: 3 });
+    expect(await cache.getCachedOcr('gemini:vision:file')).toEqual({ text: 'page text' });
+  });
+
+  test('clears a whole namespace', async () => {
+    await cache.cacheAnalysis(cache.generateCacheKey(files, context('KCS401')), { id: 1 });
+    await cache.cacheAnalysis(cache.generateCacheKey(files, context('KAS302')), { id: 2 });
+
+    expect(await cache.invalidateNamespace('analysis')).toBe(2);
+    expect((await cache.getCacheStats()).namespaces.analysis.entries).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+const { computeCoverage } = require('../coverageAnalyzer');
+
+const units = [
+  { number: 1, title: 'Process Management', topics: ['Process Scheduling', 'Deadlock Avoidance', 'Threads'] },
+  { number: 2, title: 'Memory Management', topics: ['Paging', 'Segmentation'] },
+  { number: 3, title: 'File Systems', topics: ['Directory Structure'] }
+];
+
+const papers = [
+  {
+    year: 2021,
+    questions: [
+      { text: "Explain deadlock avoidance using the banker's algorithm.", unit: 1 },
+      { text: 'Explain paging with a diagram.', unit: 2 }
+    ]
+  },
+  { year: 2022, questions: [{ text: 'Compare FCFS and round robin process scheduling.', unit: 1 }] },
+  {
+    year: 2023,
+    questions: [
+      { text: 'Explain process scheduling criteria.', unit: 1 },
+      { text: 'Describe segmentation with an example.', unit: 2 }
+    ]
+  }
+];
+
+const topic = (coverage, unit, name) =>
+  coverage.units.find(u => u.number === unit).topics.find(t => t.name === name);
+
+describe('computeCoverage', () => {
+  const coverage = computeCoverage(units, papers);
+
+  test('flags units and subtopics the papers never asked about', () => {
+    expect(coverage.units[2]).toMatchObject({ questions: 0, years: [], lastAsked: null, due: true, reason: 'never-asked' });
+    expect(topic(coverage, 1, 'Threads')).toMatchObject({ questions: 0, due: true, reason: 'never-asked' });
+  });
+
+  test('flags subtopics not asked in the last two exam years', () => {
+    expect(topic(coverage, 1, 'Deadlock Avoidance')).toMatchObject({
+      years: [2021], lastAsked: 2021, yearsSinceAsked: 2, due: true, reason: 'not-recent'
+    });
+    expect(topic(coverage, 2, 'Paging')).toMatchObject({ lastAsked: 2021, due: true, reason: 'not-recent' });
+  });
+
+  test('does not flag what was asked recently', () => {
+    expect(topic(coverage, 1, 'Process Scheduling')).toMatchObject({
+      questions: 2, years: [2022, 2023], yearsSinceAsked: 0, due: false, reason: null
+    });
+    expect(topic(coverage, 2, 'Segmentation')).toMatchObject({ due: false });
+    expect(coverage.units.slice(0, 2).map(unit => unit.due)).toEqual([false, false]);
+  });
+
+  test('counts the due entries from the latest paper', () => {
+    expect(coverage).toMatchObject({ latestYear: 2023, years: [2021, 2022, 2023], dueAfterYears: 2 });
+    expect(coverage.due).toEqual({ units: 1, topics: 4 });
+  });
+
+  test('takes the number of years after which a topic is due', () => {
+    const lenient = computeCoverage(units, papers, { dueAfterYears: 3 });
+    expect(topic(lenient, 1, 'Deadlock Avoidance')).toMatchObject({ due: false, reason: null });
+    expect(topic(lenient, 1, 'Threads').reason).toBe('never-asked');
+  });
+
+  test('does not count a question of another unit towards a subtopic', () => {
+    const mapped = computeCoverage(units, [
+      ...papers,
+      { year: 2024, questions: [{ text: 'How does paging affect threads?', unit: 2 }] }
+    ]);
+
+    expect(topic(mapped, 1, 'Threads').reason).toBe('never-asked');
+    expect(topic(mapped, 2, 'Paging')).toMatchObject({ lastAsked: 2024, due: false });
+  });
+
+  test('marks the due entries a prediction already covers', () => {
+    const withPredictions = computeCoverage(units, papers, {
+      predictions: [{ topic: 'Threads', question: 'Compare user-level and kernel-level threads.', unit: { number: 1 } }]
+    });
+
+    expect(topic(withPredictions, 1, 'Threads').predicted).toBe(true);
+    expect(topic(withPredictions, 1, 'Deadlock Avoidance').predicted).toBe(false);
+    expect(withPredictions.units.map(unit => unit.predicted)).toEqual([true, false, false]);
+  });
+});
@@ -0,0 +1,95 @@
+const { ocrPageRange, runWithConcurrency } = require('../ocrExtractor');
+
+const MB = 1024 * 1024;
+
+// Splitter whose page PDFs weigh the given megabytes each
+const fakeSplitter = sizes => ({
+  extractPages: range => Buffer.alloc(range.reduce((sum, page) => sum + sizes[page - 1] * MB, 0))
+});
+
+// Provider that answers every range with the page markers it was asked for
+const fakeProvider = () => {
+  const sent = [];
+  return {
+    sent,
+    extractFromMedia: async (media, prompt) => {
+      const range = /They are pages? (\d+)(?:-(\d+))?/.exec(prompt).slice(1).filter(Boolean).map(Number);
+      const pages = Array.from({ length: (range[1] || range[0]) - range[0] + 1 }, (_, i) => range[0] + i);
+      sent.push(pages);
+      return pages.map(page => `--- PAGE ${page} ---\nQuestion on page ${page}`).join('\n');
+    }
+  };
+};
+
+describe('ocrPageRange', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('sends a range within the inline limit in one request', async () => {
+    const provider = fakeProvider();
+    const results = await ocrPageRange(provider, fakeSplitter([1, 1, 1]), [1, 2, 3]);
+
+    expect(provider.sent).toEqual([[1, 2, 3]]);
+    expect(results).toEqual([1, 2, 3].map(page => ({ page, status: 'done', text: `Question on page ${page}` })));
+  });
+
+  test('halves a range over the inline limit until every part fits', async () => {
+    const provider = fakeProvider();
+    const results = await ocrPageRange(provider, fakeSplitter([1.5, 1.5, 1.5, 1.5, 1.5]), [1, 2, 3, 4, 5]);
+
+    expect(provider.sent).toEqual([[1, 2], [3], [4, 5]]);
+    expect(results.map(result => `${result.page} ${result.status}`)).toEqual(['1 done', '2 done', '3 done', '4 done', '5 done']);
+  });
+
+  test('fails a single page over the limit without sending it', async () => {
+    const provider = fakeProvider();
+    const results = await ocrPageRange(provider, fakeSplitter([1, 5]), [1, 2]);
+
+    expect(provider.sent).toEqual([[1]]);
+    expect(results[1]).toEqual({ page: 2, status: 'failed', text: '', error: 'Page too large for vision API (5.0MB, max 4MB)' });
+  });
+
+  test('fails only the pages of a range whose request failed', async () => {
+    const provider = { extractFromMedia: async () => { throw new Error('rate limited'); } };
+    const results = await ocrPageRange(provider, fakeSplitter([1, 1, 1, 1]), [3, 4]);
+    expect(results).toEqual([3, 4].map(page => ({ page, status: 'failed', text: '', error: 'rate limited' })));
+  });
+
+  test('gives a page the model returned nothing for the empty status', async () => {
+    const provider = { extractFromMedia: async () => '--- PAGE 1 ---\nQ1. Define a process.\n--- PAGE 2 ---\n' };
+    const results = await ocrPageRange(provider, fakeSplitter([1, 1]), [1, 2]);
+    expect(results.map(result => result.status)).toEqual(['done', 'empty']);
+  });
+});
+
+describe('runWithConcurrency', () => {
+  async function run(count, limit) {
+    let active = 0;
+    let peak = 0;
+    const finished = [];
+    await runWithConcurrency(Array.from({ length: count }, (_, i) => i), limit, async item => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, (count - item) % 3));
+      active--;
+      finished.push(item);
+    });
+    return { peak, finished };
+  }
+
+  test('runs at most limit workers at a time and every item once', async () => {
+    const { peak, finished } = await run(7, 2);
+    expect(peak).toBe(2);
+    expect(finished.sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  test('starts no more workers than there are items', async () => {
+    expect((await run(2, 5)).peak).toBe(2);
+    expect((await run(0, 3)).finished).toEqual([]);
+  });
+
+  test('runs one at a time with a limit of one', async () => {
+    const { peak, finished } = await run(4, 1);
+    expect(peak).toBe(1);
+    expect(finished).toEqual([0, 1, 2, 3]);
+  });
+});
@@ -0,0 +1,137 @@
+const { digestPapers, formatDigests, splitIntoChunks, getChunkTokens } = require('../paperDigest');
+
+// 10 tokens = 40 characters per chunk
+const line = n => `${n}. Explain question ${n} in detail.`;
+
+describe('splitIntoChunks', () => {
+  test('gives every paper within the budget one chunk of its own', () => {
+    const chunks = splitIntoChunks([
+      { filename: 'a.pdf', year: 2021, text: line(1) },
+      { filename: 'b.pdf', year: 2022, text: line(2) }
+    ], 10);
+
+    expect(chunks.map(({ index, paperIndex, part, parts, label }) => ({ index, paperIndex, part, parts, label }))).toEqual([
+      { index: 0, paperIndex: 0, part: 1, parts: 1, label: 'a.pdf' },
+      { index: 1, paperIndex: 1, part: 1, parts: 1, label: 'b.pdf' }
+    ]);
+  });
+
+  test('splits a paper over the budget at line breaks, dropping nothing', () => {
+    const text = [line(1), line(2), line(3)].join('\n');
+    const chunks = splitIntoChunks([{ filename: 'long.pdf', year: 2023, text }], 10);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([line(1), line(2), line(3)]);
+    expect(chunks.map(chunk => chunk.label)).toEqual([
+      'long.pdf (part 1/3)', 'long.pdf (part 2/3)', 'long.pdf (part 3/3)'
+    ]);
+    expect(chunks.every(chunk => chunk.paperIndex === 0 && chunk.year === 2023)).toBe(true);
+  });
+
+  test('keeps lines together while they fit', () => {
+    const chunks = splitIntoChunks([{ filename: 'p.pdf', text: 'Q1.\nQ2.\nQ3.' }], 10);
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0]).toMatchObject({ text: 'Q1.\nQ2.\nQ3.', year: null });
+  });
+
+  test('cuts a line longer than the budget', () => {
+    const chunks = splitIntoChunks([{ filename: 'p.pdf', text: 'x'.repeat(100) }], 10);
+    expect(chunks.map(chunk => chunk.text.length)).toEqual([40, 40, 20]);
+  });
+
+  test('leaves out papers without text', () => {
+    expect(splitIntoChunks([{ filename: 'blank.pdf', text: '  \n ' }], 10)).toEqual([]);
+  });
+});
+
+describe('getChunkTokens', () => {
+  afterEach(() => delete process.env.LLM_CHUNK_TOKENS);
+
+  test('reads the budget from LLM_CHUNK_TOKENS', () => {
+    expect(getChunkTokens()).toBe(4000);
+    process.env.LLM_CHUNK_TOKENS = '1500';
+    expect(getChunkTokens()).toBe(1500);
+  });
+});
+
+describe('digestPapers', () => {
+  const papers = [
+    { filename: 'os-2021.pdf', year: 2021, text: '1. Explain paging with a diagram. (5 marks)' },
+    { filename: 'os-2022.pdf', year: 2022, text: '1. Describe segmentation with an example. (10 marks)' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('makes one request per chunk and reports each chunk', async () => {
+    const prompts = [];
+    const provider = {
+      generateText: async prompt => {
+        prompts.push(prompt);
+        return JSON.stringify({ topics: [{ topic: 'Memory', questions: [{ text: `Question ${prompts.length}`, marks: 5 }] }] });
+      }
+    };
+    const events = [];
+
+    const result = await digestPapers(provider, papers, { subject: 'Operating Systems', onChunk: event => events.push(event) });
+
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0]).toContain('PAPER: os-2021.pdf (2021)');
+    expect(prompts[0]).toContain('of Operating Systems');
+    expect(result).toMatchObject({ chunks: 2, failed: 0 });
+    expect(result.digests.map(digest => [digest.filename, digest.source, digest.topics[0].questions[0].text])).toEqual([
+      ['os-2021.pdf', 'llm', 'Question 1'],
+      ['os-2022.pdf', 'llm', 'Question 2']
+    ]);
+    expect(events.map(event => `${event.index}/${event.total} ${event.status}`)).toEqual([
+      '0/2 processing', '0/2 done', '1/2 processing', '1/2 done'
+    ]);
+  });
+
+  test('falls back to the questions found in the text when the LLM fails', async () => {
+    const provider = { generateText: async () => 'not json at all' };
+    const result = await digestPapers(provider, papers.slice(0, 1));
+
+    expect(result.failed).toBe(1);
+    expect(result.digests[0]).toMatchObject({
+      source: 'extracted',
+      topics: [{ topic: 'Extracted questions', questions: [{ text: 'Explain paging with a diagram.', marks: 5 }] }]
+    });
+  });
+
+  test('stops when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const provider = {
+      generateText: async () => {
+        controller.abort();
+        throw new Error('aborted');
+      }
+    };
+
+    await expect(digestPapers(provider, papers, { signal: controller.signal })).rejects.toThrow('aborted');
+  });
+});
+
+describe('formatDigests', () => {
+  test('puts the parts of a paper back under one paper line, numbering its questions', () => {
+    const text = formatDigests([
+      { paperIndex: 0, filename: 'os.pdf', year: 2021, topics: [{ topic: 'Paging', questions: [{ text: 'Explain paging.', marks: 5 }] }] },
+      { paperIndex: 0, filename: 'os.pdf', year: 2021, topics: [{ topic: 'Deadlock', questions: [{ text: 'Define deadlock.', marks: null }] }] },
+      { paperIndex: 1, filename: 'blank.pdf', year: null, topics: [] }
+    ]);
+
+    expect(text).toBe([
+      '--- PAPER: os.pdf (2021) ---',
+      '',
+      'Topic: Paging\n1. Explain paging. (5 marks)',
+      '',
+      'Topic: Deadlock\n2. Define deadlock.',
+      '',
+      '--- PAPER: blank.pdf (year unknown) ---',
+      '',
+      '(no questions found)'
+    ].join('\n'));
+  });
+});
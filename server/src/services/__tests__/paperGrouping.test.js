@@ -0,0 +1,41 @@
+const { groupFilesIntoPapers } = require('../paperGrouping');
+
+const image = name => ({ originalname: name, mimetype: 'image/jpeg', buffer: Buffer.from(name), size: name.length });
+const pdf = name => ({ originalname: name, mimetype: 'application/pdf', buffer: Buffer.from(name), size: name.length });
+const years = (files, year) => Object.fromEntries(files.map(file => [`year_${file.originalname}`, String(year)]));
+
+describe('groupFilesIntoPapers', () => {
+  const photos = [image('os2022_2.jpg'), image('os2022_1.jpg'), pdf('os2023.pdf')];
+
+  test('keeps numbered images apart unless groupImages=true', () => {
+    const papers = groupFilesIntoPapers(photos, years(photos, 2022));
+    expect(papers.map(paper => paper.grouping)).toEqual([null, null, null]);
+  });
+
+  test('joins numbered images of the same year in page order with groupImages=true', () => {
+    const papers = groupFilesIntoPapers(photos, { ...years(photos, 2022), groupImages: 'true' });
+
+    expect(papers).toHaveLength(2);
+    expect(papers[0]).toMatchObject({ label: 'os2022 (2 pages)', grouping: 'filename', year: 2022 });
+    expect(papers[0].files.map(file => file.originalname)).toEqual(['os2022_1.jpg', 'os2022_2.jpg']);
+  });
+
+  test('does not join numbered images of different years or without a year', () => {
+    const body = { 'year_os2022_1.jpg': '2022', 'year_os2022_2.jpg': '2021', groupImages: 'true' };
+    expect(groupFilesIntoPapers(photos, body).every(paper => paper.grouping === null)).toBe(true);
+    expect(groupFilesIntoPapers(photos, { groupImages: 'true' }).every(paper => paper.grouping === null)).toBe(true);
+  });
+
+  test('joins the images listed in paper_<n> fields', () => {
+    const files = [image('scan-a.jpg'), image('scan-b.jpg'), pdf('os2023.pdf')];
+    const papers = groupFilesIntoPapers(files, { paper_1: '["scan-b.jpg", "scan-a.jpg"]' });
+
+    expect(papers[0].grouping).toBe('field');
+    expect(papers[0].files.map(file => file.originalname)).toEqual(['scan-b.jpg', 'scan-a.jpg']);
+  });
+
+  test('rejects paper_<n> fields listing files that were not uploaded', () => {
+    expect(() => groupFilesIntoPapers([image('scan-a.jpg')], { paper_1: 'scan-a.jpg, scan-z.jpg' }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
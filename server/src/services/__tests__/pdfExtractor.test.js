@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { extractTextFromPDF, createPdfPageSplitter, isLikelyScannedPDF } = require('../pdfExtractor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('extractTextFromPDF', () => {
+  test('reads the text layer page by page, keeping line breaks', async () => {
+    const result = await extractTextFromPDF(fixture('text-layer.pdf'));
+
+    expect(result.error).toBeUndefined();
+    expect(result.numPages).toBe(2);
+    expect(result.pages).toEqual([
+      { pageNumber: 1, text: 'SECTION A\n1. Explain deadlock avoidance with an example.' },
+      { pageNumber: 2, text: 'what is paging' }
+    ]);
+    expect(result.info).toMatchObject({ Title: 'Operating Systems 2023' });
+  });
+
+  test('decodes compressed streams and fonts that need their ToUnicode map', async () => {
+    const { pages } = await extractTextFromPDF(fixture('text-layer.pdf'));
+    expect(pages[1].text).toBe('what is paging');
+  });
+
+  test('returns an error for an encrypted PDF', async () => {
+    const result = await extractTextFromPDF(fixture('encrypted.pdf'));
+    expect(result).toMatchObject({ text: '', pages: [], error: 'PDF is encrypted' });
+  });
+
+  test('skips a Flate stream that inflates past the cap and reads the rest of the page', async () => {
+    const result = await extractTextFromPDF(fixture('flate-bomb.pdf'));
+    expect(result.error).toBeUndefined();
+    expect(result.pages).toEqual([{ pageNumber: 1, text: 'Q1. Define a process and its states.' }]);
+  });
+
+  test('rejects files that are not PDFs', async () => {
+    expect(await extractTextFromPDF(Buffer.from('plain text'))).toMatchObject({ numPages: 0, error: 'Invalid PDF file' });
+  });
+});
+
+describe('createPdfPageSplitter', () => {
+  const splitter = createPdfPageSplitter(fixture('text-layer.pdf'));
+
+  test('counts the pages', () => {
+    expect(splitter.pageCount).toBe(2);
+  });
+
+  test('writes PDFs of the chosen pages that read back the same', async () => {
+    const part = await extractTextFromPDF(splitter.extractPages([2, 1]));
+
+    expect(part.error).toBeUndefined();
+    expect(part.pages.map(page => page.text)).toEqual([
+      'what is paging',
+      'SECTION A\n1. Explain deadlock avoidance with an example.'
+    ]);
+    expect(createPdfPageSplitter(splitter.extractPages([2, 1])).pageCount).toBe(2);
+  });
+
+  test('leaves out images the chosen pages do not draw', () => {
+    expect(splitter.extractPages([1]).includes('IMAGEDATA')).toBe(true);
+    expect(splitter.extractPages([2]).includes('IMAGEDATA')).toBe(false);
+  });
+
+  test('writes a cross-reference table pointing at every object', () => {
+    const part = splitter.extractPages([2]).toString('latin1');
+    const xrefStart = part.lastIndexOf('\nxref\n') + 1;
+    const xref = part.slice(xrefStart);
+    const offsets = [...xref.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+
+    expect(offsets.length).toBeGreaterThan(2);
+    offsets.forEach((offset, i) => expect(part.startsWith(`${i + 1} 0 obj`, offset)).toBe(true));
+    expect(Number(/startxref\n(\d+)/.exec(part)[1])).toBe(xrefStart);
+  });
+
+  test('splits a PDF whose content stream inflates past the cap', async () => {
+    const bomb = createPdfPageSplitter(fixture('flate-bomb.pdf'));
+    const part = await extractTextFromPDF(bomb.extractPages([1]));
+    expect(part.pages[0].text).toBe('Q1. Define a process and its states.');
+  });
+
+  test('refuses an encrypted PDF', () => {
+    expect(() => createPdfPageSplitter(fixture('encrypted.pdf'))).toThrow('PDF is encrypted');
+  });
+});
+
+describe('isLikelyScannedPDF', () => {
+  test('flags pages with little or unreadable text', () => {
+    expect(isLikelyScannedPDF('', 3)).toBe(true);
+    expect(isLikelyScannedPDF('§¶•'.repeat(100), 1)).toBe(true);
+    expect(isLikelyScannedPDF('Explain deadlock avoidance with an example. '.repeat(5), 1)).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+const { scorePredictions, HISTORY_WEIGHT, WEIGHTS } = require('../probabilityModel');
+
+const papers = [{ year: 2021 }, { year: 2022 }, { year: 2023 }];
+
+const deadlock = {
+  members: [
+    { text: "Explain deadlock avoidance using the banker's algorithm.", marks: 10 },
+    { text: "Explain deadlock avoidance using the banker's algorithm.", marks: 10 }
+  ],
+  paperIndexes: [0, 2],
+  years: [2021, 2023],
+  terms: ['deadlock', 'avoidance']
+};
+
+const predict = (question, probability, marks = 10) => ({ question, marks, probability, rationale: 'Asked often.' });
+const asked = predict("Explain deadlock avoidance using the banker's algorithm.", 0.8);
+const unseen = predict('Describe the TCP three-way handshake.', 0.4);
+
+describe('scorePredictions', () => {
+  test('weights recent papers more when counting how often a question was asked', () => {
+    const [scored] = scorePredictions([asked], { papers, clusters: [deadlock] });
+    // 2023 counts 1, 2022 half after two years (√0.5), 2021 half
+    const frequency = (1 + 0.5) / (1 + Math.SQRT1_2 + 0.5);
+
+    expect(scored.probabilityBreakdown).toMatchObject({
+      askedIn: 2,
+      papers: 3,
+      lastAsked: 2023,
+      yearsSinceAsked: 0,
+      gap: 0,
+      marks: 1
+    });
+    expect(scored.probabilityBreakdown.frequency).toBeCloseTo(frequency, 2);
+  });
+
+  test('blends history with the model estimate, history getting more say with more papers', () => {
+    const [scored] = scorePredictions([asked], { papers, clusters: [deadlock] });
+    const history = WEIGHTS.frequency * 1.5 / (1.5 + Math.SQRT1_2) + WEIGHTS.marks * 1;
+    const historyWeight = HISTORY_WEIGHT * 3 / (3 + 2);
+
+    expect(scored.probabilityBreakdown.historyWeight).toBeCloseTo(historyWeight, 2);
+    expect(scored.probabilityBreakdown.history).toBeCloseTo(history, 2);
+    expect(scored.probability).toBeCloseTo(historyWeight * history + (1 - historyWeight) * 0.8, 2);
+    expect(scored.rationale).toMatch(/^Asked often\. Probability 70% = 42% × history 56% \(asked in 2 of 3 papers, last in 2023/);
+  });
+
+  test('never lets history outweigh its share however many papers there are', () => {
+    const weightFor = count => scorePredictions([unseen], {
+      papers: Array.from({ length: count }, (_, i) => ({ year: 2000 + i }))
+    })[0].probabilityBreakdown.historyWeight;
+
+    expect(weightFor(0)).toBe(0);
+    expect(weightFor(1)).toBeCloseTo(HISTORY_WEIGHT / 3, 2);
+    expect(weightFor(1)).toBeLessThan(weightFor(3));
+    expect(weightFor(3)).toBeLessThan(weightFor(20));
+    expect(weightFor(20)).toBeLessThan(HISTORY_WEIGHT);
+  });
+
+  test('uses history alone when there is no model estimate', () => {
+    const [withoutEstimate] = scorePredictions([{ ...asked, probability: null }], { papers, clusters: [deadlock] });
+    const [fallback] = scorePredictions([asked], { papers, clusters: [deadlock], useModelEstimate: false });
+
+    for (const scored of [withoutEstimate, fallback]) {
+      expect(scored.probabilityBreakdown).toMatchObject({ llm: null, historyWeight: 1 });
+      expect(scored.probability).toBe(scored.probabilityBreakdown.history);
+      expect(scored.rationale).toMatch(/Probability 56% from history/);
+    }
+  });
+
+  test('scores a question that is overdue against its usual interval', () => {
+    const older = { ...deadlock, paperIndexes: [0], years: [2021] };
+    const [scored] = scorePredictions([asked], { papers, clusters: [older] });
+    // Only asked once: the interval is the span of the papers, two years
+    expect(scored.probabilityBreakdown).toMatchObject({ gap: 1, yearsSinceAsked: 2, lastAsked: 2021 });
+  });
+
+  test('keeps probabilities between 5% and 95%', () => {
+    const [low] = scorePredictions([{ ...unseen, probability: 0, marks: 0 }], { papers });
+    const [high] = scorePredictions([{ ...unseen, probability: 1 }], { papers: [] });
+
+    expect(low.probability).toBe(0.05);
+    expect(high.probability).toBe(0.95);
+    expect(low.probabilityBreakdown.askedIn).toBe(0);
+    expect(low.rationale).toMatch(/not asked in the 3 papers/);
+  });
+});
@@ -0,0 +1,62 @@
+const { createMemoryPyqStore } = require('../pyqStores/memoryPyqStore');
+const { setPyqStore, deletePaper, deletePapers, listPapers } = require('../questionBank');
+const { isAdmin } = require('../../middleware/auth');
+
+describe('deleting question bank papers', () => {
+  let store;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    store = createMemoryPyqStore();
+    setPyqStore(store);
+    await store.upsert({ filename: 'os2022.pdf', subjectCode: 'KCS401', year: 2022, fileHash: 'a', uploadedBy: 'alice', questions: [] });
+    await store.upsert({ filename: 'os2023.pdf', subjectCode: 'KCS401', year: 2023, fileHash: 'b', uploadedBy: 'bob', questions: [] });
+    await store.upsert({ filename: 'os2021.pdf', subjectCode: 'KCS401', year: 2021, fileHash: 'c', questions: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const idOf = async hash => (await listPapers({})).papers.find(paper => paper.fileHash === hash).id;
+
+  test('the uploader can delete their paper', async () => {
+    await expect(deletePaper(await idOf('a'), { uploadedBy: 'alice' })).resolves.toBe(true);
+    expect((await listPapers({})).total).toBe(2);
+  });
+
+  test('another user cannot delete it', async () => {
+    await expect(deletePaper(await idOf('a'), { uploadedBy: 'bob' })).rejects.toMatchObject({ status: 403 });
+    expect((await listPapers({})).total).toBe(3);
+  });
+
+  test('anonymous uploads can only be deleted without an owner check', async () => {
+    await expect(deletePaper(await idOf('c'), { uploadedBy: 'alice' })).rejects.toMatchObject({ status: 403 });
+    await expect(deletePaper(await idOf('c'))).resolves.toBe(true);
+  });
+
+  test('a missing paper is not found', async () => {
+    await expect(deletePaper('missing', { uploadedBy: 'alice' })).resolves.toBe(false);
+  });
+
+  test('deleting a subject only removes the papers of the uploader', async () => {
+    await expect(deletePapers({ subjectCode: 'kcs401', uploadedBy: 'bob' })).resolves.toBe(1);
+    expect((await listPapers({})).papers.map(paper => paper.fileHash).sort()).toEqual(['a', 'c']);
+  });
+
+  test('deleting a subject without an uploader removes every paper', async () => {
+    await expect(deletePapers({ subjectCode: 'KCS401' })).resolves.toBe(3);
+  });
+});
+
+describe('isAdmin', () => {
+  test('accepts the admin role of app_metadata and the service role', () => {
+    expect(isAdmin({ role: 'authenticated', claims: { app_metadata: { role: 'admin' } } })).toBe(true);
+    expect(isAdmin({ role: 'service_role', claims: {} })).toBe(true);
+  });
+
+  test('ignores roles users can set themselves', () => {
+    expect(isAdmin({ role: 'authenticated', claims: { user_metadata: { role: 'admin' } } })).toBe(false);
+    expect(isAdmin(null)).toBe(false);
+  });
+});
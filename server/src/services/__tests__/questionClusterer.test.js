@@ -0,0 +1,74 @@
+const { clusterQuestions, getShingles, jaccard } = require('../questionClusterer');
+
+const paper = (year, ...questions) => ({
+  filename: `dbms${year}.pdf`,
+  year,
+  questions: questions.map((text, i) => ({ id: i + 1, text }))
+});
+
+const clusterOf = (clusters, text) => clusters.find(cluster => cluster.members.some(member => member.text === text));
+
+describe('clusterQuestions', () => {
+  test('joins a question asked in other words', () => {
+    const clusters = clusterQuestions([
+      paper(2021, 'Explain deadlock avoidance'),
+      paper(2022, 'Discuss deadlock avoidance with example')
+    ], { subject: 'Operating Systems' });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({ frequency: 2, count: 2, years: [2021, 2022], terms: ['deadlock', 'avoidance'] });
+  });
+
+  test('keeps questions apart that only share the subject name', () => {
+    const clusters = clusterQuestions([
+      paper(2021, 'What is normalization in database management systems?'),
+      paper(2022, 'What is indexing in database management systems?')
+    ], { subject: 'Database Management Systems' });
+
+    expect(clusters).toHaveLength(2);
+  });
+
+  test('joins a reworded question when only one wording names the subject', () => {
+    const clusters = clusterQuestions([
+      paper(2021, 'Explain normalization in database management systems.'),
+      paper(2023, 'Discuss normalization with an example.')
+    ], { subject: 'Database Management Systems' });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].terms).toEqual(['normalization']);
+  });
+
+  test('lists the years of every paper asking the question and picks the most central wording', () => {
+    const central = 'Explain the two phase locking protocol for concurrency control.';
+    const clusters = clusterQuestions([
+      paper(2019, 'Explain the two phase locking protocol.'),
+      paper(2021, central, 'Define a transaction.'),
+      paper(2020, 'Explain two phase locking for concurrency control.')
+    ], { subject: 'Database Management Systems' });
+
+    const locking = clusterOf(clusters, central);
+    expect(clusters[0]).toBe(locking);
+    expect(locking).toMatchObject({ canonical: central, years: [2019, 2020, 2021], frequency: 3 });
+    expect(locking.papers).toEqual(['dbms2019.pdf', 'dbms2021.pdf', 'dbms2020.pdf']);
+    expect(clusterOf(clusters, 'Define a transaction.').frequency).toBe(1);
+  });
+
+  test('ties between wordings go to the most recent paper', () => {
+    const clusters = clusterQuestions([
+      paper(2021, 'Explain deadlock avoidance'),
+      paper(2022, 'Discuss deadlock avoidance')
+    ]);
+    expect(clusters[0].canonical).toBe('Discuss deadlock avoidance');
+  });
+});
+
+describe('getShingles', () => {
+  test('leaves out the ignored terms', () => {
+    const ignore = new Set(['database', 'management', 'system']);
+    const a = 'What is normalization in database management systems?';
+    const b = 'What is indexing in database management systems?';
+
+    expect(jaccard(getShingles(a), getShingles(b))).toBeGreaterThan(0.5);
+    expect(jaccard(getShingles(a, ignore), getShingles(b, ignore))).toBe(0);
+  });
+});
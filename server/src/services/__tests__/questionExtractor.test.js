@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { parseQuestionPaper, flattenQuestionPaper, extractQuestionsWithMetadata } = require('../questionExtractor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseQuestionPaper with an AKTU paper', () => {
+  const paper = parseQuestionPaper(fixture('aktu-even-sem.txt'));
+  const [sectionA, sectionB, sectionC] = paper.sections;
+
+  test('finds every section and its questions', () => {
+    expect(paper.sections.map(section => section.name)).toEqual(['A', 'B', 'C']);
+    expect(sectionA.questions.map(question => question.label)).toEqual(['1']);
+    expect(sectionB.questions.map(question => question.label)).toEqual(['2']);
+    expect(sectionC.questions.map(question => question.label)).toEqual(['3', '4']);
+  });
+
+  test('reads marks per question and section totals from "2 x 10 = 20"', () => {
+    const brief = sectionA.questions[0];
+    expect(brief.instruction).toBe(true);
+    expect(brief).toMatchObject({ marksEach: 2, totalMarks: 20, attempt: 'all' });
+    expect(sectionB.questions[0]).toMatchObject({ marksEach: 10, totalMarks: 30, attempt: 3 });
+  });
+
+  test('takes marks and CO tags from the table columns', () => {
+    expect(sectionA.questions[0].parts.map(part => [part.label, part.marks, part.co])).toEqual([
+      ['a', 2, 'CO1'],
+      ['b', 2, 'CO1'],
+      ['c', 2, 'CO2'],
+      ['d', 2, 'CO2'],
+      ['e', 2, 'CO3']
+    ]);
+    expect(sectionA.questions[0].parts[0].text).toBe('Define an operating system and list its main functions.');
+  });
+
+  test('nests (i), (ii) under the lettered part they follow', () => {
+    const [partA, partB] = sectionC.questions[1].parts;
+    expect(partA.label).toBe('a');
+    expect(partA.parts.map(part => [part.label, part.text])).toEqual([
+      ['i', "FIFO page replacement with Belady's anomaly"],
+      ['ii', 'Least recently used page replacement']
+    ]);
+    expect(partB.label).toBe('b');
+    expect(partB.parts).toEqual([]);
+  });
+
+  test('turns "attempt any three" into a choice group over the parts', () => {
+    const question = sectionB.questions[0];
+    expect(question.choices).toHaveLength(1);
+    expect(question.choices[0]).toMatchObject({ attempt: 3, options: ['a', 'b', 'c', 'd'] });
+    expect(question.parts.every(part => part.choiceGroup === question.choices[0].id)).toBe(true);
+  });
+
+  test('gives every "attempt any one" question a choice group of its own', () => {
+    const [third, fourth] = sectionC.questions;
+    expect(third.choices[0]).toMatchObject({ attempt: 1, options: ['a', 'b'] });
+    expect(fourth.choices[0]).toMatchObject({ attempt: 1, options: ['a', 'b'] });
+    expect(third.choices[0].id).not.toBe(fourth.choices[0].id);
+  });
+});
+
+describe('parseQuestionPaper with tagged questions and OR choices', () => {
+  const paper = parseQuestionPaper(fixture('tagged-or-paper.txt'));
+  const [partA, partB] = paper.sections;
+
+  test('reads PART headers and their instructions', () => {
+    expect(paper.sections.map(section => section.name)).toEqual(['A', 'B']);
+    expect(partA).toMatchObject({ marksEach: 2, totalMarks: 4, attempt: 'all' });
+    expect(partB).toMatchObject({ marksEach: 13, totalMarks: 26, attempt: 'all' });
+  });
+
+  test('moves (2 Marks), (CO4) and (BL1) tags out of the question text', () => {
+    expect(partA.questions[0]).toMatchObject({
+      label: '1',
+      text: 'What is the purpose of a page table in memory management?',
+      marks: 2,
+      co: 'CO4',
+      bl: 'K1'
+    });
+  });
+
+  test('reads [13 Marks] CO2 K3 tags at the end of a line', () => {
+    expect(partB.questions[0].parts[1]).toMatchObject({
+      label: 'b',
+      text: 'Describe the round robin scheduling algorithm with a worked example.',
+      marks: 13,
+      co: 'CO2',
+      bl: 'K3'
+    });
+  });
+
+  test('makes the parts around an OR line alternatives', () => {
+    const question = partB.questions[0];
+    expect(question.choices).toEqual([{ attempt: 1, options: ['a', 'b'], id: expect.any(String) }]);
+    expect(question.parts.map(part => part.choiceGroup)).toEqual([question.choices[0].id, question.choices[0].id]);
+  });
+
+  test('makes the questions around an OR line alternatives', () => {
+    expect(partB.choices).toEqual([{ attempt: 1, options: ['4', '5'], id: expect.any(String) }]);
+    const [, fourth, fifth] = partB.questions;
+    expect(fourth.choiceGroup).toBe(partB.choices[0].id);
+    expect(fifth.choiceGroup).toBe(partB.choices[0].id);
+  });
+});
+
+describe('parseQuestionPaper with other input', () => {
+  test('returns no sections for empty input', () => {
+    expect(parseQuestionPaper('')).toEqual({ sections: [] });
+    expect(parseQuestionPaper(null)).toEqual({ sections: [] });
+  });
+
+  test('ignores zero-width characters', () => {
+    const paper = parseQuestionPaper('SECTION\u200B A\n1.\uFEFF Explain the working of a two pass assembler in detail.');
+    expect(paper.sections[0].name).toBe('A');
+    expect(paper.sections[0].questions[0].text).toBe('Explain the working of a two pass assembler in detail.');
+  });
+
+  test('splits sections, questions and parts run together on one line', () => {
+    const paper = parseQuestionPaper('SECTION A 1. Attempt all parts. (a) Define a semaphore and its two operations. (b) What is thrashing in virtual memory?');
+    expect(paper.sections[0].questions[0].parts.map(part => part.label)).toEqual(['a', 'b']);
+  });
+});
+
+describe('flattenQuestionPaper', () => {
+  test('labels leaves by their path and passes CO tags and choices down', () => {
+    const leaves = flattenQuestionPaper(parseQuestionPaper(fixture('aktu-even-sem.txt')));
+    const nested = leaves.filter(leaf => leaf.label.startsWith('4(a)'));
+    expect(nested.map(leaf => leaf.label)).toEqual(['4(a)(i)', '4(a)(ii)']);
+    expect(nested.every(leaf => leaf.co === 'CO4' && leaf.section === 'C')).toBe(true);
+    expect(nested[0].choiceGroup).toBe(leaves.find(leaf => leaf.label === '4(b)').choiceGroup);
+  });
+
+  test('leaves out instruction lines', () => {
+    const leaves = flattenQuestionPaper(parseQuestionPaper(fixture('aktu-even-sem.txt')));
+    expect(leaves.some(leaf => /attempt/i.test(leaf.text))).toBe(false);
+  });
+});
+
+describe('extractQuestionsWithMetadata', () => {
+  test('returns the questions of an AKTU paper with their metadata', () => {
+    const questions = extractQuestionsWithMetadata(fixture('aktu-even-sem.txt'));
+
+    expect(questions.map(question => question.label)).toEqual([
+      '1(a)', '1(b)', '1(c)', '1(d)', '1(e)',
+      '2(a)', '2(b)', '2(c)', '2(d)',
+      '3(a)', '3(b)',
+      '4(a)(i)', '4(a)(ii)', '4(b)'
+    ]);
+    expect(questions[6]).toMatchObject({
+      id: 7,
+      section: 'B',
+      marks: 10,
+      co: 'CO3',
+      text: "Describe the Banker's algorithm for deadlock avoidance with an example."
+    });
+    expect(questions[6].keywords).toEqual(expect.arrayContaining(['bankers', 'deadlock', 'avoidance']));
+  });
+
+  test('does not repeat the stem of a question with sub-parts', () => {
+    const questions = extractQuestionsWithMetadata(fixture('aktu-even-sem.txt'));
+    expect(questions.some(question => question.text.startsWith('Explain the following page replacement'))).toBe(false);
+  });
+
+  test('returns Bloom levels and OR choice groups', () => {
+    const questions = extractQuestionsWithMetadata(fixture('tagged-or-paper.txt'));
+    expect(questions.map(question => [question.label, question.marks, question.co, question.bl])).toEqual([
+      ['1', 2, 'CO4', 'K1'],
+      ['2', 2, 'CO4', 'K2'],
+      ['3(a)', 13, 'CO2', 'K2'],
+      ['3(b)', 13, 'CO2', 'K3'],
+      ['4', 13, 'CO3', 'K3'],
+      ['5', 13, 'CO3', 'K4']
+    ]);
+    expect(questions[4].choiceGroup).toBe(questions[5].choiceGroup);
+    expect(questions[2].choiceGroup).not.toBe(questions[4].choiceGroup);
+  });
+
+  test('falls back to question patterns for parts without a numbered question', () => {
+    const questions = extractQuestionsWithMetadata('(a) Explain the concept of virtual memory and demand paging?\n(b) What is the difference between a mutex and a semaphore?');
+    expect(questions.map(question => question.text)).toEqual([
+      'Explain the concept of virtual memory and demand paging?',
+      'What is the difference between a mutex and a semaphore?'
+    ]);
+    expect(questions.every(question => question.section === null && question.label === null)).toBe(true);
+  });
+});
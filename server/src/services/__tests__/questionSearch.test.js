@@ -0,0 +1,79 @@
+const { createMemoryPyqStore } = require('../pyqStores/memoryPyqStore');
+const { setPyqStore } = require('../questionBank');
+const { searchQuestions, resetSearchIndex } = require('../questionSearch');
+
+const paper = (subjectCode, year, fileHash, questions) => ({
+  filename: `${subjectCode.toLowerCase()}${year}.pdf`,
+  subjectCode,
+  year,
+  fileHash,
+  questions: questions.map((text, i) => ({ id: i + 1, text, marks: 10 }))
+});
+
+describe('searchQuestions keyword ranking', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const store = createMemoryPyqStore();
+    setPyqStore(store);
+    resetSearchIndex();
+    await store.upsert(paper('KCS401', 2021, 'a', [
+      'Explain deadlock avoidance using the Banker\'s algorithm.',
+      'What are the necessary conditions for deadlock?',
+      'Describe deadlock detection and recovery.'
+    ]));
+    await store.upsert(paper('KCS401', 2022, 'b', [
+      'Explain the use of a semaphore for process synchronization.',
+      'Explain deadlock prevention, deadlock avoidance, deadlock detection and the recovery from deadlock in detail with suitable examples.',
+      'What is thrashing?'
+    ]));
+    await store.upsert(paper('KAS302', 2022, 'c', ['State the Cauchy integral theorem.']));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const texts = result => result.results.map(item => item.text);
+
+  test('ranks questions matching more query terms first', async () => {
+    const result = await searchQuestions({ q: 'deadlock avoidance' });
+
+    expect(result.terms).toEqual(['deadlock', 'avoidance']);
+    expect(result.results[0]).toMatchObject({
+      text: 'Explain deadlock avoidance using the Banker\'s algorithm.',
+      matchedTerms: ['deadlock', 'avoidance']
+    });
+    expect(result.results.every(item => item.matchedTerms.includes('deadlock'))).toBe(true);
+  });
+
+  test('weighs rare terms above common ones', async () => {
+    const result = await searchQuestions({ q: 'deadlock semaphore' });
+    expect(texts(result)[0]).toBe('Explain the use of a semaphore for process synchronization.');
+  });
+
+  test('prefers the shorter question when the term counts match', async () => {
+    const [short, long] = (await searchQuestions({ q: 'detection' })).results;
+    expect(short.text).toBe('Describe deadlock detection and recovery.');
+    expect(long.text).toMatch(/^Explain deadlock prevention/);
+    expect(short.keywordScore).toBeGreaterThan(long.keywordScore);
+  });
+
+  test('leaves out questions without a matching term', async () => {
+    const result = await searchQuestions({ q: 'thrashing' });
+    expect(result.total).toBe(1);
+    expect(texts(result)).toEqual(['What is thrashing?']);
+  });
+
+  test('applies the filters before ranking', async () => {
+    const result = await searchQuestions({ q: 'deadlock', subjectCode: 'kcs401', year: 2021 });
+    expect(result.total).toBe(3);
+    expect(result.results.every(item => item.year === 2021)).toBe(true);
+  });
+
+  test('lists every question newest first without a query', async () => {
+    const result = await searchQuestions({ subjectCode: 'KCS401' });
+    expect(result.total).toBe(6);
+    expect(result.results.map(item => item.year)).toEqual([2022, 2022, 2022, 2021, 2021, 2021]);
+    expect(result.results.every(item => item.score === null)).toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+const { parseJsonWithRepair, validatePredictionResponse, describeValidation } = require('../responseValidator');
+
+const question = 'Explain the working of demand paging with a diagram.';
+
+describe('parseJsonWithRepair', () => {
+  test('parses clean JSON without repairs', () => {
+    expect(parseJsonWithRepair('{"predictions": []}')).toEqual({ value: { predictions: [] }, repairs: [] });
+  });
+
+  test('removes a code fence around the whole output', () => {
+    const { value, repairs } = parseJsonWithRepair('```json\n{"predictions": []}\n```');
+    expect(value).toEqual({ predictions: [] });
+    expect(repairs).toEqual(['removed code fences']);
+  });
+
+  test('keeps fences inside strings', () => {
+    const content = '```json\n{"question": "What does ```printf``` print here?"}\n```';
+    expect(parseJsonWithRepair(content).value.question).toBe('What does ```printf``` print here?');
+  });
+
+  test('removes text around the JSON and trailing commas', () => {
+    const { value, repairs } = parseJsonWithRepair('Here you go:\n{"summary": ["a", "b",],}');
+    expect(value).toEqual({ summary: ['a', 'b'] });
+    expect(repairs).toEqual(['removed text before the JSON', 'removed trailing commas']);
+  });
+
+  test('closes output that was cut off', () => {
+    const { value, repairs } = parseJsonWithRepair('{"predictions": [{"question": "one"}, {"question": "tw');
+    expect(value).toEqual({ predictions: [{ question: 'one' }] });
+    expect(repairs).toContain('closed output that was cut off');
+  });
+
+  test('throws when the output is not JSON', () => {
+    expect(() => parseJsonWithRepair('no json here')).toThrow(SyntaxError);
+  });
+});
+
+describe('validatePredictionResponse', () => {
+  test('reads difficulty in any case', () => {
+    const { value } = validatePredictionResponse({
+      predictions: ['hard', ' EASY ', 'medium', 'Hard'].map(difficulty => ({ question, difficulty }))
+    });
+    expect(value.predictions.map(prediction => prediction.difficulty)).toEqual(['Hard', 'Easy', 'Medium', 'Hard']);
+  });
+
+  test('reads an unknown difficulty as Medium', () => {
+    const { value } = validatePredictionResponse({ predictions: [{ question, difficulty: 'tough' }] });
+    expect(value.predictions[0].difficulty).toBe('Medium');
+  });
+
+  test('drops invalid predictions with the reason and scales percentages', () => {
+    const { value, errors, dropped } = validatePredictionResponse({
+      predictions: [{ question, probability: 85 }, { question: 'short' }]
+    });
+    expect(errors).toEqual([]);
+    expect(value.predictions).toHaveLength(1);
+    expect(value.predictions[0].probability).toBeCloseTo(0.85);
+    expect(dropped).toEqual([expect.stringMatching(/^Prediction 2 dropped: .*question/)]);
+  });
+
+  test('fails when no prediction is valid', () => {
+    expect(validatePredictionResponse({ predictions: [{ question: 'short' }] }).errors).toEqual(['no prediction passed validation']);
+    expect(validatePredictionResponse({}).value).toBeNull();
+  });
+});
+
+describe('describeValidation', () => {
+  const validation = { status: 'valid', repairs: [], dropped: [], rejected: [] };
+
+  test('says in one line that the response was valid', () => {
+    expect(describeValidation(validation)).toEqual(['The AI response was valid against the prediction schema.']);
+  });
+
+  test('reports retries, repairs and dropped predictions', () => {
+    const warnings = describeValidation({
+      status: 'retried',
+      rejected: ['no prediction passed validation'],
+      repairs: ['removed code fences'],
+      dropped: ['Prediction 2 dropped: too short']
+    });
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatch(/asked again/);
+    expect(warnings[1]).toMatch(/removed code fences/);
+    expect(warnings[2]).toMatch(/^1 invalid prediction/);
+  });
+});
@@ -1,62 +1,105 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProvider } = require('./providers');
+const { generateFallbackAnalysis } = require('./fallbackGenerator');
+const { digestPapers, formatDigests, estimateTokens, getChunkTokens } = require('./paperDigest');
+const { parseJsonWithRepair, validatePredictionResponse } = require('./responseValidator');
+const {
+  getExamPattern,
+  getPredictionCount,
+  getTotalMarks,
+  buildPaperStructure,
+  fitPredictionToPattern
+} = require('./examPatterns');
 
 /**
  * AI Analysis Service
- * Handles Google Gemini integration for question analysis and prediction
+ * Handles question analysis and prediction through the configured LLM provider
  */
 
-let genAI = null;
-let model = null;
+/**
+ * Describe a pattern's sections for the prompt
+ */
+function describePattern(pattern) {
+  const lines = pattern.sections.map(section => {
+    const choice = section.attempt < section.questions
+      ? ` (attempt any ${section.attempt} out of ${section.questions})`
+      : '';
+    return `- Section ${section.name}: ${section.questions} questions × ${section.marksEach} marks${choice} - ${section.title} [${section.types.join(', ')}] (${section.guidance})`;
+  });
+  lines.push(`- Total: ${getTotalMarks(pattern)} marks, duration ${pattern.duration}`);
+  if (pattern.negativeMarking) lines.push(`- Negative marking: ${pattern.negativeMarking}`);
+  if (pattern.choiceRules) lines.push(`- ${pattern.choiceRules}`);
+  return lines.join('\n');
+}
 
-function initializeGemini() {
-  if (process.env.GEMINI_API_KEY && !genAI) {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    console.log('✅ Google Gemini client initialized (gemini-2.5-flash)');
-  }
-  return model;
+// Recurring question clusters listed in the prompt
+const MAX_PROMPT_CLUSTERS = 15;
+
+/**
+ * Describe the questions asked in more than one paper, most frequent first
+ */
+function describeRecurringQuestions(clusters) {
+  return clusters
+    .filter(cluster => cluster.frequency > 1)
+    .slice(0, MAX_PROMPT_CLUSTERS)
+    .map(cluster => {
+      const years = cluster.years.length > 0 ? ` (${cluster.years.join(', ')})` : '';
+      return `- Asked in ${cluster.frequency} papers${years}: ${cluster.canonical}`;
+    })
+    .join('\n');
 }
 
 /**
- * Generate analysis prompt for AKTU-style papers
+ * Generate analysis prompt for the selected exam pattern
+ * @param {string} extractedText - text of the papers, or their digests when `digested`
+ * @param {Object} options - { clusters, digested } where clusters are the question
+ *   clusters of the papers and digested says extractedText holds paper digests
  */
-function generateAnalysisPrompt(extractedText, subject, examName) {
-  return `You are an expert exam paper analyzer for AKTU (Dr. A.P.J. Abdul Kalam Technical University) B.Tech examinations.
+function generateAnalysisPrompt(extractedText, subject, examName, pattern = getExamPattern(null, examName), options = {}) {
+  const recurringQuestions = describeRecurringQuestions(options.clusters || []);
+  const paperStructure = buildPaperStructure(pattern);
+  const counts = pattern.sections.map(section => ({ section, count: getPredictionCount(section) }));
+  const totalPredictions = counts.reduce((sum, c) => sum + c.count, 0);
+  const firstSection = pattern.sections[0];
+  const hasMCQ = pattern.sections.some(section => section.types.some(type => type === 'MCQ' || type === 'MSQ'));
+  const source = options.digested
+    ? `Each paper was summarized into the questions it asked, grouped by topic. Each paper starts with a line like "--- PAPER: <filename> (<year>) ---". Papers are ordered oldest first.
+
+DIGESTS OF PREVIOUS PAPERS:`
+    : `Each paper starts with a line like "--- PAPER: <filename> (<year>) ---". Papers are ordered oldest first.
+
+EXTRACTED TEXT FROM PREVIOUS PAPERS:`;
 
-SUBJECT: ${subject || 'Mathematics-IV / Engineering Mathematics'}
-EXAM: ${examName || 'B.Tech 3rd Semester End Term Examination'}
+  return `You are an expert exam paper analyzer for ${pattern.description} papers.
+
+SUBJECT: ${subject || 'Not specified'}
+EXAM: ${examName || pattern.name}
 
 I have extracted text from multiple previous year question papers. Analyze this content and generate a PREDICTED QUESTION PAPER for the upcoming exam.
 
-EXTRACTED TEXT FROM PREVIOUS PAPERS:
+${source}
 """
-${extractedText.substring(0, 8000)}
+${extractedText}
 """
+${recurringQuestions ? `
+RECURRING QUESTIONS (the same question, possibly reworded, found in several papers):
+${recurringQuestions}
+` : ''}
+TASK: Based on the above content, generate a complete predicted question paper following the ${pattern.name} format.
 
-TASK: Based on the above content, generate a complete predicted question paper following AKTU format.
-
-AKTU PAPER FORMAT:
-- Section A: 10 questions × 2 marks = 20 marks (Very Short Answer - definitions, formulas, basic concepts)
-- Section B: 5 questions × 10 marks = 50 marks (Long Answer - derivations, proofs, numerical problems)
-  Note: Section B has "Attempt any 4 out of 5" or similar choice
+${pattern.name.toUpperCase()} PAPER FORMAT:
+${describePattern(pattern)}
 
 IMPORTANT INSTRUCTIONS:
 1. Extract ACTUAL questions from the text - look for numbered questions (1., 2., Q1, Q2, etc.)
-2. Identify the SPECIFIC topics covered (Laplace Transform, Fourier Series, PDE, Statistics, etc.)
+2. Identify the SPECIFIC topics covered in the papers
 3. Generate questions that are SPECIFIC and DETAILED - not generic
-4. Include mathematical expressions where needed (write as: dy/dx, d²y/dx², ∫, Σ, etc.)
-5. Questions should be exam-worthy and match AKTU difficulty level
-
-EXAMPLES OF GOOD SPECIFIC QUESTIONS:
-- "Find the Laplace transform of t²e^(-3t)sin(2t)."
-- "Solve the PDE: ∂²u/∂x² + ∂²u/∂y² = 0 subject to boundary conditions u(0,y)=0, u(a,y)=0, u(x,0)=0, u(x,b)=sin(πx/a)."
-- "A random variable X has the probability density function f(x) = kx²(1-x) for 0≤x≤1. Find k and P(X>0.5)."
-- "Using Newton-Raphson method, find the root of x³-2x-5=0 correct to 4 decimal places."
+4. Write formulas, values, code or data exactly where the subject needs them (e.g. dy/dx, ∫, Σ for mathematics)
+5. Questions should be exam-worthy and match ${pattern.name} difficulty level
+6. Use the paper years: favour topics and recurring questions asked repeatedly and in recent years, and mention the years in the rationale
+7. Each question's "type" must be one of the types listed for its section${hasMCQ ? '\n8. For MCQ/MSQ questions include the options (A)-(D) inside the question text' : ''}
 
-EXAMPLES OF BAD GENERIC QUESTIONS (DO NOT GENERATE):
-- "Solve the given differential equation using an appropriate method."
-- "Calculate the probability for the given random experiment."
-- "Apply the appropriate transform method."
+A GOOD question names the exact concept, algorithm, values or scenario of ${subject || 'the subject'}, the way the questions in the papers above do.
+A BAD question could belong to any paper (DO NOT GENERATE): "Solve the given problem using an appropriate method.", "Explain the given concept with an example."
 
 Return ONLY this JSON structure:
 {
@@ -66,166 +109,159 @@ Return ONLY this JSON structure:
       "question": "Complete specific question with all details and values",
       "difficulty": "Easy|Medium|Hard",
       "probability": 0.85,
-      "type": "Short Answer|Long Answer",
-      "marks": 2,
-      "section": "A",
+      "type": "${firstSection.types.join('|')}",
+      "marks": ${firstSection.marksEach},
+      "section": "${firstSection.name}",
       "rationale": "Why this question is likely to appear"
     }
   ],
   "summary": ["Topic1", "Topic2", "Topic3", "Topic4", "Topic5"],
-  "paperStructure": {
-    "totalMarks": 70,
-    "duration": "3 hours",
-    "sections": [
-      {"name": "A", "questions": 10, "marksEach": 2, "total": 20},
-      {"name": "B", "questions": 5, "marksEach": 10, "total": 50}
-    ]
-  }
+  "paperStructure": ${JSON.stringify({
+    totalMarks: paperStructure.totalMarks,
+    duration: paperStructure.duration,
+    sections: paperStructure.sections.map(({ name, questions, marksEach, total }) => ({ name, questions, marksEach, total }))
+  })}
 }
 
-Generate exactly 15 questions:
-- 10 questions for Section A (2 marks each, short answer type)
-- 5 questions for Section B (10 marks each, long answer type)
+Generate exactly ${totalPredictions} questions:
+${counts.map(({ section, count }) => `- ${count} questions for Section ${section.name} (${section.marksEach} marks each, ${section.types.join(' / ')})`).join('\n')}
 
 Each question must be SPECIFIC with actual values, functions, or scenarios - NOT generic templates.`;
 }
 
 /**
- * Analyze questions with Gemini
+ * Ask again for a response that failed validation, saying what was wrong
+ */
+function generateRetryPrompt(prompt, errors) {
+  return `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON in the structure above, with every prediction complete.`;
+}
+
+/**
+ * Parse, repair and validate a prediction response
+ * @returns {Object} { value, repairs, dropped, errors } where errors are empty
+ *   when the response can be used
+ */
+function readPredictionResponse(content) {
+  let parsed;
+  try {
+    parsed = parseJsonWithRepair(content);
+  } catch (error) {
+    return { value: null, repairs: [], dropped: [], errors: [`invalid JSON: ${error.message}`] };
+  }
+  const { value, errors, dropped } = validatePredictionResponse(parsed.value);
+  return { value, repairs: parsed.repairs, dropped, errors };
+}
+
+/**
+ * Analyze questions with the configured LLM provider. Text over the chunk
+ * token budget is first digested paper by paper (see paperDigest), and the
+ * predictions are made from the digests.
+ * @param {Object} options - { pattern, papers, clusters, signal, onChunk } where papers
+ *   and their question clusters feed the prompt and the offline fallback when the
+ *   provider is unavailable, signal cancels the request and onChunk reports the
+ *   progress of each digested chunk
+ * @returns {Promise<Object>} { predictions, summary, paperStructure, fallback,
+ *   mapReduce, validation } where mapReduce is { chunks, failed } when the papers
+ *   were digested and validation is { status: 'valid' | 'repaired' | 'retried',
+ *   repairs, dropped, rejected } for responses of the model
  */
-async function analyzeWithAI(extractedText, subject, examName) {
-  const geminiModel = initializeGemini();
+async function analyzeWithAI(extractedText, subject, examName, options = {}) {
+  const { pattern = getExamPattern(null, examName), papers = [], clusters, signal, onChunk } = options;
+  const provider = getProvider();
+  const fallback = reason => generateFallbackAnalysis({ papers, clusters, subject, pattern, reason });
   
   if (!extractedText || extractedText.length < 100) {
     console.log('⚠️ Insufficient text to analyze');
-    return generateSmartFallback(subject);
+    return fallback('Insufficient text to analyze');
   }
   
-  if (!geminiModel) {
-    console.log('⚠️ Gemini not configured, using smart fallback');
-    return generateSmartFallback(subject);
+  if (!provider.isConfigured()) {
+    console.log(`⚠️ ${provider.name} not configured, using fallback`);
+    return fallback(`${provider.name} provider is not configured`);
   }
   
   try {
-    console.log(`🤖 Sending ${extractedText.length} chars to Gemini for analysis...`);
-    
-    const prompt = generateAnalysisPrompt(extractedText, subject, examName);
-    
-    const result = await geminiModel.generateContent({
-      contents: [{ 
-        role: 'user', 
-        parts: [{ text: prompt }] 
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 6000,
-        responseMimeType: 'application/json'
-      }
-    });
+    // Map: summarize the papers when they are too long for one request
+    let promptText = extractedText;
+    let mapReduce = null;
+    if (estimateTokens(extractedText) > getChunkTokens()) {
+      const sources = papers.length > 0 ? papers : [{ filename: 'uploaded text', year: null, text: extractedText }];
+      const { digests, chunks, failed } = await digestPapers(provider, sources, { subject, signal, onChunk });
+      promptText = formatDigests(digests);
+      mapReduce = { chunks, failed };
+    }
     
-    const response = result.response;
-    let content = response.text();
+    // Reduce: predict from the whole text or from all the digests
+    console.log(`🤖 Sending ${promptText.length} chars${mapReduce ? ` of digests from ${mapReduce.chunks} chunks` : ''} to ${provider.name} (${provider.model}) for analysis...`);
     
-    console.log('📥 Received response from Gemini');
+    const prompt = generateAnalysisPrompt(promptText, subject, examName, pattern, { clusters, digested: Boolean(mapReduce) });
     
-    // Clean up response
-    content = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    const generate = text => provider.generateText(text, {
+      temperature: 0.7,
+      maxOutputTokens: 6000,
+      json: true,
+      signal
+    });
     
-    const parsed = JSON.parse(content);
+    let response = readPredictionResponse(await generate(prompt));
+    console.log(`📥 Received response from ${provider.name}`);
     
-    if (!parsed.predictions || !Array.isArray(parsed.predictions)) {
-      throw new Error('Invalid response structure from Gemini');
+    // One more try, telling the model what was wrong
+    const firstErrors = response.errors;
+    if (firstErrors.length > 0) {
+      console.log(`⚠️ ${provider.name} response rejected (${firstErrors.join('; ')}), asking again...`);
+      response = readPredictionResponse(await generate(generateRetryPrompt(prompt, firstErrors)));
+      if (response.errors.length > 0) {
+        throw new Error(`response failed validation twice (${response.errors.join('; ')})`);
+      }
     }
+    response.dropped.forEach(reason => console.log(`   ⚠️ ${reason}`));
+    
+    const parsed = response.value;
     
-    // Add IDs and validate
+    // Add IDs and fit section, type and marks to the exam pattern
     parsed.predictions = parsed.predictions
-      .map((p, i) => ({
+      .map((p, i) => fitPredictionToPattern({
         id: i + 1,
-        topic: p.topic || 'General',
-        question: p.question || '',
-        difficulty: ['Easy', 'Medium', 'Hard'].includes(p.difficulty) ? p.difficulty : 'Medium',
-        probability: typeof p.probability === 'number' ? Math.min(0.95, Math.max(0.5, p.probability)) : 0.75,
-        type: p.type || (p.section === 'A' ? 'Short Answer' : 'Long Answer'),
-        marks: p.marks || (p.section === 'A' ? 2 : 10),
-        rationale: p.rationale || 'Based on previous year analysis',
-        section: ['A', 'B'].includes(p.section) ? p.section : (i < 10 ? 'A' : 'B')
-      }))
-      .filter(p => p.question.length > 20);
+        topic: p.topic,
+        question: p.question,
+        difficulty: p.difficulty,
+        probability: p.probability,
+        type: p.type,
+        rationale: p.rationale,
+        section: p.section
+      }, i, pattern));
+    
+    parsed.validation = {
+      status: firstErrors.length > 0 ? 'retried' : response.repairs.length > 0 || response.dropped.length > 0 ? 'repaired' : 'valid',
+      repairs: response.repairs,
+      dropped: response.dropped,
+      rejected: firstErrors
+    };
+    
+    // The pattern, not the model, is the source of truth for the paper layout
+    parsed.paperStructure = buildPaperStructure(pattern);
+    parsed.fallback = false;
+    parsed.mapReduce = mapReduce;
     
     console.log(`✅ Generated ${parsed.predictions.length} predictions`);
     
     return parsed;
   } catch (error) {
-    console.error('❌ Gemini analysis error:', error.message);
-    return generateSmartFallback(subject);
+    // A cancelled job should stop, not fall back
+    if (signal && signal.aborted) throw error;
+    
+    console.error(`❌ ${provider.name} analysis error:`, error.message);
+    return fallback(`${provider.name} analysis failed: ${error.message}`);
   }
 }
 
-/**
- * Generate smart fallback predictions for Mathematics-IV
- */
-function generateSmartFallback(subject) {
-  console.log('📊 Generating smart fallback predictions...');
-  
-  const sectionA = [
-    { topic: 'Laplace Transform', question: 'Find the Laplace transform of t·sin(at).', marks: 2 },
-    { topic: 'Inverse Laplace', question: 'Find L⁻¹{1/(s²+4s+13)}.', marks: 2 },
-    { topic: 'Fourier Series', question: 'State Dirichlet conditions for Fourier series expansion.', marks: 2 },
-    { topic: 'PDE Formation', question: 'Form the partial differential equation by eliminating arbitrary constants from z = ax + by + ab.', marks: 2 },
-    { topic: 'Probability', question: 'Define mutually exclusive and independent events with examples.', marks: 2 },
-    { topic: 'Random Variable', question: 'Define probability density function and state its properties.', marks: 2 },
-    { topic: 'Normal Distribution', question: 'Write the probability density function of normal distribution and state its properties.', marks: 2 },
-    { topic: 'Correlation', question: 'Define correlation coefficient and give its range.', marks: 2 },
-    { topic: 'Hypothesis Testing', question: 'Define null hypothesis and alternative hypothesis.', marks: 2 },
-    { topic: 'Chi-Square Test', question: 'State the formula for chi-square test statistic.', marks: 2 }
-  ];
-  
-  const sectionB = [
-    { topic: 'Laplace Transform Application', question: 'Using Laplace transform, solve the differential equation d²y/dt² + 4dy/dt + 3y = e⁻ᵗ, given y(0) = 1, y\'(0) = 0.', marks: 10 },
-    { topic: 'Fourier Series', question: 'Find the Fourier series expansion of f(x) = x² in the interval (-π, π) and hence show that π²/6 = 1 + 1/4 + 1/9 + 1/16 + ...', marks: 10 },
-    { topic: 'Partial Differential Equations', question: 'Solve the wave equation ∂²u/∂t² = c²(∂²u/∂x²) subject to conditions u(0,t) = 0, u(L,t) = 0, u(x,0) = f(x), ∂u/∂t(x,0) = 0.', marks: 10 },
-    { topic: 'Probability Distribution', question: 'The probability density function of a random variable X is f(x) = kx²e⁻ˣ for x ≥ 0. Find: (i) value of k, (ii) mean, (iii) variance, (iv) P(X > 2).', marks: 10 },
-    { topic: 'Regression Analysis', question: 'Fit a straight line y = a + bx to the following data using least squares method and estimate y when x = 6: x: 1, 2, 3, 4, 5 and y: 2, 5, 3, 8, 7.', marks: 10 }
-  ];
-  
-  const predictions = [
-    ...sectionA.map((q, i) => ({
-      id: i + 1,
-      ...q,
-      difficulty: 'Easy',
-      probability: 0.80 + Math.random() * 0.15,
-      type: 'Short Answer',
-      section: 'A',
-      rationale: 'Frequently asked in AKTU exams'
-    })),
-    ...sectionB.map((q, i) => ({
-      id: i + 11,
-      ...q,
-      difficulty: 'Hard',
-      probability: 0.75 + Math.random() * 0.15,
-      type: 'Long Answer',
-      section: 'B',
-      rationale: 'Important topic for long answer section'
-    }))
-  ];
-  
-  return {
-    predictions,
-    summary: ['Laplace Transform', 'Fourier Series', 'Partial Differential Equations', 'Probability & Statistics', 'Regression Analysis'],
-    paperStructure: {
-      totalMarks: 70,
-      duration: '3 hours',
-      sections: [
-        { name: 'A', questions: 10, marksEach: 2, total: 20 },
-        { name: 'B', questions: 5, marksEach: 10, total: 50 }
-      ]
-    }
-  };
-}
-
 module.exports = {
   analyzeWithAI,
-  generateSmartFallback,
-  generateAnalysisPrompt,
-  initializeGemini
+  generateAnalysisPrompt
 };
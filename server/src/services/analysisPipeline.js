@@ -0,0 +1,675 @@
+const { sanitizeText } = require('../middleware/validation');
+const { extractTextFromPDF, isLikelyScannedPDF } = require('./pdfExtractor');
+const { extractTextFromImage, extractTextFromScannedPDF } = require('./ocrExtractor');
+const { extractQuestionsWithMetadata, estimateQuestionMarks } = require('./questionExtractor');
+const { computeTopicRecurrence } = require('./recurrenceAnalyzer');
+const { clusterQuestions } = require('./questionClusterer');
+const { analyzeWithAI } = require('./aiAnalyzer');
+const { getExamPattern } = require('./examPatterns');
+const { recordAnalysis } = require('./analyticsService');
+const { updateProgress } = require('./progressTracker');
+const { getVisionProvider } = require('./providers');
+const { savePapers, getBankPapers } = require('./questionBank');
+const { getSyllabus, mapToUnits, getUnitWeightage } = require('./syllabusService');
+const { computeCoverage } = require('./coverageAnalyzer');
+const { scorePredictions } = require('./probabilityModel');
+const { getBacktest, summarizeBacktest } = require('./backtestService');
+const { describeValidation } = require('./responseValidator');
+const { groupFilesIntoPapers, getPaperYear } = require('./paperGrouping');
+const {
+  generateFileHash,
+  generateCacheKey,
+  generateOcrCacheKey,
+  getCachedAnalysis,
+  cacheAnalysis,
+  getCachedOcr,
+  cacheOcr
+} = require('./cache');
+
+/**
+ * Analysis Pipeline
+ * Extraction, AI analysis and persistence for one analysis job, independent
+ * of the HTTP request so it can run in the background
+ */
+
+/**
+ * Stop the pipeline once its job has been cancelled
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Analysis cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+/**
+ * Run OCR for a file, reusing the text from an earlier upload of the same file
+ * @param {Function} runOcr - performs the OCR, resolving to { text, pagesProcessed?,
+ *   pageCount?, pages? }
+ */
+async function extractWithOcrCache(fileHash, force, runOcr) {
+  let key;
+  try {
+    key = generateOcrCacheKey(fileHash, getVisionProvider());
+  } catch (error) {
+    // Misconfigured provider: let the OCR call report it
+    return runOcr();
+  }
+  
+  const cached = force ? null : await getCachedOcr(key);
+  if (cached) return { ...cached, fromCache: true };
+
+  const ocrResult = await runOcr();
+  if (ocrResult.success && ocrResult.text) {
+    await cacheOcr(key, {
+      text: ocrResult.text,
+      pagesProcessed: ocrResult.pagesProcessed,
+      pageCount: ocrResult.pageCount,
+      pages: ocrResult.pages,
+      success: true
+    });
+  }
+  return ocrResult;
+}
+
+/**
+ * OCR the photos of one paper in page order and join them under page markers
+ * @param {Object} upload - a grouped paper from groupFilesIntoPapers
+ * @param {Object} options - { force, signal, onImage } where onImage({ page,
+ *   status, error, done, total }) is called as each photo is read
+ * @returns {Promise<Object>} { text, numPages, ocrCached, ocrPages }
+ */
+async function extractImageGroup(upload, { force, signal, onImage }) {
+  const pages = [];
+  for (const [i, file] of upload.files.entries()) {
+    throwIfCancelled(signal);
+    const ocrResult = await extractWithOcrCache(generateFileHash(file.buffer), force, () =>
+      extractTextFromImage(file.buffer, file.mimetype, { signal }));
+    const text = (ocrResult.text || '').trim();
+    const status = text ? 'done' : ocrResult.error ? 'failed' : 'empty';
+    pages.push({
+      page: i + 1,
+      file: file.originalname,
+      status,
+      chars: text.length,
+      ...(ocrResult.error ? { error: ocrResult.error } : {}),
+      text,
+      fromCache: Boolean(ocrResult.fromCache)
+    });
+    onImage({ page: i + 1, status, error: ocrResult.error, done: i + 1, total: upload.files.length });
+  }
+
+  return {
+    text: pages.filter(page => page.text).map(page => `--- PAGE ${page.page} ---\n${page.text}`).join('\n\n'),
+    numPages: pages.length,
+    ocrCached: pages.every(page => page.fromCache),
+    ocrPages: pages.map(({ text, fromCache, ...page }) => page)
+  };
+}
+
+/**
+ * Tag every question of the papers with its syllabus unit number (null when
+ * no unit matches) and its marks where they can be read from the paper
+ * @returns {Promise<Object>} { semantic, warnings } of the mapping
+ */
+async function mapPaperQuestions(papers, units, signal) {
+  const texts = papers.flatMap(paper => paper.questions.map(question => question.text));
+  const { matches, semantic, warnings } = await mapToUnits(texts, units, { signal });
+
+  let next = 0;
+  for (const paper of papers) {
+    // New objects: bank questions may be shared with the store
+    paper.questions = paper.questions.map(question => ({
+      ...question,
+      marks: question.marks ?? estimateQuestionMarks(paper.text, question.text),
+      unit: matches[next++]?.number ?? null
+    }));
+  }
+  return { semantic, warnings };
+}
+
+/**
+ * Save an analysis to the user's history
+ */
+async function saveToHistory(userId, { subjectCode, subject, examName, result, filesCount, questionsExtracted, processingTime }) {
+  try {
+    await global.supabase
+      .from('user_analyses')
+      .insert({
+        user_id: userId,
+        subject_code: subjectCode,
+        subject_name: subject,
+        exam_name: examName,
+        analysis_data: result,
+        files_count: filesCount,
+        questions_extracted: questionsExtracted,
+        predictions_count: result.predictions.length,
+        processing_time: processingTime
+      });
+    console.log(`💾 Saved analysis to database for user ${userId}`);
+  } catch (dbError) {
+    console.error('Failed to save to database:', dbError.message);
+    // Don't fail the request, just log the error
+  }
+}
+
+/**
+ * Run the full analysis for a job
+ * @param {string} jobId - progress job to report to
+ * @param {Object} input - { files, uploads, body, examName, subject, subjectCode, templateId,
+ *   userId, force, useQuestionBank } where files are multer files, uploads are the papers
+ *   they make (see paperGrouping; grouped from files and body when not given), body
+ *   holds the extra form fields, force skips the cached OCR text and analysis and
+ *   useQuestionBank adds the subject's stored papers to the uploaded ones
+ * @param {Object} options - { signal } aborted when the job is cancelled
+ * @returns {Promise<{ result, processingTime, cached }>}
+ */
+async function runAnalysisPipeline(jobId, input, { signal } = {}) {
+  const {
+    files, body = {}, examName, subject, subjectCode, templateId, userId,
+    force = false, useQuestionBank = false
+  } = input;
+  const uploads = input.uploads || groupFilesIntoPapers(files, body);
+  const startTime = Date.now();
+  const examPattern = getExamPattern(templateId, examName);
+  const fileHashes = uploads.map(upload => upload.fileHash);
+  
+  let bankPapers = [];
+  if (useQuestionBank) {
+    try {
+      bankPapers = await getBankPapers(subjectCode, { excludeHashes: fileHashes });
+    } catch (error) {
+      console.error('⚠️ Could not load papers from the question bank:', error.message);
+    }
+  }
+  
+  let syllabus = null;
+  try {
+    syllabus = await getSyllabus(subjectCode);
+  } catch (error) {
+    console.error('⚠️ Could not load the syllabus:', error.message);
+  }
+  
+  // Accuracy measured by the subject's latest backtest, also for cached analyses
+  let backtest = null;
+  try {
+    backtest = summarizeBacktest(await getBacktest(subjectCode));
+  } catch (error) {
+    console.error('⚠️ Could not load the backtest:', error.message);
+  }
+  
+  // Same files, years, subject and exam give the same analysis
+  const cacheKey = generateCacheKey(
+    [
+      ...uploads.map(upload => ({ hash: upload.fileHash, year: upload.year })),
+      ...bankPapers.map(paper => ({ hash: paper.fileHash, year: paper.year }))
+    ],
+    { subjectCode, subject, examName, templateId: examPattern.id, syllabusVersion: syllabus && syllabus.updatedAt }
+  );
+  
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`📊 NEW ANALYSIS REQUEST`);
+  console.log(`   Subject: ${subject} (${subjectCode})`);
+  console.log(`   Exam: ${examName} (pattern: ${examPattern.id})`);
+  console.log(`   Files: ${files.length} in ${uploads.length} paper(s)${bankPapers.length > 0 ? ` (+${bankPapers.length} from question bank)` : ''}`);
+  console.log(`   Syllabus: ${syllabus ? `${syllabus.units.length} units` : 'none'}`);
+  console.log(`   User: ${userId || 'anonymous'}`);
+  console.log(`   Job ID: ${jobId}`);
+  console.log(`${'='.repeat(60)}\n`);
+  
+  const cachedResult = force ? null : await getCachedAnalysis(cacheKey);
+  if (cachedResult) {
+    updateProgress(jobId, 95, 'Loaded a previous analysis of these papers');
+    const result = {
+      ...cachedResult,
+      analysis: { ...cachedResult.analysis, avgAccuracy: backtest ? backtest.accuracy : null, backtest },
+      cached: true,
+      warnings: [
+        ...cachedResult.warnings,
+        'These papers were analyzed recently, so the saved analysis was returned. Re-run with force=true for fresh predictions.'
+      ]
+    };
+    const processingTime = Date.now() - startTime;
+    console.log(`✅ Served cached analysis in ${processingTime}ms`);
+    
+    recordAnalysis({
+      subjectCode,
+      subject,
+      examName,
+      questionsExtracted: cachedResult.analysis.questionsExtracted,
+      predictionsGenerated: cachedResult.predictions.length,
+      processingTime,
+      cached: true,
+      source: cachedResult.source,
+      userId
+    });
+    if (global.supabase && userId) {
+      await saveToHistory(userId, {
+        subjectCode, subject, examName, result,
+        filesCount: files.length,
+        questionsExtracted: cachedResult.analysis.questionsExtracted,
+        processingTime
+      });
+    }
+    return { result, processingTime, cached: true };
+  }
+  
+  // Process each file
+  const allQuestions = [];
+  const papers = []; // Extracted text per paper, tagged with its year
+  const fileResults = [];
+  let totalPages = 0;
+  let ocrUsed = false;
+  const ocrWarnings = [];
+  const groupWarnings = [];
+  
+  for (let i = 0; i < uploads.length; i++) {
+    const upload = uploads[i];
+    const file = upload.files[0];
+    throwIfCancelled(signal);
+    
+    const { year, label } = upload;
+    const startProgress = Math.round((i / uploads.length) * 70) + 10;
+    const endProgress = Math.round(((i + 1) / uploads.length) * 70) + 10;
+    updateProgress(jobId, startProgress, `Processing paper ${i + 1}/${uploads.length}: ${label}`);
+    
+    const size = upload.files.reduce((sum, f) => sum + f.size, 0);
+    console.log(`\n📄 Processing: ${label} (${(size / 1024).toFixed(1)} KB, year: ${year || 'unknown'})`);
+    
+    if (upload.grouping) {
+      console.log(`   🧷 ${upload.files.length} images joined as one paper (${upload.grouping === 'field' ? 'grouped in the form' : 'numbered filenames'}): ${upload.files.map(f => f.originalname).join(', ')}`);
+      if (upload.grouping === 'filename') {
+        groupWarnings.push(`${upload.files.map(f => f.originalname).join(', ')} were read as the pages of one paper from their numbered filenames. Upload them without groupImages to keep them apart.`);
+      }
+      if (upload.years.length > 1) {
+        groupWarnings.push(`The pages of ${label} were given different years (${upload.years.join(', ')}); ${year} was used for the paper.`);
+      }
+    }
+    
+    let text = '';
+    let numPages = 0;
+    let extractionMethod = 'text';
+    let ocrCached = false;
+    let ocrPages = null;
+    
+    // Handle different file types
+    if (upload.files.length > 1) {
+      // Photos of one paper, page by page
+      console.log(`   🔍 Running OCR on ${upload.files.length} images...`);
+      const group = await extractImageGroup(upload, {
+        force,
+        signal,
+        onImage: ({ page, status, error, done, total }) => {
+          updateProgress(jobId, startProgress + Math.floor(((endProgress - startProgress) * done) / total),
+            `OCR of ${label}: ${done}/${total} pages${status === 'failed' ? ` (page ${page} failed)` : ''}`,
+            { ocr: { filename: label, page, status, ...(error ? { error } : {}), done, total } });
+        }
+      });
+      ({ text, numPages, ocrCached, ocrPages } = group);
+      extractionMethod = 'ocr';
+      ocrUsed = true;
+      const failed = ocrPages.filter(page => page.status === 'failed').map(page => page.file);
+      if (failed.length > 0) {
+        ocrWarnings.push(`OCR could not read ${failed.join(', ')} of ${label}; questions on ${failed.length > 1 ? 'them' : 'it'} are missing.`);
+      }
+      console.log(`   ✅ OCR complete: ${text.length} chars from ${numPages} pages`);
+    } else if (file.mimetype === 'application/pdf') {
+      // First read the PDF's own text layer
+      const pdfResult = await extractTextFromPDF(file.buffer);
+      text = pdfResult.text;
+      numPages = pdfResult.numPages;
+      
+      console.log(`   Text extraction: ${text.length} characters from ${numPages} pages`);
+      
+      // Fall back to OCR only for scanned (image-only) PDFs
+      if (isLikelyScannedPDF(text, numPages)) {
+        console.log(`   🔍 Trying OCR extraction...`);
+        updateProgress(jobId, startProgress, `Running OCR on ${file.originalname}...`);
+        
+        const ocrResult = await extractWithOcrCache(upload.fileHash, force, () =>
+          extractTextFromScannedPDF(file.buffer, {
+            maxPages: 30,
+            signal,
+            // Large scans are read in page ranges; report each page as it is done
+            onPage: ({ page, status, error, done, total }) => {
+              updateProgress(jobId, startProgress + Math.floor(((endProgress - startProgress) * done) / total),
+                `OCR of ${file.originalname}: ${done}/${total} pages${status === 'failed' ? ` (page ${page} failed)` : ''}`,
+                { ocr: { filename: file.originalname, page, status, ...(error ? { error } : {}), done, total } });
+            }
+          }));
+        throwIfCancelled(signal);
+        
+        if (ocrResult.pages && ocrResult.pages.length > 0) {
+          ocrPages = ocrResult.pages;
+          const failed = ocrPages.filter(page => page.status === 'failed').map(page => page.page);
+          if (failed.length > 0) {
+            ocrWarnings.push(`OCR could not read page${failed.length > 1 ? 's' : ''} ${failed.join(', ')} of ${file.originalname}; questions on ${failed.length > 1 ? 'them' : 'it'} are missing.`);
+          }
+          if (ocrResult.pageCount > ocrResult.pagesProcessed) {
+            ocrWarnings.push(`Only the first ${ocrResult.pagesProcessed} of ${ocrResult.pageCount} pages of ${file.originalname} were OCR'd.`);
+          }
+        }
+        
+        if (ocrResult.text && ocrResult.text.length > text.length) {
+          text = ocrResult.text;
+          numPages = ocrResult.pagesProcessed || numPages;
+          extractionMethod = 'ocr';
+          ocrUsed = true;
+          ocrCached = Boolean(ocrResult.fromCache);
+          console.log(`   ✅ OCR extracted: ${text.length} chars`);
+        }
+      }
+    } else if (file.mimetype.startsWith('image/')) {
+      console.log(`   🔍 Running OCR on image...`);
+      const ocrResult = await extractWithOcrCache(upload.fileHash, force, () =>
+        extractTextFromImage(file.buffer, file.mimetype, { signal }));
+      text = ocrResult.text;
+      numPages = 1;
+      extractionMethod = 'ocr';
+      ocrUsed = true;
+      ocrCached = Boolean(ocrResult.fromCache);
+      console.log(`   ✅ OCR complete: ${text.length} chars`);
+    } else if (file.mimetype === 'text/plain') {
+      text = file.buffer.toString('utf-8');
+      numPages = 1;
+      extractionMethod = 'text';
+    }
+    
+    // Store extracted text even if no questions found
+    if (text && text.trim().length > 20) {
+      papers.push({ filename: label, year, text, questions: [], fileHash: upload.fileHash });
+    }
+    
+    if (!text || text.trim().length < 50) {
+      console.log(`   ❌ Insufficient text extracted`);
+      fileResults.push({
+        filename: label,
+        ...(upload.grouping ? { files: upload.files.map(f => f.originalname) } : {}),
+        year,
+        status: 'partial',
+        error: 'Limited text extracted',
+        questionsFound: 0,
+        method: extractionMethod,
+        ...(ocrPages ? { ocrPages } : {})
+      });
+      continue;
+    }
+    
+    // Extract questions
+    const questionItems = extractQuestionsWithMetadata(text);
+    const questions = questionItems.map(q => q.text);
+    console.log(`   ✅ Extracted ${questions.length} questions`);
+    
+    // Log sample questions for debugging
+    if (questions.length > 0) {
+      console.log(`   Sample questions:`);
+      questions.slice(0, 3).forEach((q, idx) => {
+        console.log(`      ${idx + 1}. ${q.substring(0, 80)}...`);
+      });
+    }
+    
+    allQuestions.push(...questions);
+    totalPages += numPages;
+    papers[papers.length - 1].questions = questionItems;
+    
+    fileResults.push({
+      filename: label,
+      ...(upload.grouping ? { files: upload.files.map(f => f.originalname) } : {}),
+      year,
+      status: 'success',
+      pages: numPages,
+      questionsFound: questions.length,
+      textLength: text.length,
+      method: extractionMethod,
+      ...(ocrCached ? { ocrCached: true } : {}),
+      ...(ocrPages ? { ocrPages } : {})
+    });
+  }
+  
+  // Tag questions with their syllabus units before they are stored
+  let unitMapping = null;
+  if (syllabus) {
+    throwIfCancelled(signal);
+    updateProgress(jobId, 82, 'Mapping questions to syllabus units...');
+    unitMapping = await mapPaperQuestions([...papers, ...bankPapers], syllabus.units, signal);
+    console.log(`📘 Mapped questions to ${syllabus.units.length} syllabus units${unitMapping.semantic.used ? ` (with ${unitMapping.semantic.model})` : ' (keywords only)'}`);
+  }
+  
+  // Keep the uploads in the question bank for later analyses
+  await savePapers(papers, { subjectCode, subject, examType: examPattern.id, userId });
+  
+  for (const paper of bankPapers) {
+    papers.push(paper);
+    allQuestions.push(...paper.questions.map(q => q.text));
+    fileResults.push({
+      filename: paper.filename,
+      year: paper.year,
+      status: 'success',
+      questionsFound: paper.questions.length,
+      textLength: paper.text.length,
+      method: 'bank'
+    });
+  }
+  
+  console.log(`\n📝 TOTAL: ${allQuestions.length} questions from ${papers.length} papers`);
+  console.log(`📝 TOTAL TEXT: ${papers.reduce((sum, p) => sum + p.text.length, 0)} characters`);
+  
+  // Oldest papers first, papers without a year last
+  papers.sort((a, b) => (a.year || Infinity) - (b.year || Infinity));
+  
+  // If no questions found but we have text, create pseudo-questions from text
+  let questionsForAI = allQuestions;
+  if (allQuestions.length === 0 && papers.length > 0) {
+    console.log('⚠️ No structured questions found, using raw text for AI analysis...');
+    // Split text into chunks and use as "questions" for AI to analyze
+    const combinedText = papers.map(p => p.text).join('\n\n');
+    const sentences = combinedText.split(/[.?!]\s+/).filter(s => s.trim().length > 20);
+    questionsForAI = sentences.slice(0, 50).map(s => s.trim());
+    console.log(`   Created ${questionsForAI.length} text segments for analysis`);
+  }
+  
+  if (questionsForAI.length === 0) {
+    console.log('❌ No text could be extracted from any file!');
+    const error = new Error('Could not extract any text from the uploaded files. The PDFs may be scanned images. Please try converting them to images (PNG/JPG) first using a tool like Adobe Acrobat or an online PDF to image converter, then upload the images.');
+    error.status = 400;
+    error.title = 'No text extracted';
+    error.details = { fileResults };
+    throw error;
+  }
+  
+  // Group reworded repeats of the same question across papers
+  const clusters = clusterQuestions(papers, { subject });
+  console.log(`🧩 Clusters: ${clusters.length} distinct questions, ${clusters.filter(c => c.frequency > 1).length} asked in more than one paper`);
+  
+  throwIfCancelled(signal);
+  updateProgress(jobId, 85, 'Running AI analysis...');
+  
+  // Combine all extracted text for AI analysis, each paper delimited with its year
+  const combinedText = papers
+    .map(p => `--- PAPER: ${p.filename} (${p.year || 'year unknown'}) ---\n\n${p.text}`)
+    .join('\n\n');
+  
+  // Analyze with AI
+  console.log('\n🤖 Starting AI analysis...');
+  const aiAnalysis = await analyzeWithAI(combinedText, subject, examName, {
+    pattern: examPattern,
+    papers,
+    clusters,
+    signal,
+    // Long inputs are digested chunk by chunk before the predictions are made
+    onChunk: ({ index, total, label, status }) => {
+      const done = index + (status === 'processing' ? 0 : 1);
+      updateProgress(jobId, 85 + Math.floor((done / total) * 8),
+        status === 'processing' ? `Summarizing ${label} (${index + 1}/${total})...` : `Summarized ${label} (${done}/${total})`,
+        { chunk: { index, total, label, status } });
+    }
+  });
+  throwIfCancelled(signal);
+  
+  if (aiAnalysis.error) {
+    console.log(`⚠️ AI analysis warning: ${aiAnalysis.error}`);
+  }
+  
+  console.log(`✅ AI analysis complete: ${aiAnalysis.predictions?.length || 0} predictions generated`);
+  
+  // Ground each probability in how often and how recently the question was asked
+  let predictions = scorePredictions(aiAnalysis.predictions || [], {
+    papers,
+    clusters,
+    useModelEstimate: !aiAnalysis.fallback
+  });
+  
+  // Put each prediction under a syllabus unit instead of only the model's free-text topic
+  let syllabusResult = null;
+  let coverage = null;
+  const syllabusWarnings = [];
+  if (syllabus) {
+    const { matches, warnings: predictionWarnings } = await mapToUnits(
+      predictions.map(p => `${p.topic || ''}: ${p.question || ''}`),
+      syllabus.units,
+      { semantic: unitMapping.semantic.used, signal }
+    );
+    predictions = predictions.map((prediction, i) => ({
+      ...prediction,
+      unit: matches[i] ? { number: matches[i].number, title: matches[i].title } : null
+    }));
+    
+    const weightage = getUnitWeightage(
+      syllabus.units,
+      papers.flatMap(paper => paper.questions),
+      predictions
+    );
+    syllabusResult = {
+      subjectCode: syllabus.subjectCode,
+      filename: syllabus.filename,
+      updatedAt: syllabus.updatedAt,
+      ...weightage,
+      semantic: unitMapping.semantic
+    };
+    syllabusWarnings.push(...new Set([...unitMapping.warnings, ...predictionWarnings]));
+    
+    // Units and subtopics the papers skipped, which recurrence alone would never predict
+    coverage = computeCoverage(syllabus.units, papers, { predictions });
+    console.log(`📘 Coverage: ${coverage.due.units} unit(s) and ${coverage.due.topics} subtopic(s) due`);
+  }
+  
+  // Measure topic recurrence from the question clusters (independent of the AI)
+  const recurrence = computeTopicRecurrence(clusters);
+  console.log(`📈 Recurrence: ${recurrence.length} topics across ${papers.length} papers`);
+  
+  updateProgress(jobId, 95, 'Finalizing results...');
+  
+  // Build warnings
+  const warnings = [];
+  if (aiAnalysis.fallback) {
+    warnings.push(`AI analysis was unavailable (${aiAnalysis.fallbackReason}). Predictions were ranked from the questions in your uploaded papers instead.`);
+  } else if (aiAnalysis.validation) {
+    warnings.push(...describeValidation(aiAnalysis.validation));
+  }
+  if (aiAnalysis.mapReduce && aiAnalysis.mapReduce.failed > 0) {
+    warnings.push(`${aiAnalysis.mapReduce.failed} of ${aiAnalysis.mapReduce.chunks} paper chunks could not be summarized by the AI; the questions extracted from them were used instead.`);
+  }
+  if (ocrUsed) {
+    warnings.push('OCR was used for text extraction. Results may vary based on document quality.');
+  }
+  warnings.push(...ocrWarnings);
+  warnings.push(...groupWarnings);
+  if (allQuestions.length === 0) {
+    warnings.push('No structured questions were found. Predictions are based on text content analysis.');
+  }
+  if (papers.some(p => !p.year)) {
+    warnings.push('Some papers have no valid year. Add the exam year for each file to improve recurrence data.');
+  }
+  if (syllabusResult) {
+    warnings.push(...syllabusWarnings);
+    if (syllabusResult.unmappedQuestions > 0) {
+      warnings.push(`${syllabusResult.unmappedQuestions} question(s) did not match any unit of the ${subjectCode} syllabus.`);
+    }
+  }
+  if (bankPapers.length > 0) {
+    warnings.push(`${bankPapers.length} earlier paper(s) of ${subjectCode} from the question bank were included.`);
+  }
+  if (questionsForAI.length < 10) {
+    warnings.push('Limited content was extracted. For better predictions, upload clearer documents or more papers.');
+  }
+  
+  // Build response
+  const result = {
+    predictions,
+    summary: aiAnalysis.summary || [],
+    trends: aiAnalysis.trends || {},
+    source: aiAnalysis.fallback ? 'fallback' : 'ai',
+    exam: {
+      name: sanitizeText(examName),
+      subject: sanitizeText(subject),
+      subjectCode: sanitizeText(subjectCode),
+      templateId: examPattern.id
+    },
+    paperStructure: aiAnalysis.paperStructure,
+    analysis: {
+      papersAnalyzed: uploads.length + bankPapers.length,
+      pagesProcessed: totalPages,
+      questionsExtracted: questionsForAI.length,
+      distinctQuestions: clusters.length,
+      chunksDigested: aiAnalysis.mapReduce ? aiAnalysis.mapReduce.chunks : 0,
+      topicsCovered: new Set(aiAnalysis.predictions?.map(p => p.topic) || []).size,
+      avgAccuracy: backtest ? backtest.accuracy : null,
+      backtest,
+      ocrUsed,
+      papers: papers.map(p => ({ filename: p.filename, year: p.year, questionsFound: p.questions.length })),
+      years: [...new Set(papers.map(p => p.year).filter(Boolean))].sort((a, b) => a - b),
+      fileResults
+    },
+    recurrence,
+    questionClusters: clusters.map(({ paperIndexes, ...cluster }) => cluster),
+    syllabus: syllabusResult,
+    coverage,
+    warnings,
+    generatedAt: new Date().toISOString()
+  };
+  
+  const processingTime = Date.now() - startTime;
+  
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`✅ ANALYSIS COMPLETE`);
+  console.log(`   Processing time: ${processingTime}ms`);
+  console.log(`   Predictions: ${result.predictions.length}`);
+  console.log(`   Content analyzed: ${questionsForAI.length} segments`);
+  console.log(`${'='.repeat(60)}\n`);
+  
+  // Record analytics
+  recordAnalysis({
+    subjectCode,
+    subject,
+    examName,
+    questionsExtracted: allQuestions.length,
+    predictionsGenerated: aiAnalysis.predictions?.length || 0,
+    processingTime,
+    cached: false,
+    source: result.source,
+    userId
+  });
+  
+  // Fallback predictions are only a stand-in, let the next upload try the AI again
+  if (result.source === 'ai') {
+    await cacheAnalysis(cacheKey, result);
+  }
+  
+  // Save to database for user history (if user is authenticated)
+  if (global.supabase && userId) {
+    await saveToHistory(userId, {
+      subjectCode, subject, examName, result,
+      filesCount: files.length,
+      questionsExtracted: allQuestions.length,
+      processingTime
+    });
+  }
+  
+  return { result, processingTime, cached: false };
+}
+
+module.exports = {
+  runAnalysisPipeline,
+  getPaperYear
+};
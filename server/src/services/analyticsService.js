@@ -1,210 +1,278 @@
+const { createAnalyticsStore } = require('./analyticsStores');
+
 /**
  * Analytics Service
- * Tracks and aggregates usage metrics
+ * Records one event per analysis in the configured store and aggregates
+ * usage metrics from those events on request
  */
 
-// In-memory analytics store (use Redis/DB in production)
-const analytics = {
-  totalAnalyses: 0,
-  totalPredictions: 0,
-  totalQuestionsExtracted: 0,
-  subjectAnalyses: {},
-  dailyStats: {},
-  hourlyStats: {},
-  recentAnalyses: []
+// Created on first use: the Supabase client is set up after the modules load
+let store = null;
+
+const GRANULARITIES = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
 };
 
+// Default window of the detailed view
+const DEFAULT_RANGE_DAYS = 30;
+
+// Upper bound on points in a series, e.g. about 83 days at hourly granularity
+const MAX_BUCKETS = 2000;
+
+function getStore() {
+  if (!store) {
+    store = createAnalyticsStore();
+    console.log(`📊 Analytics store: ${store.name}`);
+  }
+  return store;
+}
+
 /**
  * Record an analysis event
  */
-function recordAnalysis(data) {
-  const { subjectCode, subject, questionsExtracted, predictionsGenerated, processingTime, cached } = data;
-  const now = new Date();
-  const dateKey = now.toISOString().split('T')[0];
-  const hourKey = `${dateKey}-${now.getHours()}`;
-  
-  // Update totals
-  analytics.totalAnalyses++;
-  analytics.totalPredictions += predictionsGenerated || 0;
-  analytics.totalQuestionsExtracted += questionsExtracted || 0;
-  
-  // Update subject stats
-  if (!analytics.subjectAnalyses[subjectCode]) {
-    analytics.subjectAnalyses[subjectCode] = {
-      code: subjectCode,
-      name: subject,
-      count: 0,
-      totalQuestions: 0,
-      avgProcessingTime: 0
-    };
+async function recordAnalysis(data) {
+  const event = {
+    timestamp: new Date().toISOString(),
+    subjectCode: data.subjectCode,
+    subject: data.subject,
+    examName: data.examName || null,
+    questionsExtracted: data.questionsExtracted || 0,
+    predictionsGenerated: data.predictionsGenerated || 0,
+    processingTime: data.processingTime || 0,
+    cached: Boolean(data.cached),
+    source: data.source || null,
+    userId: data.userId || null
+  };
+
+  try {
+    await getStore().record(event);
+  } catch (error) {
+    // Analytics must never fail an analysis
+    console.error('⚠️ Failed to record analytics:', error.message);
   }
-  const subjectStats = analytics.subjectAnalyses[subjectCode];
-  subjectStats.count++;
-  subjectStats.totalQuestions += questionsExtracted || 0;
-  subjectStats.avgProcessingTime = Math.round(
-    (subjectStats.avgProcessingTime * (subjectStats.count - 1) + processingTime) / subjectStats.count
-  );
-  subjectStats.lastAnalyzed = now.toISOString();
-  
-  // Update daily stats
-  if (!analytics.dailyStats[dateKey]) {
-    analytics.dailyStats[dateKey] = { analyses: 0, questions: 0, cached: 0 };
+}
+
+/**
+ * Start of the period (UTC) a timestamp falls in
+ */
+function getBucketStart(date, granularity) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (granularity === 'hour') return start;
+
+  start.setUTCHours(0);
+  if (granularity === 'week') {
+    // Weeks start on Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
   }
-  analytics.dailyStats[dateKey].analyses++;
-  analytics.dailyStats[dateKey].questions += questionsExtracted || 0;
-  if (cached) analytics.dailyStats[dateKey].cached++;
-  
-  // Update hourly stats
-  if (!analytics.hourlyStats[hourKey]) {
-    analytics.hourlyStats[hourKey] = { analyses: 0, questions: 0 };
+  return start;
+}
+
+function getBucketKey(date, granularity) {
+  const iso = getBucketStart(date, granularity).toISOString();
+  return granularity === 'hour' ? `${iso.slice(0, 13)}:00` : iso.slice(0, 10);
+}
+
+function addEvent(stats, event) {
+  stats.analyses++;
+  stats.questions += event.questionsExtracted || 0;
+  stats.predictions += event.predictionsGenerated || 0;
+  if (event.cached) stats.cached++;
+  stats.totalProcessingTime += event.processingTime || 0;
+}
+
+function emptyStats() {
+  return { analyses: 0, questions: 0, predictions: 0, cached: 0, totalProcessingTime: 0 };
+}
+
+function finishStats({ totalProcessingTime, ...stats }) {
+  return {
+    ...stats,
+    avgProcessingTime: stats.analyses > 0 ? Math.round(totalProcessingTime / stats.analyses) : 0
+  };
+}
+
+/**
+ * Events grouped into consecutive periods, including periods without analyses
+ */
+function buildSeries(events, from, to, granularity) {
+  const buckets = new Map();
+  for (let time = getBucketStart(from, granularity).getTime(); time <= to.getTime(); time += GRANULARITIES[granularity]) {
+    buckets.set(getBucketKey(new Date(time), granularity), emptyStats());
   }
-  analytics.hourlyStats[hourKey].analyses++;
-  analytics.hourlyStats[hourKey].questions += questionsExtracted || 0;
-  
-  // Keep recent analyses (last 50)
-  analytics.recentAnalyses.unshift({
-    subjectCode,
-    subject,
-    questionsExtracted,
-    predictionsGenerated,
-    processingTime,
-    cached,
-    timestamp: now.toISOString()
-  });
-  if (analytics.recentAnalyses.length > 50) {
-    analytics.recentAnalyses.pop();
+
+  for (const event of events) {
+    const stats = buckets.get(getBucketKey(new Date(event.timestamp), granularity));
+    if (stats) addEvent(stats, event);
   }
-  
-  // Cleanup old stats (keep last 30 days)
-  cleanupOldStats();
+
+  return [...buckets.entries()].map(([period, stats]) => ({ period, ...finishStats(stats) }));
+}
+
+function getSubjectStats(events) {
+  const subjects = {};
+
+  for (const event of events) {
+    const code = event.subjectCode;
+    if (!subjects[code]) {
+      subjects[code] = { code, name: event.subject, count: 0, totalQuestions: 0, totalProcessingTime: 0 };
+    }
+    const stats = subjects[code];
+    stats.count++;
+    stats.totalQuestions += event.questionsExtracted || 0;
+    stats.totalProcessingTime += event.processingTime || 0;
+    stats.lastAnalyzed = event.timestamp;
+  }
+
+  return Object.values(subjects)
+    .map(({ totalProcessingTime, ...stats }) => ({
+      ...stats,
+      avgProcessingTime: Math.round(totalProcessingTime / stats.count)
+    }))
+    .sort((a, b) => b.count - a.count);
 }
 
 /**
- * Get analytics summary
+ * Aggregate events into the summary shape returned by /api/analytics
  */
-function getAnalyticsSummary() {
+function summarize(events) {
   const now = new Date();
-  const today = now.toISOString().split('T')[0];
-  const todayStats = analytics.dailyStats[today] || { analyses: 0, questions: 0, cached: 0 };
-  
-  // Get top subjects
-  const topSubjects = Object.values(analytics.subjectAnalyses)
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
-  
-  // Get last 7 days trend
-  const last7Days = [];
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateKey = date.toISOString().split('T')[0];
-    last7Days.push({
-      date: dateKey,
-      analyses: analytics.dailyStats[dateKey]?.analyses || 0,
-      questions: analytics.dailyStats[dateKey]?.questions || 0
-    });
+  const today = getBucketKey(now, 'day');
+  const totals = emptyStats();
+  const todayStats = emptyStats();
+
+  for (const event of events) {
+    addEvent(totals, event);
+    if (getBucketKey(new Date(event.timestamp), 'day') === today) addEvent(todayStats, event);
   }
-  
-  // Calculate cache hit rate
-  const totalCached = Object.values(analytics.dailyStats).reduce((sum, d) => sum + (d.cached || 0), 0);
-  const cacheHitRate = analytics.totalAnalyses > 0 
-    ? Math.round((totalCached / analytics.totalAnalyses) * 100) 
-    : 0;
-  
+
+  const weekAgo = new Date(now.getTime() - 6 * GRANULARITIES.day);
+  const last7Days = buildSeries(events, weekAgo, now, 'day')
+    .map(day => ({ date: day.period, analyses: day.analyses, questions: day.questions }));
+
+  const subjects = getSubjectStats(events);
+
   return {
     overview: {
-      totalAnalyses: analytics.totalAnalyses,
-      totalPredictions: analytics.totalPredictions,
-      totalQuestionsExtracted: analytics.totalQuestionsExtracted,
-      uniqueSubjects: Object.keys(analytics.subjectAnalyses).length,
-      cacheHitRate
+      totalAnalyses: totals.analyses,
+      totalPredictions: totals.predictions,
+      totalQuestionsExtracted: totals.questions,
+      uniqueSubjects: subjects.length,
+      cacheHitRate: totals.analyses > 0 ? Math.round((totals.cached / totals.analyses) * 100) : 0
     },
     today: {
       analyses: todayStats.analyses,
       questions: todayStats.questions,
       cached: todayStats.cached
     },
-    topSubjects,
+    topSubjects: subjects.slice(0, 10),
     trend: last7Days,
-    recentAnalyses: analytics.recentAnalyses.slice(0, 10)
+    // Newest first, without user ids
+    recentAnalyses: events
+      .slice(-10)
+      .reverse()
+      .map(({ userId, ...event }) => event)
   };
 }
 
 /**
- * Get detailed analytics
+ * Get analytics summary
+ */
+async function getAnalyticsSummary() {
+  return summarize(await getStore().query({}));
+}
+
+/**
+ * Get detailed analytics for a period
+ * @param {Object} options - { from, to, subject, granularity }; subject matches
+ *   the subject code or name, granularity is hour | day | week
  */
-function getDetailedAnalytics() {
+async function getDetailedAnalytics(options = {}) {
+  const granularity = options.granularity || 'day';
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from
+    ? new Date(options.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * GRANULARITIES.day);
+
+  if (from > to) {
+    const error = new Error('"from" must be before "to"');
+    error.status = 400;
+    throw error;
+  }
+  if ((to - from) / GRANULARITIES[granularity] > MAX_BUCKETS) {
+    const error = new Error(`Range is too long for ${granularity} granularity (at most ${MAX_BUCKETS} ${granularity}s)`);
+    error.status = 400;
+    throw error;
+  }
+
+  let events = await getStore().query({ from: from.toISOString(), to: to.toISOString() });
+  if (options.subject) {
+    const subject = options.subject.toLowerCase();
+    events = events.filter(event =>
+      String(event.subjectCode || '').toLowerCase() === subject ||
+      String(event.subject || '').toLowerCase() === subject
+    );
+  }
+
   return {
-    ...getAnalyticsSummary(),
-    allSubjects: Object.values(analytics.subjectAnalyses),
-    dailyStats: Object.entries(analytics.dailyStats)
-      .sort((a, b) => b[0].localeCompare(a[0]))
-      .slice(0, 30)
-      .map(([date, stats]) => ({ date, ...stats })),
-    hourlyDistribution: getHourlyDistribution()
+    ...summarize(events),
+    range: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      subject: options.subject || null,
+      granularity
+    },
+    series: buildSeries(events, from, to, granularity),
+    allSubjects: getSubjectStats(events),
+    dailyStats: buildSeries(events, from, to, 'day')
+      .reverse()
+      .map(({ period, analyses, questions, cached }) => ({ date: period, analyses, questions, cached })),
+    hourlyDistribution: getHourlyDistribution(events)
   };
 }
 
 /**
- * Get hourly distribution for today
+ * Analyses per hour of the day (UTC)
  */
-function getHourlyDistribution() {
-  const now = new Date();
-  const today = now.toISOString().split('T')[0];
-  const distribution = [];
-  
-  for (let hour = 0; hour < 24; hour++) {
-    const hourKey = `${today}-${hour}`;
-    distribution.push({
-      hour,
-      analyses: analytics.hourlyStats[hourKey]?.analyses || 0
-    });
+function getHourlyDistribution(events) {
+  const distribution = Array.from({ length: 24 }, (_, hour) => ({ hour, analyses: 0 }));
+  for (const event of events) {
+    distribution[new Date(event.timestamp).getUTCHours()].analyses++;
   }
-  
   return distribution;
 }
 
 /**
- * Cleanup old stats
+ * Store info for health checks
  */
-function cleanupOldStats() {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const cutoffDate = thirtyDaysAgo.toISOString().split('T')[0];
-  
-  // Clean daily stats
-  for (const dateKey of Object.keys(analytics.dailyStats)) {
-    if (dateKey < cutoffDate) {
-      delete analytics.dailyStats[dateKey];
-    }
-  }
-  
-  // Clean hourly stats
-  for (const hourKey of Object.keys(analytics.hourlyStats)) {
-    const dateKey = hourKey.split('-').slice(0, 3).join('-');
-    if (dateKey < cutoffDate) {
-      delete analytics.hourlyStats[hourKey];
-    }
-  }
+function getAnalyticsStoreInfo() {
+  const current = getStore();
+  return { store: current.name, persistent: current.persistent };
+}
+
+/**
+ * Swap the analytics store (tests, or a store configured after startup)
+ */
+function setAnalyticsStore(newStore) {
+  store = newStore;
 }
 
 /**
  * Reset analytics (for testing)
  */
 function resetAnalytics() {
-  analytics.totalAnalyses = 0;
-  analytics.totalPredictions = 0;
-  analytics.totalQuestionsExtracted = 0;
-  analytics.subjectAnalyses = {};
-  analytics.dailyStats = {};
-  analytics.hourlyStats = {};
-  analytics.recentAnalyses = [];
+  store = createAnalyticsStore('memory');
 }
 
 module.exports = {
+  GRANULARITIES,
   recordAnalysis,
   getAnalyticsSummary,
   getDetailedAnalytics,
   getHourlyDistribution,
+  getAnalyticsStoreInfo,
+  setAnalyticsStore,
   resetAnalytics
 };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { inRange } = require('./memoryAnalyticsStore');
+
+/**
+ * File Analytics Store
+ * Appends one JSON line per event, so history survives restarts without a database
+ */
+
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'analytics.jsonl');
+
+function createFileAnalyticsStore(options = {}) {
+  const file = path.resolve(options.file || process.env.ANALYTICS_FILE || DEFAULT_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return {
+    name: 'file',
+    persistent: true,
+    file,
+
+    async record(event) {
+      await fs.promises.appendFile(file, JSON.stringify(event) + '\n');
+    },
+
+    async query(range = {}) {
+      let content;
+      try {
+        content = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const events = [];
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const event = JSON.parse(line);
+          if (inRange(event, range)) events.push(event);
+        } catch (error) {
+          // A line cut short by a crash mid-append; skip it
+        }
+      }
+      return events;
+    }
+  };
+}
+
+module.exports = {
+  createFileAnalyticsStore,
+  DEFAULT_FILE
+};
@@ -0,0 +1,36 @@
+const { createMemoryAnalyticsStore } = require('./memoryAnalyticsStore');
+const { createFileAnalyticsStore } = require('./fileAnalyticsStore');
+const { createSupabaseAnalyticsStore } = require('./supabaseAnalyticsStore');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * Analytics Store Registry
+ * Picks where analyticsService keeps its events.
+ *
+ * Every store exposes:
+ *   name
+ *   persistent          true when events survive a restart
+ *   record(event)       -> Promise
+ *   query({ from, to }) -> Promise<event[]>, ISO timestamps, both inclusive
+ *
+ * Events are plain JSON: { timestamp, subjectCode, subject, examName,
+ * questionsExtracted, predictionsGenerated, processingTime, cached, source, userId }
+ *
+ * Env:
+ *   ANALYTICS_STORE  memory | file | supabase (default: supabase when configured, otherwise memory)
+ *   ANALYTICS_FILE   file for the file store (default: ./data/analytics.jsonl)
+ */
+
+const FACTORIES = {
+  memory: createMemoryAnalyticsStore,
+  file: createFileAnalyticsStore,
+  supabase: createSupabaseAnalyticsStore
+};
+
+function createAnalyticsStore(name = process.env.ANALYTICS_STORE || (global.supabase ? 'supabase' : 'memory'), options = {}) {
+  return createFromRegistry('analytics store', FACTORIES, name, options);
+}
+
+module.exports = {
+  createAnalyticsStore
+};
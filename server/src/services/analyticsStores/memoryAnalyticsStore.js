@@ -0,0 +1,34 @@
+/**
+ * Memory Analytics Store
+ * Keeps events in this process; everything is lost on restart
+ */
+
+// Oldest events are dropped past this many, so a long-running process stays bounded
+const MAX_EVENTS = 10000;
+
+function inRange(event, { from, to }) {
+  return (!from || event.timestamp >= from) && (!to || event.timestamp <= to);
+}
+
+function createMemoryAnalyticsStore() {
+  const events = [];
+
+  return {
+    name: 'memory',
+    persistent: false,
+
+    async record(event) {
+      events.push({ ...event });
+      if (events.length > MAX_EVENTS) events.shift();
+    },
+
+    async query(range = {}) {
+      return events.filter(event => inRange(event, range)).map(event => ({ ...event }));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryAnalyticsStore,
+  inRange
+};
@@ -0,0 +1,63 @@
+/**
+ * Supabase Analytics Store
+ * Saves events as rows of the analysis_results table (analysis_type = 'usage')
+ */
+
+const ANALYSIS_TYPE = 'usage';
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+function createSupabaseAnalyticsStore(options = {}) {
+  const getClient = () => {
+    const client = options.client || global.supabase;
+    if (!client) throw new Error('Supabase is not configured');
+    return client;
+  };
+
+  return {
+    name: 'supabase',
+    persistent: true,
+
+    async record(event) {
+      const { userId, ...data } = event;
+      const { error } = await getClient()
+        .from('analysis_results')
+        .insert({
+          user_id: userId || null,
+          subject_code: event.subjectCode || 'unknown',
+          analysis_type: ANALYSIS_TYPE,
+          data,
+          created_at: event.timestamp
+        });
+      if (error) throw new Error(error.message);
+    },
+
+    async query({ from, to } = {}) {
+      const events = [];
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let request = getClient()
+          .from('analysis_results')
+          .select('data, created_at')
+          .eq('analysis_type', ANALYSIS_TYPE);
+        if (from) request = request.gte('created_at', from);
+        if (to) request = request.lte('created_at', to);
+
+        const { data, error } = await request
+          .order('created_at', { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+
+        events.push(...data.map(row => ({ ...row.data, timestamp: row.data.timestamp || row.created_at })));
+        if (data.length < PAGE_SIZE) break;
+      }
+
+      return events;
+    }
+  };
+}
+
+module.exports = {
+  createSupabaseAnalyticsStore
+};
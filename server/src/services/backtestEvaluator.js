@@ -0,0 +1,93 @@
+const { getShingles, jaccard } = require('./questionClusterer');
+const { getTerms, mentionsTopic } = require('./coverageAnalyzer');
+const { MATCH_THRESHOLD } = require('./probabilityModel');
+
+/**
+ * Backtest Evaluator
+ * Compares predictions with the questions of a paper they were not made
+ * from. A prediction hits a question when it is the same question reworded
+ * (word shingle similarity, as in repeat detection), and hits its topic when
+ * the question also mentions the prediction's topic.
+ */
+
+// Cut-offs for hit@k, the share of the k most probable predictions that hit
+const DEFAULT_KS = [5, 10];
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Precision, recall and hit@k of one matching level
+ * @param {Array<Array<number>>} hits - indexes of the questions each ranked prediction hit
+ */
+function measure(hits, questionCount, ks) {
+  const predicted = hits.filter(found => found.length > 0).length;
+  const covered = new Set(hits.flat()).size;
+  return {
+    precision: hits.length > 0 ? round(predicted / hits.length) : 0,
+    recall: questionCount > 0 ? round(covered / questionCount) : 0,
+    hitAtK: ks.map(k => {
+      const top = hits.slice(0, k);
+      const found = top.filter(indexes => indexes.length > 0).length;
+      return { k, hits: found, rate: top.length > 0 ? round(found / top.length) : 0 };
+    })
+  };
+}
+
+/**
+ * Score predictions against the questions actually asked
+ * @param {Array} predictions - [{ id, topic, question, probability }]
+ * @param {Array<string>} questions - texts of the held-out paper's questions
+ * @param {Object} options - { ks } cut-offs for hit@k
+ * @returns {Object} { metrics: { accuracy, question, topic }, predictions } where
+ *   question and topic are { precision, recall, hitAtK: [{ k, hits, rate }] },
+ *   accuracy is the topic-level precision in percent, and predictions are ranked
+ *   most probable first as [{ id, topic, question, probability, matchedQuestion,
+ *   similarity, questionHit, topicHit }]
+ */
+function evaluatePredictions(predictions, questions, { ks = DEFAULT_KS } = {}) {
+  const actual = questions.map(text => ({ text, shingles: getShingles(text), terms: new Set(getTerms(text)) }));
+  const ranked = [...predictions].sort((a, b) => (b.probability ?? 0) - (a.probability ?? 0));
+
+  const questionHits = [];
+  const topicHits = [];
+  const results = ranked.map(prediction => {
+    const shingles = getShingles(prediction.question);
+    const topicTerms = getTerms(prediction.topic);
+    const similarities = actual.map(question => jaccard(shingles, question.shingles));
+
+    const sameQuestion = actual.map((_, i) => i).filter(i => similarities[i] >= MATCH_THRESHOLD);
+    const sameTopic = actual.map((_, i) => i)
+      .filter(i => sameQuestion.includes(i) || mentionsTopic(topicTerms, actual[i].terms));
+    questionHits.push(sameQuestion);
+    topicHits.push(sameTopic);
+
+    const best = similarities.reduce((top, similarity, i) => (top === -1 || similarity > similarities[top] ? i : top), -1);
+    return {
+      id: prediction.id,
+      topic: prediction.topic,
+      question: prediction.question,
+      probability: prediction.probability ?? null,
+      matchedQuestion: best >= 0 && similarities[best] > 0 ? actual[best].text : null,
+      similarity: best >= 0 ? round(similarities[best]) : 0,
+      questionHit: sameQuestion.length > 0,
+      topicHit: sameTopic.length > 0
+    };
+  });
+
+  const topic = measure(topicHits, actual.length, ks);
+  return {
+    metrics: {
+      accuracy: Math.round(topic.precision * 100),
+      question: measure(questionHits, actual.length, ks),
+      topic
+    },
+    predictions: results
+  };
+}
+
+module.exports = {
+  evaluatePredictions,
+  DEFAULT_KS
+};
@@ -0,0 +1,178 @@
+const { createBacktestStore } = require('./backtestStores');
+const { getAllPapers } = require('./questionBank');
+const { clusterQuestions } = require('./questionClusterer');
+const { analyzeWithAI } = require('./aiAnalyzer');
+const { getExamPattern } = require('./examPatterns');
+const { scorePredictions } = require('./probabilityModel');
+const { evaluatePredictions } = require('./backtestEvaluator');
+
+/**
+ * Backtest Service
+ * Measures how good the predictions are: the latest exam year of a subject's
+ * question bank papers is held out, predictions are made from the earlier
+ * years the same way an analysis makes them, and then compared with the
+ * questions the held-out paper really asked. The latest result per subject is
+ * kept and shown as the accuracy of that subject's analyses.
+ */
+
+// Created on first use: the Supabase client is set up after the modules load
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createBacktestStore();
+    console.log(`🎯 Backtest store: ${store.name}`);
+  }
+  return store;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+function unprocessable(message) {
+  const error = new Error(message);
+  error.status = 422;
+  return error;
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/**
+ * Predict a subject's latest exam year from its earlier years and store the result
+ * @param {Object} options - { subject, examName, templateId, userId, uploadedBy, signal }
+ *   where subject, examName and templateId default to those of the stored
+ *   papers, and uploadedBy only runs the backtest when this user uploaded one
+ *   of the subject's papers
+ * @returns {Promise<Object>} the stored backtest (see backtestStores)
+ * @throws 403 error when uploadedBy uploaded none of the papers, 422 error
+ *   when there is nothing to backtest
+ */
+async function runBacktest(subjectCode, { subject, examName, templateId, userId, uploadedBy, signal } = {}) {
+  const code = subjectCode.toUpperCase();
+  const allPapers = await getAllPapers({ subjectCode });
+
+  // The result is shown to everyone analyzing the subject
+  if (uploadedBy && !allPapers.some(paper => paper.uploadedBy === uploadedBy)) {
+    throw forbidden(`Only users who uploaded ${code} papers to the question bank can run its backtest`);
+  }
+
+  // Undated papers could be the held-out year itself, so they are left out
+  const papers = allPapers.filter(paper => paper.year);
+  const years = [...new Set(papers.map(paper => paper.year))].sort((a, b) => a - b);
+  if (years.length < 2) {
+    throw unprocessable(`Backtesting needs ${code} papers from at least two exam years in the question bank; found ${years.length}.`);
+  }
+
+  const heldOutYear = years[years.length - 1];
+  const training = papers
+    .filter(paper => paper.year < heldOutYear)
+    .sort((a, b) => a.year - b.year)
+    .map(paper => ({
+      filename: paper.filename,
+      year: paper.year,
+      text: paper.extractedText || '',
+      questions: paper.questions || []
+    }));
+  const heldOut = papers.filter(paper => paper.year === heldOutYear);
+  const actual = heldOut.flatMap(paper => (paper.questions || []).map(question => question.text));
+  if (actual.length === 0) {
+    throw unprocessable(`No questions were extracted from the ${heldOutYear} ${code} paper to compare predictions with.`);
+  }
+
+  const subjectName = subject || papers[0].subjectName || code;
+  const pattern = getExamPattern(templateId || mostCommon(papers.map(paper => paper.examType).filter(Boolean)), examName);
+  const clusters = clusterQuestions(training, { subject: subjectName });
+  const combinedText = training
+    .map(paper => `--- PAPER: ${paper.filename} (${paper.year}) ---\n\n${paper.text}`)
+    .join('\n\n');
+
+  console.log(`🎯 Backtesting ${code}: predicting ${heldOutYear} from ${training.length} paper(s) of ${years.slice(0, -1).join(', ')}`);
+  const aiAnalysis = await analyzeWithAI(combinedText, subjectName, examName || pattern.name, {
+    pattern,
+    papers: training,
+    clusters,
+    signal
+  });
+  const predictions = scorePredictions(aiAnalysis.predictions || [], {
+    papers: training,
+    clusters,
+    useModelEstimate: !aiAnalysis.fallback
+  });
+
+  const evaluation = evaluatePredictions(predictions, actual);
+  const stored = await getStore().put({
+    subjectCode: code,
+    subjectName,
+    heldOutYear,
+    trainingYears: years.slice(0, -1),
+    papers: { training: training.length, heldOut: heldOut.length },
+    questions: actual.length,
+    source: aiAnalysis.fallback ? 'fallback' : 'ai',
+    metrics: evaluation.metrics,
+    predictions: evaluation.predictions,
+    runBy: userId || null
+  });
+  console.log(`🎯 Backtest of ${stored.subjectCode}: ${evaluation.metrics.accuracy}% of predicted topics asked in ${heldOutYear}`);
+  return stored;
+}
+
+/**
+ * Latest backtest of a subject, or null
+ */
+async function getBacktest(subjectCode) {
+  return getStore().get(subjectCode);
+}
+
+/**
+ * Latest backtest of every subject, without per-prediction results
+ */
+async function listBacktests() {
+  return getStore().list();
+}
+
+/**
+ * What an analysis shows of its subject's backtest
+ */
+function summarizeBacktest(backtest) {
+  if (!backtest) return null;
+  return {
+    heldOutYear: backtest.heldOutYear,
+    trainingYears: backtest.trainingYears,
+    accuracy: backtest.metrics.accuracy,
+    question: backtest.metrics.question,
+    topic: backtest.metrics.topic,
+    source: backtest.source,
+    updatedAt: backtest.updatedAt
+  };
+}
+
+/**
+ * Store info for health checks
+ */
+function getBacktestStoreInfo() {
+  const current = getStore();
+  return { store: current.name, persistent: current.persistent };
+}
+
+/**
+ * Swap the store (tests, or a store configured after startup)
+ */
+function setBacktestStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  runBacktest,
+  getBacktest,
+  listBacktests,
+  summarizeBacktest,
+  getBacktestStoreInfo,
+  setBacktestStore
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const { createMemoryKeyedStore } = require('../keyedStores/memoryKeyedStore');
+const { createFileKeyedStore } = require('../keyedStores/fileKeyedStore');
+const { createSupabaseBacktestStore } = require('./supabaseBacktestStore');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * Backtest Store Registry
+ * Picks where the latest backtest of each subject is kept. The memory and
+ * file stores are the shared keyed stores; only Supabase has its own mapping.
+ *
+ * Every store exposes (all async):
+ *   put(backtest)        -> stored backtest; one per subject code, replacing the previous one
+ *   get(subjectCode)     -> backtest | null; subject codes match case-insensitively
+ *   list()               -> backtests without their per-prediction results, most recent first
+ * plus `name` and `persistent`.
+ *
+ * Backtests: { subjectCode, subjectName, heldOutYear, trainingYears, papers,
+ *   questions, source, metrics, predictions, runBy, createdAt, updatedAt }
+ *
+ * Env:
+ *   BACKTEST_STORE       memory | file | supabase (default: supabase when configured, otherwise memory)
+ *   BACKTEST_STORE_FILE  file for the file store (default: ./data/backtests.json)
+ */
+
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'backtests.json');
+const KEYED_OPTIONS = { key: 'subjectCode', listOmits: ['predictions'], label: 'backtests' };
+
+const FACTORIES = {
+  memory: options => createMemoryKeyedStore({ ...KEYED_OPTIONS, ...options }),
+  file: options => createFileKeyedStore({
+    ...KEYED_OPTIONS,
+    ...options,
+    file: options.file || process.env.BACKTEST_STORE_FILE || DEFAULT_FILE
+  }),
+  supabase: createSupabaseBacktestStore
+};
+
+function createBacktestStore(name = process.env.BACKTEST_STORE || (global.supabase ? 'supabase' : 'memory'), options = {}) {
+  return createFromRegistry('backtest store', FACTORIES, name, options);
+}
+
+module.exports = {
+  createBacktestStore
+};
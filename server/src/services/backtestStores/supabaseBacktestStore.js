@@ -0,0 +1,80 @@
+/**
+ * Supabase Backtest Store
+ * Saves backtests as rows of the backtests table, one row per subject code
+ */
+
+const LIST_COLUMNS = 'subject_code, subject_name, held_out_year, accuracy, summary, run_by, created_at, updated_at';
+
+function toRow(backtest) {
+  const { subjectCode, subjectName, heldOutYear, predictions, runBy, createdAt, updatedAt, ...summary } = backtest;
+  return {
+    subject_code: subjectCode.toUpperCase(),
+    subject_name: subjectName,
+    held_out_year: heldOutYear,
+    accuracy: summary.metrics.accuracy,
+    summary,
+    predictions,
+    run_by: runBy || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row) {
+  const backtest = {
+    subjectCode: row.subject_code,
+    subjectName: row.subject_name,
+    heldOutYear: row.held_out_year,
+    ...(row.summary || {}),
+    runBy: row.run_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (row.predictions !== undefined) backtest.predictions = row.predictions || [];
+  return backtest;
+}
+
+function createSupabaseBacktestStore(options = {}) {
+  const getClient = () => {
+    const client = options.client || global.supabase;
+    if (!client) throw new Error('Supabase is not configured');
+    return client;
+  };
+
+  return {
+    name: 'supabase',
+    persistent: true,
+
+    async put(backtest) {
+      const { data, error } = await getClient()
+        .from('backtests')
+        .upsert(toRow(backtest), { onConflict: 'subject_code' })
+        .select()
+        .single();
+      if (error) throw new Error(error.message);
+      return fromRow(data);
+    },
+
+    async get(subjectCode) {
+      const { data, error } = await getClient()
+        .from('backtests')
+        .select('*')
+        .eq('subject_code', subjectCode.toUpperCase())
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      return data ? fromRow(data) : null;
+    },
+
+    async list() {
+      const { data, error } = await getClient()
+        .from('backtests')
+        .select(LIST_COLUMNS)
+        .order('updated_at', { ascending: false });
+      if (error) throw new Error(error.message);
+      return data.map(fromRow);
+    }
+  };
+}
+
+module.exports = {
+  createSupabaseBacktestStore
+};
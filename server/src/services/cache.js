@@ -1,135 +1,296 @@
 const crypto = require('crypto');
+const { createCacheBackend } = require('./cacheBackends');
 
 /**
- * Simple In-Memory Cache Service
- * Cache is now user-specific to prevent data leakage between users
+ * Cache Service
+ * Content-addressed caches for OCR text and full analyses, kept in the
+ * configured backend (memory, disk or Redis). Keys are derived only from the
+ * uploaded files and the analysis settings, so an entry is only served to
+ * someone who uploaded the same files. Analysis keys start with the subject
+ * code, so a subject's analyses can be dropped when its papers or syllabus
+ * change.
+ *
+ * Each namespace has its own TTL and byte budget; past the budget the least
+ * recently used entries are evicted. A failing backend never fails an
+ * analysis, it only counts as a miss.
+ *
+ * Env:
+ *   ANALYSIS_CACHE_MAX_MB      budget for cached analyses (default: 50)
+ *   ANALYSIS_CACHE_TTL_HOURS   lifetime of a cached analysis (default: 1)
+ *   OCR_CACHE_MAX_MB           budget for cached OCR text (default: 100)
+ *   OCR_CACHE_TTL_HOURS        lifetime of cached OCR text (default: 168)
+ *   CACHE_BACKEND ...          see cacheBackends/index.js
  */
 
-// In-memory cache store
-const cache = new Map();
-const CACHE_TTL = 1 * 60 * 60 * 1000; // 1 hour (reduced from 24 hours)
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+
+function readNumber(envName, fallback) {
+  const value = parseFloat(process.env[envName]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const NAMESPACES = {
+  analysis: {
+    maxBytes: readNumber('ANALYSIS_CACHE_MAX_MB', 50) * MB,
+    ttl: readNumber('ANALYSIS_CACHE_TTL_HOURS', 1) * HOUR
+  },
+  // OCR text of a file never changes, only the vision model could read it differently
+  ocr: {
+    maxBytes: readNumber('OCR_CACHE_MAX_MB', 100) * MB,
+    ttl: readNumber('OCR_CACHE_TTL_HOURS', 7 * 24) * HOUR
+  }
+};
+
+let backend = createCacheBackend();
+console.log(`🗄️ Cache backend: ${backend.name}`);
+
+// Per-process counters, reported by getCacheStats
+const counters = {};
+function resetCounters() {
+  for (const namespace of Object.keys(NAMESPACES)) {
+    counters[namespace] = { hits: 0, misses: 0, sets: 0, evictions: 0, errors: 0 };
+  }
+}
+resetCounters();
+
+function getNamespace(namespace) {
+  const config = NAMESPACES[namespace];
+  if (!config) {
+    throw new Error(`Unknown cache namespace "${namespace}". Use one of: ${Object.keys(NAMESPACES).join(', ')}`);
+  }
+  return config;
+}
+
+function reportError(namespace, action, error) {
+  counters[namespace].errors++;
+  console.error(`⚠️ Cache ${action} failed (${backend.name}/${namespace}):`, error.message);
+}
+
+/**
+ * Read an entry; null on a miss, an expired entry or a backend error
+ */
+async function getEntry(namespace, key) {
+  getNamespace(namespace);
+  try {
+    const data = await backend.get(namespace, key);
+    counters[namespace][data === null ? 'misses' : 'hits']++;
+    return data;
+  } catch (error) {
+    counters[namespace].misses++;
+    reportError(namespace, 'read', error);
+    return null;
+  }
+}
+
+/**
+ * Store an entry under the namespace TTL and byte budget
+ * @returns {Promise<boolean>} whether the entry was stored
+ */
+async function setEntry(namespace, key, data, ttl) {
+  const config = getNamespace(namespace);
+  try {
+    const { stored, evicted } = await backend.set(namespace, key, data, {
+      ttl: ttl || config.ttl,
+      maxBytes: config.maxBytes
+    });
+    if (stored) counters[namespace].sets++;
+    counters[namespace].evictions += evicted;
+    return stored;
+  } catch (error) {
+    reportError(namespace, 'write', error);
+    return false;
+  }
+}
 
 /**
  * Generate hash from file buffer
  */
 function generateFileHash(buffer) {
-  return crypto.createHash('md5').update(buffer).digest('hex');
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function getSubjectPrefix(subjectCode) {
+  return `${String(subjectCode || '').trim().toUpperCase()}:`;
+}
+
+/**
+ * Generate the analysis cache key from the files and analysis settings
+ * @param {Array} files - [{ buffer, year }]; the year changes the recurrence data
+ * @param {Object} context - { subjectCode, subject, examName, templateId, syllabusVersion }
+ *   where syllabusVersion changes whenever the subject's syllabus is replaced
+ */
+function generateCacheKey(files, { subjectCode, subject, examName, templateId, syllabusVersion }) {
+  const fileHashes = files
+    .map(f => `${f.hash || generateFileHash(f.buffer)}@${f.year || ''}`)
+    .sort()
+    .join(',');
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([fileHashes, subject.trim().toLowerCase(), examName.trim().toLowerCase(), templateId || '', syllabusVersion || '']))
+    .digest('hex');
+  return `${getSubjectPrefix(subjectCode)}${hash}`;
 }
 
 /**
- * Generate cache key from multiple files
- * Now includes userId to make cache user-specific
+ * Generate the OCR cache key for a file read by a given vision model
  */
-function generateCacheKey(files, subject, examName, userId = 'anonymous') {
-  const fileHashes = files.map(f => generateFileHash(f.buffer)).sort().join('-');
-  const contextHash = crypto.createHash('md5')
-    .update(`${subject}-${examName}-${userId}`)
-    .digest('hex')
-    .substring(0, 8);
-  return `analysis:${userId}:${fileHashes.substring(0, 32)}:${contextHash}`;
+function generateOcrCacheKey(fileHash, provider) {
+  return `${provider.name}:${provider.visionModel || provider.model || 'default'}:${fileHash}`;
 }
 
 /**
  * Get cached analysis
  */
-function getCachedAnalysis(key) {
-  const cached = cache.get(key);
-  
-  if (!cached) return null;
-  
-  // Check if expired
-  if (Date.now() > cached.expiresAt) {
-    cache.delete(key);
-    return null;
+async function getCachedAnalysis(key) {
+  const cached = await getEntry('analysis', key);
+  if (cached) {
+    console.log(`📦 Cache hit for key: ${key.substring(0, 30)}...`);
   }
-  
-  console.log(`📦 Cache hit for key: ${key.substring(0, 30)}...`);
-  return cached.data;
+  return cached;
 }
 
 /**
  * Store analysis in cache
  */
-function cacheAnalysis(key, data, ttl = CACHE_TTL) {
-  cache.set(key, {
-    data,
-    expiresAt: Date.now() + ttl,
-    createdAt: Date.now()
-  });
-  
-  console.log(`💾 Cached analysis with key: ${key.substring(0, 30)}...`);
-  
-  // Cleanup old entries periodically
-  if (cache.size > 100) {
-    cleanupExpiredEntries();
+async function cacheAnalysis(key, data, ttl) {
+  if (await setEntry('analysis', key, data, ttl)) {
+    console.log(`💾 Cached analysis with key: ${key.substring(0, 30)}...`);
   }
 }
 
 /**
- * Invalidate cache for a specific user
+ * Get cached OCR result for a file
  */
-function invalidateUserCache(userId) {
-  let cleared = 0;
-  for (const key of cache.keys()) {
-    if (key.includes(`:${userId}:`)) {
-      cache.delete(key);
-      cleared++;
-    }
+async function getCachedOcr(key) {
+  const cached = await getEntry('ocr', key);
+  if (cached) {
+    console.log(`📦 OCR cache hit for key: ${key.substring(0, 30)}...`);
   }
-  if (cleared > 0) {
-    console.log(`🗑️ Cleared ${cleared} cache entries for user ${userId}`);
+  return cached;
+}
+
+/**
+ * Store the OCR result of a file
+ */
+async function cacheOcr(key, data) {
+  await setEntry('ocr', key, data);
+}
+
+/**
+ * Drop the entries of one namespace, e.g. analyses after a prompt change or
+ * OCR text after switching vision models
+ * @param {string} prefix - only drop keys starting with it
+ * @returns {Promise<number>} entries removed
+ */
+async function invalidateNamespace(namespace, prefix = '') {
+  getNamespace(namespace);
+  try {
+    const cleared = await backend.clear(namespace, prefix);
+    if (cleared > 0) {
+      console.log(`🗑️ Cleared ${cleared} ${namespace} cache entries${prefix ? ` under ${prefix}` : ''}`);
+    }
+    return cleared;
+  } catch (error) {
+    reportError(namespace, 'invalidate', error);
+    return 0;
   }
 }
 
+/**
+ * Drop the cached analyses of a subject, after its question bank papers or
+ * syllabus changed
+ * @returns {Promise<number>} entries removed
+ */
+async function invalidateSubjectAnalyses(subjectCode) {
+  return invalidateNamespace('analysis', getSubjectPrefix(subjectCode));
+}
+
 /**
  * Remove expired cache entries
  */
-function cleanupExpiredEntries() {
-  const now = Date.now();
+async function cleanupExpiredEntries() {
   let cleaned = 0;
-  
-  for (const [key, value] of cache.entries()) {
-    if (now > value.expiresAt) {
-      cache.delete(key);
-      cleaned++;
+  for (const [namespace, config] of Object.entries(NAMESPACES)) {
+    try {
+      cleaned += await backend.prune(namespace, { ttl: config.ttl });
+    } catch (error) {
+      reportError(namespace, 'cleanup', error);
     }
   }
-  
+
   if (cleaned > 0) {
     console.log(`🧹 Cleaned ${cleaned} expired cache entries`);
   }
 }
 
+// Expired entries would otherwise hold their share of the budget until evicted
+setInterval(cleanupExpiredEntries, 30 * 60 * 1000).unref();
+
 /**
  * Clear all cache
  */
-function clearCache() {
-  cache.clear();
+async function clearCache() {
+  for (const namespace of Object.keys(NAMESPACES)) {
+    await backend.clear(namespace);
+  }
   console.log('🗑️ Cache cleared');
 }
 
 /**
- * Get cache stats
+ * Get cache stats: backend, and per namespace its size, budget and hit/miss counters
  */
-function getCacheStats() {
+async function getCacheStats() {
+  const namespaces = {};
+  let size = 0;
+
+  for (const [namespace, config] of Object.entries(NAMESPACES)) {
+    const { hits, misses } = counters[namespace];
+    let usage = { entries: null, bytes: null };
+    try {
+      usage = await backend.stats(namespace);
+      size += usage.entries;
+    } catch (error) {
+      reportError(namespace, 'stats', error);
+    }
+
+    namespaces[namespace] = {
+      ...usage,
+      maxBytes: config.maxBytes,
+      ttlMs: config.ttl,
+      ...counters[namespace],
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0
+    };
+  }
+
   return {
-    size: cache.size,
-    entries: Array.from(cache.entries()).map(([key, value]) => ({
-      key: key.substring(0, 40) + '...',
-      createdAt: new Date(value.createdAt).toISOString(),
-      expiresAt: new Date(value.expiresAt).toISOString(),
-      isExpired: Date.now() > value.expiresAt
-    }))
+    backend: backend.name,
+    shared: backend.shared,
+    size,
+    namespaces
   };
 }
 
+/**
+ * Swap the cache backend (tests, or a backend configured after startup)
+ */
+function setCacheBackend(newBackend) {
+  backend = newBackend;
+  resetCounters();
+}
+
 module.exports = {
+  NAMESPACES,
   generateFileHash,
   generateCacheKey,
+  generateOcrCacheKey,
   getCachedAnalysis,
   cacheAnalysis,
-  invalidateUserCache,
+  getCachedOcr,
+  cacheOcr,
+  invalidateNamespace,
+  invalidateSubjectAnalyses,
   clearCache,
   getCacheStats,
-  cleanupExpiredEntries
+  cleanupExpiredEntries,
+  setCacheBackend
 };
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Disk Cache Backend
+ * One JSON file per entry under <dir>/<namespace>/, so cached OCR text and
+ * analyses survive restarts. File names carry the expiry time and the
+ * modification time records the last use, so the LRU index can be rebuilt
+ * from a directory listing. Meant for one process per directory.
+ */
+
+const DEFAULT_DIR = path.join(process.cwd(), 'data', 'cache');
+
+// Bytes read from the start of an entry to find its key; entries begin {"key":"..."
+const KEY_READ_BYTES = 1024;
+
+function createDiskCacheBackend(options = {}) {
+  const root = path.resolve(options.dir || process.env.CACHE_DIR || DEFAULT_DIR);
+  // namespace -> { entries: Map(id -> { file, bytes, expiresAt }), bytes }
+  const namespaces = new Map();
+
+  // Keys can hold any characters, so files are named after a digest of the key
+  const idFor = key => crypto.createHash('sha1').update(key).digest('hex');
+
+  function getNamespace(namespace) {
+    if (namespaces.has(namespace)) return namespaces.get(namespace);
+
+    const dir = path.join(root, namespace.replace(/[^\w-]/g, '_'));
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = [];
+    for (const name of fs.readdirSync(dir)) {
+      const match = name.match(/^([0-9a-f]{40})-(\d+)\.json$/);
+      if (!match) continue;
+      try {
+        const stat = fs.statSync(path.join(dir, name));
+        files.push({ id: match[1], file: path.join(dir, name), expiresAt: Number(match[2]), bytes: stat.size, usedAt: stat.mtimeMs });
+      } catch (error) {
+        // Removed while listing
+      }
+    }
+
+    // Least recently used first
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    const space = { dir, entries: new Map(), bytes: 0 };
+    for (const { id, file, expiresAt, bytes } of files) {
+      space.entries.set(id, { file, expiresAt, bytes });
+      space.bytes += bytes;
+    }
+
+    namespaces.set(namespace, space);
+    return space;
+  }
+
+  /**
+   * Key of an entry file, read from its first bytes, or null
+   */
+  async function readKey(file) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(KEY_READ_BYTES), 0, KEY_READ_BYTES, 0);
+      const match = buffer.toString('utf8', 0, bytesRead).match(/^\{"key":("(?:[^"\\]|\\.)*")/);
+      return match ? JSON.parse(match[1]) : null;
+    } catch (error) {
+      return null;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  function remove(space, id) {
+    const entry = space.entries.get(id);
+    if (!entry) return false;
+    space.bytes -= entry.bytes;
+    space.entries.delete(id);
+    fs.rmSync(entry.file, { force: true });
+    return true;
+  }
+
+  return {
+    name: 'disk',
+    shared: false,
+    dir: root,
+
+    async get(namespace, key) {
+      const space = getNamespace(namespace);
+      const id = idFor(key);
+      const entry = space.entries.get(id);
+      if (!entry) return null;
+
+      if (Date.now() > entry.expiresAt) {
+        remove(space, id);
+        return null;
+      }
+
+      let stored;
+      try {
+        stored = JSON.parse(await fs.promises.readFile(entry.file, 'utf8'));
+      } catch (error) {
+        // Deleted or damaged outside this process
+        remove(space, id);
+        return null;
+      }
+      if (stored.key !== key) return null;
+
+      // Mark as most recently used, in the index and on disk
+      space.entries.delete(id);
+      space.entries.set(id, entry);
+      const now = new Date();
+      fs.promises.utimes(entry.file, now, now).catch(() => {});
+
+      return stored.data;
+    },
+
+    async set(namespace, key, data, { ttl, maxBytes }) {
+      const space = getNamespace(namespace);
+      const id = idFor(key);
+      const expiresAt = Date.now() + ttl;
+      const content = JSON.stringify({ key, data });
+      const bytes = Buffer.byteLength(content);
+
+      remove(space, id);
+      if (bytes > maxBytes) return { stored: false, evicted: 0 };
+
+      // Write then rename so readers never see a half-written file
+      const file = path.join(space.dir, `${id}-${expiresAt}.json`);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, content);
+      await fs.promises.rename(tmp, file);
+
+      space.entries.set(id, { file, expiresAt, bytes });
+      space.bytes += bytes;
+
+      let evicted = 0;
+      for (const oldestId of space.entries.keys()) {
+        if (space.bytes <= maxBytes) break;
+        remove(space, oldestId);
+        evicted++;
+      }
+      return { stored: true, evicted };
+    },
+
+    async delete(namespace, key) {
+      remove(getNamespace(namespace), idFor(key));
+    },
+
+    async clear(namespace, prefix = '') {
+      const space = getNamespace(namespace);
+      let removed = 0;
+      for (const [id, entry] of [...space.entries]) {
+        if (prefix) {
+          const key = await readKey(entry.file);
+          if (key === null || !key.startsWith(prefix)) continue;
+        }
+        if (remove(space, id)) removed++;
+      }
+      return removed;
+    },
+
+    async prune(namespace) {
+      const space = getNamespace(namespace);
+      const now = Date.now();
+      let pruned = 0;
+      for (const [id, entry] of [...space.entries]) {
+        if (now > entry.expiresAt && remove(space, id)) pruned++;
+      }
+      return pruned;
+    },
+
+    async stats(namespace) {
+      const space = getNamespace(namespace);
+      return { entries: space.entries.size, bytes: space.bytes };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createDiskCacheBackend,
+  DEFAULT_DIR
+};
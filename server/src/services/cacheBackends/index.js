@@ -0,0 +1,42 @@
+const { createMemoryCacheBackend } = require('./memoryCacheBackend');
+const { createDiskCacheBackend } = require('./diskCacheBackend');
+const { createRedisCacheBackend } = require('./redisCacheBackend');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * Cache Backend Registry
+ * Picks where cache.js keeps its entries.
+ *
+ * Every backend exposes (all async):
+ *   get(namespace, key)                          -> value | null, marks the entry as used
+ *   set(namespace, key, value, { ttl, maxBytes }) -> { stored, evicted }, evicting
+ *                                                   least recently used entries past maxBytes
+ *   delete(namespace, key)
+ *   clear(namespace, prefix)                     -> number of entries removed; only
+ *                                                   keys starting with prefix when given
+ *   prune(namespace, { ttl })                    -> number of expired entries removed
+ *   stats(namespace)                             -> { entries, bytes }
+ *   close()
+ * plus `name` and `shared` (true when other processes see the same entries).
+ *
+ * Env:
+ *   CACHE_BACKEND     memory | disk | redis (default: memory)
+ *   CACHE_DIR         directory of the disk backend (default: ./data/cache)
+ *   REDIS_URL         redis[s]://[user:password@]host:port[/db] (default: redis://127.0.0.1:6379)
+ *   CACHE_KEY_PREFIX  prefix of Redis keys (default: predictwise:)
+ *   REDIS_TIMEOUT_MS  connect / command timeout (default: 2000)
+ */
+
+const FACTORIES = {
+  memory: createMemoryCacheBackend,
+  disk: createDiskCacheBackend,
+  redis: createRedisCacheBackend
+};
+
+function createCacheBackend(name = process.env.CACHE_BACKEND || 'memory', options = {}) {
+  return createFromRegistry('cache backend', FACTORIES, name, options);
+}
+
+module.exports = {
+  createCacheBackend
+};
@@ -0,0 +1,100 @@
+/**
+ * Memory Cache Backend
+ * One LRU map per namespace in this process; lost on restart
+ */
+
+function createMemoryCacheBackend() {
+  // Map iteration order is insertion order, so the first entry is the least recently used
+  const namespaces = new Map();
+
+  function getNamespace(namespace) {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, { entries: new Map(), bytes: 0 });
+    }
+    return namespaces.get(namespace);
+  }
+
+  function remove(space, key) {
+    const entry = space.entries.get(key);
+    if (!entry) return false;
+    space.bytes -= entry.bytes;
+    space.entries.delete(key);
+    return true;
+  }
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async get(namespace, key) {
+      const space = getNamespace(namespace);
+      const entry = space.entries.get(key);
+      if (!entry) return null;
+
+      if (Date.now() > entry.expiresAt) {
+        remove(space, key);
+        return null;
+      }
+
+      // Mark as most recently used
+      space.entries.delete(key);
+      space.entries.set(key, entry);
+      return entry.data;
+    },
+
+    async set(namespace, key, data, { ttl, maxBytes }) {
+      const space = getNamespace(namespace);
+      const bytes = Buffer.byteLength(JSON.stringify(data));
+      remove(space, key);
+      if (bytes > maxBytes) return { stored: false, evicted: 0 };
+
+      space.entries.set(key, { data, bytes, expiresAt: Date.now() + ttl });
+      space.bytes += bytes;
+
+      let evicted = 0;
+      for (const oldestKey of space.entries.keys()) {
+        if (space.bytes <= maxBytes) break;
+        remove(space, oldestKey);
+        evicted++;
+      }
+      return { stored: true, evicted };
+    },
+
+    async delete(namespace, key) {
+      remove(getNamespace(namespace), key);
+    },
+
+    async clear(namespace, prefix = '') {
+      const space = getNamespace(namespace);
+      let removed = 0;
+      for (const key of [...space.entries.keys()]) {
+        if (key.startsWith(prefix) && remove(space, key)) removed++;
+      }
+      return removed;
+    },
+
+    async prune(namespace) {
+      const space = getNamespace(namespace);
+      const now = Date.now();
+      let pruned = 0;
+      for (const [key, entry] of space.entries) {
+        if (now > entry.expiresAt) {
+          remove(space, key);
+          pruned++;
+        }
+      }
+      return pruned;
+    },
+
+    async stats(namespace) {
+      const space = getNamespace(namespace);
+      return { entries: space.entries.size, bytes: space.bytes };
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createMemoryCacheBackend
+};
@@ -0,0 +1,130 @@
+const { createRespClient } = require('./respClient');
+
+/**
+ * Redis Cache Backend
+ * Stores entries in any server speaking the Redis protocol, so several
+ * instances share one cache. Per namespace:
+ *   <prefix><namespace>:<key>     the JSON value, expiring with the entry TTL
+ *   <prefix><namespace>:__lru     sorted set of keys by last use
+ *   <prefix><namespace>:__bytes   hash of key -> value size, for the byte budget
+ *
+ * Values that expire in Redis leave their index entries behind until the key
+ * is next read, evicted or older than the TTL.
+ */
+
+function createRedisCacheBackend(options = {}) {
+  const url = options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+  const prefix = options.prefix || process.env.CACHE_KEY_PREFIX || 'predictwise:';
+  const client = options.client || createRespClient(url, {
+    timeout: parseInt(process.env.REDIS_TIMEOUT_MS, 10) || 2000
+  });
+
+  const valueKey = (namespace, key) => `${prefix}${namespace}:${key}`;
+  const lruKey = namespace => `${prefix}${namespace}:__lru`;
+  const bytesKey = namespace => `${prefix}${namespace}:__bytes`;
+
+  async function remove(namespace, key) {
+    await client.command('DEL', valueKey(namespace, key));
+    await client.command('ZREM', lruKey(namespace), key);
+    return (await client.command('HDEL', bytesKey(namespace), key)) > 0;
+  }
+
+  async function totalBytes(namespace) {
+    const sizes = await client.command('HVALS', bytesKey(namespace));
+    return sizes.reduce((sum, size) => sum + Number(size), 0);
+  }
+
+  /**
+   * Drop index entries last used longer ago than the TTL; their values have expired
+   */
+  async function pruneOlderThan(namespace, ttl) {
+    const stale = await client.command('ZRANGEBYSCORE', lruKey(namespace), '-inf', Date.now() - ttl);
+    for (const key of stale) {
+      await remove(namespace, key);
+    }
+    return stale.length;
+  }
+
+  return {
+    name: 'redis',
+    shared: true,
+    url: url.replace(/\/\/[^@/]*@/, '//***@'),
+
+    async get(namespace, key) {
+      const value = await client.command('GET', valueKey(namespace, key));
+      if (value === null) {
+        // Expired in Redis; drop what is left in the index
+        await remove(namespace, key);
+        return null;
+      }
+
+      await client.command('ZADD', lruKey(namespace), Date.now(), key);
+      return JSON.parse(value);
+    },
+
+    async set(namespace, key, data, { ttl, maxBytes }) {
+      const value = JSON.stringify(data);
+      const bytes = Buffer.byteLength(value);
+
+      await remove(namespace, key);
+      if (bytes > maxBytes) return { stored: false, evicted: 0 };
+
+      await pruneOlderThan(namespace, ttl);
+      await client.command('SET', valueKey(namespace, key), value, 'PX', Math.max(1, Math.round(ttl)));
+      await client.command('HSET', bytesKey(namespace), key, bytes);
+      await client.command('ZADD', lruKey(namespace), Date.now(), key);
+
+      let evicted = 0;
+      let total = await totalBytes(namespace);
+      while (total > maxBytes) {
+        const [oldestKey] = await client.command('ZRANGE', lruKey(namespace), 0, 0);
+        if (!oldestKey || oldestKey === key) break;
+        const size = Number(await client.command('HGET', bytesKey(namespace), oldestKey)) || 0;
+        await remove(namespace, oldestKey);
+        total -= size;
+        evicted++;
+      }
+      return { stored: true, evicted };
+    },
+
+    async delete(namespace, key) {
+      await remove(namespace, key);
+    },
+
+    async clear(namespace, prefix = '') {
+      const keys = await client.command('ZRANGE', lruKey(namespace), 0, -1);
+      if (prefix) {
+        const matching = keys.filter(key => key.startsWith(prefix));
+        for (const key of matching) {
+          await remove(namespace, key);
+        }
+        return matching.length;
+      }
+
+      for (const key of keys) {
+        await client.command('DEL', valueKey(namespace, key));
+      }
+      await client.command('DEL', lruKey(namespace), bytesKey(namespace));
+      return keys.length;
+    },
+
+    async prune(namespace, { ttl } = {}) {
+      return ttl ? pruneOlderThan(namespace, ttl) : 0;
+    },
+
+    async stats(namespace) {
+      return {
+        entries: await client.command('HLEN', bytesKey(namespace)),
+        bytes: await totalBytes(namespace)
+      };
+    },
+
+    async close() {
+      client.close();
+    }
+  };
+}
+
+module.exports = {
+  createRedisCacheBackend
+};
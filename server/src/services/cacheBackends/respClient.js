@@ -0,0 +1,202 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Minimal RESP (Redis protocol) client
+ * Enough for the cache backend: one connection, commands answered in order,
+ * AUTH and SELECT taken from the URL. Works with Redis, Valkey, KeyDB, Dragonfly
+ * and other servers speaking RESP2.
+ */
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply starting at offset
+ * @returns {{ value, offset } | null} null when the buffer holds only part of the reply
+ */
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.redisError = true;
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Create a client for a redis:// or rediss:// URL
+ * @param {Object} options - { timeout } per command in ms
+ */
+function createRespClient(url, options = {}) {
+  const target = new URL(url);
+  const timeout = options.timeout || 2000;
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    while (pending.length > 0) {
+      const request = pending.shift();
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+
+  function reset(error) {
+    if (socket) socket.destroy();
+    socket = null;
+    ready = null;
+    buffer = Buffer.alloc(0);
+    failAll(error);
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    try {
+      while (pending.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const request = pending.shift();
+        clearTimeout(request.timer);
+        if (reply.value instanceof Error) {
+          request.reject(reply.value);
+        } else {
+          request.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      reset(error);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      if (!socket) {
+        reject(new Error('Redis connection closed'));
+        return;
+      }
+      const request = { resolve, reject };
+      request.timer = setTimeout(() => {
+        reset(new Error(`Redis command ${args[0]} timed out after ${timeout}ms`));
+      }, timeout);
+      pending.push(request);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      const port = Number(target.port) || 6379;
+      const host = target.hostname || '127.0.0.1';
+      const onConnect = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const current = target.protocol === 'rediss:'
+        ? tls.connect({ port, host, servername: host }, onConnect)
+        : net.createConnection({ port, host }, onConnect);
+      socket = current;
+      const timer = setTimeout(() => {
+        const error = new Error(`Could not connect to Redis at ${host}:${port}`);
+        reset(error);
+        reject(error);
+      }, timeout);
+
+      // Events of a socket that has already been replaced are ignored
+      current.on('data', chunk => {
+        if (socket === current) onData(chunk);
+      });
+      current.on('error', error => {
+        clearTimeout(timer);
+        if (socket === current) reset(error);
+        reject(error);
+      });
+      current.on('close', () => {
+        if (socket === current) reset(new Error('Redis connection closed'));
+      });
+    }).then(async () => {
+      const password = decodeURIComponent(target.password || '');
+      const username = decodeURIComponent(target.username || '');
+      if (password) {
+        await send(username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+      const db = target.pathname.replace('/', '');
+      if (db) {
+        await send(['SELECT', db]);
+      }
+    });
+
+    // Drop a connection that failed to set up, so the next command retries
+    const connecting = ready;
+    connecting.catch(error => {
+      if (ready === connecting) reset(error);
+    });
+    return connecting;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+
+    close() {
+      if (socket) socket.end();
+      socket = null;
+      ready = null;
+    }
+  };
+}
+
+module.exports = {
+  createRespClient,
+  encodeCommand,
+  parseReply
+};
@@ -0,0 +1,126 @@
+const { tokenizeQuestion } = require('./questionExtractor');
+const { normalizeTerm, GENERIC_TERMS } = require('./recurrenceAnalyzer');
+
+/**
+ * Syllabus Coverage Service
+ * Finds the syllabus units and subtopics the papers never asked about, or
+ * have not asked about for a number of years. Those are flagged as "due":
+ * topics that recurrence alone would never predict.
+ */
+
+// A topic not asked in the last this many exam years is due
+const DEFAULT_DUE_AFTER_YEARS = 2;
+
+function getTerms(text) {
+  return [...new Set(tokenizeQuestion(text || '')
+    .filter(word => !GENERIC_TERMS.has(word) && !/^\d+$/.test(word))
+    .map(normalizeTerm))];
+}
+
+/**
+ * Whether a question mentions a subtopic: all of a short subtopic's words,
+ * two thirds of a longer one's
+ */
+function mentionsTopic(topicTerms, questionTerms) {
+  if (topicTerms.length === 0) return false;
+  const found = topicTerms.filter(term => questionTerms.has(term)).length;
+  return found >= Math.ceil(topicTerms.length * (topicTerms.length <= 2 ? 1 : 2 / 3));
+}
+
+/**
+ * Years asked, last year asked and whether the entry is due
+ */
+function describeAppearances(appearances, latestYear, dueAfterYears) {
+  const years = [...new Set(appearances.map(a => a.year).filter(Boolean))].sort((a, b) => a - b);
+  const lastAsked = years.length > 0 ? years[years.length - 1] : null;
+
+  let reason = null;
+  if (appearances.length === 0) {
+    reason = 'never-asked';
+  } else if (latestYear && lastAsked && latestYear - lastAsked >= dueAfterYears) {
+    reason = 'not-recent';
+  }
+
+  return {
+    questions: appearances.length,
+    years,
+    lastAsked,
+    yearsSinceAsked: latestYear && lastAsked ? latestYear - lastAsked : null,
+    due: reason !== null,
+    reason
+  };
+}
+
+/**
+ * Coverage of every syllabus unit and subtopic by the papers' questions
+ * @param {Array} units - syllabus units [{ number, title, topics }]
+ * @param {Array} papers - [{ year, questions: [{ text, unit }] }] where unit is the
+ *   question's unit number from the syllabus mapping (null or missing when unknown)
+ * @param {Object} options - { dueAfterYears, predictions } where predictions
+ *   ([{ topic, question, unit }]) show which due entries are already predicted
+ * @returns {Object} { dueAfterYears, latestYear, years, units: [{ number, title,
+ *   questions, years, lastAsked, yearsSinceAsked, due, reason, predicted, topics:
+ *   [{ name, ...same fields }] }], due: { units, topics } } where reason is
+ *   'never-asked' | 'not-recent' | null, years are counted back from the latest paper
+ */
+function computeCoverage(units, papers, options = {}) {
+  const { dueAfterYears = DEFAULT_DUE_AFTER_YEARS, predictions = [] } = options;
+  const years = [...new Set(papers.map(paper => paper.year).filter(Boolean))].sort((a, b) => a - b);
+  const latestYear = years.length > 0 ? years[years.length - 1] : null;
+
+  const questions = papers.flatMap(paper => (paper.questions || []).map(question => ({
+    year: paper.year || null,
+    unit: question.unit ?? null,
+    terms: new Set(getTerms(question.text))
+  })));
+  const predicted = predictions.map(prediction => ({
+    unit: prediction.unit ? prediction.unit.number : null,
+    terms: new Set(getTerms(`${prediction.topic || ''} ${prediction.question || ''}`))
+  }));
+
+  // A question of another unit does not cover this unit's subtopic of the same name
+  const inUnit = (item, unit) => item.unit === null || item.unit === unit.number;
+
+  const coverage = units.map(unit => {
+    const topics = (unit.topics || []).map(name => {
+      const terms = getTerms(name);
+      const matches = item => inUnit(item, unit) && mentionsTopic(terms, item.terms);
+      return {
+        name,
+        ...describeAppearances(questions.filter(matches), latestYear, dueAfterYears),
+        predicted: predicted.some(matches)
+      };
+    });
+
+    const titleTerms = getTerms(unit.title);
+    const asked = questions.filter(question =>
+      question.unit === unit.number ||
+      (question.unit === null && mentionsTopic(titleTerms, question.terms)));
+
+    return {
+      number: unit.number,
+      title: unit.title,
+      ...describeAppearances(asked, latestYear, dueAfterYears),
+      predicted: predicted.some(prediction => prediction.unit === unit.number),
+      topics
+    };
+  });
+
+  return {
+    dueAfterYears,
+    latestYear,
+    years,
+    units: coverage,
+    due: {
+      units: coverage.filter(unit => unit.due).length,
+      topics: coverage.reduce((sum, unit) => sum + unit.topics.filter(topic => topic.due).length, 0)
+    }
+  };
+}
+
+module.exports = {
+  computeCoverage,
+  getTerms,
+  mentionsTopic,
+  DEFAULT_DUE_AFTER_YEARS
+};
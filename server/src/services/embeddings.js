@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Embeddings Service
+ * Provider embeddings shared by question search and syllabus mapping, cached
+ * by provider, model and text so repeated texts are only embedded once
+ */
+
+const EMBEDDING_BATCH_SIZE = 100;
+const MAX_CACHED_EMBEDDINGS = 20000;
+
+// Vectors by provider, model and text
+const embeddings = new Map();
+
+function getEmbeddingKey(provider, text) {
+  const digest = crypto.createHash('sha1').update(text).digest('hex');
+  return `${provider.name}:${provider.embeddingModel || 'default'}:${digest}`;
+}
+
+/**
+ * Name of the model behind a provider's vectors, e.g. "gemini/text-embedding-004"
+ */
+function getEmbeddingModel(provider) {
+  return `${provider.name}/${provider.embeddingModel || 'default'}`;
+}
+
+/**
+ * Vectors for the texts, embedding only those not seen before
+ */
+async function embedTexts(provider, texts, signal) {
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`${provider.name} provider does not support embeddings`);
+  }
+
+  const missing = [...new Set(texts.filter(text => !embeddings.has(getEmbeddingKey(provider, text))))];
+
+  for (let start = 0; start < missing.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = missing.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const vectors = await provider.embed(batch, { signal });
+    batch.forEach((text, i) => embeddings.set(getEmbeddingKey(provider, text), vectors[i]));
+  }
+
+  // Forget the oldest vectors beyond the cap
+  for (const key of embeddings.keys()) {
+    if (embeddings.size <= MAX_CACHED_EMBEDDINGS) break;
+    embeddings.delete(key);
+  }
+
+  return texts.map(text => embeddings.get(getEmbeddingKey(provider, text)) || []);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Forget every cached vector (after swapping providers, in tests)
+ */
+function clearEmbeddings() {
+  embeddings.clear();
+}
+
+module.exports = {
+  embedTexts,
+  cosineSimilarity,
+  getEmbeddingModel,
+  clearEmbeddings
+};
@@ -0,0 +1,267 @@
+/**
+ * Exam Pattern Registry
+ * Paper structure for each exam template offered by the client
+ * (client/src/data/examTemplates.ts). Drives the analysis prompt,
+ * prediction validation and the returned paperStructure.
+ *
+ * Section fields:
+ *   name        section id used on predictions ("A", "B", ...)
+ *   title       what the section contains
+ *   questions   questions printed in the paper
+ *   attempt     questions a candidate answers (choice when < questions)
+ *   marksEach   marks per question
+ *   types       allowed question types, first one is the default
+ *   guidance    what a good question for this section looks like
+ */
+
+// Cap on predictions requested per section, so long sections stay within the model output budget
+const MAX_PREDICTIONS_PER_SECTION = 10;
+
+const EXAM_PATTERNS = {
+  aktu: {
+    id: 'aktu',
+    name: 'AKTU B.Tech',
+    description: 'AKTU (Dr. A.P.J. Abdul Kalam Technical University) B.Tech end semester examination',
+    duration: '3 hours',
+    negativeMarking: null,
+    sections: [
+      {
+        name: 'A', title: 'Very Short Answer', questions: 10, attempt: 10, marksEach: 2,
+        types: ['Short Answer'],
+        guidance: 'definitions, formulas, basic concepts'
+      },
+      {
+        name: 'B', title: 'Long Answer', questions: 5, attempt: 5, marksEach: 10,
+        types: ['Long Answer', 'Numerical', 'Derivation'],
+        guidance: 'derivations, proofs, numerical problems'
+      }
+    ]
+  },
+
+  jee: {
+    id: 'jee',
+    name: 'JEE Main',
+    description: 'JEE Main (Joint Entrance Examination) computer based test, one subject section',
+    duration: '3 hours (all three subjects)',
+    negativeMarking: '-1 for a wrong MCQ answer, no negative marking for numerical answers',
+    sections: [
+      {
+        name: 'A', title: 'Multiple Choice', questions: 20, attempt: 20, marksEach: 4,
+        types: ['MCQ'],
+        guidance: 'single correct option out of four, write the four options (A)-(D) in the question'
+      },
+      {
+        name: 'B', title: 'Numerical Value', questions: 5, attempt: 5, marksEach: 4,
+        types: ['Numerical'],
+        guidance: 'answer is an integer or decimal value, no options'
+      }
+    ]
+  },
+
+  neet: {
+    id: 'neet',
+    name: 'NEET UG',
+    description: 'NEET UG (National Eligibility cum Entrance Test) pen and paper test, one subject',
+    duration: '3 hours 20 minutes (all subjects)',
+    negativeMarking: '-1 for a wrong answer',
+    sections: [
+      {
+        name: 'A', title: 'Multiple Choice', questions: 35, attempt: 35, marksEach: 4,
+        types: ['MCQ'],
+        guidance: 'single correct option out of four, including assertion-reason and statement based items'
+      },
+      {
+        name: 'B', title: 'Multiple Choice (Optional)', questions: 15, attempt: 10, marksEach: 4,
+        types: ['MCQ'],
+        guidance: 'single correct option out of four, slightly harder application questions'
+      }
+    ]
+  },
+
+  gate: {
+    id: 'gate',
+    name: 'GATE CS',
+    description: 'GATE (Graduate Aptitude Test in Engineering) Computer Science paper, subject questions',
+    duration: '3 hours',
+    negativeMarking: '-1/3 for a wrong 1-mark MCQ, -2/3 for a wrong 2-mark MCQ, none for MSQ and NAT',
+    sections: [
+      {
+        name: 'A', title: '1 Mark Questions', questions: 25, attempt: 25, marksEach: 1,
+        types: ['MCQ', 'MSQ', 'Numerical'],
+        guidance: 'direct concept checks; MCQ has one correct option, MSQ one or more, Numerical (NAT) a value'
+      },
+      {
+        name: 'B', title: '2 Mark Questions', questions: 30, attempt: 30, marksEach: 2,
+        types: ['MCQ', 'MSQ', 'Numerical'],
+        guidance: 'multi-step problems, traces of algorithms, numerical computations'
+      }
+    ]
+  },
+
+  cbse: {
+    id: 'cbse',
+    name: 'CBSE Class 12',
+    description: 'CBSE (Central Board of Secondary Education) Class 12 board examination, theory paper',
+    duration: '3 hours',
+    negativeMarking: null,
+    choiceRules: 'Internal choice is provided in some questions of Sections B, C, D and E',
+    sections: [
+      {
+        name: 'A', title: 'Multiple Choice', questions: 16, attempt: 16, marksEach: 1,
+        types: ['MCQ'],
+        guidance: 'MCQs and assertion-reason questions'
+      },
+      {
+        name: 'B', title: 'Very Short Answer', questions: 5, attempt: 5, marksEach: 2,
+        types: ['Very Short Answer'],
+        guidance: 'one step reasoning or a definition with a short justification'
+      },
+      {
+        name: 'C', title: 'Short Answer', questions: 7, attempt: 7, marksEach: 3,
+        types: ['Short Answer', 'Numerical'],
+        guidance: 'short explanations, small numericals'
+      },
+      {
+        name: 'D', title: 'Case Based', questions: 2, attempt: 2, marksEach: 4,
+        types: ['Case-Based'],
+        guidance: 'a short passage or data followed by sub-questions'
+      },
+      {
+        name: 'E', title: 'Long Answer', questions: 3, attempt: 3, marksEach: 5,
+        types: ['Long Answer', 'Numerical', 'Derivation'],
+        guidance: 'derivations, detailed explanations, multi-part numericals'
+      }
+    ]
+  },
+
+  upsc: {
+    id: 'upsc',
+    name: 'UPSC CSE Mains',
+    description: 'UPSC Civil Services Mains, General Studies paper',
+    duration: '3 hours',
+    negativeMarking: null,
+    sections: [
+      {
+        name: 'A', title: '10 Mark Questions (150 words)', questions: 10, attempt: 10, marksEach: 10,
+        types: ['Essay'],
+        guidance: 'analytical questions answered in about 150 words'
+      },
+      {
+        name: 'B', title: '15 Mark Questions (250 words)', questions: 10, attempt: 10, marksEach: 15,
+        types: ['Essay'],
+        guidance: 'critically examine / discuss questions answered in about 250 words'
+      }
+    ]
+  },
+
+  custom: {
+    id: 'custom',
+    name: 'Custom Exam',
+    description: 'university or college written examination',
+    duration: '3 hours',
+    negativeMarking: null,
+    sections: [
+      {
+        name: 'A', title: 'Short Answer', questions: 10, attempt: 10, marksEach: 2,
+        types: ['Short Answer'],
+        guidance: 'definitions, formulas, basic concepts'
+      },
+      {
+        name: 'B', title: 'Long Answer', questions: 5, attempt: 5, marksEach: 10,
+        types: ['Long Answer', 'Numerical', 'Derivation'],
+        guidance: 'explanations, derivations, numerical problems'
+      }
+    ]
+  }
+};
+
+const DEFAULT_PATTERN_ID = 'custom';
+
+/**
+ * Find a pattern from the template id, falling back to a match on the exam name
+ */
+function getExamPattern(templateId, examName = '') {
+  const id = (templateId || '').toLowerCase().trim();
+  if (EXAM_PATTERNS[id]) return EXAM_PATTERNS[id];
+
+  const name = (examName || '').toLowerCase();
+  const byName = Object.values(EXAM_PATTERNS).find(pattern =>
+    pattern.id !== DEFAULT_PATTERN_ID && new RegExp(`\\b${pattern.id}\\b`).test(name)
+  );
+  return byName || EXAM_PATTERNS[DEFAULT_PATTERN_ID];
+}
+
+/**
+ * Number of predictions to generate for a section
+ */
+function getPredictionCount(section) {
+  return Math.min(section.questions, MAX_PREDICTIONS_PER_SECTION);
+}
+
+/**
+ * Marks for a whole pattern, counting only the questions a candidate attempts
+ */
+function getTotalMarks(pattern) {
+  return pattern.sections.reduce((sum, section) => sum + section.attempt * section.marksEach, 0);
+}
+
+/**
+ * Paper structure returned with an analysis
+ */
+function buildPaperStructure(pattern) {
+  return {
+    pattern: pattern.id,
+    name: pattern.name,
+    totalMarks: getTotalMarks(pattern),
+    duration: pattern.duration,
+    negativeMarking: pattern.negativeMarking,
+    sections: pattern.sections.map(section => ({
+      name: section.name,
+      title: section.title,
+      questions: section.questions,
+      attempt: section.attempt,
+      marksEach: section.marksEach,
+      total: section.attempt * section.marksEach,
+      types: section.types,
+      choice: section.attempt < section.questions
+        ? `Attempt any ${section.attempt} out of ${section.questions}`
+        : null
+    }))
+  };
+}
+
+/**
+ * Clean up a model prediction so its section, type and marks fit the pattern.
+ * Predictions without a valid section are placed by position.
+ */
+function fitPredictionToPattern(prediction, index, pattern) {
+  const sections = pattern.sections;
+  let section = sections.find(s => s.name === String(prediction.section || '').toUpperCase());
+
+  if (!section) {
+    let offset = 0;
+    section = sections.find(s => {
+      offset += getPredictionCount(s);
+      return index < offset;
+    }) || sections[sections.length - 1];
+  }
+
+  const type = section.types.find(t => t.toLowerCase() === String(prediction.type || '').toLowerCase());
+
+  return {
+    ...prediction,
+    section: section.name,
+    type: type || section.types[0],
+    marks: section.marksEach
+  };
+}
+
+module.exports = {
+  EXAM_PATTERNS,
+  MAX_PREDICTIONS_PER_SECTION,
+  getExamPattern,
+  getPredictionCount,
+  getTotalMarks,
+  buildPaperStructure,
+  fitPredictionToPattern
+};
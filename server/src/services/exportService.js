@@ -3,6 +3,13 @@
  * Handles exporting predictions to various formats (HTML, PDF-ready, JSON)
  */
 
+/**
+ * Accuracy measured by backtesting, or why there is none
+ */
+function formatAccuracy(stats) {
+  return typeof stats.avgAccuracy === 'number' ? `${stats.avgAccuracy}%` : 'Not measured';
+}
+
 /**
  * Export predictions to HTML format
  */
@@ -72,7 +79,7 @@ function exportToHTML(predictions, examInfo, stats) {
     <div class="stat"><div class="stat-value">${stats.papersAnalyzed}</div><div class="stat-label">Papers Analyzed</div></div>
     <div class="stat"><div class="stat-value">${stats.questionsExtracted}</div><div class="stat-label">Questions Found</div></div>
     <div class="stat"><div class="stat-value">${stats.topicsCovered}</div><div class="stat-label">Topics Covered</div></div>
-    <div class="stat"><div class="stat-value">${stats.avgAccuracy}%</div><div class="stat-label">Confidence</div></div>
+    <div class="stat"><div class="stat-value">${formatAccuracy(stats)}</div><div class="stat-label">Backtest Accuracy</div></div>
   </div>
   
   <div class="questions">
@@ -124,7 +131,7 @@ function exportToText(predictions, examInfo, stats) {
     `Papers Analyzed: ${stats.papersAnalyzed}`,
     `Questions Extracted: ${stats.questionsExtracted}`,
     `Topics Covered: ${stats.topicsCovered}`,
-    `Confidence: ${stats.avgAccuracy}%`,
+    `Backtest Accuracy: ${formatAccuracy(stats)}`,
     '-'.repeat(60),
     '',
     'PREDICTED QUESTIONS',
@@ -0,0 +1,156 @@
+const { computeTopicRecurrence } = require('./recurrenceAnalyzer');
+const { clusterQuestions } = require('./questionClusterer');
+const { getPredictionCount, buildPaperStructure, fitPredictionToPattern } = require('./examPatterns');
+
+/**
+ * Offline Fallback Generator
+ * Builds a predicted paper from the questions extracted from the uploads
+ * when the LLM is unavailable. Output is deterministic for the same input.
+ */
+
+// Weights of the ranking signals
+const WEIGHTS = { recurrence: 0.6, keywords: 0.3, recency: 0.1 };
+
+const SHORT_TYPES = new Set(['Short Answer', 'List']);
+const LONG_TYPES = new Set(['Long Answer', 'Derivation']);
+
+/**
+ * One candidate per question cluster, in its canonical wording
+ */
+function collectCandidates(clusters) {
+  return clusters
+    .filter(cluster => cluster.terms.length > 0)
+    .map(cluster => ({
+      text: cluster.canonical,
+      terms: new Set(cluster.terms),
+      estimatedType: cluster.type,
+      wordCount: cluster.canonical.split(/\s+/).length,
+      paperIndexes: new Set(cluster.paperIndexes)
+    }));
+}
+
+/**
+ * Score candidates by recurrence across papers, overlap with frequent keywords and recency
+ */
+function scoreCandidates(candidates, papers, topics) {
+  const paperCount = Math.max(papers.length, 1);
+  const years = papers.map(p => p.year).filter(Boolean);
+  const latestYear = years.length > 0 ? Math.max(...years) : null;
+
+  // In how many papers each term appears
+  const termPapers = new Map();
+  for (const candidate of candidates) {
+    for (const term of candidate.terms) {
+      if (!termPapers.has(term)) termPapers.set(term, new Set());
+      candidate.paperIndexes.forEach(i => termPapers.get(term).add(i));
+    }
+  }
+
+  return candidates.map(candidate => {
+    const recurrence = candidate.paperIndexes.size / paperCount;
+    const keywords = [...candidate.terms]
+      .reduce((sum, term) => sum + termPapers.get(term).size / paperCount, 0) / candidate.terms.size;
+    const candidateYears = [...candidate.paperIndexes].map(i => papers[i].year).filter(Boolean).sort((a, b) => a - b);
+    const recency = latestYear && candidateYears.includes(latestYear) ? 1 : 0;
+
+    const topic = topics.find(t => t.keywords.some(k => candidate.terms.has(k)));
+    const sharedKeywords = [...candidate.terms]
+      .filter(term => termPapers.get(term).size > 1)
+      .sort((a, b) => termPapers.get(b).size - termPapers.get(a).size || a.localeCompare(b))
+      .slice(0, 3);
+
+    return {
+      ...candidate,
+      years: candidateYears,
+      topic: topic ? topic.topic : formatTerms([...candidate.terms].slice(0, 3)),
+      sharedKeywords,
+      score: WEIGHTS.recurrence * recurrence + WEIGHTS.keywords * keywords + WEIGHTS.recency * recency
+    };
+  }).sort((a, b) => b.score - a.score || b.years.length - a.years.length || a.text.localeCompare(b.text));
+}
+
+function formatTerms(terms) {
+  return terms.map(term => term.charAt(0).toUpperCase() + term.slice(1)).join(' ') || 'General';
+}
+
+function isShortQuestion(candidate) {
+  return SHORT_TYPES.has(candidate.estimatedType) ||
+    (!LONG_TYPES.has(candidate.estimatedType) && candidate.wordCount <= 10);
+}
+
+function buildRationale(candidate, paperCount) {
+  const parts = [`Fallback: asked in ${candidate.paperIndexes.size} of ${paperCount} uploaded papers`];
+  if (candidate.years.length > 0) parts[0] += ` (${candidate.years.join(', ')})`;
+  if (candidate.sharedKeywords.length > 0) {
+    parts.push(`recurring keywords: ${candidate.sharedKeywords.join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Generate a predicted paper without the LLM
+ * @param {Object} options - { papers, clusters, subject, pattern, reason } where papers
+ *   are [{ filename, year, text, questions? }] sorted oldest first and clusters are
+ *   their question clusters (computed from the papers when missing)
+ */
+function generateFallbackAnalysis({ papers = [], clusters, subject = '', pattern, reason = 'LLM unavailable' }) {
+  console.log('📊 Generating fallback predictions from extracted questions...');
+
+  const questionClusters = clusters || clusterQuestions(papers, { subject });
+  const topics = computeTopicRecurrence(questionClusters, { limit: Infinity });
+  const ranked = scoreCandidates(collectCandidates(questionClusters), papers, topics);
+
+  // Sections with the lowest marks take the short questions. Higher-mark
+  // sections pick first so the strongest long questions are not used up as short ones.
+  const minMarks = Math.min(...pattern.sections.map(s => s.marksEach));
+  const maxMarks = Math.max(...pattern.sections.map(s => s.marksEach));
+  const used = new Set();
+  const chosenBySection = new Map();
+
+  for (const section of [...pattern.sections].sort((a, b) => b.marksEach - a.marksEach)) {
+    const wantsShort = section.marksEach === minMarks && minMarks !== maxMarks;
+    const wantsLong = section.marksEach !== minMarks;
+
+    const available = ranked.filter(c => !used.has(c));
+    const preferred = available.filter(c =>
+      wantsShort ? isShortQuestion(c) : wantsLong ? !isShortQuestion(c) : true);
+    const chosen = [...preferred, ...available.filter(c => !preferred.includes(c))]
+      .slice(0, getPredictionCount(section));
+
+    chosen.forEach(c => used.add(c));
+    chosenBySection.set(section.name, chosen);
+  }
+
+  const predictions = [];
+  for (const section of pattern.sections) {
+    const difficulty = minMarks === maxMarks
+      ? 'Medium'
+      : section.marksEach === minMarks ? 'Easy' : section.marksEach === maxMarks ? 'Hard' : 'Medium';
+
+    for (const candidate of chosenBySection.get(section.name)) {
+      predictions.push(fitPredictionToPattern({
+        id: predictions.length + 1,
+        topic: candidate.topic,
+        question: candidate.text,
+        difficulty,
+        type: candidate.estimatedType,
+        rationale: buildRationale(candidate, papers.length),
+        section: section.name
+      }, predictions.length, pattern));
+    }
+  }
+
+  console.log(`✅ Fallback built ${predictions.length} predictions from ${ranked.length} distinct questions`);
+
+  return {
+    predictions,
+    summary: topics.slice(0, 5).map(t => t.topic),
+    paperStructure: buildPaperStructure(pattern),
+    fallback: true,
+    fallbackReason: reason
+  };
+}
+
+module.exports = {
+  generateFallbackAnalysis
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File Job Store
+ * One JSON file per job, so jobs survive restarts and can be shared by
+ * several instances that mount the same directory
+ */
+
+const DEFAULT_DIR = path.join(process.cwd(), 'data', 'jobs');
+
+function createFileJobStore(options = {}) {
+  const dir = path.resolve(options.dir || process.env.JOB_STORE_DIR || DEFAULT_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Job ids come from generateJobId, but never let one escape the directory
+  const fileFor = jobId => path.join(dir, `${String(jobId).replace(/[^\w-]/g, '_')}.json`);
+
+  function read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      // Missing, or removed/replaced between listing and reading
+      return null;
+    }
+  }
+
+  return {
+    name: 'file',
+    shared: true,
+    dir,
+
+    get(jobId) {
+      return read(fileFor(jobId));
+    },
+
+    save(job) {
+      // Write then rename so readers never see a half-written file
+      const file = fileFor(job.id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(job));
+      fs.renameSync(tmp, file);
+    },
+
+    delete(jobId) {
+      fs.rmSync(fileFor(jobId), { force: true });
+    },
+
+    list() {
+      return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => read(path.join(dir, name)))
+        .filter(Boolean);
+    }
+  };
+}
+
+module.exports = {
+  createFileJobStore,
+  DEFAULT_DIR
+};
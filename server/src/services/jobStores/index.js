@@ -0,0 +1,36 @@
+const { createMemoryJobStore } = require('./memoryJobStore');
+const { createFileJobStore } = require('./fileJobStore');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * Job Store Registry
+ * Picks where progressTracker keeps its jobs.
+ *
+ * Every store exposes:
+ *   name
+ *   shared            true when other processes can see the same jobs
+ *   get(jobId)        -> job | null
+ *   save(job)
+ *   delete(jobId)
+ *   list()            -> job[]
+ *
+ * Jobs are plain JSON records; SSE connections and abort controllers stay in
+ * the process that owns them.
+ *
+ * Env:
+ *   JOB_STORE      memory | file (default: memory)
+ *   JOB_STORE_DIR  directory for the file store (default: ./data/jobs)
+ */
+
+const FACTORIES = {
+  memory: createMemoryJobStore,
+  file: createFileJobStore
+};
+
+function createJobStore(name = process.env.JOB_STORE || 'memory', options = {}) {
+  return createFromRegistry('job store', FACTORIES, name, options);
+}
+
+module.exports = {
+  createJobStore
+};
@@ -0,0 +1,36 @@
+/**
+ * In-Memory Job Store
+ * Default store; jobs live only as long as the process
+ */
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  // Copies keep callers from mutating stored records behind the store's back
+  const copy = job => (job ? JSON.parse(JSON.stringify(job)) : null);
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    get(jobId) {
+      return copy(jobs.get(jobId));
+    },
+
+    save(job) {
+      jobs.set(job.id, copy(job));
+    },
+
+    delete(jobId) {
+      jobs.delete(jobId);
+    },
+
+    list() {
+      return [...jobs.values()].map(copy);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryJobStore
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON File Helpers
+ * Reading and rewriting the single JSON file behind the file stores
+ */
+
+/**
+ * Parsed content of a JSON file, or the fallback when it does not exist or
+ * cannot be read
+ * @param {string} label - what the file holds, for the log
+ */
+function readJsonFile(file, fallback, label = 'data') {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`⚠️ Could not read ${label} ${file}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Writer that replaces a file with JSON. Writes run one at a time, each from
+ * a temp file of its own renamed over the file, so a crash never leaves a
+ * half-written file and overlapping changes never fail each other.
+ * @returns {Function} (getValue) => Promise, where getValue is called when the
+ *   write starts, so every write stores the latest state
+ */
+function createJsonFileWriter(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let queue = Promise.resolve();
+  let sequence = 0;
+
+  return function write(getValue) {
+    const run = async () => {
+      const tmp = `${file}.${process.pid}.${++sequence}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, JSON.stringify(getValue()));
+        await fs.promises.rename(tmp, file);
+      } catch (error) {
+        await fs.promises.rm(tmp, { force: true });
+        throw error;
+      }
+    };
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+module.exports = {
+  readJsonFile,
+  createJsonFileWriter
+};
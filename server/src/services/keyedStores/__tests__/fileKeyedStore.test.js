@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileKeyedStore } = require('../fileKeyedStore');
+const { createMemoryKeyedStore } = require('../memoryKeyedStore');
+
+describe('memory keyed store', () => {
+  test('keeps one record per key, matched case-insensitively', async () => {
+    const store = createMemoryKeyedStore();
+    const first = await store.put({ subjectCode: 'KCS401', version: 1 });
+    const second = await store.put({ subjectCode: 'kcs401', version: 2 });
+
+    expect(await store.get('Kcs401')).toMatchObject({ version: 2, createdAt: first.createdAt });
+    expect(second.updatedAt >= first.updatedAt).toBe(true);
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  test('leaves the listOmits fields out of list()', async () => {
+    const store = createMemoryKeyedStore({ listOmits: ['text'] });
+    await store.put({ subjectCode: 'KCS401', text: 'long syllabus text', units: [] });
+
+    expect(await store.list()).toEqual([expect.not.objectContaining({ text: expect.anything() })]);
+    expect((await store.get('KCS401')).text).toBe('long syllabus text');
+  });
+});
+
+describe('file keyed store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyed-store-'));
+    file = path.join(dir, 'records.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('overlapping writes all succeed and all reach the file', async () => {
+    const store = createFileKeyedStore({ file });
+
+    const results = await Promise.allSettled([...Array(8).keys()].map(i => store.put({ subjectCode: `KCS40${i}` })));
+
+    expect(results.map(result => result.status)).toEqual(Array(8).fill('fulfilled'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(8);
+    expect(fs.readdirSync(dir)).toEqual(['records.json']);
+  });
+
+  test('records survive a restart', async () => {
+    const store = createFileKeyedStore({ file });
+    await Promise.all(['KCS401', 'KCS402', 'KAS302'].map(subjectCode => store.put({ subjectCode })));
+    await store.delete('kcs402');
+
+    const reopened = createFileKeyedStore({ file });
+    expect((await reopened.list()).map(record => record.subjectCode).sort()).toEqual(['KAS302', 'KCS401']);
+  });
+});
@@ -0,0 +1,44 @@
+const path = require('path');
+const { createMemoryKeyedStore } = require('./memoryKeyedStore');
+const { readJsonFile, createJsonFileWriter } = require('../jsonFile');
+
+/**
+ * File Keyed Store
+ * The memory keyed store, written to one JSON file after every change, so
+ * records survive restarts without a database. Meant for one process.
+ */
+
+/**
+ * @param {Object} options - `file` to keep the records in, `label` naming them
+ *   in logs, plus the options of the memory keyed store
+ */
+function createFileKeyedStore(options = {}) {
+  const file = path.resolve(options.file);
+  const memory = createMemoryKeyedStore({ ...options, items: readJsonFile(file, [], options.label) });
+  const write = createJsonFileWriter(file);
+
+  const persist = () => write(() => [...memory.items.values()]);
+
+  return {
+    ...memory,
+    name: 'file',
+    persistent: true,
+    file,
+
+    async put(item) {
+      const stored = await memory.put(item);
+      await persist();
+      return stored;
+    },
+
+    async delete(key) {
+      const removed = await memory.delete(key);
+      if (removed) await persist();
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createFileKeyedStore
+};
@@ -0,0 +1,59 @@
+/**
+ * Memory Keyed Store
+ * Keeps one record per key in this process; everything is lost on restart.
+ * Backs the memory and file stores of features that keep one record per
+ * subject, such as syllabi and backtests.
+ */
+
+/**
+ * @param {Object} options - { items } to start with, `key` field of each item
+ *   (default: subjectCode, matched case-insensitively), and `listOmits`, the
+ *   fields list() leaves out
+ */
+function createMemoryKeyedStore(options = {}) {
+  const keyField = options.key || 'subjectCode';
+  const listOmits = options.listOmits || [];
+  const getKey = value => String(value).toLowerCase();
+  const items = new Map((options.items || []).map(item => [getKey(item[keyField]), item]));
+
+  return {
+    name: 'memory',
+    persistent: false,
+    items,
+
+    async put(item) {
+      const now = new Date().toISOString();
+      const existing = items.get(getKey(item[keyField]));
+      const stored = {
+        ...item,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+      items.set(getKey(stored[keyField]), stored);
+      return { ...stored };
+    },
+
+    async get(key) {
+      const item = items.get(getKey(key));
+      return item ? { ...item } : null;
+    },
+
+    async list() {
+      return [...items.values()]
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(item => {
+          const listed = { ...item };
+          listOmits.forEach(field => delete listed[field]);
+          return listed;
+        });
+    },
+
+    async delete(key) {
+      return items.delete(getKey(key));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryKeyedStore
+};
@@ -1,51 +1,56 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getVisionProvider } = require('./providers');
+const { createPdfPageSplitter } = require('./pdfExtractor');
 
 /**
- * OCR Extraction Service using Google Gemini Vision API
- * Handles text extraction from scanned PDFs and images
+ * OCR Extraction Service using the configured vision provider
+ * Handles text extraction from scanned PDFs and images. Scanned PDFs are
+ * split into page ranges that are OCR'd a few at a time, so PDFs of any size
+ * can be read and a failed range only loses its own pages.
  */
 
-let genAI = null;
-const MODEL_NAME = 'gemini-2.5-flash';
+// Largest inline payload vision APIs accept
+const MAX_INLINE_BYTES = 4 * 1024 * 1024;
+
+const DEFAULT_PAGES_PER_CHUNK = 4;
+const DEFAULT_OCR_CONCURRENCY = 2;
+
+// Page marker the text of every OCR'd page starts with
+const PAGE_MARKER = /^\s*[-=*#]*\s*PAGE\s+(\d+)\s*[-=*#]*\s*$/i;
+
+function getPagesPerChunk() {
+  return parseInt(process.env.OCR_PAGES_PER_CHUNK, 10) || DEFAULT_PAGES_PER_CHUNK;
+}
+
+function getOcrConcurrency() {
+  return parseInt(process.env.OCR_CONCURRENCY, 10) || DEFAULT_OCR_CONCURRENCY;
+}
 
 /**
- * Initialize Gemini client
+ * Get the vision provider, failing when it cannot be used
  */
-function initializeGemini() {
-  if (!genAI) {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY not configured');
-    }
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    console.log('✅ Gemini Vision client initialized');
+function getConfiguredVisionProvider() {
+  const provider = getVisionProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`Vision provider "${provider.name}" is not configured`);
   }
-  return genAI;
+  return provider;
 }
 
 /**
- * Extract text from image buffer using Gemini Vision
+ * Extract text from image buffer using the vision provider
  */
-async function extractTextFromImage(imageBuffer, mimeType = 'image/png') {
+async function extractTextFromImage(imageBuffer, mimeType = 'image/png', { signal } = {}) {
   try {
-    const ai = initializeGemini();
-    const model = ai.getGenerativeModel({ model: MODEL_NAME });
-    
-    const base64Image = imageBuffer.toString('base64');
+    const provider = getConfiguredVisionProvider();
     
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          mimeType: mimeType,
-          data: base64Image
-        }
-      },
+    const text = await provider.extractFromMedia(
+      { data: imageBuffer, mimeType },
       `Extract ALL text from this exam paper image. 
        Include every question, sub-question, instruction, and marking scheme.
        Preserve the structure with section headers (Section A, B, C etc).
-       Output ONLY the extracted text, no commentary.`
-    ]);
-    
-    const text = result.response.text();
+       Output ONLY the extracted text, no commentary.`,
+      { signal }
+    );
     
     return {
       text: text.trim(),
@@ -53,7 +58,7 @@ async function extractTextFromImage(imageBuffer, mimeType = 'image/png') {
       success: true
     };
   } catch (error) {
-    console.error('Gemini Vision extraction error:', error.message);
+    console.error('Vision extraction error:', error.message);
     return {
       text: '',
       confidence: 0,
@@ -64,94 +69,228 @@ async function extractTextFromImage(imageBuffer, mimeType = 'image/png') {
 }
 
 /**
- * Extract text from PDF using Gemini Vision
+ * Extract text from PDF using the vision provider, sent whole
  */
-async function extractTextFromPDF(pdfBuffer) {
+async function extractTextFromPDF(pdfBuffer, { signal } = {}) {
+  const provider = getVisionProvider();
+  const method = `${provider.name}-vision`;
+  
   try {
-    const ai = initializeGemini();
-    const model = ai.getGenerativeModel({ model: MODEL_NAME });
+    getConfiguredVisionProvider();
     
-    // Check PDF size - Gemini has limits
+    if (!provider.supportsMimeType('application/pdf')) {
+      return {
+        text: '',
+        success: false,
+        error: `${provider.name} vision does not accept PDF input`,
+        method
+      };
+    }
+    
+    // Check PDF size - vision APIs limit inline payloads
     const sizeMB = pdfBuffer.length / (1024 * 1024);
-    if (sizeMB > 4) {
-      console.log(`   ⚠️ PDF too large (${sizeMB.toFixed(1)}MB), skipping Gemini OCR`);
+    if (pdfBuffer.length > MAX_INLINE_BYTES) {
+      console.log(`   ⚠️ PDF too large (${sizeMB.toFixed(1)}MB), skipping vision OCR`);
       return {
         text: '',
         success: false,
         error: 'PDF too large for vision API (max 4MB)',
-        method: 'gemini-vision'
+        method
       };
     }
     
-    const base64Pdf = pdfBuffer.toString('base64');
-    
-    console.log('   Sending PDF to Gemini Vision...');
+    console.log(`   Sending PDF to ${provider.name} vision (${provider.visionModel})...`);
     
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          mimeType: 'application/pdf',
-          data: base64Pdf
-        }
-      },
+    const text = await provider.extractFromMedia(
+      { data: pdfBuffer, mimeType: 'application/pdf' },
       `Extract ALL text from this exam paper PDF.
        Include every question, sub-question, instruction, and marking scheme.
        Preserve the structure with section headers (Section A, B, C etc).
        For each question, include the question number and full text.
-       Output ONLY the extracted text, no commentary or explanations.`
-    ]);
+       Output ONLY the extracted text, no commentary or explanations.`,
+      { signal }
+    );
     
-    const text = result.response.text();
-    
-    console.log(`   ✅ Gemini extracted ${text.length} characters`);
+    console.log(`   ✅ ${provider.name} extracted ${text.length} characters`);
     
     return {
       text: text.trim(),
       success: text.length > 50,
       avgConfidence: 95,
-      method: 'gemini-vision'
+      method
     };
   } catch (error) {
-    console.error('Gemini PDF extraction error:', error.message);
+    console.error('Vision PDF extraction error:', error.message);
     return {
       text: '',
       success: false,
       error: error.message,
-      method: 'gemini-vision'
+      method
     };
   }
 }
 
 /**
- * Extract text from scanned PDF using Gemini
+ * Run worker on every item, at most limit at a time
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Text of each page of a range from the model's output, split at the page
+ * markers it was asked for. Output without markers belongs to the first page.
+ * @returns {Map} page number -> text
+ */
+function splitPageText(text, range) {
+  const texts = new Map(range.map(page => [page, []]));
+  let current = range[0];
+  for (const line of text.split('\n')) {
+    const marker = PAGE_MARKER.exec(line);
+    if (marker) {
+      const number = parseInt(marker[1], 10);
+      // Some models count the pages of the part they were sent from 1
+      if (texts.has(number)) current = number;
+      else if (number >= 1 && number <= range.length) current = range[number - 1];
+      continue;
+    }
+    texts.get(current).push(line);
+  }
+  return new Map([...texts].map(([page, lines]) => [page, lines.join('\n').trim()]));
+}
+
+/**
+ * OCR one page range, halving it while its PDF is over the inline limit
+ * @returns {Promise<Array>} [{ page, status, text, error }] where status is
+ *   'done', 'empty' (no text found) or 'failed'
+ */
+async function ocrPageRange(provider, splitter, range, signal) {
+  const data = splitter.extractPages(range);
+  if (data.length > MAX_INLINE_BYTES) {
+    if (range.length === 1) {
+      return [{ page: range[0], status: 'failed', text: '', error: `Page too large for vision API (${(data.length / (1024 * 1024)).toFixed(1)}MB, max 4MB)` }];
+    }
+    const half = Math.ceil(range.length / 2);
+    return [
+      ...await ocrPageRange(provider, splitter, range.slice(0, half), signal),
+      ...await ocrPageRange(provider, splitter, range.slice(half), signal)
+    ];
+  }
+
+  const label = range.length > 1 ? `pages ${range[0]}-${range[range.length - 1]}` : `page ${range[0]}`;
+  try {
+    const text = await provider.extractFromMedia(
+      { data, mimeType: 'application/pdf' },
+      `Extract ALL text from these pages of an exam paper PDF. They are ${label} of the paper.
+       Start the text of every page with a line "--- PAGE n ---", n being its page number in the paper.
+       Include every question, sub-question, instruction, and marking scheme.
+       Preserve the structure with section headers (Section A, B, C etc).
+       For each question, include the question number and full text.
+       Output ONLY the extracted text, no commentary or explanations.`,
+      { signal }
+    );
+    const pageTexts = splitPageText(text, range);
+    return range.map(page => ({ page, status: pageTexts.get(page) ? 'done' : 'empty', text: pageTexts.get(page) }));
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.error(`   ⚠️ Vision OCR of ${label} failed:`, error.message);
+    return range.map(page => ({ page, status: 'failed', text: '', error: error.message }));
+  }
+}
+
+/**
+ * Extract text from scanned PDF using the vision provider, in page ranges of
+ * OCR_PAGES_PER_CHUNK pages with OCR_CONCURRENCY ranges at a time
+ * @param {Object} options - { maxPages, signal, onPage } where onPage({ page,
+ *   status, error, done, total }) is called as each page's OCR ends
+ * @returns {Promise<Object>} { text, success, pagesProcessed, pageCount, pages:
+ *   [{ page, status, chars, error }], avgConfidence, method, error } where text
+ *   holds every page that was read, in order, under a "--- PAGE n ---" line
  */
 async function extractTextFromScannedPDF(pdfBuffer, options = {}) {
-  console.log('📄 Processing PDF with Gemini Vision...');
-  
+  const { maxPages, signal, onPage } = options;
+  console.log('📄 Processing PDF with vision OCR...');
+
+  const provider = getVisionProvider();
+  const method = `${provider.name}-vision`;
+  const failure = error => ({ text: '', success: false, pagesProcessed: 0, pages: [], avgConfidence: 0, method, error });
+
   try {
-    const result = await extractTextFromPDF(pdfBuffer);
-    
-    if (result.success && result.text) {
-      return result;
-    }
-    
-    return {
-      text: '',
-      success: false,
-      pagesProcessed: 0,
-      avgConfidence: 0,
-      method: 'none',
-      error: result.error || 'Could not extract text from PDF'
-    };
-    
+    getConfiguredVisionProvider();
   } catch (error) {
-    console.error('PDF extraction error:', error);
-    return {
-      text: '',
-      success: false,
-      error: error.message
-    };
+    return failure(error.message);
+  }
+  if (!provider.supportsMimeType('application/pdf')) {
+    return failure(`${provider.name} vision does not accept PDF input`);
+  }
+
+  let splitter = null;
+  try {
+    splitter = createPdfPageSplitter(pdfBuffer);
+  } catch (error) {
+    console.log(`   ⚠️ Could not split the PDF into pages: ${error.message}`);
+  }
+
+  // Without a readable page tree the PDF can only be sent whole
+  if (!splitter || splitter.pageCount === 0) {
+    const result = await extractTextFromPDF(pdfBuffer, { signal });
+    return result.success && result.text
+      ? { ...result, pagesProcessed: 0, pages: [] }
+      : failure(result.error || 'Could not extract text from PDF');
+  }
+
+  const pageCount = splitter.pageCount;
+  const total = maxPages ? Math.min(pageCount, maxPages) : pageCount;
+  if (total < pageCount) {
+    console.log(`   ⚠️ OCR limited to the first ${total} of ${pageCount} pages`);
+  }
+
+  const pagesPerChunk = getPagesPerChunk();
+  const ranges = [];
+  for (let first = 1; first <= total; first += pagesPerChunk) {
+    ranges.push(Array.from({ length: Math.min(pagesPerChunk, total - first + 1) }, (_, i) => first + i));
   }
+  console.log(`   Sending ${total} pages to ${provider.name} vision (${provider.visionModel}) in ${ranges.length} part(s), ${getOcrConcurrency()} at a time...`);
+
+  const results = [];
+  let done = 0;
+  await runWithConcurrency(ranges, getOcrConcurrency(), async range => {
+    for (const result of await ocrPageRange(provider, splitter, range, signal)) {
+      results.push(result);
+      done++;
+      if (onPage) onPage({ page: result.page, status: result.status, error: result.error, done, total });
+    }
+  });
+
+  results.sort((a, b) => a.page - b.page);
+  const text = results
+    .filter(result => result.text)
+    .map(result => `--- PAGE ${result.page} ---\n${result.text}`)
+    .join('\n\n');
+  const failed = results.filter(result => result.status === 'failed');
+  console.log(`   ✅ ${provider.name} extracted ${text.length} characters from ${total - failed.length}/${total} pages`);
+
+  return {
+    text,
+    success: text.length > 50,
+    pagesProcessed: total,
+    pageCount,
+    pages: results.map(({ page, status, text: pageText, error }) => ({
+      page,
+      status,
+      chars: pageText ? pageText.length : 0,
+      ...(error ? { error } : {})
+    })),
+    avgConfidence: 95,
+    method,
+    ...(text.length > 50 ? {} : { error: failed.length > 0 ? failed[0].error : 'Could not extract text from PDF' })
+  };
 }
 
 /**
@@ -174,5 +313,6 @@ module.exports = {
   extractTextFromScannedPDF,
   extractTextFromPDF,
   cleanOCRText,
-  initializeGemini
+  ocrPageRange,
+  runWithConcurrency
 };
@@ -0,0 +1,198 @@
+const { extractQuestionsWithMetadata } = require('./questionExtractor');
+const { parseJsonWithRepair } = require('./responseValidator');
+
+/**
+ * Paper Digest Service
+ * Inputs too long for one request are analyzed map-reduce style: every paper,
+ * or every part of a paper over the token budget, is summarized by the LLM
+ * into its topics and questions (map), and the prediction request is made
+ * from all the digests together (reduce). Nothing is cut off, however many
+ * papers are uploaded.
+ */
+
+// Rough characters per token of English text
+const CHARS_PER_TOKEN = 4;
+
+// Inputs up to this size go to the LLM whole; larger ones are digested in chunks of it
+const DEFAULT_CHUNK_TOKENS = 4000;
+
+function getChunkTokens() {
+  return parseInt(process.env.LLM_CHUNK_TOKENS, 10) || DEFAULT_CHUNK_TOKENS;
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split papers into chunks within the token budget: one per paper, longer
+ * papers split at line breaks
+ * @returns {Array} [{ index, paperIndex, filename, year, part, parts, label, text }]
+ */
+function splitIntoChunks(papers, maxTokens = getChunkTokens()) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+
+  papers.forEach((paper, paperIndex) => {
+    const parts = [];
+    let current = '';
+    for (const line of (paper.text || '').split('\n')) {
+      // A line longer than the budget is cut wherever it must be
+      const pieces = line.length > maxChars ? line.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) : [line];
+      for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > maxChars) {
+          parts.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+      }
+    }
+    if (current.trim()) parts.push(current);
+
+    parts.forEach((text, i) => chunks.push({
+      index: chunks.length,
+      paperIndex,
+      filename: paper.filename,
+      year: paper.year || null,
+      part: i + 1,
+      parts: parts.length,
+      label: parts.length > 1 ? `${paper.filename} (part ${i + 1}/${parts.length})` : paper.filename,
+      text
+    }));
+  });
+
+  return chunks;
+}
+
+/**
+ * Prompt of the map step for one chunk
+ */
+function generateDigestPrompt(chunk, subject) {
+  return `You are summarizing a previous year question paper${subject ? ` of ${subject}` : ''} so that it can be analyzed together with other papers.
+
+PAPER: ${chunk.filename} (${chunk.year || 'year unknown'})${chunk.parts > 1 ? `, part ${chunk.part} of ${chunk.parts}` : ''}
+
+TEXT:
+"""
+${chunk.text}
+"""
+
+TASK: List every question in the text, grouped by the specific topic it tests. Keep each question's wording (only fix obvious OCR errors) and its marks when the paper gives them. Leave out instructions, headers and page numbers.
+
+Return ONLY this JSON structure:
+{
+  "topics": [
+    {
+      "topic": "Specific Topic Name",
+      "questions": [{ "text": "Complete question text", "marks": 10 }]
+    }
+  ]
+}`;
+}
+
+/**
+ * Topics and questions of a map response
+ */
+function parseDigest(content) {
+  const parsed = parseJsonWithRepair(content).value;
+  if (!parsed || !Array.isArray(parsed.topics)) {
+    throw new Error('Invalid digest structure');
+  }
+
+  return parsed.topics
+    .filter(topic => topic && Array.isArray(topic.questions))
+    .map(topic => ({
+      topic: String(topic.topic || 'General').trim(),
+      questions: topic.questions
+        .map(question => (typeof question === 'string' ? { text: question } : question || {}))
+        .filter(question => typeof question.text === 'string' && question.text.trim().length > 0)
+        .map(question => ({
+          text: question.text.trim(),
+          marks: typeof question.marks === 'number' ? question.marks : null
+        }))
+    }))
+    .filter(topic => topic.questions.length > 0);
+}
+
+/**
+ * Digest of a chunk from the questions found in it without the LLM
+ */
+function extractDigest(chunk) {
+  const questions = extractQuestionsWithMetadata(chunk.text)
+    .map(question => ({ text: question.text, marks: question.marks ?? null }));
+  return questions.length > 0 ? [{ topic: 'Extracted questions', questions }] : [];
+}
+
+/**
+ * Map step: summarize every chunk of the papers, one request at a time
+ * @param {Object} provider - LLM provider
+ * @param {Array} papers - [{ filename, year, text }] oldest first
+ * @param {Object} options - { subject, signal, onChunk } where onChunk({ index,
+ *   total, label, status }) is called as each chunk starts ('processing') and
+ *   ends ('done', or 'extracted' when the LLM failed and the questions found
+ *   in the text were used instead)
+ * @returns {Promise<Object>} { digests: [{ paperIndex, filename, year, topics,
+ *   source }], chunks, failed }
+ */
+async function digestPapers(provider, papers, { subject, signal, onChunk } = {}) {
+  const chunks = splitIntoChunks(papers);
+  const digests = [];
+  let failed = 0;
+
+  for (const chunk of chunks) {
+    const report = status => onChunk && onChunk({ index: chunk.index, total: chunks.length, label: chunk.label, status });
+    report('processing');
+
+    let topics;
+    let source = 'llm';
+    try {
+      const content = await provider.generateText(generateDigestPrompt(chunk, subject), {
+        temperature: 0.2,
+        maxOutputTokens: 4000,
+        json: true,
+        signal
+      });
+      topics = parseDigest(content);
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error(`⚠️ Could not digest ${chunk.label}:`, error.message);
+      topics = extractDigest(chunk);
+      source = 'extracted';
+      failed++;
+    }
+
+    digests.push({ paperIndex: chunk.paperIndex, filename: chunk.filename, year: chunk.year, topics, source });
+    report(source === 'llm' ? 'done' : 'extracted');
+  }
+
+  console.log(`🗂️ Digested ${chunks.length} chunk(s) of ${papers.length} paper(s)${failed > 0 ? `, ${failed} from extracted questions` : ''}`);
+  return { digests, chunks: chunks.length, failed };
+}
+
+/**
+ * Reduce step input: the digests of each paper under its paper line, oldest first
+ */
+function formatDigests(digests) {
+  const byPaper = new Map();
+  for (const digest of digests) {
+    if (!byPaper.has(digest.paperIndex)) byPaper.set(digest.paperIndex, { ...digest, topics: [] });
+    byPaper.get(digest.paperIndex).topics.push(...digest.topics);
+  }
+
+  return [...byPaper.values()].map(paper => {
+    let number = 0;
+    const topics = paper.topics.map(topic => [
+      `Topic: ${topic.topic}`,
+      ...topic.questions.map(question => `${++number}. ${question.text}${question.marks ? ` (${question.marks} marks)` : ''}`)
+    ].join('\n'));
+    return `--- PAPER: ${paper.filename} (${paper.year || 'year unknown'}) ---\n\n${topics.join('\n\n') || '(no questions found)'}`;
+  }).join('\n\n');
+}
+
+module.exports = {
+  digestPapers,
+  formatDigests,
+  splitIntoChunks,
+  estimateTokens,
+  getChunkTokens
+};
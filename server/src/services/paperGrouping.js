@@ -0,0 +1,167 @@
+const path = require('path');
+const { generateFileHash } = require('./cache');
+
+/**
+ * Paper Grouping
+ * Turns the uploaded files into papers. A PDF or text file is a paper of its
+ * own, while photos of one paper taken page by page are joined into a single
+ * paper: the form lists them as paper_<n> fields (the filenames of paper n in
+ * page order, as a JSON array or separated by commas), or they are found from
+ * numbered filenames of the same year (os2022_1.jpg, os2022_2.jpg...) when
+ * the form opts in with groupImages=true.
+ */
+
+const GROUP_FIELD = /^paper_(\d+)$/;
+
+// A name ending in a page number: "os2022_1", "os2022 (2)", "os2022-page3", "os2022p4"
+const NUMBERED_NAME = /^(.+?)(?:[\s_-]*(?:page|pg|part|p)[\s_-]*|[\s_-]+|\s*\()(\d{1,2})\)?$/i;
+
+function isImage(file) {
+  return file.mimetype.startsWith('image/');
+}
+
+function invalidGrouping(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the paper year that the upload form sends as `year_<filename>`
+ * Returns null when the field is missing or not a plausible exam year
+ */
+function getPaperYear(body, filename) {
+  const raw = body[`year_${filename}`];
+  const year = parseInt(String(raw || '').trim(), 10);
+  const maxYear = new Date().getFullYear() + 1;
+
+  if (!Number.isInteger(year) || year < 1950 || year > maxYear) {
+    return null;
+  }
+  return year;
+}
+
+/**
+ * Name and page number of a numbered filename, or null
+ */
+function parseNumberedName(filename) {
+  const match = NUMBERED_NAME.exec(path.parse(filename).name.trim());
+  return match ? { stem: match[1].trim(), page: parseInt(match[2], 10) } : null;
+}
+
+function parseFileList(value) {
+  const raw = String(value || '').trim();
+  if (raw.startsWith('[')) {
+    try {
+      const list = JSON.parse(raw);
+      if (Array.isArray(list)) return list.map(name => String(name).trim()).filter(Boolean);
+    } catch {
+      // read as a plain list below
+    }
+  }
+  return raw.split(/[,\n]/).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Groups of images from the paper_<n> fields
+ * @throws 400 errors for names that were not uploaded, are not images or are
+ *   listed twice
+ */
+function readGroupFields(files, body) {
+  const byName = new Map(files.map(file => [file.originalname, file]));
+  const assigned = new Set();
+
+  return Object.keys(body)
+    .map(key => GROUP_FIELD.exec(key))
+    .filter(Boolean)
+    .sort((a, b) => parseInt(a[1], 10) - parseInt(b[1], 10))
+    .map(([key]) => {
+      const names = parseFileList(body[key]);
+      if (names.length === 0) {
+        throw invalidGrouping(`${key} lists no files`);
+      }
+      return names.map(name => {
+        const file = byName.get(name);
+        if (!file) throw invalidGrouping(`${key} lists "${name}", which was not uploaded`);
+        if (!isImage(file)) throw invalidGrouping(`${key} lists "${name}"; only images can be grouped into one paper`);
+        if (assigned.has(name)) throw invalidGrouping(`"${name}" is listed in more than one paper`);
+        assigned.add(name);
+        return file;
+      });
+    });
+}
+
+/**
+ * Groups of numbered images with the same name and year whose numbers run
+ * from 0 or 1 without gaps; images without a year, and anything else, stay
+ * papers of their own
+ */
+function findNumberedGroups(files, body) {
+  const candidates = new Map();
+  for (const file of files.filter(isImage)) {
+    const numbered = parseNumberedName(file.originalname);
+    const year = getPaperYear(body, file.originalname);
+    if (!numbered || !year) continue;
+    const key = `${numbered.stem.toLowerCase()}|${year}`;
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push({ file, page: numbered.page });
+  }
+
+  return [...candidates.values()]
+    .filter(members => members.length > 1)
+    .map(members => members.sort((a, b) => a.page - b.page))
+    .filter(members => members[0].page <= 1 && members.every((member, i) => member.page === members[0].page + i))
+    .map(members => members.map(member => member.file));
+}
+
+function getGroupLabel(groupFiles) {
+  const first = groupFiles[0].originalname;
+  const numbered = parseNumberedName(first);
+  return `${numbered ? numbered.stem : path.parse(first).name} (${groupFiles.length} page${groupFiles.length > 1 ? 's' : ''})`;
+}
+
+/**
+ * Turn uploaded files into papers
+ * @param {Array} files - multer files in upload order
+ * @param {Object} body - form fields: year_<filename>, paper_<n>, groupImages
+ * @returns {Array} papers in upload order: [{ label, files, year, fileHash,
+ *   grouping, years }] where files are in page order, grouping is 'field',
+ *   'filename' or null for single files, year is that of the first page with
+ *   one and years lists every distinct year given for the pages
+ * @throws 400 errors for an invalid paper_<n> field
+ */
+function groupFilesIntoPapers(files, body = {}) {
+  const listed = readGroupFields(files, body).map(groupFiles => ({ files: groupFiles, grouping: 'field' }));
+  const taken = new Set(listed.flatMap(group => group.files));
+
+  // Filenames alone are weak evidence, so the user has to ask for it
+  const autoGroup = String(body.groupImages || '').toLowerCase() === 'true';
+  const numbered = autoGroup
+    ? findNumberedGroups(files.filter(file => !taken.has(file)), body).map(groupFiles => ({ files: groupFiles, grouping: 'filename' }))
+    : [];
+  numbered.forEach(group => group.files.forEach(file => taken.add(file)));
+
+  const singles = files.filter(file => !taken.has(file)).map(file => ({ files: [file], grouping: null }));
+
+  return [...listed, ...numbered, ...singles]
+    .sort((a, b) => files.indexOf(a.files[0]) - files.indexOf(b.files[0]))
+    .map(({ files: paperFiles, grouping }) => {
+      const years = [...new Set(paperFiles.map(file => getPaperYear(body, file.originalname)).filter(Boolean))];
+      return {
+        label: grouping ? getGroupLabel(paperFiles) : paperFiles[0].originalname,
+        files: paperFiles,
+        year: years[0] || null,
+        years,
+        fileHash: paperFiles.length === 1
+          ? generateFileHash(paperFiles[0].buffer)
+          : generateFileHash(Buffer.concat(paperFiles.map(file => file.buffer))),
+        grouping
+      };
+    });
+}
+
+module.exports = {
+  groupFilesIntoPapers,
+  getPaperYear,
+  parseNumberedName
+};
@@ -1,52 +1,932 @@
+const zlib = require('zlib');
+
 /**
  * PDF Text Extraction Service
- * Basic PDF handling - main extraction done by Gemini Vision
+ * Reads the text layer of digital PDFs locally (content streams, Flate
+ * compression, object streams and ToUnicode maps). Scanned PDFs have no
+ * text layer and are left to the OCR extractor.
+ */
+
+// Minimum non-whitespace characters per page for a PDF to count as digital
+const MIN_CHARS_PER_PAGE = 100;
+
+// Largest decompressed stream; a bigger one is treated as unreadable, so a
+// small compressed upload cannot fill memory
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+
+// Common glyph names used in /Differences encodings
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quoteright: '\'', quotesingle: '\'', parenleft: '(', parenright: ')',
+  asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-', period: '.', slash: '/',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  underscore: '_', quoteleft: '\'', braceleft: '{', bar: '|', braceright: '}',
+  endash: '–', emdash: '—', bullet: '•', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi',
+  quotedblleft: '"', quotedblright: '"', multiply: '×', degree: '°'
+};
+
+function isWhite(c) {
+  return c === ' ' || c === '\n' || c === '\r' || c === '\t' || c === '\f' || c === '\0';
+}
+
+function isDelimiter(c) {
+  return c === '(' || c === ')' || c === '<' || c === '>' || c === '[' || c === ']' ||
+    c === '{' || c === '}' || c === '/' || c === '%';
+}
+
+function skipWhitespace(src, pos) {
+  while (pos < src.length) {
+    const c = src[pos];
+    if (isWhite(c)) {
+      pos++;
+    } else if (c === '%') {
+      while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+function readRegular(src, pos) {
+  const start = pos;
+  while (pos < src.length && !isWhite(src[pos]) && !isDelimiter(src[pos])) pos++;
+  return { token: src.slice(start, pos), pos };
+}
+
+function parseLiteralString(src, pos) {
+  const bytes = [];
+  let depth = 1;
+  pos++; // skip (
+  while (pos < src.length) {
+    const c = src[pos];
+    if (c === '\\') {
+      const next = src[pos + 1];
+      pos += 2;
+      if (next === 'n') bytes.push(10);
+      else if (next === 'r') bytes.push(13);
+      else if (next === 't') bytes.push(9);
+      else if (next === 'b') bytes.push(8);
+      else if (next === 'f') bytes.push(12);
+      else if (next === '\r') { if (src[pos] === '\n') pos++; }
+      else if (next === '\n') { /* line continuation */ }
+      else if (next >= '0' && next <= '7') {
+        let octal = next;
+        while (octal.length < 3 && src[pos] >= '0' && src[pos] <= '7') octal += src[pos++];
+        bytes.push(parseInt(octal, 8) & 0xff);
+      } else if (next !== undefined) {
+        bytes.push(next.charCodeAt(0));
+      }
+      continue;
+    }
+    if (c === '(') depth++;
+    if (c === ')' && --depth === 0) {
+      pos++;
+      break;
+    }
+    bytes.push(c.charCodeAt(0));
+    pos++;
+  }
+  return { value: Buffer.from(bytes), pos };
+}
+
+function parseHexString(src, pos) {
+  const end = src.indexOf('>', pos);
+  const closing = end === -1 ? src.length : end;
+  let hex = src.slice(pos + 1, closing).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+  return { value: Buffer.from(hex, 'hex'), pos: closing + 1 };
+}
+
+/**
+ * Parse one PDF value at pos
+ * Names are strings starting with "/", strings are Buffers, references are
+ * { num, gen } objects, dictionaries are plain objects and keywords (content
+ * stream operators) are { op }
+ */
+function parseValue(src, pos) {
+  pos = skipWhitespace(src, pos);
+  if (pos >= src.length) return { value: undefined, pos };
+  const c = src[pos];
+
+  if (c === '/') {
+    const { token, pos: next } = readRegular(src, pos + 1);
+    return { value: '/' + token, pos: next };
+  }
+  if (c === '(') return parseLiteralString(src, pos);
+  if (c === '<') {
+    if (src[pos + 1] !== '<') return parseHexString(src, pos);
+    const dict = {};
+    pos += 2;
+    for (;;) {
+      pos = skipWhitespace(src, pos);
+      if (pos >= src.length) break;
+      if (src[pos] === '>' && src[pos + 1] === '>') {
+        pos += 2;
+        break;
+      }
+      const key = parseValue(src, pos);
+      if (typeof key.value !== 'string' || !key.value.startsWith('/')) {
+        pos = key.pos > pos ? key.pos : pos + 1;
+        continue;
+      }
+      const val = parseValue(src, key.pos);
+      dict[key.value.slice(1)] = val.value;
+      pos = val.pos;
+    }
+    return { value: dict, pos };
+  }
+  if (c === '[') {
+    const arr = [];
+    pos++;
+    for (;;) {
+      pos = skipWhitespace(src, pos);
+      if (pos >= src.length) break;
+      if (src[pos] === ']') {
+        pos++;
+        break;
+      }
+      const item = parseValue(src, pos);
+      if (item.pos <= pos) {
+        pos++;
+        continue;
+      }
+      arr.push(item.value);
+      pos = item.pos;
+    }
+    return { value: arr, pos };
+  }
+  if (c === ')' || c === '>' || c === ']' || c === '{' || c === '}') {
+    return { value: { op: c }, pos: pos + 1 };
+  }
+
+  const { token, pos: next } = readRegular(src, pos);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    // "12 0 R" is an indirect reference
+    if (/^\d+$/.test(token)) {
+      const ref = /^\s+(\d+)\s+R(?=[\s\/\[\]<>()%]|$)/.exec(src.slice(next, next + 32));
+      if (ref) {
+        return { value: { num: parseInt(token, 10), gen: parseInt(ref[1], 10) }, pos: next + ref[0].length };
+      }
+    }
+    return { value: parseFloat(token), pos: next };
+  }
+  if (token === 'true') return { value: true, pos: next };
+  if (token === 'false') return { value: false, pos: next };
+  if (token === 'null') return { value: null, pos: next };
+  return { value: { op: token }, pos: next };
+}
+
+function isRef(value) {
+  return value !== null && typeof value === 'object' && typeof value.num === 'number' && typeof value.gen === 'number';
+}
+
+/**
+ * Decode stream data according to its /Filter entries
+ */
+function decodeStream(dict, data) {
+  let filters = dict.Filter || [];
+  if (!Array.isArray(filters)) filters = [filters];
+
+  let out = data;
+  for (const filter of filters) {
+    if (filter === '/FlateDecode' || filter === '/Fl') {
+      out = inflate(out);
+      if (!out) return null;
+      const params = Array.isArray(dict.DecodeParms) ? dict.DecodeParms[0] : dict.DecodeParms;
+      if (params && params.Predictor >= 10) {
+        out = undoPngPredictor(out, params.Columns || 1, params.Colors || 1, params.BitsPerComponent || 8);
+      }
+    } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+      out = parseHexString(out.toString('latin1').replace(/>.*$/s, ''), -1).value;
+    } else if (filter === '/ASCII85Decode' || filter === '/A85') {
+      out = decodeAscii85(out.toString('latin1'));
+    } else {
+      // Image filters (DCT, JBIG2, CCITT...) carry no text
+      return null;
+    }
+  }
+  return out;
+}
+
+function isTooLarge(error) {
+  return error.code === 'ERR_BUFFER_TOO_LARGE';
+}
+
+/**
+ * Inflate a Flate stream, or null when it decompresses past MAX_INFLATED_BYTES
+ */
+function inflate(data) {
+  const limit = { maxOutputLength: MAX_INFLATED_BYTES };
+  try {
+    return zlib.inflateSync(data, limit);
+  } catch (error) {
+    if (isTooLarge(error)) return null;
+  }
+  // Truncated or slightly corrupt streams still yield useful text
+  const lenient = { ...limit, finishFlush: zlib.constants.Z_SYNC_FLUSH };
+  try {
+    return zlib.inflateSync(data, lenient);
+  } catch (error) {
+    if (isTooLarge(error)) return null;
+  }
+  try {
+    return zlib.inflateRawSync(data.slice(2), lenient);
+  } catch (error) {
+    if (isTooLarge(error)) return null;
+    throw error;
+  }
+}
+
+function undoPngPredictor(data, columns, colors, bitsPerComponent) {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = [];
+  let previous = Buffer.alloc(rowLength);
+
+  for (let offset = 0; offset + rowLength < data.length + 1; offset += rowLength + 1) {
+    const type = data[offset];
+    const row = Buffer.from(data.slice(offset + 1, offset + 1 + rowLength));
+    for (let i = 0; i < row.length; i++) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      if (type === 1) row[i] = (row[i] + left) & 0xff;
+      else if (type === 2) row[i] = (row[i] + up) & 0xff;
+      else if (type === 3) row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        row[i] = (row[i] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft)) & 0xff;
+      }
+    }
+    rows.push(row);
+    previous = row;
+  }
+  return Buffer.concat(rows);
+}
+
+function decodeAscii85(text) {
+  const body = text.replace(/^<~/, '').replace(/~>.*$/s, '').replace(/\s+/g, '');
+  const bytes = [];
+  let group = [];
+  for (const c of body) {
+    if (c === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(c.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      let value = 0;
+      for (const digit of group) value = value * 85 + digit;
+      bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 0) {
+    const missing = 5 - group.length;
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    const tail = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    bytes.push(...tail.slice(0, 4 - missing));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Read every indirect object in the file, including those packed in object streams
+ */
+function readObjects(buffer) {
+  const src = buffer.toString('latin1');
+  const objects = new Map();
+  const objectStreams = [];
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+
+  let match;
+  while ((match = pattern.exec(src)) !== null) {
+    const num = parseInt(match[1], 10);
+    let parsed;
+    try {
+      parsed = parseValue(src, pattern.lastIndex);
+    } catch {
+      continue;
+    }
+    let value = parsed.value;
+    let pos = skipWhitespace(src, parsed.pos);
+
+    if (src.startsWith('stream', pos) && value && typeof value === 'object' && !Array.isArray(value)) {
+      let start = pos + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+
+      let end = -1;
+      if (typeof value.Length === 'number' && src.startsWith('endstream', skipWhitespace(src, start + value.Length))) {
+        end = start + value.Length;
+      } else {
+        end = src.indexOf('endstream', start);
+        if (end === -1) end = src.length;
+        while (end > start && (src[end - 1] === '\n' || src[end - 1] === '\r')) end--;
+      }
+      value = { dict: value, data: buffer.slice(start, end) };
+      pos = end;
+      if (value.dict.Type === '/ObjStm') objectStreams.push(value);
+    }
+
+    // Later definitions win, as in incremental updates
+    objects.set(num, value);
+    pattern.lastIndex = Math.max(pattern.lastIndex, pos);
+  }
+
+  for (const stream of objectStreams) {
+    try {
+      const decoded = decodeStream(stream.dict, stream.data);
+      if (!decoded) continue;
+      const content = decoded.toString('latin1');
+      const first = stream.dict.First || 0;
+      const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+      for (let i = 0; i + 1 < header.length; i += 2) {
+        if (!objects.has(header[i])) {
+          objects.set(header[i], parseValue(content, first + header[i + 1]).value);
+        }
+      }
+    } catch {
+      // A broken object stream only loses the objects inside it
+    }
+  }
+
+  const trailer = readTrailer(src, objects);
+  return { objects, trailer };
+}
+
+function readTrailer(src, objects) {
+  const trailer = {};
+  const pattern = /trailer\s*<</g;
+  let match;
+  while ((match = pattern.exec(src)) !== null) {
+    try {
+      Object.assign(trailer, parseValue(src, match.index + 7).value);
+    } catch {
+      // ignore malformed trailers
+    }
+  }
+  // Cross-reference streams carry the trailer entries in their dictionary
+  for (const value of objects.values()) {
+    if (value && value.dict && value.dict.Type === '/XRef') {
+      for (const key of ['Root', 'Info', 'Encrypt']) {
+        if (value.dict[key] && !trailer[key]) trailer[key] = value.dict[key];
+      }
+    }
+  }
+  return trailer;
+}
+
+function createResolver(objects) {
+  return function resolve(value, depth = 0) {
+    while (isRef(value) && depth++ < 32) {
+      value = objects.get(value.num);
+    }
+    return value === undefined ? null : value;
+  };
+}
+
+/**
+ * Collect pages in document order, carrying inherited attributes down the tree
+ */
+function collectPages(objects, trailer, resolve) {
+  const pages = [];
+  const seen = new Set();
+  const INHERITED = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+  function walk(nodeRef, inherited) {
+    const node = resolve(nodeRef);
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    const dict = node.dict || node;
+    if (isRef(nodeRef)) {
+      if (seen.has(nodeRef.num)) return;
+      seen.add(nodeRef.num);
+    }
+
+    const attrs = { ...inherited };
+    for (const key of INHERITED) {
+      if (dict[key] !== undefined) attrs[key] = dict[key];
+    }
+
+    if (dict.Type === '/Pages' || (dict.Kids && dict.Type !== '/Page')) {
+      for (const kid of resolve(dict.Kids) || []) walk(kid, attrs);
+    } else {
+      pages.push({ ref: isRef(nodeRef) ? nodeRef : null, dict, attrs });
+    }
+  }
+
+  const root = resolve(trailer.Root);
+  if (root && root.Pages) walk(root.Pages, {});
+
+  // No usable page tree: fall back to every /Page object in file order
+  if (pages.length === 0) {
+    for (const [num, value] of [...objects.entries()].sort((a, b) => a[0] - b[0])) {
+      if (value && value.Type === '/Page') {
+        pages.push({ ref: { num, gen: 0 }, dict: value, attrs: { Resources: value.Resources } });
+      }
+    }
+  }
+  return pages;
+}
+
+/**
+ * Parse a ToUnicode CMap into a code -> text map
+ */
+function parseToUnicode(data) {
+  const text = data.toString('latin1');
+  const map = new Map();
+  const hexToText = hex => {
+    const bytes = Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+    let out = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    if (bytes.length % 2) out += String.fromCharCode(bytes[bytes.length - 1]);
+    return out;
+  };
+
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(pair[1], 16), hexToText(pair[2]));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const ranges = block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g);
+    for (const range of ranges) {
+      const low = parseInt(range[1], 16);
+      const high = Math.min(parseInt(range[2], 16), low + 0xffff);
+      if (range[3].startsWith('[')) {
+        const targets = [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(m => hexToText(m[1]));
+        targets.forEach((target, i) => map.set(low + i, target));
+      } else {
+        const base = hexToText(range[3].slice(1, -1));
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last + (code - low)));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength };
+}
+
+/**
+ * Build a decoder that turns string operands of a font into text
  */
+function createFontDecoder(fontRef, resolve) {
+  const font = resolve(fontRef) || {};
+  const toUnicode = resolve(font.ToUnicode);
+  const isComposite = font.Subtype === '/Type0';
+
+  let cmap = null;
+  if (toUnicode && toUnicode.data) {
+    try {
+      const data = decodeStream(toUnicode.dict, toUnicode.data);
+      if (data) cmap = parseToUnicode(data);
+    } catch {
+      cmap = null;
+    }
+  }
+
+  const differences = new Map();
+  const encoding = resolve(font.Encoding);
+  if (encoding && Array.isArray(resolve(encoding.Differences))) {
+    let code = 0;
+    for (const item of resolve(encoding.Differences)) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        const name = item.slice(1);
+        const uni = /^uni([0-9A-Fa-f]{4})$/.exec(name);
+        if (GLYPH_NAMES[name]) differences.set(code, GLYPH_NAMES[name]);
+        else if (uni) differences.set(code, String.fromCharCode(parseInt(uni[1], 16)));
+        else if (name.length === 1) differences.set(code, name);
+        code++;
+      }
+    }
+  }
+
+  return function decode(bytes) {
+    let out = '';
+    if (cmap) {
+      const width = isComposite ? cmap.codeLength : 1;
+      for (let i = 0; i + width <= bytes.length; i += width) {
+        const code = width === 2 ? (bytes[i] << 8) | bytes[i + 1] : bytes[i];
+        if (cmap.map.has(code)) out += cmap.map.get(code);
+        else if (!isComposite) out += differences.get(code) || String.fromCharCode(code);
+      }
+      return out;
+    }
+    // Composite fonts without a ToUnicode map have no recoverable text
+    if (isComposite) return '';
+    for (const byte of bytes) {
+      out += differences.get(byte) || (byte >= 32 ? String.fromCharCode(byte) : '');
+    }
+    return out;
+  };
+}
+
+/**
+ * Walk a content stream and collect the text it draws
+ */
+function extractContentText(content, resources, resolve, depth = 0) {
+  const src = content.toString('latin1');
+  const fonts = resolve(resources && resources.Font) || {};
+  const xObjects = resolve(resources && resources.XObject) || {};
+  const decoders = new Map();
+  let decode = () => '';
+  let out = '';
+  let lineY = null;
+  let operands = [];
+  let pos = 0;
+
+  const newLine = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+  const space = () => {
+    if (out && !/\s$/.test(out)) out += ' ';
+  };
+  const show = value => {
+    if (Buffer.isBuffer(value)) out += decode(value);
+  };
+
+  while (pos < src.length) {
+    let parsed;
+    try {
+      parsed = parseValue(src, pos);
+    } catch {
+      break;
+    }
+    if (parsed.pos <= pos) break;
+    pos = parsed.pos;
+    const value = parsed.value;
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value) || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.op) {
+      case 'Tf': {
+        const name = typeof operands[0] === 'string' ? operands[0].slice(1) : null;
+        if (name && !decoders.has(name)) decoders.set(name, createFontDecoder(fonts[name], resolve));
+        decode = (name && decoders.get(name)) || (() => '');
+        break;
+      }
+      case 'Td':
+      case 'TD': {
+        const [tx, ty] = operands;
+        if (typeof ty === 'number' && Math.abs(ty) > 0.5) {
+          newLine();
+          lineY = (lineY || 0) + ty;
+        } else if (typeof tx === 'number' && tx > 0) {
+          space();
+        }
+        break;
+      }
+      case 'Tm': {
+        const y = operands[5];
+        if (typeof y === 'number') {
+          if (lineY !== null && Math.abs(y - lineY) > 1) newLine();
+          else space();
+          lineY = y;
+        }
+        break;
+      }
+      case 'T*':
+        newLine();
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case '\'':
+        newLine();
+        show(operands[0]);
+        break;
+      case '"':
+        newLine();
+        show(operands[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (typeof item === 'number') {
+            if (item < -150) space();
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'ET':
+        space();
+        break;
+      case 'Do': {
+        const name = typeof operands[0] === 'string' ? operands[0].slice(1) : null;
+        const xObject = name ? resolve(xObjects[name]) : null;
+        if (xObject && xObject.dict && xObject.dict.Subtype === '/Form' && depth < 5) {
+          const data = decodeStream(xObject.dict, xObject.data);
+          if (data) {
+            newLine();
+            out += extractContentText(data, resolve(xObject.dict.Resources) || resources, resolve, depth + 1);
+            newLine();
+          }
+        }
+        break;
+      }
+      case 'ID': {
+        // Inline image data runs until EI
+        const end = src.slice(pos).search(/\sEI(?=[\s]|$)/);
+        pos = end === -1 ? src.length : pos + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  return out;
+}
+
+function pdfStringToText(value) {
+  if (!Buffer.isBuffer(value)) return null;
+  if (value[0] === 0xfe && value[1] === 0xff) {
+    let out = '';
+    for (let i = 2; i + 1 < value.length; i += 2) out += String.fromCharCode((value[i] << 8) | value[i + 1]);
+    return out;
+  }
+  return value.toString('latin1');
+}
 
 /**
  * Extract text from PDF buffer
- * Returns minimal info since Gemini Vision handles actual extraction
+ * Returns the text layer page by page; scanned pages come back empty
  */
 async function extractTextFromPDF(buffer) {
   try {
     // Basic PDF validation - check for PDF header
-    const header = buffer.slice(0, 5).toString();
-    if (!header.startsWith('%PDF-')) {
+    const header = buffer.slice(0, 1024).toString('latin1');
+    if (!header.includes('%PDF-')) {
       return {
         text: '',
         numPages: 0,
+        pages: [],
         error: 'Invalid PDF file'
       };
     }
-    
-    // Estimate page count from PDF (rough estimate)
-    const content = buffer.toString('binary');
-    const pageMatches = content.match(/\/Type\s*\/Page[^s]/g);
-    const numPages = pageMatches ? pageMatches.length : 1;
-    
-    // Return empty text - Gemini Vision will do the actual extraction
+
+    const { objects, trailer } = readObjects(buffer);
+    const resolve = createResolver(objects);
+    const pageList = collectPages(objects, trailer, resolve);
+
+    const infoDict = resolve(trailer.Info) || {};
+    const info = {};
+    for (const [key, value] of Object.entries(infoDict)) {
+      const text = pdfStringToText(resolve(value));
+      if (text !== null) info[key] = text;
+    }
+
+    if (trailer.Encrypt) {
+      return {
+        text: '',
+        numPages: pageList.length,
+        pages: [],
+        info,
+        metadata: {},
+        error: 'PDF is encrypted'
+      };
+    }
+
+    const pages = pageList.map((page, index) => {
+      let contents = resolve(page.dict.Contents);
+      if (!Array.isArray(contents)) contents = contents ? [page.dict.Contents] : [];
+
+      const parts = [];
+      for (const ref of contents) {
+        const stream = resolve(ref);
+        if (!stream || !stream.data) continue;
+        try {
+          const data = decodeStream(stream.dict, stream.data);
+          if (data) parts.push(data);
+        } catch (error) {
+          console.error(`⚠️ Skipping unreadable content stream on page ${index + 1}: ${error.message}`);
+        }
+      }
+
+      let text = '';
+      try {
+        text = extractContentText(Buffer.concat(parts), resolve(page.attrs.Resources), resolve);
+      } catch (error) {
+        console.error(`⚠️ Text extraction failed on page ${index + 1}: ${error.message}`);
+      }
+
+      return { pageNumber: index + 1, text: tidyPageText(text) };
+    });
+
     return {
-      text: '',
-      numPages: numPages,
-      info: {},
+      text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+      numPages: pages.length,
+      pages,
+      info,
       metadata: {}
     };
   } catch (error) {
-    console.error('PDF validation error:', error.message);
+    console.error('PDF parse error:', error.message);
     return {
       text: '',
       numPages: 0,
+      pages: [],
       error: error.message
     };
   }
 }
 
+/**
+ * Write a parsed value back as PDF syntax; refMap gives the number each
+ * referenced object has in the new file (refs it lacks become null)
+ */
+function serializeValue(value, refMap) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+  if (typeof value === 'string') return value;
+  if (Buffer.isBuffer(value)) return `<${value.toString('hex')}>`;
+  if (Array.isArray(value)) return `[${value.map(item => serializeValue(item, refMap)).join(' ')}]`;
+  if (isRef(value)) return refMap.has(value.num) ? `${refMap.get(value.num)} 0 R` : 'null';
+  // Keywords, and references already numbered for the new file
+  if (typeof value.op === 'string') return value.op;
+  return `<<${Object.entries(value).map(([key, item]) => `/${key} ${serializeValue(item, refMap)}`).join(' ')}>>`;
+}
+
+function forEachRef(value, visit) {
+  if (isRef(value)) {
+    visit(value);
+  } else if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const target = value.dict && Buffer.isBuffer(value.data) ? value.dict : value;
+    for (const item of Array.isArray(target) ? target : Object.values(target)) forEachRef(item, visit);
+  }
+}
+
+/**
+ * Decoded content streams of a page, or null when one cannot be decoded
+ */
+function readPageContent(page, resolve) {
+  let contents = resolve(page.dict.Contents);
+  if (!Array.isArray(contents)) contents = contents ? [page.dict.Contents] : [];
+
+  const parts = [];
+  for (const ref of contents) {
+    const stream = resolve(ref);
+    if (!stream || !stream.data) continue;
+    const data = decodeStream(stream.dict, stream.data);
+    if (!data) return null;
+    parts.push(data);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Page resources without the images and forms the page does not draw:
+ * producers often share one resource dictionary between all pages
+ */
+function pruneResources(page, resolve) {
+  const resources = resolve(page.attrs.Resources);
+  const xobjects = resources && typeof resources === 'object' ? resolve(resources.XObject) : null;
+  if (!xobjects || typeof xobjects !== 'object' || Array.isArray(xobjects)) return page.attrs.Resources;
+
+  let content;
+  try {
+    content = readPageContent(page, resolve);
+  } catch {
+    content = null;
+  }
+  if (!content) return page.attrs.Resources;
+
+  const used = new Set([...content.toString('latin1').matchAll(/\/([^\s\/\[\]<>()%]+)\s*Do\b/g)].map(match => match[1]));
+  return {
+    ...resources,
+    XObject: Object.fromEntries(Object.entries(xobjects).filter(([name]) => used.has(name)))
+  };
+}
+
+/**
+ * Read a PDF's page tree once to build smaller PDFs of some of its pages,
+ * e.g. to send a large scan to a vision API in parts
+ * @returns {Object} { pageCount, extractPages(pageNumbers) -> Buffer } where
+ *   page numbers start at 1; the new file holds only what those pages use
+ * @throws when the PDF is encrypted
+ */
+function createPdfPageSplitter(buffer) {
+  const { objects, trailer } = readObjects(buffer);
+  if (trailer.Encrypt) {
+    throw new Error('PDF is encrypted');
+  }
+  const resolve = createResolver(objects);
+  const pageList = collectPages(objects, trailer, resolve);
+
+  function extractPages(pageNumbers) {
+    const selected = pageNumbers.map(number => pageList[number - 1]).filter(Boolean);
+    const selectedRefs = new Set(selected.filter(page => page.ref).map(page => page.ref.num));
+
+    // 1 is the catalog and 2 the page tree; everything else is renumbered from 3
+    const refMap = new Map();
+    const bodies = [];
+    const pageNumbersOut = [];
+
+    for (const page of selected) {
+      const dict = {
+        ...page.dict,
+        ...page.attrs,
+        Resources: pruneResources(page, resolve),
+        Type: '/Page',
+        Parent: { op: '2 0 R' }
+      };
+      // Annotations and article beads point at other pages
+      delete dict.Annots;
+      delete dict.B;
+      delete dict.StructParents;
+      const number = 3 + bodies.length;
+      if (page.ref) refMap.set(page.ref.num, number);
+      pageNumbersOut.push(number);
+      bodies.push(dict);
+    }
+
+    // Everything the pages reach, except other pages and the old page tree
+    for (let i = 0; i < bodies.length; i++) {
+      forEachRef(bodies[i], ref => {
+        if (refMap.has(ref.num) || !objects.has(ref.num)) return;
+        const value = objects.get(ref.num);
+        const dict = value && value.dict && Buffer.isBuffer(value.data) ? value.dict : value;
+        if (dict && (dict.Type === '/Page' || dict.Type === '/Pages') && !selectedRefs.has(ref.num)) return;
+        refMap.set(ref.num, 3 + bodies.length);
+        bodies.push(value);
+      });
+    }
+
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const write = part => {
+      const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+      parts.push(chunk);
+      length += chunk.length;
+    };
+
+    write('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n');
+    const all = [
+      '<</Type /Catalog /Pages 2 0 R>>',
+      `<</Type /Pages /Kids [${pageNumbersOut.map(number => `${number} 0 R`).join(' ')}] /Count ${pageNumbersOut.length}>>`,
+      ...bodies
+    ];
+    all.forEach((value, i) => {
+      offsets.push(length);
+      write(`${i + 1} 0 obj\n`);
+      if (value && value.dict && Buffer.isBuffer(value.data)) {
+        write(`${serializeValue({ ...value.dict, Length: value.data.length }, refMap)}\nstream\n`);
+        write(value.data);
+        write('\nendstream\nendobj\n');
+      } else {
+        write(`${typeof value === 'string' ? value : serializeValue(value, refMap)}\nendobj\n`);
+      }
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${all.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+    write(`trailer\n<</Size ${all.length + 1} /Root 1 0 R>>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return Buffer.concat(parts);
+  }
+
+  return { pageCount: pageList.length, extractPages };
+}
+
+/**
+ * Tidy the text of one page while keeping its line structure
+ */
+function tidyPageText(text) {
+  return text
+    .replace(/[\u200B-\u200D\uFEFF\u0000]/g, '')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
 /**
  * Clean extracted PDF text
  */
 function cleanExtractedText(text) {
   if (!text) return '';
-  
+
   return text
     .replace(/[\u200B-\u200D\uFEFF]/g, '')
     .replace(/\s+/g, ' ')
@@ -56,10 +936,17 @@ function cleanExtractedText(text) {
 
 /**
  * Check if PDF is likely scanned (image-based)
- * Always returns true since we use Gemini Vision for all PDFs
+ * A digital PDF has a reasonable amount of readable text on each page
  */
 function isLikelyScannedPDF(extractedText, numPages) {
-  return true; // Always use OCR path
+  const compact = (extractedText || '').replace(/\s+/g, '');
+  if (compact.length < MIN_CHARS_PER_PAGE * Math.max(1, numPages || 1)) {
+    return true;
+  }
+
+  // Fonts without a usable encoding produce symbol soup instead of words
+  const letters = (compact.match(/[A-Za-z\u00C0-\u024F\u0900-\u097F]/g) || []).length;
+  return letters / compact.length < 0.5;
 }
 
 /**
@@ -79,6 +966,7 @@ function extractPDFMetadata(info, metadata) {
 
 module.exports = {
   extractTextFromPDF,
+  createPdfPageSplitter,
   cleanExtractedText,
   isLikelyScannedPDF,
   extractPDFMetadata
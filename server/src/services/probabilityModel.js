@@ -0,0 +1,166 @@
+const { getShingles, jaccard } = require('./questionClusterer');
+
+/**
+ * Prediction Probability Model
+ * Estimates how likely a predicted question is to appear from the history of
+ * the papers: how often its question was asked (recent papers count more),
+ * how long it has been since it was last asked compared with how often it
+ * comes up, and how many marks it carried. The estimate is blended with the
+ * LLM's own, and history gets more say the more papers there are.
+ */
+
+// A paper's weight halves with every this many years before the latest paper
+const HALF_LIFE_YEARS = 2;
+
+// Shares of the history score
+const WEIGHTS = { frequency: 0.6, gap: 0.25, marks: 0.15 };
+
+// Share of history in the blend with the LLM estimate, reached as the number
+// of papers grows: papers / (papers + PRIOR_PAPERS) of it is used
+const HISTORY_WEIGHT = 0.7;
+const PRIOR_PAPERS = 2;
+
+// Shingle-set Jaccard similarity at which a prediction is an earlier question reworded
+const MATCH_THRESHOLD = 0.3;
+
+const MIN_PROBABILITY = 0.05;
+const MAX_PROBABILITY = 0.95;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Recency weight of every paper; undated papers count as the oldest
+ */
+function getPaperWeights(papers) {
+  const years = papers.map(paper => paper.year).filter(Boolean);
+  if (years.length === 0) return papers.map(() => 1);
+  const latest = Math.max(...years);
+  const earliest = Math.min(...years);
+  return papers.map(paper => Math.pow(0.5, (latest - (paper.year || earliest)) / HALF_LIFE_YEARS));
+}
+
+/**
+ * Clusters a prediction rewords: similar wording to one of the members, or
+ * all of the cluster's topic terms (at least two) in the prediction
+ */
+function findMatchingClusters(prediction, clusterShingles, clusters) {
+  const shingles = getShingles(prediction.question);
+  return clusters.filter((cluster, i) =>
+    clusterShingles[i].some(member => jaccard(shingles, member) >= MATCH_THRESHOLD) ||
+    (cluster.terms.length >= 2 && cluster.terms.every(term => shingles.has(term))));
+}
+
+/**
+ * How overdue a question is: years since it was last asked over its usual
+ * interval between appearances, 0 (asked in the latest paper) to 1 (due)
+ */
+function scoreGap(askedYears, allYears) {
+  if (askedYears.length === 0 || allYears.length === 0) return { score: 0, yearsSinceAsked: null };
+  const latest = allYears[allYears.length - 1];
+  const lastAsked = askedYears[askedYears.length - 1];
+  const interval = askedYears.length > 1
+    ? (lastAsked - askedYears[0]) / (askedYears.length - 1)
+    : Math.max(1, latest - allYears[0]);
+  const yearsSinceAsked = latest - lastAsked;
+  return { score: Math.min(1, yearsSinceAsked / Math.max(1, interval)), yearsSinceAsked };
+}
+
+function describeBreakdown(breakdown) {
+  const history = [
+    breakdown.askedIn > 0
+      ? `asked in ${breakdown.askedIn} of ${breakdown.papers} papers${breakdown.lastAsked ? `, last in ${breakdown.lastAsked}` : ''}`
+      : `not asked in the ${breakdown.papers} papers`,
+    `recency-weighted frequency ${percent(breakdown.frequency)}`,
+    `gap ${percent(breakdown.gap)}`,
+    `marks weight ${percent(breakdown.marks)}`
+  ].join(', ');
+
+  if (breakdown.llm === null) {
+    return `Probability ${percent(breakdown.probability)} from history (${history})`;
+  }
+  return `Probability ${percent(breakdown.probability)} = ${percent(breakdown.historyWeight)} × history ${percent(breakdown.history)} (${history}) + ${percent(1 - breakdown.historyWeight)} × model estimate ${percent(breakdown.llm)}`;
+}
+
+/**
+ * Score predictions against the history of the papers
+ * @param {Array} predictions - [{ question, marks, probability, rationale }] where
+ *   probability is the LLM's estimate (0..1) or null
+ * @param {Object} options - { papers, clusters, useModelEstimate } where papers are
+ *   [{ year }] in the order the clusters' paperIndexes refer to, and
+ *   useModelEstimate is false when the probabilities did not come from the LLM
+ * @returns {Array} the predictions with the blended probability, the breakdown
+ *   appended to their rationale and as probabilityBreakdown: { probability,
+ *   history, llm, historyWeight, frequency, gap, marks, askedIn, papers,
+ *   lastAsked, yearsSinceAsked }
+ */
+function scorePredictions(predictions, { papers = [], clusters = [], useModelEstimate = true } = {}) {
+  const paperWeights = getPaperWeights(papers);
+  const totalWeight = paperWeights.reduce((sum, weight) => sum + weight, 0);
+  const allYears = [...new Set(papers.map(paper => paper.year).filter(Boolean))].sort((a, b) => a - b);
+  const clusterShingles = clusters.map(cluster => cluster.members.map(member => getShingles(member.text)));
+
+  const knownMarks = clusters.flatMap(cluster => cluster.members.map(member => member.marks).filter(Boolean));
+  const maxMarks = Math.max(0, ...knownMarks, ...predictions.map(p => p.marks || 0));
+
+  const historyWeight = useModelEstimate ? HISTORY_WEIGHT * papers.length / (papers.length + PRIOR_PAPERS) : 1;
+
+  return predictions.map(prediction => {
+    const matched = findMatchingClusters(prediction, clusterShingles, clusters);
+    const paperIndexes = [...new Set(matched.flatMap(cluster => cluster.paperIndexes))];
+    const askedYears = [...new Set(matched.flatMap(cluster => cluster.years))].sort((a, b) => a - b);
+
+    const frequency = totalWeight > 0
+      ? paperIndexes.reduce((sum, i) => sum + (paperWeights[i] || 0), 0) / totalWeight
+      : 0;
+    const gap = scoreGap(askedYears, allYears);
+
+    // Marks the question carried before, or the marks it is predicted for
+    const marksAsked = matched.flatMap(cluster => cluster.members.map(member => member.marks).filter(Boolean));
+    const marksValue = marksAsked.length > 0
+      ? marksAsked.reduce((sum, value) => sum + value, 0) / marksAsked.length
+      : prediction.marks || 0;
+    const marks = maxMarks > 0 ? marksValue / maxMarks : 0;
+
+    const history = WEIGHTS.frequency * frequency + WEIGHTS.gap * gap.score + WEIGHTS.marks * marks;
+    const llm = useModelEstimate && typeof prediction.probability === 'number' ? prediction.probability : null;
+    const weight = llm === null ? 1 : historyWeight;
+    const probability = Math.min(MAX_PROBABILITY, Math.max(MIN_PROBABILITY,
+      weight * history + (1 - weight) * (llm ?? 0)));
+
+    const breakdown = {
+      probability: round(probability),
+      history: round(history),
+      llm: llm === null ? null : round(llm),
+      historyWeight: round(weight),
+      frequency: round(frequency),
+      gap: round(gap.score),
+      marks: round(marks),
+      askedIn: paperIndexes.length,
+      papers: papers.length,
+      lastAsked: askedYears.length > 0 ? askedYears[askedYears.length - 1] : null,
+      yearsSinceAsked: gap.yearsSinceAsked
+    };
+
+    return {
+      ...prediction,
+      probability: breakdown.probability,
+      rationale: [(prediction.rationale || '').replace(/[.\s]+$/, ''), describeBreakdown(breakdown)]
+        .filter(Boolean)
+        .join('. '),
+      probabilityBreakdown: breakdown
+    };
+  });
+}
+
+module.exports = {
+  scorePredictions,
+  HISTORY_WEIGHT,
+  WEIGHTS,
+  MATCH_THRESHOLD
+};
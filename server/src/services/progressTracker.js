@@ -1,15 +1,112 @@
+const crypto = require('crypto');
+const os = require('os');
+const { createJobStore } = require('./jobStores');
+
 /**
  * Progress Tracking Service
  * Manages job progress for long-running operations with SSE support
  */
 
-// In-memory job store
-const jobs = new Map();
+// Job records live in the configured store; connections and abort
+// controllers only exist in the process running or watching the job
+let store = createJobStore();
+const runtime = new Map();
+
+// Statuses after which a job no longer changes
+const FINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+// Identifies this process in job records, so a restart can find the jobs it abandoned
+const INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+
+// A running job not updated for this long is assumed to belong to a dead process
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// How often SSE clients of jobs running in another instance are refreshed
+const REMOTE_POLL_MS = 1000;
+
+// Updates kept per job for replay; older ones are dropped so a long job
+// (one update per OCR page) does not grow its record without bound
+const MAX_STORED_UPDATES = 200;
+
+// Finished jobs are kept this long for status checks and reconnecting clients
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+function getRuntime(jobId) {
+  if (!runtime.has(jobId)) {
+    runtime.set(jobId, { clients: new Set(), abortController: null, poller: null, lastSentId: 0 });
+  }
+  return runtime.get(jobId);
+}
+
+/**
+ * Whether a job has reached a final status
+ */
+function isJobFinished(job) {
+  return FINAL_STATUSES.has(job.status);
+}
+
+/**
+ * Format one update as an SSE event; the completed event carries the result
+ */
+function formatEvent(job, update) {
+  const payload = update.status === 'completed' ? { ...update, result: job.result } : update;
+  return `id: ${update.id}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Id of the latest update of a job, or 0
+ */
+function getLastUpdateId(job) {
+  const latest = job.updates[job.updates.length - 1];
+  return job.lastUpdateId || (latest ? latest.id : 0);
+}
+
+/**
+ * Append an update to the job history and push it to connected clients
+ */
+function pushUpdate(job, data) {
+  const update = { id: getLastUpdateId(job) + 1, ...data };
+  job.lastUpdateId = update.id;
+  job.updates.push(update);
+  if (job.updates.length > MAX_STORED_UPDATES) {
+    job.updates = job.updates.slice(-MAX_STORED_UPDATES);
+  }
+  store.save(job);
+
+  const state = runtime.get(job.id);
+  if (!state) return update;
+
+  state.clients.forEach(client => {
+    try {
+      client.write(formatEvent(job, update));
+    } catch (e) {
+      state.clients.delete(client);
+    }
+  });
+  state.lastSentId = update.id;
+
+  return update;
+}
+
+/**
+ * Close all SSE streams of a finished job and drop its runtime state
+ */
+function closeClients(jobId) {
+  const state = runtime.get(jobId);
+  if (!state) return;
+
+  state.clients.forEach(client => {
+    try { client.end(); } catch (e) {}
+  });
+  if (state.poller) clearInterval(state.poller);
+  runtime.delete(jobId);
+}
 
 /**
  * Create a new job
+ * @param {Object} meta - { userId } owner of the job, allowed to cancel it
  */
-function createJob(jobId, totalSteps = 100) {
+function createJob(jobId, totalSteps = 100, meta = {}) {
   const job = {
     id: jobId,
     status: 'pending',
@@ -18,71 +115,111 @@ function createJob(jobId, totalSteps = 100) {
     currentStep: 0,
     message: 'Initializing...',
     startTime: Date.now(),
-    updates: [],
-    clients: new Set()
+    lastUpdate: Date.now(),
+    userId: meta.userId || null,
+    instanceId: INSTANCE_ID,
+    lastUpdateId: 0,
+    updates: []
   };
-  jobs.set(jobId, job);
+  store.save(job);
+  getRuntime(jobId).abortController = new AbortController();
   return job;
 }
 
+/**
+ * Load a job this process is running, noticing cancellation by another instance
+ */
+function loadRunningJob(jobId) {
+  const job = store.get(jobId);
+  if (!job) return null;
+
+  const state = runtime.get(jobId);
+  if (job.status === 'cancelled' && state && state.abortController && !state.abortController.signal.aborted) {
+    state.abortController.abort();
+    closeClients(jobId);
+  }
+
+  return isJobFinished(job) ? null : job;
+}
+
 /**
  * Update job progress
  */
 function updateProgress(jobId, progress, message, data = {}) {
-  const job = jobs.get(jobId);
+  const job = loadRunningJob(jobId);
   if (!job) return null;
-  
+
   job.progress = Math.min(100, Math.max(0, progress));
   job.message = message;
-  job.status = progress >= 100 ? 'completed' : 'processing';
+  // Only completeJob finishes a job, so the result is always stored with it
+  job.status = 'processing';
   job.lastUpdate = Date.now();
-  
-  const update = {
+
+  pushUpdate(job, {
     progress: job.progress,
     message,
+    status: job.status,
     timestamp: job.lastUpdate,
     ...data
-  };
-  
-  job.updates.push(update);
-  
-  // Notify all SSE clients
-  job.clients.forEach(client => {
-    try {
-      client.write(`data: ${JSON.stringify(update)}\n\n`);
-    } catch (e) {
-      job.clients.delete(client);
-    }
   });
-  
+
   return job;
 }
 
 /**
  * Set job as failed
+ * @param {Object} details - extra data for clients (e.g. fileResults)
  */
-function failJob(jobId, error) {
-  const job = jobs.get(jobId);
+function failJob(jobId, error, details = {}) {
+  const job = loadRunningJob(jobId);
   if (!job) return null;
-  
+
   job.status = 'failed';
   job.error = error;
+  job.errorDetails = details;
+  job.message = `Error: ${error}`;
   job.endTime = Date.now();
-  
-  const update = {
+  job.lastUpdate = job.endTime;
+
+  pushUpdate(job, {
     progress: job.progress,
-    message: `Error: ${error}`,
+    message: job.message,
     status: 'failed',
-    timestamp: Date.now()
-  };
-  
-  job.clients.forEach(client => {
-    try {
-      client.write(`data: ${JSON.stringify(update)}\n\n`);
-      client.end();
-    } catch (e) {}
+    error,
+    ...details,
+    timestamp: job.endTime
   });
-  
+  closeClients(jobId);
+
+  return job;
+}
+
+/**
+ * Cancel a running job; the work stops at its next cancellation check.
+ * A job running in another instance stops at its next progress update.
+ */
+function cancelJob(jobId) {
+  const job = store.get(jobId);
+  if (!job || isJobFinished(job)) return null;
+
+  job.status = 'cancelled';
+  job.message = 'Analysis cancelled';
+  job.endTime = Date.now();
+  job.lastUpdate = job.endTime;
+
+  pushUpdate(job, {
+    progress: job.progress,
+    message: job.message,
+    status: 'cancelled',
+    timestamp: job.endTime
+  });
+
+  const state = runtime.get(jobId);
+  if (state && state.abortController) {
+    state.abortController.abort();
+  }
+  closeClients(jobId);
+
   return job;
 }
 
@@ -90,30 +227,26 @@ function failJob(jobId, error) {
  * Complete a job
  */
 function completeJob(jobId, result = {}) {
-  const job = jobs.get(jobId);
+  const job = loadRunningJob(jobId);
   if (!job) return null;
-  
+
   job.status = 'completed';
   job.progress = 100;
+  job.message = 'Analysis complete!';
   job.result = result;
   job.endTime = Date.now();
+  job.lastUpdate = job.endTime;
   job.duration = job.endTime - job.startTime;
-  
-  const update = {
+
+  pushUpdate(job, {
     progress: 100,
-    message: 'Analysis complete!',
+    message: job.message,
     status: 'completed',
     duration: job.duration,
-    timestamp: Date.now()
-  };
-  
-  job.clients.forEach(client => {
-    try {
-      client.write(`data: ${JSON.stringify(update)}\n\n`);
-      client.end();
-    } catch (e) {}
+    timestamp: job.endTime
   });
-  
+  closeClients(jobId);
+
   return job;
 }
 
@@ -121,25 +254,81 @@ function completeJob(jobId, result = {}) {
  * Get job status
  */
 function getJob(jobId) {
-  return jobs.get(jobId);
+  return store.get(jobId);
+}
+
+/**
+ * Abort signal that fires when the job is cancelled
+ */
+function getJobSignal(jobId) {
+  const state = runtime.get(jobId);
+  return state && state.abortController ? state.abortController.signal : undefined;
+}
+
+/**
+ * Forward updates of a job running in another instance to this process's clients
+ */
+function watchRemoteJob(jobId) {
+  const state = getRuntime(jobId);
+  if (state.poller || state.abortController || !store.shared) return;
+
+  state.poller = setInterval(() => {
+    const job = store.get(jobId);
+    if (!job) {
+      closeClients(jobId);
+      return;
+    }
+
+    const missed = job.updates.filter(update => update.id > state.lastSentId);
+    missed.forEach(update => {
+      state.clients.forEach(client => {
+        try { client.write(formatEvent(job, update)); } catch (e) { state.clients.delete(client); }
+      });
+      state.lastSentId = update.id;
+    });
+
+    if (isJobFinished(job)) closeClients(jobId);
+  }, REMOTE_POLL_MS);
 }
 
 /**
  * Add SSE client to job
+ * @param {number} lastEventId - from the Last-Event-ID header of a reconnecting
+ *   client; the updates after it are replayed. Without it, or when updates it
+ *   missed are no longer stored, the client gets the current status.
  */
-function addClient(jobId, res) {
-  const job = jobs.get(jobId);
+function addClient(jobId, res, lastEventId = null) {
+  const job = store.get(jobId);
   if (!job) return false;
-  
-  job.clients.add(res);
-  
-  // Send current status immediately
-  res.write(`data: ${JSON.stringify({
-    progress: job.progress,
-    message: job.message,
-    status: job.status
-  })}\n\n`);
-  
+
+  const oldest = job.updates[0];
+  if (lastEventId !== null && (!oldest || oldest.id <= lastEventId + 1)) {
+    job.updates
+      .filter(update => update.id > lastEventId)
+      .forEach(update => res.write(formatEvent(job, update)));
+  } else {
+    res.write(formatEvent(job, {
+      id: getLastUpdateId(job),
+      progress: job.progress,
+      message: job.message,
+      status: job.status,
+      ...(job.status === 'failed' ? { error: job.error, ...job.errorDetails } : {})
+    }));
+  }
+
+  if (isJobFinished(job)) {
+    res.end();
+    return true;
+  }
+
+  const state = getRuntime(jobId);
+  state.clients.add(res);
+  if (!state.abortController) {
+    // Running elsewhere: replay has covered everything stored so far
+    state.lastSentId = Math.max(state.lastSentId, getLastUpdateId(job));
+    watchRemoteJob(jobId);
+  }
+
   return true;
 }
 
@@ -147,23 +336,70 @@ function addClient(jobId, res) {
  * Remove SSE client from job
  */
 function removeClient(jobId, res) {
-  const job = jobs.get(jobId);
-  if (job) {
-    job.clients.delete(res);
+  const state = runtime.get(jobId);
+  if (!state) return;
+
+  state.clients.delete(res);
+
+  // Stop polling for a remote job nobody is watching
+  if (state.poller && state.clients.size === 0) {
+    clearInterval(state.poller);
+    runtime.delete(jobId);
   }
 }
 
 /**
- * Clean up old jobs (older than 1 hour)
+ * Mark running jobs that can no longer finish as failed: jobs this instance
+ * was running before a restart, and jobs whose process stopped updating them.
+ * Uploaded files are only held in memory, so these jobs cannot be resumed.
+ */
+function recoverInterruptedJobs({ onStartup = false } = {}) {
+  const now = Date.now();
+  let recovered = 0;
+
+  for (const job of store.list()) {
+    if (isJobFinished(job) || runtime.get(job.id)?.abortController) continue;
+
+    const abandoned = onStartup && job.instanceId === INSTANCE_ID;
+    const stale = now - (job.lastUpdate || job.startTime) > STALE_JOB_MS;
+    if (!abandoned && !stale) continue;
+
+    job.status = 'failed';
+    job.error = 'Analysis was interrupted by a server restart. Please upload the papers again.';
+    job.errorDetails = { interrupted: true, resumable: false };
+    job.message = `Error: ${job.error}`;
+    job.endTime = now;
+    job.lastUpdate = now;
+    pushUpdate(job, {
+      progress: job.progress,
+      message: job.message,
+      status: 'failed',
+      error: job.error,
+      ...job.errorDetails,
+      timestamp: now
+    });
+    recovered++;
+  }
+
+  if (recovered > 0) {
+    console.log(`♻️ Marked ${recovered} interrupted job(s) as failed`);
+  }
+  return recovered;
+}
+
+/**
+ * Delete jobs finished more than an hour ago. Running jobs are left alone,
+ * whichever instance owns them; those nobody updates any more are first
+ * failed by recoverInterruptedJobs and deleted an hour later.
  */
 function cleanupOldJobs() {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [jobId, job] of jobs.entries()) {
-    if (job.startTime < oneHourAgo) {
-      job.clients.forEach(client => {
-        try { client.end(); } catch (e) {}
-      });
-      jobs.delete(jobId);
+  recoverInterruptedJobs();
+
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const job of store.list()) {
+    if (isJobFinished(job) && (job.lastUpdate || job.startTime) < cutoff) {
+      closeClients(job.id);
+      store.delete(job.id);
     }
   }
 }
@@ -171,11 +407,26 @@ function cleanupOldJobs() {
 // Run cleanup every 30 minutes
 setInterval(cleanupOldJobs, 30 * 60 * 1000);
 
+/**
+ * Swap the job store (tests, or a store configured after startup)
+ */
+function setJobStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Store info for health checks
+ */
+function getJobStoreInfo() {
+  return { store: store.name, shared: store.shared, instanceId: INSTANCE_ID };
+}
+
 /**
  * Generate unique job ID
  */
 function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // The id is the only handle on an async job's result, so keep it unguessable
+  return `job_${Date.now()}_${crypto.randomBytes(12).toString('hex')}`;
 }
 
 module.exports = {
@@ -183,9 +434,15 @@ module.exports = {
   updateProgress,
   failJob,
   completeJob,
+  cancelJob,
   getJob,
+  getJobSignal,
+  isJobFinished,
   addClient,
   removeClient,
   generateJobId,
-  cleanupOldJobs
+  cleanupOldJobs,
+  recoverInterruptedJobs,
+  setJobStore,
+  getJobStoreInfo
 };
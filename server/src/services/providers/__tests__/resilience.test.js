@@ -0,0 +1,251 @@
+const http = require('http');
+const { createOpenAIProvider } = require('../openaiProvider');
+const { withResilience, callWithResilience, getCircuitStatus, resetCircuitBreakers } = require('../resilience');
+const { embedTexts } = require('../../embeddings');
+
+/**
+ * Local stand-in for an OpenAI-compatible server. Each request takes the next
+ * scripted reply: { status, headers, delayMs }, or a completion when the
+ * script runs out.
+ */
+function createProviderStandIn() {
+  const replies = [];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    requests.push({ path: req.url, at: Date.now() });
+    const reply = replies.shift() || { status: 200 };
+    const timer = setTimeout(() => {
+      const body = reply.status === 200
+        ? { choices: [{ message: { content: 'stand-in answer' } }] }
+        : { error: { message: `status ${reply.status}` } };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(body));
+    }, reply.delayMs || 0);
+    res.on('close', () => clearTimeout(timer));
+  });
+
+  return {
+    requests,
+    reply(...scripted) {
+      replies.push(...scripted);
+    },
+    listen() {
+      return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1`)));
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const ENV = {
+  LLM_TIMEOUT_MS: '2000',
+  LLM_MAX_RETRIES: '3',
+  LLM_RETRY_BASE_MS: '10',
+  LLM_RETRY_MAX_MS: '1000',
+  LLM_BREAKER_THRESHOLD: '5',
+  LLM_BREAKER_COOLDOWN_MS: '200'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('provider resilience against a local server', () => {
+  let standIn;
+  let provider;
+  const savedEnv = {};
+
+  beforeAll(async () => {
+    standIn = createProviderStandIn();
+    provider = withResilience(createOpenAIProvider({ baseUrl: await standIn.listen() }));
+  });
+
+  afterAll(() => standIn.close());
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    for (const [name, value] of Object.entries(ENV)) {
+      savedEnv[name] = process.env[name];
+      process.env[name] = value;
+    }
+    standIn.requests.length = 0;
+    resetCircuitBreakers();
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('retries server errors until a call succeeds', async () => {
+    standIn.reply({ status: 503 }, { status: 502 });
+
+    await expect(provider.generateText('prompt')).resolves.toBe('stand-in answer');
+    expect(standIn.requests).toHaveLength(3);
+    expect(getCircuitStatus('openai')).toMatchObject({ state: 'closed', consecutiveFailures: 0, retries: 2 });
+  });
+
+  test('gives up after LLM_MAX_RETRIES retries', async () => {
+    process.env.LLM_MAX_RETRIES = '2';
+    standIn.reply({ status: 500 }, { status: 500 }, { status: 500 });
+
+    await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 500 });
+    expect(standIn.requests).toHaveLength(3);
+  });
+
+  test('does not retry a rejected request', async () => {
+    standIn.reply({ status: 400 });
+
+    await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 400 });
+    expect(standIn.requests).toHaveLength(1);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    standIn.reply({ status: 429, headers: { 'Retry-After': '0.3' } });
+
+    await expect(provider.generateText('prompt')).resolves.toBe('stand-in answer');
+    expect(standIn.requests).toHaveLength(2);
+    expect(standIn.requests[1].at - standIn.requests[0].at).toBeGreaterThanOrEqual(280);
+  });
+
+  test('fails at once when Retry-After is longer than LLM_RETRY_MAX_MS', async () => {
+    standIn.reply({ status: 429, headers: { 'Retry-After': '120' } });
+
+    await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 429 });
+    expect(standIn.requests).toHaveLength(1);
+  });
+
+  test('times out a slow attempt and retries it', async () => {
+    process.env.LLM_TIMEOUT_MS = '100';
+    standIn.reply({ status: 200, delayMs: 1000 });
+
+    await expect(provider.generateText('prompt')).resolves.toBe('stand-in answer');
+    expect(standIn.requests).toHaveLength(2);
+  });
+
+  test('reports the timeout when every attempt is too slow', async () => {
+    process.env.LLM_TIMEOUT_MS = '100';
+    process.env.LLM_MAX_RETRIES = '0';
+    standIn.reply({ status: 200, delayMs: 1000 });
+
+    await expect(provider.generateText('prompt')).rejects.toMatchObject({ timeout: true, message: 'timed out after 100ms' });
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      process.env.LLM_MAX_RETRIES = '0';
+      process.env.LLM_BREAKER_THRESHOLD = '2';
+    });
+
+    async function openBreaker() {
+      standIn.reply({ status: 503 }, { status: 503 });
+      await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 503 });
+      await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 503 });
+    }
+
+    test('opens after LLM_BREAKER_THRESHOLD failures and refuses calls without sending them', async () => {
+      await openBreaker();
+
+      await expect(provider.generateText('prompt')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
+      expect(standIn.requests).toHaveLength(2);
+      expect(getCircuitStatus('openai')).toMatchObject({ state: 'open', timesOpened: 1 });
+    });
+
+    test('turns half-open after the cooldown and closes when the trial call succeeds', async () => {
+      await openBreaker();
+      await sleep(250);
+      expect(getCircuitStatus('openai').state).toBe('half-open');
+
+      await expect(provider.generateText('prompt')).resolves.toBe('stand-in answer');
+      expect(getCircuitStatus('openai')).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('lets only one trial call through while half-open', async () => {
+      await openBreaker();
+      await sleep(250);
+      standIn.reply({ status: 200, delayMs: 100 });
+
+      const [trial, other] = await Promise.allSettled([provider.generateText('trial'), provider.generateText('other')]);
+      expect(trial).toMatchObject({ status: 'fulfilled', value: 'stand-in answer' });
+      expect(other.reason).toMatchObject({ code: 'CIRCUIT_OPEN' });
+    });
+
+    test('opens again when the trial call fails', async () => {
+      await openBreaker();
+      await sleep(250);
+      standIn.reply({ status: 503 });
+
+      await expect(provider.generateText('prompt')).rejects.toMatchObject({ status: 503 });
+      expect(getCircuitStatus('openai')).toMatchObject({ state: 'open', timesOpened: 2 });
+      await expect(provider.generateText('prompt')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    });
+  });
+});
+
+describe('callWithResilience backoff', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.LLM_RETRY_BASE_MS = '10';
+    resetCircuitBreakers();
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_RETRY_BASE_MS;
+    jest.restoreAllMocks();
+  });
+
+  test('doubles the longest wait with every retry', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const failure = Object.assign(new Error('unavailable'), { status: 503 });
+    let calls = 0;
+
+    const result = await callWithResilience('fake', 'generateText', async () => {
+      calls++;
+      if (calls <= 3) throw failure;
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    const delays = console.log.mock.calls
+      .map(([line]) => /retry \d\/\d in (\d+)ms/.exec(line))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+    expect(delays).toEqual([10, 20, 40]);
+  });
+
+  test('stops retrying when the caller aborts', async () => {
+    const controller = new AbortController();
+    const call = callWithResilience('fake', 'generateText', async () => {
+      controller.abort();
+      throw Object.assign(new Error('unavailable'), { status: 503 });
+    }, { signal: controller.signal });
+
+    await expect(call).rejects.toThrow('unavailable');
+    expect(getCircuitStatus('fake').consecutiveFailures).toBe(0);
+  });
+});
+
+describe('withResilience', () => {
+  beforeEach(() => {
+    resetCircuitBreakers();
+  });
+
+  test('wraps only the methods the provider has', () => {
+    const provider = withResilience({ name: 'text-only', generateText: async () => 'text' });
+
+    expect(typeof provider.generateText).toBe('function');
+    expect(provider.embed).toBeUndefined();
+    expect(provider.extractFromMedia).toBeUndefined();
+  });
+
+  test('a provider without embeddings is refused before any call counts against its breaker', async () => {
+    const provider = withResilience({ name: 'text-only', generateText: async () => 'text' });
+
+    await expect(embedTexts(provider, ['What is paging?'])).rejects.toThrow('text-only provider does not support embeddings');
+    expect(getCircuitStatus('text-only')).toMatchObject({ consecutiveFailures: 0, recent: { calls: 0 } });
+  });
+});
@@ -0,0 +1,83 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Gemini Provider
+ * Text generation and vision through Google Gemini
+ */
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004';
+
+function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+  const modelName = options.model || DEFAULT_MODEL;
+  const visionModelName = options.visionModel || modelName;
+  const embeddingModelName = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  // Another endpoint than Google's, e.g. a local stub in tests
+  const baseUrl = options.baseUrl || process.env.GEMINI_BASE_URL || undefined;
+  const requestOptions = baseUrl ? { baseUrl } : undefined;
+
+  let genAI = null;
+
+  function getClient() {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY not configured');
+    }
+    if (!genAI) {
+      genAI = new GoogleGenerativeAI(apiKey);
+      console.log(`✅ Google Gemini client initialized (${modelName})`);
+    }
+    return genAI;
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    visionModel: visionModelName,
+    embeddingModel: embeddingModelName,
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    supportsMimeType(mimeType) {
+      return mimeType === 'application/pdf' || mimeType.startsWith('image/');
+    },
+
+    async generateText(prompt, { temperature = 0.7, maxOutputTokens = 6000, json = false, signal } = {}) {
+      const model = getClient().getGenerativeModel({ model: modelName }, requestOptions);
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens,
+          ...(json ? { responseMimeType: 'application/json' } : {})
+        }
+      }, { signal });
+      return result.response.text();
+    },
+
+    async extractFromMedia({ data, mimeType }, prompt, { signal } = {}) {
+      const model = getClient().getGenerativeModel({ model: visionModelName }, requestOptions);
+      const result = await model.generateContent([
+        { inlineData: { mimeType, data: data.toString('base64') } },
+        prompt
+      ], { signal });
+      return result.response.text();
+    },
+
+    async embed(texts, { signal } = {}) {
+      const model = getClient().getGenerativeModel({ model: embeddingModelName }, requestOptions);
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      }, { signal });
+      return result.embeddings.map(embedding => embedding.values);
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL
+};
@@ -0,0 +1,117 @@
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+const { withResilience, getCircuitStatus, getResilienceConfig } = require('./resilience');
+
+/**
+ * LLM Provider Registry
+ * Picks the text and vision providers from env config.
+ *
+ * Every provider exposes:
+ *   name, model, visionModel
+ *   isConfigured() -> boolean
+ *   supportsMimeType(mimeType) -> boolean (vision input)
+ *   generateText(prompt, { temperature, maxOutputTokens, json, signal }) -> Promise<string>
+ *   extractFromMedia({ data: Buffer, mimeType }, prompt, { signal }) -> Promise<string>
+ *   embed(texts, { signal }) -> Promise<number[][]> one vector per text (embeddingModel)
+ *
+ * Providers made here retry temporary failures and share a circuit breaker
+ * per provider name (see resilience.js).
+ *
+ * Env:
+ *   LLM_PROVIDER         gemini | openai | mock (default: whichever is configured)
+ *   LLM_MODEL            model for text generation
+ *   LLM_VISION_PROVIDER  provider for OCR (default: LLM_PROVIDER)
+ *   LLM_VISION_MODEL     model for OCR (default: LLM_MODEL)
+ *   LLM_EMBEDDING_MODEL  model for embeddings (semantic question search)
+ */
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+let textProvider = null;
+let visionProvider = null;
+
+function getDefaultProviderName() {
+  if (process.env.GEMINI_API_KEY) return 'gemini';
+  if (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) return 'openai';
+  return 'gemini';
+}
+
+function createProvider(name, options = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+  return withResilience(factory(options));
+}
+
+/**
+ * Get the provider used for text generation
+ */
+function getProvider() {
+  if (!textProvider) {
+    const name = (process.env.LLM_PROVIDER || getDefaultProviderName()).toLowerCase();
+    textProvider = createProvider(name, {
+      model: process.env.LLM_MODEL || undefined,
+      visionModel: process.env.LLM_VISION_MODEL || undefined,
+      embeddingModel: process.env.LLM_EMBEDDING_MODEL || undefined
+    });
+  }
+  return textProvider;
+}
+
+/**
+ * Get the provider used for OCR / vision
+ */
+function getVisionProvider() {
+  if (!visionProvider) {
+    const name = (process.env.LLM_VISION_PROVIDER || '').toLowerCase();
+    visionProvider = name && name !== getProvider().name
+      ? createProvider(name, { visionModel: process.env.LLM_VISION_MODEL || undefined })
+      : getProvider();
+  }
+  return visionProvider;
+}
+
+/**
+ * Forget the cached providers (after env changes, in tests)
+ */
+function resetProviders() {
+  textProvider = null;
+  visionProvider = null;
+}
+
+/**
+ * Provider status for health checks
+ */
+function getProviderStatus() {
+  const describe = provider => ({
+    provider: provider.name,
+    model: provider.model,
+    visionModel: provider.visionModel,
+    configured: provider.isConfigured(),
+    circuit: getCircuitStatus(provider.name)
+  });
+
+  try {
+    return {
+      text: describe(getProvider()),
+      vision: describe(getVisionProvider()),
+      retryPolicy: getResilienceConfig()
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  getProvider,
+  getVisionProvider,
+  createProvider,
+  resetProviders,
+  getProviderStatus
+};
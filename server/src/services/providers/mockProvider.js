@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * Mock Provider
+ * Deterministic, offline responses for tests and local development.
+ * The same prompt always produces the same output.
+ */
+
+function hashOf(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Pick question-like lines out of a prompt
+ */
+function findQuestionLines(prompt) {
+  const lines = prompt
+    .split('\n')
+    .map(line => line.replace(/^\s*(Q\.?\s*)?[\d(a-z)\.\]\[]*\s*/i, '').trim())
+    .filter(line => line.length > 25 && line.length < 300)
+    .filter(line => line.endsWith('?') || /^(Explain|Define|Describe|Discuss|Compare|Derive|Prove|State|Write|Find|Solve|Calculate|What|How|Why)\b/.test(line));
+  return [...new Set(lines)];
+}
+
+/**
+ * Simulate model latency; rejects when the signal aborts
+ */
+function delay(ms, signal) {
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Request aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+// Dimensions of mock embeddings
+const MOCK_EMBEDDING_SIZE = 64;
+
+/**
+ * Hashed bag-of-words vector: texts sharing words get similar vectors
+ */
+function buildMockEmbedding(text) {
+  const vector = new Array(MOCK_EMBEDDING_SIZE).fill(0);
+  const words = text.toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+  for (const word of words) {
+    vector[parseInt(hashOf(word).substring(0, 8), 16) % MOCK_EMBEDDING_SIZE] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * First words of a question after its command word
+ */
+function guessTopic(question) {
+  return question
+    .replace(/^(Explain|Define|Describe|Discuss|Compare|Derive|Prove|State|Write|Find|Solve|Calculate|What|How|Why)\s+(is|are|the|a|an)?\s*/i, '')
+    .split(/\s+/)
+    .slice(0, 3)
+    .join(' ')
+    .replace(/[^\w\s-]/g, '') || 'General';
+}
+
+function buildMockAnalysis(prompt) {
+  const questions = findQuestionLines(prompt).slice(0, 15);
+
+  const predictions = questions.map((question, i) => {
+    const digest = hashOf(question);
+    const isShort = i < 10;
+    return {
+      topic: guessTopic(question),
+      question,
+      difficulty: ['Easy', 'Medium', 'Hard'][parseInt(digest.substring(0, 2), 16) % 3],
+      probability: 0.6 + (parseInt(digest.substring(2, 4), 16) % 35) / 100,
+      type: isShort ? 'Short Answer' : 'Long Answer',
+      marks: isShort ? 2 : 10,
+      section: isShort ? 'A' : 'B',
+      rationale: 'Mock prediction derived from the supplied papers'
+    };
+  });
+
+  return {
+    predictions,
+    summary: [...new Set(predictions.map(p => p.topic))].slice(0, 5),
+    paperStructure: {}
+  };
+}
+
+/**
+ * Answer to a paper digest request: the question lines grouped by topic
+ */
+function buildMockDigest(prompt) {
+  const topics = new Map();
+  for (const question of findQuestionLines(prompt)) {
+    const topic = guessTopic(question);
+    if (!topics.has(topic)) topics.set(topic, []);
+    topics.get(topic).push({ text: question, marks: null });
+  }
+  return { topics: [...topics.entries()].map(([topic, questions]) => ({ topic, questions })) };
+}
+
+function createMockProvider(options = {}) {
+  const cannedText = options.response || process.env.MOCK_LLM_RESPONSE;
+  const cannedOCR = options.ocrText || process.env.MOCK_OCR_TEXT;
+  const delayMs = options.delayMs || parseInt(process.env.MOCK_LLM_DELAY_MS, 10) || 0;
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    visionModel: 'mock',
+    embeddingModel: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    supportsMimeType() {
+      return true;
+    },
+
+    async generateText(prompt, { json = false, signal } = {}) {
+      await delay(delayMs, signal);
+      if (cannedText) return cannedText;
+      // Digest requests ask for topics, analysis requests for predictions
+      if (json && prompt.includes('"topics": [')) return JSON.stringify(buildMockDigest(prompt));
+      if (json) return JSON.stringify(buildMockAnalysis(prompt));
+      return `Mock response ${hashOf(prompt).substring(0, 12)}`;
+    },
+
+    async extractFromMedia({ data, mimeType }, prompt, { signal } = {}) {
+      await delay(delayMs, signal);
+      if (cannedOCR) return cannedOCR;
+      const digest = hashOf(data).substring(0, 8);
+      return [
+        `MOCK OCR (${mimeType}, ${data.length} bytes, ${digest})`,
+        `1. Explain the concept identified by ${digest} with a suitable example.`,
+        `2. Define the term ${digest} and state its properties.`
+      ].join('\n');
+    },
+
+    async embed(texts, { signal } = {}) {
+      await delay(delayMs, signal);
+      return texts.map(buildMockEmbedding);
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
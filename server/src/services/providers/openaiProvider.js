@@ -0,0 +1,104 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any server exposing /chat/completions: OpenAI itself or local
+ * servers such as Ollama (http://localhost:11434/v1) and llama.cpp
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+function createOpenAIProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+  const modelName = options.model || DEFAULT_MODEL;
+  const visionModelName = options.visionModel || modelName;
+  const embeddingModelName = options.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+
+  async function post(path, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible API error ${response.status}: ${detail.substring(0, 200)}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  async function chat(body, signal) {
+    const payload = await post('/chat/completions', body, signal);
+    return payload.choices?.[0]?.message?.content || '';
+  }
+
+  return {
+    name: 'openai',
+    model: modelName,
+    visionModel: visionModelName,
+    embeddingModel: embeddingModelName,
+    baseUrl,
+
+    isConfigured() {
+      // Local servers usually need no key, so an explicit base URL is enough
+      return !!apiKey || !!(options.baseUrl || process.env.OPENAI_BASE_URL);
+    },
+
+    supportsMimeType(mimeType) {
+      return mimeType.startsWith('image/');
+    },
+
+    async generateText(prompt, { temperature = 0.7, maxOutputTokens = 6000, json = false, signal } = {}) {
+      return chat({
+        model: modelName,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }, signal);
+    },
+
+    async extractFromMedia({ data, mimeType }, prompt, { signal } = {}) {
+      if (!this.supportsMimeType(mimeType)) {
+        throw new Error(`${mimeType} is not supported by the OpenAI-compatible vision API`);
+      }
+      return chat({
+        model: visionModelName,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } }
+          ]
+        }],
+        temperature: 0
+      }, signal);
+    },
+
+    async embed(texts, { signal } = {}) {
+      const payload = await post('/embeddings', { model: embeddingModelName, input: texts }, signal);
+      return [...payload.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  DEFAULT_BASE_URL,
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL
+};
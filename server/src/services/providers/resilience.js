@@ -0,0 +1,332 @@
+/**
+ * Provider Call Resilience
+ * Every provider call gets a timeout and is retried with exponential backoff
+ * and jitter when the error is temporary (rate limits, server errors, network
+ * failures, timeouts), waiting at least as long as a Retry-After asks. A
+ * circuit breaker per provider refuses calls at once after repeated temporary
+ * failures, then lets a single trial call through once its cooldown is over.
+ *
+ * Env:
+ *   LLM_TIMEOUT_MS           time limit of one attempt (default 90000)
+ *   LLM_MAX_RETRIES          retries after the first attempt (default 3)
+ *   LLM_RETRY_BASE_MS        backoff of the first retry (default 1000)
+ *   LLM_RETRY_MAX_MS         longest wait between attempts (default 30000); a
+ *                            longer Retry-After fails the call instead
+ *   LLM_BREAKER_THRESHOLD    consecutive failures that open the breaker (default 5)
+ *   LLM_BREAKER_COOLDOWN_MS  time the breaker stays open (default 30000)
+ */
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR = /fetch failed|network|socket|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND/i;
+
+// Calls counted in the recent failure rate
+const RECENT_WINDOW_MS = 5 * 60 * 1000;
+const MAX_RECENT_CALLS = 500;
+
+function readInt(name, fallback, min = 0) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+function getResilienceConfig() {
+  return {
+    timeoutMs: readInt('LLM_TIMEOUT_MS', 90000, 1),
+    maxRetries: readInt('LLM_MAX_RETRIES', 3),
+    baseDelayMs: readInt('LLM_RETRY_BASE_MS', 1000),
+    maxDelayMs: readInt('LLM_RETRY_MAX_MS', 30000),
+    failureThreshold: readInt('LLM_BREAKER_THRESHOLD', 5, 1),
+    cooldownMs: readInt('LLM_BREAKER_COOLDOWN_MS', 30000)
+  };
+}
+
+const breakers = new Map();
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      timesOpened: 0,
+      retries: 0,
+      recent: [],
+      lastError: null
+    });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Open breakers turn half-open once their cooldown is over
+ */
+function refreshState(breaker, config) {
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config.cooldownMs) {
+    breaker.state = 'half-open';
+    breaker.trialInFlight = false;
+  }
+  return breaker.state;
+}
+
+/**
+ * Let a call through, or throw while the breaker is open (or half-open with
+ * its trial call still running)
+ */
+function enterBreaker(breaker, name, config) {
+  const state = refreshState(breaker, config);
+  if (state === 'closed') return;
+
+  if (state === 'half-open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
+
+  const retryIn = Math.max(0, Math.ceil((breaker.openedAt + config.cooldownMs - Date.now()) / 1000));
+  const error = new Error(`${name} circuit breaker is open after ${breaker.consecutiveFailures} consecutive failures; calls resume in ${retryIn}s`);
+  error.status = 503;
+  error.code = 'CIRCUIT_OPEN';
+  throw error;
+}
+
+function recordCall(breaker, ok) {
+  const now = Date.now();
+  breaker.recent.push({ at: now, ok });
+  while (breaker.recent.length > MAX_RECENT_CALLS || (breaker.recent.length > 0 && now - breaker.recent[0].at > RECENT_WINDOW_MS)) {
+    breaker.recent.shift();
+  }
+}
+
+function recordSuccess(breaker) {
+  recordCall(breaker, true);
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.trialInFlight = false;
+}
+
+/**
+ * Only temporary failures count towards opening the breaker: a rejected
+ * request still means the provider is up
+ */
+function recordFailure(breaker, name, error, transient, config) {
+  recordCall(breaker, false);
+  breaker.lastError = { message: error.message, status: error.status || null, at: new Date().toISOString() };
+  breaker.trialInFlight = false;
+
+  if (!transient) {
+    if (breaker.state === 'half-open') breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= config.failureThreshold) {
+    if (breaker.state !== 'open') {
+      breaker.timesOpened++;
+      console.log(`🔌 ${name} circuit breaker opened after ${breaker.consecutiveFailures} consecutive failures (${error.message})`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+function isTransient(error) {
+  if (error.timeout) return true;
+  if (error.status) return RETRYABLE_STATUSES.has(Number(error.status));
+  const cause = error.cause || {};
+  return NETWORK_ERROR.test(error.message || '') || NETWORK_ERROR.test(cause.code || cause.message || '');
+}
+
+/**
+ * Wait asked for by the provider in milliseconds, or null: a Retry-After
+ * header (seconds or a date), or Gemini's RetryInfo error detail
+ */
+function getRetryAfterMs(error) {
+  const header = error.retryAfter;
+  if (header !== undefined && header !== null && header !== '') {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = (Array.isArray(error.errorDetails) ? error.errorDetails : [])
+    .find(detail => detail && typeof detail.retryDelay === 'string');
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  }
+  return null;
+}
+
+/**
+ * Full jitter: anywhere up to the exponential delay of the attempt
+ */
+function getBackoffMs(attempt, config) {
+  const cap = Math.min(config.maxDelayMs, config.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(Math.random() * cap);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('Request aborted'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Run one attempt with its own abort signal, aborted by the caller's signal
+ * or when the attempt runs out of time
+ */
+async function runAttempt(fn, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`timed out after ${timeoutMs}ms`);
+      error.timeout = true;
+      controller.abort();
+      reject(error);
+    }, timeoutMs);
+  });
+
+  const call = fn(controller.signal);
+  // The call may still reject after losing the race to the timeout
+  call.catch(() => {});
+
+  try {
+    return await Promise.race([call, timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Call a provider with timeout, retries and the provider's circuit breaker
+ * @param {string} name - provider name, one breaker each
+ * @param {string} operation - what is called, for logs
+ * @param {Function} fn - (signal) => Promise, one attempt
+ * @param {Object} options - { signal } cancelling the call and its retries
+ */
+async function callWithResilience(name, operation, fn, { signal } = {}) {
+  const config = getResilienceConfig();
+  const breaker = getBreaker(name);
+
+  for (let attempt = 0; ; attempt++) {
+    enterBreaker(breaker, name, config);
+    try {
+      const result = await runAttempt(fn, config.timeoutMs, signal);
+      recordSuccess(breaker);
+      return result;
+    } catch (error) {
+      // A cancelled job says nothing about the provider
+      if (signal && signal.aborted) {
+        breaker.trialInFlight = false;
+        throw error;
+      }
+
+      const transient = isTransient(error);
+      recordFailure(breaker, name, error, transient, config);
+      if (!transient || attempt >= config.maxRetries || breaker.state === 'open') {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter !== null && retryAfter > config.maxDelayMs) {
+        console.log(`   ⚠️ ${name} asked to retry ${operation} in ${Math.ceil(retryAfter / 1000)}s, longer than allowed; giving up`);
+        throw error;
+      }
+
+      const delay = Math.max(retryAfter || 0, getBackoffMs(attempt, config));
+      breaker.retries++;
+      console.log(`   🔁 ${name} ${operation} failed (${error.message}); retry ${attempt + 1}/${config.maxRetries} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Provider whose calls go through callWithResilience. Only the methods the
+ * provider has are wrapped, so a missing one (embed on a provider without
+ * embeddings) is still seen as missing instead of failing at call time.
+ */
+function withResilience(provider) {
+  const call = (operation, options, fn) => callWithResilience(provider.name, operation, fn, { signal: options.signal });
+  const wrapped = {
+    ...provider,
+
+    generateText(prompt, options = {}) {
+      return call('generateText', options, signal => provider.generateText(prompt, { ...options, signal }));
+    }
+  };
+
+  if (typeof provider.extractFromMedia === 'function') {
+    wrapped.extractFromMedia = (media, prompt, options = {}) =>
+      call('extractFromMedia', options, signal => provider.extractFromMedia(media, prompt, { ...options, signal }));
+  }
+  if (typeof provider.embed === 'function') {
+    wrapped.embed = (texts, options = {}) =>
+      call('embed', options, signal => provider.embed(texts, { ...options, signal }));
+  }
+  return wrapped;
+}
+
+/**
+ * Breaker state and recent failure rate of a provider, for health checks
+ */
+function getCircuitStatus(name) {
+  const config = getResilienceConfig();
+  const breaker = getBreaker(name);
+  const state = refreshState(breaker, config);
+  const recent = breaker.recent.filter(call => Date.now() - call.at <= RECENT_WINDOW_MS);
+  const failures = recent.filter(call => !call.ok).length;
+
+  return {
+    state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt && state !== 'closed' ? new Date(breaker.openedAt).toISOString() : null,
+    timesOpened: breaker.timesOpened,
+    retries: breaker.retries,
+    recent: {
+      windowSeconds: RECENT_WINDOW_MS / 1000,
+      calls: recent.length,
+      failures,
+      failureRate: recent.length > 0 ? Math.round((failures / recent.length) * 1000) / 1000 : 0
+    },
+    lastError: breaker.lastError
+  };
+}
+
+/**
+ * Forget all breaker state (tests)
+ */
+function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+module.exports = {
+  withResilience,
+  callWithResilience,
+  getCircuitStatus,
+  getResilienceConfig,
+  resetCircuitBreakers,
+  isTransient,
+  getRetryAfterMs
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFilePyqStore } = require('../filePyqStore');
+
+describe('file PYQ store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pyq-store-'));
+    file = path.join(dir, 'pyqs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const paper = i => ({ filename: `os${2015 + i}.pdf`, subjectCode: 'KCS401', year: 2015 + i, fileHash: `hash-${i}`, questions: [] });
+
+  test('overlapping writes all succeed and all reach the file', async () => {
+    const store = createFilePyqStore({ file });
+
+    const results = await Promise.allSettled([...Array(8).keys()].map(i => store.upsert(paper(i))));
+
+    expect(results.map(result => result.status)).toEqual(Array(8).fill('fulfilled'));
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(8);
+    expect(fs.readdirSync(dir)).toEqual(['pyqs.json']);
+  });
+
+  test('papers survive a restart', async () => {
+    const store = createFilePyqStore({ file });
+    await Promise.all([0, 1, 2].map(i => store.upsert(paper(i))));
+    await store.deleteWhere({ subjectCode: 'KCS401', year: 2016 });
+
+    const reopened = createFilePyqStore({ file });
+    const { papers, total } = await reopened.list({ subjectCode: 'kcs401' });
+    expect(total).toBe(2);
+    expect(papers.map(p => p.year)).toEqual([2017, 2015]);
+  });
+});
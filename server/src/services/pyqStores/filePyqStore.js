@@ -0,0 +1,49 @@
+const path = require('path');
+const { createMemoryPyqStore } = require('./memoryPyqStore');
+const { readJsonFile, createJsonFileWriter } = require('../jsonFile');
+
+/**
+ * File PYQ Store
+ * The memory store, written to one JSON file after every change, so the
+ * question bank survives restarts without a database. Meant for one process.
+ */
+
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'pyqs.json');
+
+function createFilePyqStore(options = {}) {
+  const file = path.resolve(options.file || process.env.PYQ_STORE_FILE || DEFAULT_FILE);
+  const memory = createMemoryPyqStore({ papers: readJsonFile(file, [], 'question bank') });
+  const write = createJsonFileWriter(file);
+
+  const persist = () => write(() => [...memory.papers.values()]);
+
+  return {
+    ...memory,
+    name: 'file',
+    persistent: true,
+    file,
+
+    async upsert(paper) {
+      const stored = await memory.upsert(paper);
+      await persist();
+      return stored;
+    },
+
+    async delete(id) {
+      const removed = await memory.delete(id);
+      if (removed) await persist();
+      return removed;
+    },
+
+    async deleteWhere(filters) {
+      const removed = await memory.deleteWhere(filters);
+      if (removed > 0) await persist();
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createFilePyqStore,
+  DEFAULT_FILE
+};
@@ -0,0 +1,41 @@
+const { createMemoryPyqStore } = require('./memoryPyqStore');
+const { createFilePyqStore } = require('./filePyqStore');
+const { createSupabasePyqStore } = require('./supabasePyqStore');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * PYQ Store Registry
+ * Picks where the question bank keeps its papers.
+ *
+ * Every store exposes (all async):
+ *   upsert(paper)                 -> stored paper; one paper per subject code and file hash
+ *   get(id)                       -> paper | null, with its extracted text
+ *   list({ subjectCode, year, uploadedBy, search, limit, offset, withText })
+ *                                 -> { papers, total }, newest year first; without
+ *                                    withText papers carry questionCount instead of the text
+ *   delete(id)                    -> whether a paper was removed
+ *   deleteWhere({ subjectCode, year, uploadedBy }) -> number of papers removed
+ * plus `name` and `persistent`.
+ *
+ * Papers: { id, filename, subjectCode, subjectName, year, examType, fileHash,
+ *   uploadedBy, extractedText, questions, createdAt, updatedAt }; uploadedBy is
+ *   the last signed-in user who uploaded the paper
+ *
+ * Env:
+ *   PYQ_STORE       memory | file | supabase (default: supabase when configured, otherwise memory)
+ *   PYQ_STORE_FILE  file for the file store (default: ./data/pyqs.json)
+ */
+
+const FACTORIES = {
+  memory: createMemoryPyqStore,
+  file: createFilePyqStore,
+  supabase: createSupabasePyqStore
+};
+
+function createPyqStore(name = process.env.PYQ_STORE || (global.supabase ? 'supabase' : 'memory'), options = {}) {
+  return createFromRegistry('PYQ store', FACTORIES, name, options);
+}
+
+module.exports = {
+  createPyqStore
+};
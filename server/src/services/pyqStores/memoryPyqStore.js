@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+/**
+ * Memory PYQ Store
+ * Keeps papers in this process; everything is lost on restart
+ */
+
+/**
+ * Whether a paper passes the list filters
+ */
+function matchesFilters(paper, { subjectCode, year, uploadedBy, search }) {
+  if (subjectCode && paper.subjectCode.toLowerCase() !== subjectCode.toLowerCase()) return false;
+  if (year && paper.year !== year) return false;
+  if (uploadedBy && paper.uploadedBy !== uploadedBy) return false;
+  if (search) {
+    const needle = search.toLowerCase();
+    return paper.filename.toLowerCase().includes(needle) ||
+      (paper.extractedText || '').toLowerCase().includes(needle);
+  }
+  return true;
+}
+
+/**
+ * List view of a paper: everything except the full text
+ */
+function summarizePaper({ extractedText, ...paper }) {
+  return { ...paper, questionCount: (paper.questions || []).length };
+}
+
+/**
+ * Newest exam year first, then most recently stored
+ */
+function comparePapers(a, b) {
+  return b.year - a.year || b.updatedAt.localeCompare(a.updatedAt);
+}
+
+/**
+ * @param {Object} options - { papers } to start with
+ */
+function createMemoryPyqStore(options = {}) {
+  const papers = new Map((options.papers || []).map(paper => [paper.id, paper]));
+
+  const findByHash = (subjectCode, fileHash) =>
+    [...papers.values()].find(p => p.subjectCode === subjectCode && p.fileHash === fileHash);
+
+  return {
+    name: 'memory',
+    persistent: false,
+    papers,
+
+    async upsert(paper) {
+      const now = new Date().toISOString();
+      const existing = findByHash(paper.subjectCode, paper.fileHash);
+      // An anonymous upload keeps the uploader of an earlier copy
+      const stored = {
+        ...existing,
+        ...paper,
+        id: existing ? existing.id : crypto.randomUUID(),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+      papers.set(stored.id, stored);
+      return { ...stored };
+    },
+
+    async get(id) {
+      const paper = papers.get(id);
+      return paper ? { ...paper } : null;
+    },
+
+    async list(filters = {}) {
+      const { limit = 20, offset = 0, withText = false } = filters;
+      const matches = [...papers.values()].filter(paper => matchesFilters(paper, filters)).sort(comparePapers);
+      return {
+        papers: matches.slice(offset, offset + limit).map(paper => (withText ? { ...paper } : summarizePaper(paper))),
+        total: matches.length
+      };
+    },
+
+    async delete(id) {
+      return papers.delete(id);
+    },
+
+    async deleteWhere({ subjectCode, year, uploadedBy }) {
+      let removed = 0;
+      for (const paper of [...papers.values()]) {
+        if (matchesFilters(paper, { subjectCode, year, uploadedBy })) {
+          papers.delete(paper.id);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryPyqStore,
+  matchesFilters,
+  summarizePaper,
+  comparePapers
+};
@@ -0,0 +1,125 @@
+/**
+ * Supabase PYQ Store
+ * Saves papers as rows of the pyqs table, one row per subject and file hash
+ */
+
+const LIST_COLUMNS = 'id, filename, subject_code, subject_name, year, exam_type, file_hash, uploaded_by, questions, created_at, updated_at';
+
+function toRow(paper) {
+  return {
+    filename: paper.filename,
+    subject_code: paper.subjectCode,
+    subject_name: paper.subjectName,
+    year: paper.year,
+    exam_type: paper.examType,
+    file_hash: paper.fileHash,
+    extracted_text: paper.extractedText,
+    questions: paper.questions,
+    // Left out for anonymous uploads so an earlier uploader is kept
+    ...(paper.uploadedBy ? { uploaded_by: paper.uploadedBy } : {}),
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row) {
+  const paper = {
+    id: row.id,
+    filename: row.filename,
+    subjectCode: row.subject_code,
+    subjectName: row.subject_name,
+    year: row.year,
+    examType: row.exam_type,
+    fileHash: row.file_hash,
+    uploadedBy: row.uploaded_by || null,
+    questions: row.questions || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (row.extracted_text !== undefined) {
+    paper.extractedText = row.extracted_text;
+  } else {
+    paper.questionCount = paper.questions.length;
+  }
+  return paper;
+}
+
+// Characters with a meaning in PostgREST filter strings and LIKE patterns
+function escapeSearch(search) {
+  return search.replace(/[,()%_*\\]/g, ' ').trim();
+}
+
+function createSupabasePyqStore(options = {}) {
+  const getClient = () => {
+    const client = options.client || global.supabase;
+    if (!client) throw new Error('Supabase is not configured');
+    return client;
+  };
+
+  function applyFilters(query, { subjectCode, year, uploadedBy, search }) {
+    if (subjectCode) query = query.ilike('subject_code', escapeSearch(subjectCode));
+    if (year) query = query.eq('year', year);
+    if (uploadedBy) query = query.eq('uploaded_by', uploadedBy);
+    const needle = search ? escapeSearch(search) : '';
+    if (needle) query = query.or(`filename.ilike.%${needle}%,extracted_text.ilike.%${needle}%`);
+    return query;
+  }
+
+  return {
+    name: 'supabase',
+    persistent: true,
+
+    async upsert(paper) {
+      const { data, error } = await getClient()
+        .from('pyqs')
+        .upsert(toRow(paper), { onConflict: 'subject_code,file_hash' })
+        .select()
+        .single();
+      if (error) throw new Error(error.message);
+      return fromRow(data);
+    },
+
+    async get(id) {
+      const { data, error } = await getClient()
+        .from('pyqs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      return data ? fromRow(data) : null;
+    },
+
+    async list(filters = {}) {
+      const { limit = 20, offset = 0, withText = false } = filters;
+      const query = applyFilters(
+        getClient().from('pyqs').select(withText ? '*' : LIST_COLUMNS, { count: 'exact' }),
+        filters
+      );
+      const { data, error, count } = await query
+        .order('year', { ascending: false })
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw new Error(error.message);
+      return { papers: data.map(fromRow), total: count || 0 };
+    },
+
+    async delete(id) {
+      const { data, error } = await getClient()
+        .from('pyqs')
+        .delete()
+        .eq('id', id)
+        .select('id');
+      if (error) throw new Error(error.message);
+      return data.length > 0;
+    },
+
+    async deleteWhere(filters) {
+      const { data, error } = await applyFilters(getClient().from('pyqs').delete(), filters).select('id');
+      if (error) throw new Error(error.message);
+      return data.length;
+    }
+  };
+}
+
+module.exports = {
+  createSupabasePyqStore
+};
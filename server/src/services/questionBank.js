@@ -0,0 +1,201 @@
+const { createPyqStore } = require('./pyqStores');
+const { parseQuestionPaper } = require('./questionExtractor');
+const { invalidateSubjectAnalyses } = require('./cache');
+
+/**
+ * Question Bank Service
+ * Keeps every uploaded paper with its extracted questions, so later analyses
+ * of a subject can reuse papers without uploading them again
+ */
+
+// Created on first use: the Supabase client is set up after the modules load
+let store = null;
+
+// Bank papers added to one analysis, newest years first
+const MAX_BANK_PAPERS = 20;
+
+// Page size when reading the whole bank
+const SCAN_PAGE_SIZE = 100;
+
+// Bumped on every change made through this process, so derived data such
+// as the search index knows when to rebuild
+let revision = 0;
+
+function getStore() {
+  if (!store) {
+    store = createPyqStore();
+    console.log(`🗃️ Question bank store: ${store.name}`);
+  }
+  return store;
+}
+
+/**
+ * Store the papers extracted during an analysis. Papers without a year are
+ * skipped, the bank is organised by exam year.
+ * @param {Array} papers - [{ filename, year, text, questions, fileHash }] where questions
+ *   carry their syllabus unit number once mapped
+ * @param {Object} context - { subjectCode, subject, examType, userId }
+ * @returns {Promise<number>} papers saved
+ */
+async function savePapers(papers, { subjectCode, subject, examType, userId }) {
+  let saved = 0;
+
+  for (const paper of papers) {
+    if (!paper.year || !paper.fileHash || paper.fromBank) continue;
+    try {
+      await getStore().upsert({
+        filename: paper.filename,
+        subjectCode,
+        subjectName: subject,
+        year: paper.year,
+        examType,
+        fileHash: paper.fileHash,
+        ...(userId ? { uploadedBy: userId } : {}),
+        extractedText: paper.text,
+        questions: paper.questions.map(({ text, estimatedType, wordCount, keywords, section, label, marks, co, bl, choiceGroup, unit }) => ({
+          text, estimatedType, wordCount, keywords, section, label, marks, co, bl, choiceGroup, unit
+        }))
+      });
+      saved++;
+    } catch (error) {
+      // The analysis does not depend on the bank
+      console.error(`⚠️ Failed to save ${paper.filename} to the question bank:`, error.message);
+    }
+  }
+
+  if (saved > 0) {
+    revision++;
+    console.log(`🗃️ Saved ${saved} paper(s) to the question bank for ${subjectCode}`);
+  }
+  return saved;
+}
+
+/**
+ * Stored papers of a subject in the shape the analysis pipeline uses
+ * @param {Object} options - { excludeHashes } files already part of the analysis
+ */
+async function getBankPapers(subjectCode, { excludeHashes = [] } = {}) {
+  const { papers } = await getStore().list({
+    subjectCode,
+    withText: true,
+    limit: MAX_BANK_PAPERS + excludeHashes.length
+  });
+
+  return papers
+    .filter(paper => !excludeHashes.includes(paper.fileHash))
+    .slice(0, MAX_BANK_PAPERS)
+    .map(paper => ({
+      filename: paper.filename,
+      year: paper.year,
+      text: paper.extractedText || '',
+      questions: paper.questions || [],
+      fileHash: paper.fileHash,
+      fromBank: true
+    }));
+}
+
+/**
+ * Every stored paper matching the filters, with its text
+ * @param {Object} filters - { subjectCode, year, uploadedBy }
+ */
+async function getAllPapers(filters = {}) {
+  const all = [];
+  for (let offset = 0; ; offset += SCAN_PAGE_SIZE) {
+    const { papers, total } = await getStore().list({ ...filters, withText: true, limit: SCAN_PAGE_SIZE, offset });
+    all.push(...papers);
+    if (papers.length < SCAN_PAGE_SIZE || all.length >= total) return all;
+  }
+}
+
+/**
+ * List stored papers
+ * @param {Object} filters - { subjectCode, year, uploadedBy, search, limit, offset }
+ */
+async function listPapers(filters) {
+  return getStore().list(filters);
+}
+
+/**
+ * Get one stored paper with its text, questions and parsed structure
+ */
+async function getPaper(id) {
+  const paper = await getStore().get(id);
+  if (!paper) return null;
+  return { ...paper, structure: parseQuestionPaper(paper.extractedText || '') };
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/**
+ * Delete one stored paper; cached analyses of its subject are dropped
+ * @param {Object} options - { uploadedBy } only delete the paper if this user uploaded it
+ * @throws 403 error when the paper was uploaded by someone else
+ */
+async function deletePaper(id, { uploadedBy } = {}) {
+  const paper = await getStore().get(id);
+  if (!paper) return false;
+  if (uploadedBy && paper.uploadedBy !== uploadedBy) {
+    throw forbidden('Only the user who uploaded this paper can delete it');
+  }
+
+  const removed = await getStore().delete(id);
+  if (removed) {
+    revision++;
+    await invalidateSubjectAnalyses(paper.subjectCode);
+  }
+  return removed;
+}
+
+/**
+ * Delete the stored papers of a subject, optionally only one year or only
+ * those one user uploaded; cached analyses of the subject are dropped
+ */
+async function deletePapers({ subjectCode, year, uploadedBy }) {
+  const removed = await getStore().deleteWhere({ subjectCode, year, uploadedBy });
+  if (removed > 0) {
+    revision++;
+    await invalidateSubjectAnalyses(subjectCode);
+  }
+  return removed;
+}
+
+/**
+ * Counter of changes made through this process
+ */
+function getRevision() {
+  return revision;
+}
+
+/**
+ * Store info for health checks
+ */
+function getQuestionBankInfo() {
+  const current = getStore();
+  return { store: current.name, persistent: current.persistent };
+}
+
+/**
+ * Swap the store (tests, or a store configured after startup)
+ */
+function setPyqStore(newStore) {
+  store = newStore;
+  revision++;
+}
+
+module.exports = {
+  MAX_BANK_PAPERS,
+  savePapers,
+  getBankPapers,
+  getAllPapers,
+  listPapers,
+  getPaper,
+  deletePaper,
+  deletePapers,
+  getRevision,
+  getQuestionBankInfo,
+  setPyqStore
+};
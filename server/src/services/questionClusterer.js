@@ -0,0 +1,222 @@
+const { extractQuestionsWithMetadata, extractKeywords, tokenizeQuestion } = require('./questionExtractor');
+const { getTopicTerms, normalizeTerm, GENERIC_TERMS } = require('./recurrenceAnalyzer');
+
+/**
+ * Question Clustering Service
+ * Groups the same question asked in different words across papers, e.g.
+ * "Explain deadlock avoidance" and "Discuss deadlock avoidance with example".
+ * Questions become sets of word shingles; MinHash signatures split into
+ * bands find likely pairs, and pairs whose exact Jaccard similarity passes
+ * the threshold end up in one cluster.
+ */
+
+// Shingle-set Jaccard similarity at which two questions are the same question
+const SIMILARITY_THRESHOLD = 0.5;
+
+// MinHash signature length, split into BANDS bands of ROWS values. Two rows per
+// band finds nearly every pair at the threshold; false candidates are dropped
+// by the exact similarity check.
+const NUM_HASHES = 64;
+const ROWS = 2;
+const BANDS = NUM_HASHES / ROWS;
+
+// Fixed per-function seeds, so clustering is deterministic
+const HASH_SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => ({
+  multiplier: (Math.imul(i + 1, 0x9e3779b1) | 1) >>> 0,
+  offset: Math.imul(i + 7, 0x85ebca6b) >>> 0
+}));
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Words and word pairs of a question, without wording that only says how to
+ * answer and without the ignored terms (the subject's own words, which say
+ * nothing about which question it is)
+ * @param {Set<string>} ignoreTerms - normalized terms to leave out
+ */
+function getShingles(text, ignoreTerms = new Set()) {
+  const words = tokenizeQuestion(text || '')
+    .filter(word => !GENERIC_TERMS.has(word))
+    .map(normalizeTerm)
+    .filter(word => !ignoreTerms.has(word));
+
+  const shingles = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) {
+    shingles.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return shingles;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function getMinHashSignature(shingles) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const hash = hashString(shingle);
+    HASH_SEEDS.forEach(({ multiplier, offset }, i) => {
+      let value = (Math.imul(multiplier, hash ^ (hash >>> 16)) + offset) >>> 0;
+      value = (value ^ (value >>> 15)) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    });
+  }
+  return signature;
+}
+
+/**
+ * Pairs of items sharing at least one signature band
+ */
+function findCandidatePairs(items) {
+  const buckets = new Map();
+  items.forEach((item, index) => {
+    if (item.shingles.size === 0) return;
+    for (let band = 0; band < BANDS; band++) {
+      const key = `${band}:${item.signature.slice(band * ROWS, (band + 1) * ROWS).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+
+  const pairs = new Set();
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        pairs.add(members[i] * items.length + members[j]);
+      }
+    }
+  }
+  return [...pairs].map(pair => [Math.floor(pair / items.length), pair % items.length]);
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Describe one group of items as a cluster
+ */
+function buildCluster(memberItems, similarities, papers, ignoreTerms) {
+  // The canonical wording is the one closest to all the others; ties go to the most recent paper
+  const centrality = item => memberItems
+    .reduce((sum, other) => sum + (other === item ? 0 : similarities.get(`${item.index}:${other.index}`) || 0), 0);
+  const canonical = [...memberItems].sort((a, b) =>
+    centrality(b) - centrality(a) || b.paperIndex - a.paperIndex || a.index - b.index)[0];
+
+  // Topic terms used by at least half of the members
+  const termCounts = new Map();
+  for (const item of memberItems) {
+    for (const term of getTopicTerms(item.question, ignoreTerms)) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    }
+  }
+  const terms = getTopicTerms(canonical.question, ignoreTerms)
+    .concat([...termCounts.keys()])
+    .filter((term, i, all) => all.indexOf(term) === i && termCounts.get(term) >= memberItems.length / 2);
+
+  const paperIndexes = [...new Set(memberItems.map(item => item.paperIndex))].sort((a, b) => a - b);
+  const years = [...new Set(paperIndexes.map(i => papers[i].year).filter(Boolean))].sort((a, b) => a - b);
+
+  return {
+    canonical: canonical.question.text,
+    type: mostCommon(memberItems.map(item => item.question.estimatedType).filter(Boolean)) || null,
+    terms,
+    members: memberItems.map(item => ({
+      text: item.question.text,
+      year: papers[item.paperIndex].year || null,
+      marks: item.question.marks ?? null,
+      filename: papers[item.paperIndex].filename
+    })),
+    paperIndexes,
+    papers: paperIndexes.map(i => papers[i].filename),
+    years,
+    frequency: paperIndexes.length,
+    count: memberItems.length
+  };
+}
+
+/**
+ * Group the questions of all papers into clusters of the same question
+ * @param {Array} papers - [{ filename, year, text, questions? }] where questions
+ *   are items from extractQuestionsWithMetadata (extracted from text when missing)
+ * @param {Object} options - { subject, threshold } where the subject name's own
+ *   words are left out of the similarity and the cluster terms
+ * @returns {Array} [{ id, canonical, type, terms, members: [{ text, year, marks, filename }],
+ *   paperIndexes, papers, years, frequency, count }], most frequent first
+ */
+function clusterQuestions(papers, options = {}) {
+  const { subject = '', threshold = SIMILARITY_THRESHOLD } = options;
+  const ignoreTerms = new Set(extractKeywords(subject).map(normalizeTerm));
+
+  const items = [];
+  papers.forEach((paper, paperIndex) => {
+    const questions = paper.questions && paper.questions.length > 0
+      ? paper.questions
+      : extractQuestionsWithMetadata(paper.text || '');
+    for (const question of questions) {
+      const shingles = getShingles(question.text, ignoreTerms);
+      items.push({
+        index: items.length,
+        paperIndex,
+        question,
+        shingles,
+        signature: getMinHashSignature(shingles)
+      });
+    }
+  });
+
+  // Union-find over the pairs that pass the exact check
+  const parent = items.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const similarities = new Map();
+
+  for (const [a, b] of findCandidatePairs(items)) {
+    const similarity = jaccard(items[a].shingles, items[b].shingles);
+    if (similarity < threshold) continue;
+    similarities.set(`${a}:${b}`, similarity);
+    similarities.set(`${b}:${a}`, similarity);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  }
+
+  const groups = new Map();
+  for (const item of items) {
+    const root = find(item.index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  }
+
+  return [...groups.values()]
+    .map(group => buildCluster(group, similarities, papers, ignoreTerms))
+    .sort((a, b) =>
+      b.frequency - a.frequency ||
+      b.count - a.count ||
+      (b.years[b.years.length - 1] || 0) - (a.years[a.years.length - 1] || 0) ||
+      a.canonical.localeCompare(b.canonical))
+    .map((cluster, i) => ({ id: i + 1, ...cluster }));
+}
+
+module.exports = {
+  clusterQuestions,
+  getShingles,
+  jaccard,
+  SIMILARITY_THRESHOLD
+};
@@ -72,7 +72,8 @@ function extractQuestions(text) {
   // Also try line-by-line extraction for edge cases
   const lines = normalizedText.split('\n');
   for (const line of lines) {
-    const trimmed = line.trim();
+    // Drop a leading sub-question marker so "(a) Explain ..." is checked as "Explain ..."
+    const trimmed = line.trim().replace(/^\(([a-h]|[ivx]{1,4})\)\s*/i, '');
     if (looksLikeQuestion(trimmed) && isValidQuestion(trimmed)) {
       questions.add(cleanQuestion(trimmed));
     }
@@ -109,6 +110,8 @@ function normalizeText(text) {
     // Add line breaks before question numbers
     .replace(/(\d+)\.\s+/g, '\n$1. ')
     .replace(/Q\.?\s*(\d+)/gi, '\nQ.$1')
+    // Add line breaks before sub-question markers: (a) (b) (i) (ii)
+    .replace(/\s\(([a-h]|[ivx]{1,4})\)\s+/gi, '\n($1) ')
     .trim();
 }
 
@@ -198,22 +201,365 @@ function isValidQuestion(text) {
   return true;
 }
 
+// Written-out counts in instructions such as "Attempt any three of the following"
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Line starts of the paper structure
+const SECTION_LINE = /^(?:SECTION|Section|PART|Part)\s*[-–:]?\s*([A-Z]|[IVX]{1,4}|\d)\b[\s.:–-]*(.*)$/;
+const QUESTION_LINE = /^(?:Q(?:uestion)?\s*(?:no)?\.?\s*(\d{1,2})\s*[.):]?|(\d{1,2})\s*[.):])\s*(.*)$/i;
+const PART_LINE = /^\(([a-z]|[ivx]{1,4})\)\s*(.*)$|^([a-z]|[ivx]{1,4})[.)](?:\s+(.*))?$/;
+const OR_LINE = /^[\s(–-]*OR[\s)–-]*$/i;
+
+// Annotations
+const SECTION_MARKS = /\b(\d{1,2})\s*[x×*]\s*(\d{1,2})\s*=\s*(\d{1,3})\b/;
+const ATTEMPT_RULE = /\b(?:attempt|answer)\s+(all|any\s+(\w+))\b/i;
+const MARKS_TAG = /[[(]\s*(\d{1,2})\s*(?:marks?|m)\s*[\])]/i;
+const CO_TAG = /\(?\bCO\s*-?\s*(\d{1,2})\)?/;
+const BL_TAG = /\(?\b(?:BL\s*-?\s*([1-6])|K\s*-?\s*([1-6])(?=\s*\)))\)?/;
+// Marks, CO and Bloom level columns of table-style papers: "... 7 CO1 K2"
+const TABLE_TAGS = /\s+(?:(\d{1,2})\s+)?CO\s*-?\s*(\d{1,2})(?:\s+(?:BL|K)\s*-?\s*([1-6]))?\s*$/;
+
+function parseCount(word) {
+  if (!word) return null;
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.toLowerCase()] || null;
+}
+
+/**
+ * Split paper text into lines, starting a new line at every section,
+ * question, sub-part and OR marker. Table columns at the end of a line
+ * belong to its first segment.
+ */
+function splitPaperLines(text) {
+  const segments = [];
+  for (const rawLine of text.replace(/[\u200B-\u200D\uFEFF]/g, '').split('\n')) {
+    let line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+
+    let tags = null;
+    const table = line.match(TABLE_TAGS);
+    if (table) {
+      tags = {
+        marks: table[1] ? parseInt(table[1], 10) : null,
+        co: `CO${table[2]}`,
+        bl: table[3] ? `K${table[3]}` : null
+      };
+      line = line.slice(0, table.index);
+    }
+
+    const parts = line
+      .replace(/\s(?=(?:SECTION|PART)\s*[-–:]?\s*[A-Z]\b)/g, '\n')
+      .replace(/\s(?=Q\.?\s*\d{1,2}\s*[.):]?\s)/g, '\n')
+      .replace(/\s(?=\d{1,2}\.\s+[A-Z])/g, '\n')
+      .replace(/\s(?=\(([a-j]|[ivx]{1,4})\)\s)/g, '\n')
+      .replace(/\s+OR\s+(?=[A-Z(Q\d])/g, '\nOR\n')
+      .split('\n')
+      .map(part => part.trim())
+      .filter(Boolean);
+
+    parts.forEach((part, i) => segments.push({ text: part, tags: i === 0 ? tags : null }));
+  }
+  return segments;
+}
+
+function createNode(label, text, tags) {
+  return { label, text, marks: tags?.marks ?? null, co: tags?.co ?? null, bl: tags?.bl ?? null, parts: [], choices: [] };
+}
+
+/**
+ * Move marks, CO and Bloom level annotations out of a node's text
+ */
+function takeAnnotations(node) {
+  let text = node.text;
+
+  const marks = text.match(MARKS_TAG);
+  if (marks) {
+    node.marks = node.marks ?? parseInt(marks[1], 10);
+    text = text.replace(MARKS_TAG, ' ');
+  }
+  const co = text.match(CO_TAG);
+  if (co) {
+    node.co = node.co ?? `CO${co[1]}`;
+    text = text.replace(CO_TAG, ' ');
+  }
+  const bl = text.match(BL_TAG);
+  if (bl) {
+    node.bl = node.bl ?? `K${bl[1] || bl[2]}`;
+    text = text.replace(BL_TAG, ' ');
+  }
+
+  node.text = text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read "Attempt any three ... 10 x 3 = 30" into marks per question and how many to attempt
+ */
+function takeInstruction(target, text) {
+  const rule = text.match(ATTEMPT_RULE);
+  const marks = text.match(SECTION_MARKS);
+  if (!rule && !marks) return false;
+
+  if (marks) {
+    target.marksEach = parseInt(marks[1], 10);
+    target.totalMarks = parseInt(marks[3], 10);
+  }
+  if (rule) {
+    target.attempt = rule[1].toLowerCase() === 'all' ? 'all' : parseCount(rule[2]);
+  }
+  return Boolean(rule);
+}
+
 /**
- * Extract questions with metadata
+ * Add an OR alternative: the new node joins the choice group of the node before it
+ */
+function addAlternative(container, siblings, node) {
+  const previous = siblings[siblings.length - 1];
+  if (!previous) return;
+
+  const group = container.choices.find(choice => choice.options.includes(previous.label));
+  if (group) {
+    group.options.push(node.label);
+  } else {
+    container.choices.push({ attempt: 1, options: [previous.label, node.label] });
+  }
+}
+
+/**
+ * Whether a roman-looking label continues the letter sequence, e.g. (i) after (h)
+ */
+function isNextLetter(label, parts) {
+  const letters = parts.map(part => part.label).filter(l => /^[a-z]$/.test(l));
+  const expected = letters.length > 0
+    ? String.fromCharCode(letters[letters.length - 1].charCodeAt(0) + 1)
+    : 'a';
+  return label === expected;
+}
+
+/**
+ * Resolve marks, annotations and "attempt any" choices once the tree is complete
+ * @param {number|null} marksEach - marks of each question, from the nearest instruction
+ */
+function finalizeNode(node, marksEach, counter) {
+  takeAnnotations(node);
+  if (node.instruction) {
+    takeInstruction(node, node.text);
+    node.text = node.text.replace(SECTION_MARKS, '').replace(/[\s:.-]+$/, '').trim();
+  }
+
+  // Marks per question pass down until a node states its own
+  const inherited = node.marks !== null ? null : node.marksEach ?? marksEach;
+  if (node.parts.length === 0 && node.marks === null && !node.instruction) {
+    node.marks = inherited;
+  }
+  node.parts.forEach(part => finalizeNode(part, inherited, counter));
+
+  if (typeof node.attempt === 'number' && node.attempt < node.parts.length) {
+    node.choices.push({ attempt: node.attempt, options: node.parts.map(part => part.label) });
+  }
+  assignChoiceIds(node.choices, node.parts, counter);
+}
+
+function assignChoiceIds(choices, children, counter) {
+  for (const choice of choices) {
+    choice.id = `choice-${++counter.value}`;
+    for (const child of children) {
+      if (choice.options.includes(child.label) && !child.choiceGroup) child.choiceGroup = choice.id;
+    }
+  }
+}
+
+/**
+ * Parse exam paper text into its structure: sections, their questions and
+ * the questions' sub-parts (a), (b) and (i), (ii), with marks, CO and Bloom
+ * level tags where the paper gives them, and choice groups from "OR" lines
+ * and "Attempt any N" instructions
+ * @returns {Object} { sections: [{ name, title, marksEach, totalMarks, attempt,
+ *   questions, choices }] } where questions and parts are
+ *   { label, text, marks, co, bl, choiceGroup, instruction?, parts, choices }
+ */
+function parseQuestionPaper(text) {
+  const sections = [];
+  if (!text || typeof text !== 'string') return { sections };
+
+  let section = null;
+  let question = null;
+  let part = null;
+  let current = null;
+  let pendingOr = false;
+
+  const startSection = (name, title) => {
+    section = { name, title: title || '', marksEach: null, totalMarks: null, attempt: null, questions: [], choices: [] };
+    sections.push(section);
+    question = part = current = null;
+    if (title) takeInstruction(section, title);
+  };
+
+  for (const { text: line, tags } of splitPaperLines(text)) {
+    let match;
+
+    if ((match = line.match(SECTION_LINE))) {
+      startSection(match[1].toUpperCase(), match[2].trim());
+      pendingOr = false;
+      continue;
+    }
+
+    if (OR_LINE.test(line)) {
+      pendingOr = true;
+      continue;
+    }
+
+    if ((match = line.match(QUESTION_LINE))) {
+      if (!section) startSection(null, '');
+      const node = createNode(match[1] || match[2], match[3], tags);
+      node.instruction = ATTEMPT_RULE.test(match[3]);
+      if (pendingOr) addAlternative(section, section.questions, node);
+      section.questions.push(node);
+      question = current = node;
+      part = null;
+      pendingOr = false;
+      continue;
+    }
+
+    match = line.match(PART_LINE);
+    if (match && question) {
+      const label = (match[1] || match[3]).toLowerCase();
+      const body = match[2] ?? match[4] ?? '';
+      const node = createNode(label, body, tags);
+
+      // (i), (ii) inside a lettered part are its sub-parts
+      const nested = part && /^[ivx]+$/.test(label) && !isNextLetter(label, question.parts);
+      const parent = nested ? part : question;
+      if (pendingOr) addAlternative(parent, parent.parts, node);
+      parent.parts.push(node);
+      if (!nested) part = node;
+      current = node;
+      pendingOr = false;
+      continue;
+    }
+
+    if (current) {
+      current.text += ` ${line}`;
+      if (tags) ['marks', 'co', 'bl'].forEach(key => { current[key] = current[key] ?? tags[key]; });
+    } else if (section) {
+      // Instructions between a section header and its first question
+      takeInstruction(section, line);
+      section.title = `${section.title} ${line}`.trim();
+    }
+  }
+
+  const counter = { value: 0 };
+  for (const current of sections) {
+    // Numbered notes such as "1. Attempt all sections" are not questions
+    current.questions = current.questions.filter(node => !(node.instruction && node.parts.length === 0));
+    current.questions.forEach(node => finalizeNode(node, current.marksEach, counter));
+    if (typeof current.attempt === 'number' && current.attempt < current.questions.length) {
+      current.choices.push({ attempt: current.attempt, options: current.questions.map(q => q.label) });
+    }
+    assignChoiceIds(current.choices, current.questions, counter);
+  }
+
+  return { sections: sections.filter(current => current.questions.length > 0 || current.name) };
+}
+
+/**
+ * Answerable questions of a parsed paper: nodes without sub-parts, except
+ * instruction lines such as "Attempt all questions in brief"
+ */
+function flattenQuestionPaper({ sections }) {
+  const leaves = [];
+  // Sub-parts share the CO and Bloom level of the question they belong to
+  const visit = (node, labels, section, inherited) => {
+    const path = [...labels, node.label];
+    const context = {
+      co: node.co || inherited.co,
+      bl: node.bl || inherited.bl,
+      choiceGroup: node.choiceGroup || inherited.choiceGroup
+    };
+    if (node.parts.length === 0) {
+      if (!node.instruction) {
+        leaves.push({
+          text: node.text,
+          section: section.name,
+          label: path[0] + path.slice(1).map(l => `(${l})`).join(''),
+          marks: node.marks,
+          ...context
+        });
+      }
+      return;
+    }
+    node.parts.forEach(child => visit(child, path, section, context));
+  };
+  const none = { co: null, bl: null, choiceGroup: null };
+  sections.forEach(section => section.questions.forEach(node => visit(node, [], section, none)));
+  return leaves;
+}
+
+/**
+ * Texts of the questions and parts that have sub-parts
+ */
+function collectStems({ sections }) {
+  const stems = [];
+  const visit = node => {
+    if (node.parts.length === 0) return;
+    if (node.text) stems.push(node.text);
+    node.parts.forEach(visit);
+  };
+  sections.forEach(section => section.questions.forEach(visit));
+  return stems;
+}
+
+function normalizeForMatch(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Extract questions with metadata. Questions found in the parsed paper
+ * structure come first and carry their section, label (e.g. "2(a)"), marks,
+ * CO and Bloom level tags and choice group; questions only the line patterns
+ * find (e.g. in unstructured OCR text) follow without them.
  */
 function extractQuestionsWithMetadata(text) {
-  const questions = extractQuestions(text);
-  
-  return questions.map((q, index) => ({
+  const paper = parseQuestionPaper(text);
+  const seen = new Set();
+  const structured = flattenQuestionPaper(paper)
+    .map(leaf => ({ ...leaf, text: cleanQuestion(leaf.text) }))
+    .filter(leaf => isValidQuestion(leaf.text) && !seen.has(leaf.text) && seen.add(leaf.text))
+    .map(leaf => ({ ...leaf, normalized: normalizeForMatch(leaf.text) }));
+  // Stems of questions with sub-parts, e.g. "Explain the following:", are part of the structure too
+  const stems = collectStems(paper).map(normalizeForMatch).filter(Boolean);
+
+  const isStructured = question => {
+    const normalized = normalizeForMatch(question);
+    const probe = normalized.slice(0, 40);
+    return structured.some(leaf => leaf.normalized.includes(probe) || normalized.includes(leaf.normalized)) ||
+      stems.some(stem => stem.includes(probe));
+  };
+  const unstructured = extractQuestions(text)
+    .filter(question => !isStructured(question))
+    .map(question => ({ text: question }));
+
+  return [...structured, ...unstructured].map((item, index) => ({
     id: index + 1,
-    text: q,
-    hasQuestionMark: q.includes('?'),
-    wordCount: q.split(/\s+/).length,
-    estimatedType: estimateQuestionType(q),
-    keywords: extractKeywords(q)
+    text: item.text,
+    hasQuestionMark: item.text.includes('?'),
+    wordCount: item.text.split(/\s+/).length,
+    estimatedType: estimateQuestionType(item.text),
+    keywords: extractKeywords(item.text),
+    section: item.section ?? null,
+    label: item.label ?? null,
+    marks: item.marks ?? null,
+    co: item.co ?? null,
+    bl: item.bl ?? null,
+    choiceGroup: item.choiceGroup ?? null
   }));
 }
 
+// Every type estimateQuestionType can return
+const QUESTION_TYPES = [
+  'Numerical', 'Short Answer', 'Long Answer', 'Comparison', 'List', 'Derivation', 'Diagram'
+];
+
 /**
  * Estimate question type based on content
  */
@@ -246,36 +592,69 @@ function estimateQuestionType(question) {
 }
 
 /**
- * Extract keywords from question
+ * Estimate the marks of a question from the paper it was extracted from:
+ * a "(10 marks)" or "[5M]" after the question, otherwise the nearest section
+ * header before it in the "marks x count = total" form of AKTU papers
+ * @returns {number|null} null when the paper does not say
  */
-function extractKeywords(question) {
-  const stopWords = new Set([
-    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-    'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare',
-    'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
-    'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above',
-    'below', 'between', 'under', 'again', 'further', 'then', 'once', 'and',
-    'but', 'or', 'nor', 'so', 'yet', 'both', 'either', 'neither', 'not',
-    'only', 'own', 'same', 'than', 'too', 'very', 'just', 'also'
-  ]);
-  
-  const words = question.toLowerCase()
+function estimateQuestionMarks(paperText, questionText) {
+  if (!paperText || !questionText) return null;
+
+  const flatPaper = paperText.replace(/\s+/g, ' ').toLowerCase();
+  const flatQuestion = questionText.replace(/\s+/g, ' ').toLowerCase();
+  const position = flatPaper.indexOf(flatQuestion.slice(0, 40));
+  if (position === -1) return null;
+
+  const tail = flatPaper.slice(position, position + flatQuestion.length + 20);
+  const explicit = tail.match(/[[(]\s*(\d{1,2})\s*(?:marks?|m)\s*[\])]/);
+  if (explicit) return parseInt(explicit[1], 10);
+
+  const headers = [...flatPaper.slice(0, position).matchAll(/\b(\d{1,2})\s*[x×*]\s*\d{1,2}\s*=\s*\d{1,3}\b/g)];
+  return headers.length > 0 ? parseInt(headers[headers.length - 1][1], 10) : null;
+}
+
+// Words too common to say anything about a question
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+  'should', 'may', 'might', 'must', 'shall', 'can', 'need', 'dare',
+  'ought', 'used', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
+  'from', 'as', 'into', 'through', 'during', 'before', 'after', 'above',
+  'below', 'between', 'under', 'again', 'further', 'then', 'once', 'and',
+  'but', 'or', 'nor', 'so', 'yet', 'both', 'either', 'neither', 'not',
+  'only', 'own', 'same', 'than', 'too', 'very', 'just', 'also'
+]);
+
+/**
+ * Split a question into its words in order, without punctuation and stop words
+ */
+function tokenizeQuestion(question) {
+  return question.toLowerCase()
     .replace(/[^\w\s]/g, '')
     .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word));
-  
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Extract keywords from question
+ */
+function extractKeywords(question) {
   // Return unique keywords
-  return [...new Set(words)].slice(0, 10);
+  return [...new Set(tokenizeQuestion(question))].slice(0, 10);
 }
 
 module.exports = {
   extractQuestions,
   extractQuestionsWithMetadata,
+  parseQuestionPaper,
+  flattenQuestionPaper,
   cleanQuestion,
   isValidQuestion,
   estimateQuestionType,
+  estimateQuestionMarks,
   extractKeywords,
+  tokenizeQuestion,
+  QUESTION_TYPES,
   QUESTION_PATTERNS,
   QUESTION_KEYWORDS
 };
@@ -0,0 +1,236 @@
+const { extractKeywords, estimateQuestionType, estimateQuestionMarks } = require('./questionExtractor');
+const { normalizeTerm } = require('./recurrenceAnalyzer');
+const { getAllPapers, getRevision } = require('./questionBank');
+const { getProvider } = require('./providers');
+const { embedTexts, cosineSimilarity, getEmbeddingModel, clearEmbeddings } = require('./embeddings');
+
+/**
+ * Question Search Service
+ * Searches the questions of every paper in the question bank. Keyword
+ * search ranks an inverted index of question keywords with BM25; semantic
+ * search adds the cosine similarity of provider embeddings on top.
+ */
+
+// BM25 term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Share of the combined score taken by each signal when semantic search is on
+const WEIGHTS = { keyword: 0.5, semantic: 0.5 };
+
+// A question without matching keywords needs this similarity to be returned
+const MIN_SIMILARITY = 0.5;
+
+// Questions embedded per search, best keyword matches and newest first
+const MAX_SEMANTIC_CANDIDATES = 500;
+
+// Changes made by other instances show up after this long
+const INDEX_TTL_MS = 60 * 1000;
+
+let index = null;
+let pendingIndex = null;
+
+function getTerms(text) {
+  return extractKeywords(text || '').map(normalizeTerm);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Build the inverted index over every question in the bank
+ */
+async function buildIndex() {
+  const revision = getRevision();
+  const papers = await getAllPapers();
+  const docs = [];
+  const postings = new Map();
+
+  for (const paper of papers) {
+    for (const question of paper.questions || []) {
+      if (!question.text) continue;
+
+      const terms = new Map();
+      for (const term of getTerms(question.text)) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+      }
+      const docIndex = docs.length;
+      for (const term of terms.keys()) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(docIndex);
+      }
+
+      docs.push({
+        paperId: paper.id,
+        filename: paper.filename,
+        subjectCode: paper.subjectCode,
+        subjectName: paper.subjectName,
+        year: paper.year,
+        uploadedBy: paper.uploadedBy || null,
+        text: question.text,
+        type: question.estimatedType || estimateQuestionType(question.text),
+        marks: question.marks ?? estimateQuestionMarks(paper.extractedText, question.text),
+        terms,
+        length: [...terms.values()].reduce((sum, count) => sum + count, 0)
+      });
+    }
+  }
+
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+  console.log(`🔎 Indexed ${docs.length} questions from ${papers.length} question bank paper(s)`);
+
+  return {
+    revision,
+    builtAt: Date.now(),
+    docs,
+    postings,
+    avgLength: docs.length > 0 ? totalLength / docs.length : 0
+  };
+}
+
+/**
+ * Current index, rebuilt after bank changes or when it is older than INDEX_TTL_MS
+ */
+async function getIndex() {
+  const fresh = index && index.revision === getRevision() && Date.now() - index.builtAt < INDEX_TTL_MS;
+  if (fresh) return index;
+
+  // Concurrent searches share one build
+  if (!pendingIndex) {
+    pendingIndex = buildIndex()
+      .then(built => { index = built; return built; })
+      .finally(() => { pendingIndex = null; });
+  }
+  return pendingIndex;
+}
+
+function matchesFilters(doc, { subjectCode, year, fromYear, toYear, type, marks, userId }) {
+  if (subjectCode && String(doc.subjectCode).toLowerCase() !== subjectCode.toLowerCase()) return false;
+  if (year && doc.year !== year) return false;
+  if (fromYear && doc.year < fromYear) return false;
+  if (toYear && doc.year > toYear) return false;
+  if (type && doc.type !== type) return false;
+  if (marks && doc.marks !== marks) return false;
+  if (userId && doc.uploadedBy !== userId) return false;
+  return true;
+}
+
+/**
+ * BM25 score of one question for the query terms
+ */
+function scoreBm25(doc, queryTerms, { docs, postings, avgLength }) {
+  let score = 0;
+  for (const term of queryTerms) {
+    const frequency = doc.terms.get(term);
+    if (!frequency) continue;
+
+    const docFrequency = postings.get(term).length;
+    const idf = Math.log(1 + (docs.length - docFrequency + 0.5) / (docFrequency + 0.5));
+    const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (avgLength || 1));
+    score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+  }
+  return score;
+}
+
+/**
+ * Similarity of each candidate to the query, by candidate
+ */
+async function getSemanticScores(query, candidates, signal) {
+  const provider = getProvider();
+  const [queryVector, ...vectors] = await embedTexts(provider, [query, ...candidates.map(c => c.doc.text)], signal);
+  const scores = new Map();
+  candidates.forEach((candidate, i) => scores.set(candidate, cosineSimilarity(queryVector, vectors[i])));
+  return { scores, model: getEmbeddingModel(provider) };
+}
+
+/**
+ * Search the questions of the question bank
+ * @param {Object} options - { q, subjectCode, year, fromYear, toYear, type, marks,
+ *   userId (only papers this user uploaded), semantic, limit, offset, signal }
+ * @returns {Promise<Object>} { results, total, terms, semantic, warnings }
+ */
+async function searchQuestions(options = {}) {
+  const { q = '', semantic = false, limit = 20, offset = 0, signal } = options;
+  const startTime = Date.now();
+  const current = await getIndex();
+  const query = q.trim();
+  const queryTerms = [...new Set(getTerms(query))];
+  const warnings = [];
+
+  let candidates = current.docs
+    .filter(doc => matchesFilters(doc, options))
+    .map(doc => ({ doc, keyword: queryTerms.length > 0 ? scoreBm25(doc, queryTerms, current) : 0 }));
+
+  const semanticInfo = { requested: Boolean(semantic && query), used: false, model: null };
+  let similarities = null;
+  if (semanticInfo.requested && candidates.length > 0) {
+    const embedded = [...candidates]
+      .sort((a, b) => b.keyword - a.keyword || b.doc.year - a.doc.year)
+      .slice(0, MAX_SEMANTIC_CANDIDATES);
+    try {
+      const { scores, model } = await getSemanticScores(query, embedded, signal);
+      similarities = scores;
+      semanticInfo.used = true;
+      semanticInfo.model = model;
+    } catch (error) {
+      console.error('⚠️ Semantic question search failed:', error.message);
+      warnings.push(`Semantic search is unavailable (${error.message}); results use keyword matching only.`);
+    }
+  }
+
+  let results;
+  if (!query) {
+    results = candidates.map(candidate => ({ ...candidate, score: null }));
+  } else {
+    const maxKeyword = Math.max(0, ...candidates.map(c => c.keyword));
+    results = candidates
+      .map(candidate => {
+        const similarity = similarities ? similarities.get(candidate) ?? null : null;
+        const score = similarities
+          ? WEIGHTS.keyword * (maxKeyword > 0 ? candidate.keyword / maxKeyword : 0) + WEIGHTS.semantic * Math.max(0, similarity || 0)
+          : candidate.keyword;
+        return { ...candidate, similarity, score };
+      })
+      .filter(result => result.keyword > 0 || (result.similarity !== null && result.similarity >= MIN_SIMILARITY));
+  }
+
+  results.sort((a, b) =>
+    (b.score || 0) - (a.score || 0) || b.doc.year - a.doc.year || a.doc.text.localeCompare(b.doc.text));
+
+  console.log(`🔎 Question search "${query}": ${results.length} match(es) in ${Date.now() - startTime}ms`);
+
+  return {
+    results: results.slice(offset, offset + limit).map(({ doc, keyword, similarity, score }) => ({
+      paperId: doc.paperId,
+      filename: doc.filename,
+      subjectCode: doc.subjectCode,
+      subjectName: doc.subjectName,
+      year: doc.year,
+      text: doc.text,
+      type: doc.type,
+      marks: doc.marks,
+      score: score === null ? null : round(score),
+      keywordScore: round(keyword),
+      semanticScore: similarity === undefined || similarity === null ? null : round(similarity),
+      matchedTerms: queryTerms.filter(term => doc.terms.has(term))
+    })),
+    total: results.length,
+    terms: queryTerms,
+    semantic: semanticInfo,
+    warnings
+  };
+}
+
+/**
+ * Drop the index and embeddings (after swapping stores or providers, in tests)
+ */
+function resetSearchIndex() {
+  index = null;
+  clearEmbeddings();
+}
+
+module.exports = {
+  searchQuestions,
+  resetSearchIndex
+};
@@ -0,0 +1,152 @@
+const { extractKeywords } = require('./questionExtractor');
+
+/**
+ * Topic Recurrence Service
+ * Groups question clusters from all papers into topics and measures
+ * how often, and in which years, each topic was asked
+ */
+
+// Words that describe how to answer rather than what is being asked
+const GENERIC_TERMS = new Set([
+  'explain', 'define', 'describe', 'discuss', 'compare', 'differentiate',
+  'distinguish', 'list', 'state', 'derive', 'prove', 'calculate', 'find',
+  'solve', 'enumerate', 'illustrate', 'analyze', 'analyse', 'evaluate',
+  'justify', 'examine', 'write', 'draw', 'sketch', 'elaborate', 'mention',
+  'give', 'name', 'what', 'how', 'why', 'which', 'when', 'where', 'who',
+  'its', 'their', 'this', 'that', 'these', 'those', 'there', 'any', 'all',
+  'each', 'some', 'such', 'using', 'use', 'help', 'example', 'examples',
+  'suitable', 'following', 'various', 'given', 'brief', 'briefly', 'short',
+  'note', 'notes', 'detail', 'details', 'diagram', 'diagrams', 'neat',
+  'difference', 'between', 'concept', 'necessary', 'main', 'different',
+  'types', 'type', 'method', 'methods', 'problem', 'problems', 'algorithm',
+  'algorithms', 'show', 'hence', 'also', 'marks', 'mark', 'part', 'section'
+]);
+
+/**
+ * Reduce a keyword to a simple singular form so "semaphores" and "semaphore" match
+ */
+function normalizeTerm(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Get the topic-bearing terms of a question
+ */
+function getTopicTerms(question, ignoreTerms = new Set()) {
+  const keywords = question.keywords || extractKeywords(question.text || '');
+  const terms = keywords
+    .filter(word => !GENERIC_TERMS.has(word) && !/^\d+$/.test(word))
+    .map(normalizeTerm)
+    .filter(term => !ignoreTerms.has(term));
+  return [...new Set(terms)];
+}
+
+/**
+ * Turn topic terms into a display label, in the order they appear in the question
+ */
+function formatTopicLabel(terms, sampleText) {
+  const lower = sampleText.toLowerCase();
+  return [...terms]
+    .sort((a, b) => {
+      const posA = lower.indexOf(a);
+      const posB = lower.indexOf(b);
+      return (posA === -1 ? Infinity : posA) - (posB === -1 ? Infinity : posB) || a.localeCompare(b);
+    })
+    .map(term => term.charAt(0).toUpperCase() + term.slice(1))
+    .join(' ');
+}
+
+/**
+ * Compute topic recurrence across papers
+ * @param {Array} clusters - question clusters from clusterQuestions, so a
+ *   question reworded across years counts as one question asked in several papers
+ * @param {Object} options - { limit }
+ */
+function computeTopicRecurrence(clusters, options = {}) {
+  const { limit = 10 } = options;
+
+  const items = clusters
+    .filter(cluster => cluster.terms.length > 0)
+    .map(cluster => ({ cluster, text: cluster.canonical, terms: cluster.terms }));
+
+  if (items.length === 0) return [];
+
+  // How many papers and how many questions each term appears in
+  const termPapers = new Map();
+  const termQuestions = new Map();
+  for (const item of items) {
+    for (const term of item.terms) {
+      if (!termPapers.has(term)) termPapers.set(term, new Set());
+      item.cluster.paperIndexes.forEach(i => termPapers.get(term).add(i));
+      termQuestions.set(term, (termQuestions.get(term) || 0) + 1);
+    }
+  }
+
+  // Terms that recur across papers but stay specific to few questions make the best anchors
+  const termScore = term => termPapers.get(term).size / Math.sqrt(termQuestions.get(term));
+
+  // Group each question under its best anchor term
+  const groups = new Map();
+  for (const item of items) {
+    const anchor = [...item.terms].sort((a, b) =>
+      termScore(b) - termScore(a) || termQuestions.get(b) - termQuestions.get(a) || a.localeCompare(b)
+    )[0];
+    if (!groups.has(anchor)) groups.set(anchor, []);
+    groups.get(anchor).push(item);
+  }
+
+  const topics = [];
+  for (const [anchor, groupItems] of groups.entries()) {
+    // Co-occurring terms shared by most of the group refine the label
+    const coCounts = new Map();
+    for (const item of groupItems) {
+      for (const term of item.terms) {
+        if (term !== anchor) coCounts.set(term, (coCounts.get(term) || 0) + 1);
+      }
+    }
+    const coTerms = [...coCounts.entries()]
+      .filter(([, count]) => groupItems.length > 1 && count / groupItems.length > 0.5)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 2)
+      .map(([term]) => term);
+
+    const paperNames = new Map();
+    groupItems.forEach(({ cluster }) =>
+      cluster.paperIndexes.forEach((paperIndex, i) => paperNames.set(paperIndex, cluster.papers[i])));
+    const paperIndexes = [...paperNames.keys()].sort((a, b) => a - b);
+    const years = [...new Set(groupItems.flatMap(item => item.cluster.years))].sort((a, b) => a - b);
+
+    topics.push({
+      topic: formatTopicLabel([anchor, ...coTerms], groupItems[0].text),
+      keywords: [anchor, ...coTerms],
+      frequency: paperIndexes.length,
+      yearCount: years.length,
+      years,
+      firstAsked: years.length > 0 ? years[0] : null,
+      lastAsked: years.length > 0 ? years[years.length - 1] : null,
+      questionCount: groupItems.length,
+      occurrences: groupItems.reduce((sum, item) => sum + item.cluster.count, 0),
+      papers: paperIndexes.map(i => paperNames.get(i)),
+      sampleQuestions: groupItems.map(item => item.text).slice(0, 3)
+    });
+  }
+
+  return topics
+    .sort((a, b) =>
+      b.frequency - a.frequency ||
+      b.yearCount - a.yearCount ||
+      (b.lastAsked || 0) - (a.lastAsked || 0) ||
+      b.questionCount - a.questionCount ||
+      a.topic.localeCompare(b.topic)
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  computeTopicRecurrence,
+  getTopicTerms,
+  normalizeTerm,
+  GENERIC_TERMS
+};
@@ -0,0 +1,185 @@
+const Joi = require('joi');
+
+/**
+ * LLM Response Validator
+ * Parses model output that should be JSON, repairing the usual damage (code
+ * fences, text around the JSON, trailing commas, output cut off mid-array),
+ * and checks prediction responses against a schema. Invalid predictions are
+ * dropped one by one, with the reason, instead of failing the response.
+ */
+
+// Cut points tried, from the end, when closing truncated output
+const MAX_TRUNCATION_ATTEMPTS = 50;
+
+const predictionSchema = Joi.object({
+  topic: Joi.string().trim().max(200).empty('').default('General'),
+  question: Joi.string().trim().min(20).max(2000).required(),
+  // Matched in any case ("hard" becomes Hard); anything else is read as Medium
+  // rather than dropping the question
+  difficulty: Joi.string().trim().insensitive().valid('Easy', 'Medium', 'Hard').failover('Medium').default('Medium'),
+  // Some models answer in percent
+  probability: Joi.number().min(0).max(100).allow(null).failover(null).default(null),
+  type: Joi.string().trim().max(50).allow('', null),
+  marks: Joi.number().min(0).max(100).allow(null).failover(null),
+  section: Joi.alternatives().try(Joi.string().trim().max(20), Joi.number()).allow('', null),
+  rationale: Joi.string().trim().max(2000).empty('').default('Based on previous year analysis')
+}).unknown(true);
+
+const predictionResponseSchema = Joi.object({
+  predictions: Joi.array().min(1).required(),
+  summary: Joi.array().items(Joi.string()).failover([]).default([]),
+  paperStructure: Joi.any()
+}).unknown(true);
+
+/**
+ * Closing brackets for text cut off inside objects and arrays, or null when
+ * it was cut inside a string
+ */
+function getClosers(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+  return inString ? null : stack.reverse().join('');
+}
+
+function removeTrailingCommas(text) {
+  return text.replace(/,(\s*[}\]])/g, '$1');
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Parse model output as JSON, repairing it when needed
+ * @returns {Object} { value, repairs } where repairs describe what was fixed
+ * @throws the parse error when the output cannot be repaired
+ */
+function parseJsonWithRepair(content) {
+  const repairs = [];
+  let text = String(content || '').trim();
+
+  // Only a fence around the whole output; fences inside strings are content
+  const unfenced = text.replace(/^```[a-z]*\s*/i, '').replace(/\s*```$/, '').trim();
+  if (unfenced !== text) {
+    repairs.push('removed code fences');
+    text = unfenced;
+  }
+
+  let parsed = tryParse(text);
+  if (parsed.ok) return { value: parsed.value, repairs };
+  const parseError = parsed.error;
+
+  const start = text.indexOf('{');
+  if (start > 0) {
+    repairs.push('removed text before the JSON');
+    text = text.slice(start);
+  }
+
+  const withoutCommas = removeTrailingCommas(text);
+  if (withoutCommas !== text) {
+    repairs.push('removed trailing commas');
+    text = withoutCommas;
+  }
+
+  parsed = tryParse(text);
+  if (parsed.ok) return { value: parsed.value, repairs };
+
+  // Cut back to the end of the last complete object and close what is still open
+  let end = text.length;
+  for (let attempt = 0; attempt < MAX_TRUNCATION_ATTEMPTS; attempt++) {
+    end = text.lastIndexOf('}', end - 1);
+    if (end < 0) break;
+    const candidate = text.slice(0, end + 1);
+    const closers = getClosers(candidate);
+    if (closers === null) continue;
+    parsed = tryParse(removeTrailingCommas(candidate + closers));
+    if (parsed.ok) {
+      repairs.push(closers ? 'closed output that was cut off' : 'removed text after the JSON');
+      return { value: parsed.value, repairs };
+    }
+  }
+
+  throw parseError;
+}
+
+/**
+ * Check a prediction response against the schema
+ * @returns {Object} { value, errors, dropped } where value holds only the valid
+ *   predictions (with defaults applied), errors are problems with the response
+ *   as a whole and dropped explains every prediction left out
+ */
+function validatePredictionResponse(response) {
+  const { error, value } = predictionResponseSchema.validate(response, { abortEarly: false });
+  if (error) {
+    return { value: null, errors: error.details.map(detail => detail.message), dropped: [] };
+  }
+
+  const dropped = [];
+  const predictions = [];
+  value.predictions.forEach((item, i) => {
+    const result = predictionSchema.validate(item, { abortEarly: false, convert: true });
+    if (result.error) {
+      dropped.push(`Prediction ${i + 1} dropped: ${result.error.details.map(detail => detail.message).join('; ')}`);
+      return;
+    }
+    const prediction = result.value;
+    if (typeof prediction.probability === 'number' && prediction.probability > 1) {
+      prediction.probability /= 100;
+    }
+    predictions.push(prediction);
+  });
+
+  const errors = predictions.length === 0 ? ['no prediction passed validation'] : [];
+  return { value: { ...value, predictions }, errors, dropped };
+}
+
+// Dropped predictions spelled out in warnings; the rest are counted
+const MAX_LISTED_DROPS = 3;
+
+/**
+ * Warnings telling the user how the model's response was checked
+ * @param {Object} validation - { status, repairs, dropped, rejected } from analyzeWithAI
+ */
+function describeValidation(validation) {
+  const warnings = [];
+  if (validation.status === 'valid') {
+    warnings.push('The AI response was valid against the prediction schema.');
+  } else if (validation.status === 'retried') {
+    warnings.push(`The first AI response was rejected (${validation.rejected.join('; ')}); the model was asked again and its second response was used.`);
+  }
+  if (validation.repairs.length > 0) {
+    warnings.push(`The AI response was repaired before use: ${validation.repairs.join(', ')}.`);
+  }
+  if (validation.dropped.length > 0) {
+    const listed = validation.dropped.slice(0, MAX_LISTED_DROPS).join(' ');
+    const more = validation.dropped.length - MAX_LISTED_DROPS;
+    warnings.push(`${validation.dropped.length} invalid prediction(s) were dropped. ${listed}${more > 0 ? ` (and ${more} more)` : ''}`);
+  }
+  return warnings;
+}
+
+module.exports = {
+  parseJsonWithRepair,
+  validatePredictionResponse,
+  describeValidation,
+  predictionSchema,
+  predictionResponseSchema
+};
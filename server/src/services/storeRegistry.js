@@ -0,0 +1,23 @@
+/**
+ * Store Registry
+ * Shared lookup behind the store and backend registries
+ */
+
+/**
+ * Create a store with the factory registered under its name
+ * @param {string} kind - what the registry holds, for the error message
+ * @param {Object} factories - factory per lowercase name
+ * @param {string} name - name to look up, case-insensitively
+ * @param {Object} options - passed to the factory
+ */
+function createFromRegistry(kind, factories, name, options = {}) {
+  const factory = factories[String(name).toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createFromRegistry
+};
@@ -0,0 +1,144 @@
+/**
+ * Syllabus Parser
+ * Splits the text of a syllabus into units and their subtopics. Handles the
+ * usual layouts: "Unit I Title: topic, topic ..." paragraphs, "UNIT-2" or
+ * "Module 3" headings followed by a title line and bulleted topics, and
+ * tables whose rows start with the unit's roman numeral.
+ */
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10 };
+
+// "Unit I", "UNIT-2:", "Module 3 -", "Chapter 4."
+const UNIT_LINE = /^(?:unit|module|chapter)\s*[-–:.]?\s*(\d{1,2}|[ivx]{1,5})\b\s*[-–:.)]?\s*(.*)$/i;
+
+// Table rows of syllabi without unit headings: "II | Process Scheduling: ..."
+const ROMAN_ROW = /^([IVX]{1,5})[.)]?\s+([A-Z].+)$/;
+
+// Teaching hours at the end of a unit: "08", "(8 Hours)", "Lectures: 8"
+const HOURS_TAG = /(?:[([]\s*)?(?:(?:lectures?|hours?|hrs?|periods?)\s*[:-]?\s*)?(\d{1,2})\s*(?:hours?|hrs?|lectures?|periods?)?\s*[)\]]?\s*$/i;
+const EXPLICIT_HOURS = /(?:lectures?|hours?|hrs?|periods?)\s*[:-]?\s*\d|\d\s*(?:hours?|hrs?|lectures?|periods?)\b|\(\s*\d{1,2}\s*\)|\s\d{1,2}$/i;
+
+// Sections after the units
+const END_LINE = /^(?:text\s*books?|reference\s*books?|references|suggested\s+readings?|course\s+outcomes?|list\s+of\s+(?:experiments|practicals))\b/i;
+
+// Breaks between subtopics
+const TOPIC_SEPARATOR = /\s*(?:[,;•●▪]|\s[–—-]\s|\.\s+(?=[A-Z]))\s*/;
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_TOPIC_LENGTH = 120;
+
+function romanToNumber(roman) {
+  const digits = roman.toLowerCase().split('').map(c => ROMAN_VALUES[c]);
+  return digits.reduce((sum, value, i) => sum + (value < (digits[i + 1] || 0) ? -value : value), 0);
+}
+
+function parseUnitNumber(label) {
+  return /^\d+$/.test(label) ? parseInt(label, 10) : romanToNumber(label);
+}
+
+function cleanLine(line) {
+  return line.replace(/^[\s|*•●▪\-–]+|[\s|]+$/g, '').replace(/\s*\|\s*/g, ' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Take the teaching hours off the end of a unit's text
+ */
+function takeHours(text) {
+  if (!EXPLICIT_HOURS.test(text)) return { text, hours: null };
+  const match = text.match(HOURS_TAG);
+  if (!match) return { text, hours: null };
+  return { text: text.slice(0, match.index).trim(), hours: parseInt(match[1], 10) };
+}
+
+/**
+ * Split unit text into its title and subtopics
+ */
+function splitUnitText(lines) {
+  const joined = lines.join('\n');
+  const { text, hours } = takeHours(joined.replace(/\n+$/, ''));
+  let title = '';
+  let body = text;
+
+  // "Introduction: Operating system and its functions, ..."
+  const colon = text.indexOf(':');
+  if (colon > 0 && colon <= MAX_TITLE_LENGTH && !text.slice(0, colon).includes('\n')) {
+    title = text.slice(0, colon);
+    body = text.slice(colon + 1);
+  } else {
+    // A short first line without separators names the unit
+    const [first, ...rest] = text.split('\n');
+    if (rest.length > 0 && first.length <= MAX_TITLE_LENGTH && !TOPIC_SEPARATOR.test(first)) {
+      title = first;
+      body = rest.join('\n');
+    }
+  }
+
+  const topics = body
+    .split(/\n|(?:[,;•●▪]|\s[–—-]\s)/)
+    .flatMap(part => part.split(/\.\s+(?=[A-Z])/))
+    .map(topic => topic.replace(/^[\s.:–-]+|[\s.:–-]+$/g, '').replace(/^and\s+/i, ''))
+    .filter(topic => topic.length >= 3 && topic.length <= MAX_TOPIC_LENGTH && /[a-z]/i.test(topic));
+
+  if (!title && topics.length > 0) {
+    title = topics.shift();
+  }
+
+  return { title: title.trim(), topics: [...new Set(topics)], hours };
+}
+
+/**
+ * Find unit headings and the lines under them
+ */
+function collectUnits(lines, pattern) {
+  const units = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (END_LINE.test(line)) {
+      current = null;
+      if (units.length > 0) break;
+      continue;
+    }
+
+    const match = line.match(pattern);
+    if (match) {
+      current = { number: parseUnitNumber(match[1]), lines: [] };
+      const rest = match[2].trim();
+      if (rest) current.lines.push(rest);
+      units.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return units;
+}
+
+/**
+ * Parse syllabus text into units
+ * @returns {Array} [{ number, title, topics, hours }] in syllabus order; empty
+ *   when no unit headings are found
+ */
+function parseSyllabus(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(cleanLine)
+    .filter(Boolean);
+
+  let found = collectUnits(lines, UNIT_LINE);
+  if (found.length === 0) {
+    found = collectUnits(lines, ROMAN_ROW);
+  }
+
+  // Keep the first occurrence of each unit number (course outcomes often repeat them)
+  const seen = new Set();
+  return found
+    .filter(unit => unit.number > 0 && !seen.has(unit.number) && seen.add(unit.number))
+    .map(unit => ({ number: unit.number, ...splitUnitText(unit.lines) }))
+    .filter(unit => unit.title || unit.topics.length > 0)
+    .map(unit => ({ ...unit, title: unit.title || `Unit ${unit.number}` }));
+}
+
+module.exports = {
+  parseSyllabus
+};
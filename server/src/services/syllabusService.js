@@ -0,0 +1,341 @@
+const { createSyllabusStore } = require('./syllabusStores');
+const { parseSyllabus } = require('./syllabusParser');
+const { tokenizeQuestion } = require('./questionExtractor');
+const { normalizeTerm, GENERIC_TERMS } = require('./recurrenceAnalyzer');
+const { extractTextFromPDF, isLikelyScannedPDF } = require('./pdfExtractor');
+const { extractTextFromImage, extractTextFromScannedPDF } = require('./ocrExtractor');
+const { getProvider } = require('./providers');
+const { embedTexts, cosineSimilarity, getEmbeddingModel } = require('./embeddings');
+const { getAllPapers } = require('./questionBank');
+const { computeCoverage } = require('./coverageAnalyzer');
+const { invalidateSubjectAnalyses } = require('./cache');
+
+/**
+ * Syllabus Service
+ * Keeps one parsed syllabus per subject code and maps questions and
+ * predictions to its units. Keyword matching weighs the question's terms
+ * found in a unit by how specific they are to that unit; embedding
+ * similarity to the unit's title and topics is added on top when the
+ * provider supports embeddings.
+ */
+
+// Created on first use: the Supabase client is set up after the modules load
+let store = null;
+
+// Share of the combined score taken by each signal when embeddings are available
+const WEIGHTS = { keyword: 0.5, semantic: 0.5 };
+
+// A question without matching keywords needs this similarity to be mapped
+const MIN_SIMILARITY = 0.5;
+
+// Title words say more about a unit than words in its topic list
+const TITLE_WEIGHT = 2;
+
+function getStore() {
+  if (!store) {
+    store = createSyllabusStore();
+    console.log(`📘 Syllabus store: ${store.name}`);
+  }
+  return store;
+}
+
+// Every word counts: a unit's topic list is far longer than a question
+function getTerms(text) {
+  return tokenizeQuestion(text || '')
+    .filter(word => !GENERIC_TERMS.has(word) && !/^\d+$/.test(word))
+    .map(normalizeTerm);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Text of an uploaded syllabus file (PDF, image or plain text)
+ * @param {Object} file - multer file
+ */
+async function readSyllabusFile(file) {
+  if (file.mimetype === 'application/pdf') {
+    const { text, numPages } = await extractTextFromPDF(file.buffer);
+    if (!isLikelyScannedPDF(text, numPages)) return text;
+    const ocrResult = await extractTextFromScannedPDF(file.buffer, { maxPages: 10 });
+    return ocrResult.text && ocrResult.text.length > text.length ? ocrResult.text : text;
+  }
+  if (file.mimetype.startsWith('image/')) {
+    return (await extractTextFromImage(file.buffer, file.mimetype)).text || '';
+  }
+  return file.buffer.toString('utf-8');
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+/**
+ * @throws 403 error when the subject has a syllabus uploaded by another user
+ */
+async function checkOwner(subjectCode, uploadedBy) {
+  if (!uploadedBy) return null;
+  const existing = await getStore().get(subjectCode);
+  if (existing && existing.uploadedBy !== uploadedBy) {
+    throw forbidden('Only the user who uploaded this syllabus can replace or delete it');
+  }
+  return existing;
+}
+
+/**
+ * Parse and store the syllabus of a subject, replacing any earlier one
+ * @param {Object} input - { subjectCode, subjectName, filename, text, userId }
+ * @param {Object} options - { uploadedBy } only replace a syllabus this user uploaded
+ * @throws 422 error when no units are found, 403 error when the syllabus
+ *   belongs to someone else
+ */
+async function saveSyllabus({ subjectCode, subjectName, filename, text, userId }, { uploadedBy } = {}) {
+  await checkOwner(subjectCode, uploadedBy);
+  const units = parseSyllabus(text);
+  if (units.length === 0) {
+    const error = new Error('No units were found in the syllabus. Each unit should start with a heading such as "Unit I" or "Module 1".');
+    error.status = 422;
+    throw error;
+  }
+
+  const stored = await getStore().put({
+    subjectCode: subjectCode.toUpperCase(),
+    subjectName: subjectName || null,
+    filename: filename || null,
+    text,
+    units,
+    uploadedBy: userId || null
+  });
+  console.log(`📘 Saved syllabus of ${stored.subjectCode}: ${units.length} units`);
+  // Analyses made with the earlier syllabus can no longer be served
+  await invalidateSubjectAnalyses(stored.subjectCode);
+  return stored;
+}
+
+/**
+ * Stored syllabus of a subject, or null
+ */
+async function getSyllabus(subjectCode) {
+  return getStore().get(subjectCode);
+}
+
+/**
+ * Stored syllabi without their text
+ */
+async function listSyllabi() {
+  return getStore().list();
+}
+
+/**
+ * Delete the syllabus of a subject; its cached analyses are dropped
+ * @param {Object} options - { uploadedBy } only delete the syllabus if this user uploaded it
+ * @throws 403 error when the syllabus was uploaded by someone else
+ */
+async function deleteSyllabus(subjectCode, { uploadedBy } = {}) {
+  await checkOwner(subjectCode, uploadedBy);
+  const removed = await getStore().delete(subjectCode);
+  if (removed) await invalidateSubjectAnalyses(subjectCode);
+  return removed;
+}
+
+/**
+ * Weighted terms of every unit and how specific each term is
+ */
+function buildUnitIndex(units) {
+  const unitTerms = units.map(unit => {
+    const terms = new Map();
+    for (const term of getTerms(unit.topics.join(' '))) terms.set(term, 1);
+    for (const term of getTerms(unit.title)) terms.set(term, TITLE_WEIGHT);
+    return terms;
+  });
+
+  const idf = new Map();
+  for (const terms of unitTerms) {
+    for (const term of terms.keys()) idf.set(term, (idf.get(term) || 0) + 1);
+  }
+  for (const [term, count] of idf) {
+    idf.set(term, Math.log(1 + units.length / count));
+  }
+
+  return { unitTerms, idf };
+}
+
+/**
+ * Share of a text's syllabus words that point at each unit, 0..1 per unit
+ */
+function scoreKeywords(text, { unitTerms, idf }) {
+  const terms = [...new Set(getTerms(text))].filter(term => idf.has(term));
+  const possible = terms.reduce((sum, term) => sum + idf.get(term) * TITLE_WEIGHT, 0);
+  return unitTerms.map(unit => {
+    if (possible === 0) return 0;
+    const matched = terms.reduce((sum, term) => sum + idf.get(term) * (unit.get(term) || 0), 0);
+    return matched / possible;
+  });
+}
+
+/**
+ * Map texts (questions or predictions) to syllabus units
+ * @param {Array<string>} texts
+ * @param {Array} units - syllabus units from parseSyllabus
+ * @param {Object} options - { semantic (default true), signal }
+ * @returns {Promise<Object>} { matches: [{ number, title, score, keywordScore,
+ *   semanticScore } | null] in the order of texts, semantic: { used, model }, warnings }
+ */
+async function mapToUnits(texts, units, { semantic = true, signal } = {}) {
+  const warnings = [];
+  const semanticInfo = { used: false, model: null };
+  if (texts.length === 0 || units.length === 0) {
+    return { matches: texts.map(() => null), semantic: semanticInfo, warnings };
+  }
+
+  const index = buildUnitIndex(units);
+  const keywordScores = texts.map(text => scoreKeywords(text, index));
+
+  let similarities = null;
+  if (semantic) {
+    try {
+      const provider = getProvider();
+      const unitTexts = units.map(unit => `${unit.title}: ${unit.topics.join(', ')}`);
+      const vectors = await embedTexts(provider, [...unitTexts, ...texts], signal);
+      const unitVectors = vectors.slice(0, units.length);
+      similarities = vectors.slice(units.length)
+        .map(vector => unitVectors.map(unitVector => cosineSimilarity(vector, unitVector)));
+      semanticInfo.used = true;
+      semanticInfo.model = getEmbeddingModel(provider);
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.error('⚠️ Semantic syllabus mapping failed:', error.message);
+      warnings.push(`Questions were mapped to syllabus units by keywords only (${error.message}).`);
+    }
+  }
+
+  const matches = texts.map((_, i) => {
+    let best = null;
+    units.forEach((unit, u) => {
+      const keywordScore = keywordScores[i][u];
+      const semanticScore = similarities ? similarities[i][u] : null;
+      if (keywordScore === 0 && !(semanticScore >= MIN_SIMILARITY)) return;
+
+      const score = similarities
+        ? WEIGHTS.keyword * keywordScore + WEIGHTS.semantic * Math.max(0, semanticScore)
+        : keywordScore;
+      if (!best || score > best.score) {
+        best = { number: unit.number, title: unit.title, score, keywordScore, semanticScore };
+      }
+    });
+    return best && {
+      ...best,
+      score: round(best.score),
+      keywordScore: round(best.keywordScore),
+      semanticScore: best.semanticScore === null ? null : round(best.semanticScore)
+    };
+  });
+
+  return { matches, semantic: semanticInfo, warnings };
+}
+
+/**
+ * Questions, marks and predictions per unit
+ * @param {Array} units - syllabus units
+ * @param {Array} questions - [{ unit, marks }] where unit is a unit number or null
+ *   and marks may be null when unknown (counted as questions only)
+ * @param {Array} predictions - [{ unit }] with the unit as { number } or null
+ * @returns {Object} { units: [{ number, title, topics, hours, questions, marks,
+ *   share, predictions }], unmappedQuestions } where share is the unit's
+ *   percentage of all mapped marks (of mapped questions when no marks are known)
+ */
+function getUnitWeightage(units, questions, predictions = []) {
+  const weights = units.map(unit => ({
+    number: unit.number,
+    title: unit.title,
+    topics: unit.topics,
+    hours: unit.hours ?? null,
+    questions: 0,
+    marks: 0,
+    share: 0,
+    predictions: 0
+  }));
+  const byNumber = new Map(weights.map(weight => [weight.number, weight]));
+
+  let unmappedQuestions = 0;
+  for (const question of questions) {
+    const weight = byNumber.get(question.unit);
+    if (!weight) {
+      unmappedQuestions++;
+      continue;
+    }
+    weight.questions++;
+    weight.marks += question.marks || 0;
+  }
+  for (const prediction of predictions) {
+    const weight = prediction.unit && byNumber.get(prediction.unit.number);
+    if (weight) weight.predictions++;
+  }
+
+  const totalMarks = weights.reduce((sum, weight) => sum + weight.marks, 0);
+  const totalQuestions = weights.reduce((sum, weight) => sum + weight.questions, 0);
+  for (const weight of weights) {
+    const share = totalMarks > 0 ? weight.marks / totalMarks : totalQuestions > 0 ? weight.questions / totalQuestions : 0;
+    weight.share = Math.round(share * 1000) / 10;
+  }
+
+  return { units: weights, unmappedQuestions };
+}
+
+/**
+ * Coverage of a subject's syllabus by the papers in the question bank
+ * @param {Object} options - { dueAfterYears }
+ * @returns {Promise<Object|null>} { coverage, papers } or null without a syllabus
+ */
+async function getSyllabusCoverage(subjectCode, { dueAfterYears } = {}) {
+  const syllabus = await getSyllabus(subjectCode);
+  if (!syllabus) return null;
+
+  const papers = await getAllPapers({ subjectCode });
+
+  // Questions stored before the current syllabus was uploaded carry no unit,
+  // or one of an older syllabus; map those again by keywords
+  const stale = papers.filter(paper => !paper.updatedAt || paper.updatedAt < syllabus.updatedAt);
+  const texts = stale.flatMap(paper => (paper.questions || []).map(question => question.text));
+  const { matches } = await mapToUnits(texts, syllabus.units, { semantic: false });
+  let next = 0;
+  for (const paper of stale) {
+    paper.questions = (paper.questions || []).map(question => ({ ...question, unit: matches[next++]?.number ?? null }));
+  }
+
+  return {
+    coverage: computeCoverage(syllabus.units, papers, { dueAfterYears }),
+    papers: papers.length
+  };
+}
+
+/**
+ * Store info for health checks
+ */
+function getSyllabusStoreInfo() {
+  const current = getStore();
+  return { store: current.name, persistent: current.persistent };
+}
+
+/**
+ * Swap the store (tests, or a store configured after startup)
+ */
+function setSyllabusStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  readSyllabusFile,
+  saveSyllabus,
+  getSyllabus,
+  listSyllabi,
+  deleteSyllabus,
+  mapToUnits,
+  getUnitWeightage,
+  getSyllabusCoverage,
+  getSyllabusStoreInfo,
+  setSyllabusStore
+};
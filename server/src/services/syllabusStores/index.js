@@ -0,0 +1,46 @@
+const path = require('path');
+const { createMemoryKeyedStore } = require('../keyedStores/memoryKeyedStore');
+const { createFileKeyedStore } = require('../keyedStores/fileKeyedStore');
+const { createSupabaseSyllabusStore } = require('./supabaseSyllabusStore');
+const { createFromRegistry } = require('../storeRegistry');
+
+/**
+ * Syllabus Store Registry
+ * Picks where the parsed syllabus of each subject is kept. The memory and
+ * file stores are the shared keyed stores; only Supabase has its own mapping.
+ *
+ * Every store exposes (all async):
+ *   put(syllabus)        -> stored syllabus; one per subject code, replacing the previous one
+ *   get(subjectCode)     -> syllabus | null; subject codes match case-insensitively
+ *   list()               -> syllabi without their text, most recently updated first
+ *   delete(subjectCode)  -> whether a syllabus was removed
+ * plus `name` and `persistent`.
+ *
+ * Syllabi: { subjectCode, subjectName, filename, text, units: [{ number, title,
+ *   topics, hours }], uploadedBy, createdAt, updatedAt }
+ *
+ * Env:
+ *   SYLLABUS_STORE       memory | file | supabase (default: supabase when configured, otherwise memory)
+ *   SYLLABUS_STORE_FILE  file for the file store (default: ./data/syllabi.json)
+ */
+
+const DEFAULT_FILE = path.join(process.cwd(), 'data', 'syllabi.json');
+const KEYED_OPTIONS = { key: 'subjectCode', listOmits: ['text'], label: 'syllabi' };
+
+const FACTORIES = {
+  memory: options => createMemoryKeyedStore({ ...KEYED_OPTIONS, ...options }),
+  file: options => createFileKeyedStore({
+    ...KEYED_OPTIONS,
+    ...options,
+    file: options.file || process.env.SYLLABUS_STORE_FILE || DEFAULT_FILE
+  }),
+  supabase: createSupabaseSyllabusStore
+};
+
+function createSyllabusStore(name = process.env.SYLLABUS_STORE || (global.supabase ? 'supabase' : 'memory'), options = {}) {
+  return createFromRegistry('syllabus store', FACTORIES, name, options);
+}
+
+module.exports = {
+  createSyllabusStore
+};
@@ -0,0 +1,88 @@
+/**
+ * Supabase Syllabus Store
+ * Saves syllabi as rows of the syllabi table, one row per subject code
+ */
+
+const LIST_COLUMNS = 'subject_code, subject_name, filename, units, uploaded_by, created_at, updated_at';
+
+function toRow(syllabus) {
+  return {
+    subject_code: syllabus.subjectCode.toUpperCase(),
+    subject_name: syllabus.subjectName,
+    filename: syllabus.filename,
+    extracted_text: syllabus.text,
+    units: syllabus.units,
+    uploaded_by: syllabus.uploadedBy || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row) {
+  const syllabus = {
+    subjectCode: row.subject_code,
+    subjectName: row.subject_name,
+    filename: row.filename,
+    units: row.units || [],
+    uploadedBy: row.uploaded_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (row.extracted_text !== undefined) syllabus.text = row.extracted_text;
+  return syllabus;
+}
+
+function createSupabaseSyllabusStore(options = {}) {
+  const getClient = () => {
+    const client = options.client || global.supabase;
+    if (!client) throw new Error('Supabase is not configured');
+    return client;
+  };
+
+  return {
+    name: 'supabase',
+    persistent: true,
+
+    async put(syllabus) {
+      const { data, error } = await getClient()
+        .from('syllabi')
+        .upsert(toRow(syllabus), { onConflict: 'subject_code' })
+        .select()
+        .single();
+      if (error) throw new Error(error.message);
+      return fromRow(data);
+    },
+
+    async get(subjectCode) {
+      const { data, error } = await getClient()
+        .from('syllabi')
+        .select('*')
+        .eq('subject_code', subjectCode.toUpperCase())
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      return data ? fromRow(data) : null;
+    },
+
+    async list() {
+      const { data, error } = await getClient()
+        .from('syllabi')
+        .select(LIST_COLUMNS)
+        .order('updated_at', { ascending: false });
+      if (error) throw new Error(error.message);
+      return data.map(fromRow);
+    },
+
+    async delete(subjectCode) {
+      const { data, error } = await getClient()
+        .from('syllabi')
+        .delete()
+        .eq('subject_code', subjectCode.toUpperCase())
+        .select('subject_code');
+      if (error) throw new Error(error.message);
+      return data.length > 0;
+    }
+  };
+}
+
+module.exports = {
+  createSupabaseSyllabusStore
+};